@@ -0,0 +1,107 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { runReminders } from '../reminders.js';
+
+const owner = {
+    user_id: 'user-1',
+    enabled: true,
+    owner_email: 'owner@example.com',
+    rules: { rent_overdue: { notifyTenant: true }, adjustment_upcoming: { enabled: false }, lease_expiring: { enabled: false } },
+    language: 'en',
+    date_format: 'dd/mm/yyyy',
+};
+
+const tables = {
+    reminder_settings: [owner],
+    units: [{ id: 'u1', name: 'Unit 101', is_active: true }],
+    leases: [{
+        id: 'l1',
+        unit_id: 'u1',
+        tenant_name: 'Ana',
+        tenant_email: 'ana@example.com',
+        rent_amount: 100000,
+        start_date: '2024-01-01',
+        end_date: '2025-12-31',
+        due_day: 10,
+        status: 'ACTIVE',
+    }],
+    payments: [{ unit_id: 'u1', for_month: '2024-02', amount: 100000, date_paid: '2024-02-05' }],
+    rent_adjustments: [],
+    charges: [],
+    maintenances: [],
+};
+
+// Query builder that ignores filters and resolves to the table's rows
+const createSupabase = (sentRows = []) => {
+    const upserts = [];
+    const supabase = {
+        upserts,
+        from: (table) => {
+            const rows = table === 'sent_notifications' ? sentRows : tables[table];
+            const query = {
+                select: () => query,
+                eq: () => query,
+                in: () => query,
+                upsert: async (records) => { upserts.push(...records); return { error: null }; },
+                then: (resolve) => resolve({ data: rows, error: null }),
+            };
+            return query;
+        },
+    };
+    return supabase;
+};
+
+describe('runReminders', () => {
+    const sendMail = vi.fn();
+    const transport = { sendMail };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('emails the owner and the tenant and records both', async () => {
+        sendMail.mockResolvedValue({ messageId: '<1@localhost>' });
+        const supabase = createSupabase();
+        const summary = await runReminders({ supabase, transport, today: '2024-03-15' });
+
+        expect(summary).toMatchObject({ owners: 1, sent: 2, failed: 0, skipped: 0 });
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'owner@example.com' }));
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'ana@example.com',
+            replyTo: 'owner@example.com',
+        }));
+        expect(supabase.upserts.map(r => [r.reference_key, r.recipient_type, r.status])).toEqual([
+            ['rent_overdue:l1:2024-03', 'owner', 'sent'],
+            ['rent_overdue:l1:2024-03', 'tenant', 'sent'],
+        ]);
+    });
+
+    it('does not send a reminder twice to the same recipient', async () => {
+        sendMail.mockResolvedValue({ messageId: '<1@localhost>' });
+        const supabase = createSupabase([{ reference_key: 'rent_overdue:l1:2024-03', recipient_type: 'owner' }]);
+        const summary = await runReminders({ supabase, transport, today: '2024-03-16' });
+
+        expect(summary).toMatchObject({ sent: 1, skipped: 1 });
+        expect(sendMail).toHaveBeenCalledTimes(1);
+        expect(sendMail.mock.calls[0][0].to).toBe('ana@example.com');
+    });
+
+    it('records failed deliveries so the next run retries them', async () => {
+        sendMail.mockRejectedValue(new Error('Connection refused'));
+        const supabase = createSupabase();
+        const summary = await runReminders({ supabase, transport, today: '2024-03-15' });
+
+        expect(summary).toMatchObject({ sent: 0, failed: 2 });
+        expect(supabase.upserts[0]).toMatchObject({ status: 'failed', error: 'Connection refused' });
+    });
+
+    it('only lists what would be sent on a dry run', async () => {
+        const supabase = createSupabase();
+        const summary = await runReminders({ supabase, transport, today: '2024-03-15', dryRun: true });
+
+        expect(summary.pending).toHaveLength(2);
+        expect(sendMail).not.toHaveBeenCalled();
+        expect(supabase.upserts).toEqual([]);
+    });
+});
@@ -0,0 +1,137 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const sendMail = vi.fn();
+vi.mock('nodemailer', () => ({
+    default: { createTransport: vi.fn(() => ({ sendMail })) },
+}));
+
+const getUser = vi.fn();
+const insert = vi.fn();
+const update = vi.fn();
+vi.mock('@supabase/supabase-js', () => ({
+    createClient: () => ({
+        auth: { getUser },
+        from: () => ({
+            insert: (rows) => ({ select: () => insert(rows) }),
+            update: (values) => ({ eq: () => ({ select: () => update(values) }) }),
+        }),
+    }),
+}));
+
+import handler, { validateEmailRequest, MAX_ATTACHMENT_BYTES } from '../send-email.js';
+
+const createResponse = () => {
+    const response = {
+        statusCode: null,
+        body: null,
+        headers: {},
+        setHeader: (key, value) => { response.headers[key] = value; },
+        status: (code) => { response.statusCode = code; return response; },
+        json: (body) => { response.body = body; return response; },
+        end: () => response,
+    };
+    return response;
+};
+
+const createRequest = (body, headers = {}) => ({
+    method: 'POST',
+    headers: { authorization: 'Bearer token', 'x-forwarded-for': '10.0.0.1', ...headers },
+    body,
+});
+
+const message = {
+    to: 'tenant@example.com',
+    subject: 'Rent receipt 0001-00000001',
+    text: 'Please find attached the receipt.',
+    kind: 'receipt',
+    attachments: [{ filename: 'Receipt.pdf', content: Buffer.from('%PDF-1.3').toString('base64') }],
+};
+
+describe('validateEmailRequest', () => {
+    it('accepts a message with PDF attachments', () => {
+        const { error, message: normalized } = validateEmailRequest(message);
+        expect(error).toBeUndefined();
+        expect(normalized.attachments[0].size).toBe(8);
+        expect(normalized.unitId).toBeNull();
+    });
+
+    it('rejects invalid recipients, kinds and non-PDF attachments', () => {
+        expect(validateEmailRequest({ ...message, to: 'not-an-email' }).error).toBe('Invalid recipient');
+        expect(validateEmailRequest({ ...message, subject: ' ' }).error).toBe('Invalid subject');
+        expect(validateEmailRequest({ ...message, kind: 'newsletter' }).error).toBe('Invalid kind');
+        expect(validateEmailRequest({ ...message, attachments: [{ filename: 'run.exe', content: 'AA==' }] }).error)
+            .toBe('Only PDF attachments are allowed');
+    });
+
+    it('rejects attachments over the size limit', () => {
+        const content = Buffer.alloc(MAX_ATTACHMENT_BYTES + 1).toString('base64');
+        expect(validateEmailRequest({ ...message, attachments: [{ filename: 'big.pdf', content }] }).error)
+            .toBe('Attachments too large');
+    });
+});
+
+describe('send-email handler', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        process.env.SMTP_HOST = 'localhost';
+        process.env.SMTP_PORT = '1025';
+        getUser.mockResolvedValue({ data: { user: { id: 'user-1', email: 'owner@example.com' } }, error: null });
+        insert.mockResolvedValue({ data: [{ id: 'log-1', status: 'queued' }], error: null });
+        update.mockImplementation(async (values) => ({ data: [{ id: 'log-1', ...values }], error: null }));
+    });
+
+    it('only accepts POST', async () => {
+        const response = createResponse();
+        await handler({ method: 'GET', headers: {} }, response);
+        expect(response.statusCode).toBe(405);
+        expect(response.headers['X-Content-Type-Options']).toBe('nosniff');
+    });
+
+    it('requires a signed-in user', async () => {
+        const response = createResponse();
+        await handler(createRequest(message, { authorization: undefined }), response);
+        expect(response.statusCode).toBe(401);
+        expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('sends the message with its attachments and logs it as sent', async () => {
+        sendMail.mockResolvedValue({ messageId: '<abc@localhost>' });
+        const response = createResponse();
+        await handler(createRequest(message), response);
+
+        expect(response.statusCode).toBe(200);
+        expect(insert).toHaveBeenCalledWith([expect.objectContaining({
+            user_id: 'user-1',
+            kind: 'receipt',
+            recipient: 'tenant@example.com',
+            attachments: [{ filename: 'Receipt.pdf', size: 8 }],
+            status: 'queued',
+        })]);
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'tenant@example.com',
+            replyTo: 'owner@example.com',
+            attachments: [expect.objectContaining({ filename: 'Receipt.pdf', encoding: 'base64', contentType: 'application/pdf' })],
+        }));
+        expect(response.body.log).toMatchObject({ id: 'log-1', status: 'sent', message_id: '<abc@localhost>' });
+    });
+
+    it('logs a failed delivery', async () => {
+        sendMail.mockRejectedValue(new Error('Connection refused'));
+        const response = createResponse();
+        await handler(createRequest(message), response);
+
+        expect(response.statusCode).toBe(502);
+        expect(update).toHaveBeenCalledWith({ status: 'failed', error: 'Connection refused' });
+        expect(response.body.log.status).toBe('failed');
+    });
+
+    it('reports when SMTP is not configured', async () => {
+        delete process.env.SMTP_HOST;
+        const response = createResponse();
+        await handler(createRequest(message), response);
+        expect(response.statusCode).toBe(503);
+        expect(insert).not.toHaveBeenCalled();
+    });
+});
@@ -32,14 +32,15 @@ export function applySecurityHeaders(response) {
  * @param {Object} request - Vercel request object
  * @param {Object} response - Vercel response object
  * @param {Array<string>} allowedOrigins - List of allowed origins
+ * @param {string} allowedMethods - Methods the endpoint accepts (default: 'GET, OPTIONS')
  */
-export function applyCorsHeaders(request, response, allowedOrigins) {
+export function applyCorsHeaders(request, response, allowedOrigins, allowedMethods = 'GET, OPTIONS') {
     const origin = request.headers.origin;
 
     if (allowedOrigins.includes(origin)) {
         response.setHeader('Access-Control-Allow-Origin', origin);
-        response.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        response.setHeader('Access-Control-Allow-Methods', allowedMethods);
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
         response.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
     }
 
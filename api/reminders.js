@@ -0,0 +1,278 @@
+import { createRequire } from 'module';
+import { createClient } from '@supabase/supabase-js';
+import { createInstance } from 'i18next';
+import { createRateLimiter, sendRateLimitError } from './middleware/rate-limiter.js';
+import { applySecurityHeaders } from './middleware/security-headers.js';
+import { createMailTransport } from './send-email.js';
+import { evaluateReminders, getReminderRules } from '../src/lib/reminders.js';
+import { formatCurrency, formatDate } from '../src/lib/utils.js';
+
+/**
+ * Reminders job
+ *
+ * Run daily by Vercel Cron (see vercel.json), or locally with
+ * `node scripts/run-reminders.js`. For every owner with reminders enabled
+ * (reminder_settings), evaluates the rules of lib/reminders on their data and
+ * emails each match to the owner and, when the rule says so, to the tenant.
+ * Every message is recorded in sent_notifications, and a reminder already
+ * sent to a recipient is not sent again; failed ones are retried on the next run.
+ *
+ * Reads every owner's data, so it uses the service role key and filters by user_id.
+ */
+
+const require = createRequire(import.meta.url);
+const locales = {
+    en: require('../src/locales/en.json'),
+    es: require('../src/locales/es.json'),
+};
+
+// Called once a day by the cron; a few manual runs are fine
+const rateLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    maxRequests: 10,
+});
+
+// Rows as the rule evaluator expects them (see the mappers in DataContext)
+const fromRows = {
+    unit: (u) => ({ id: u.id, name: u.name, isActive: u.is_active ?? true, rent: u.rent }),
+    lease: (l) => ({
+        id: l.id,
+        unitId: l.unit_id,
+        tenantName: l.tenant_name,
+        tenantEmail: l.tenant_email || '',
+        rentAmount: l.rent_amount,
+        startDate: l.start_date,
+        endDate: l.end_date,
+        indexType: l.index_type || 'ipc',
+        adjustmentFrequency: l.adjustment_frequency || 4,
+        rentSteps: l.rent_steps || [],
+        dueDay: l.due_day ?? 10,
+        lateFeeType: l.late_fee_type || 'none',
+        lateFeeRate: l.late_fee_rate ?? 0,
+        lateFeeAmount: l.late_fee_amount ?? 0,
+        graceDays: l.grace_days ?? 0,
+        currency: l.currency || 'ARS',
+        status: l.status,
+    }),
+    payment: (p) => ({
+        unitId: p.unit_id,
+        forMonth: p.for_month,
+        datePaid: p.date_paid,
+        amount: Number(p.amount),
+        chargesAmount: Number(p.charges_amount) || 0,
+    }),
+    adjustment: (a) => ({ unitId: a.unit_id, date: a.date, oldRent: Number(a.old_rent), newRent: Number(a.new_rent) }),
+    charge: (c) => ({
+        unitId: c.unit_id,
+        leaseId: c.lease_id,
+        forMonth: c.for_month,
+        amount: Number(c.amount),
+        recurring: c.recurring ?? false,
+        endMonth: c.end_month || null,
+    }),
+    maintenance: (m) => ({ id: m.id, unitId: m.unit_id, title: m.title, nextDue: m.next_due }),
+};
+
+const loadOwnerData = async (supabase, userId) => {
+    const tables = [
+        ['units', 'unit'],
+        ['leases', 'lease'],
+        ['payments', 'payment'],
+        ['rent_adjustments', 'adjustment'],
+        ['charges', 'charge'],
+        ['maintenances', 'maintenance'],
+    ];
+    const results = await Promise.all(tables.map(([table]) => supabase.from(table).select('*').eq('user_id', userId)));
+
+    return Object.fromEntries(tables.map(([table, kind], idx) => {
+        const { data, error } = results[idx];
+        if (error) throw new Error(`Error fetching ${table}: ${error.message}`);
+        return [`${kind}s`, (data || []).map(fromRows[kind])];
+    }));
+};
+
+const getTranslator = async (language) => {
+    const i18n = createInstance();
+    await i18n.init({
+        lng: locales[language] ? language : 'es',
+        resources: { en: { translation: locales.en }, es: { translation: locales.es } },
+        fallbackLng: 'en',
+        interpolation: { escapeValue: false },
+    });
+    return i18n.t.bind(i18n);
+};
+
+/**
+ * Subject and text of a reminder
+ *
+ * @param {Object} reminder - Reminder (see evaluateReminders)
+ * @param {string} recipientType - 'owner' | 'tenant'
+ * @param {Function} t - Translate function in the owner's language
+ * @param {string} dateFormat - Owner's date format
+ * @returns {Object} { subject, text }
+ */
+export const composeReminder = (reminder, recipientType, t, dateFormat = 'dd/mm/yyyy') => {
+    const values = {
+        ...reminder.data,
+        date: formatDate(reminder.date, dateFormat),
+        days: reminder.days,
+        outstanding: reminder.data.outstanding !== undefined
+            ? formatCurrency(reminder.data.outstanding, reminder.data.currency)
+            : undefined,
+    };
+    const prefix = `reminders.email.${reminder.rule}.${recipientType}`;
+
+    return {
+        subject: t(`${prefix}Subject`, values),
+        text: `${t(`${prefix}Body`, values)}\n\n${t('reminders.email.footer')}`,
+    };
+};
+
+/**
+ * Evaluates and sends the reminders of every owner
+ *
+ * @param {Object} params
+ * @param {Object} params.supabase - Supabase client with the service role key
+ * @param {Object} params.transport - Mail transport (see createMailTransport)
+ * @param {string} params.today - Reference date (YYYY-MM-DD)
+ * @param {boolean} params.dryRun - Only list what would be sent
+ * @returns {Promise<Object>} { date, owners, sent, failed, skipped, pending }
+ *   (pending: what a dry run would send)
+ */
+export const runReminders = async ({ supabase, transport, today, dryRun = false }) => {
+    const { data: owners, error } = await supabase
+        .from('reminder_settings')
+        .select('*')
+        .eq('enabled', true);
+
+    if (error) throw new Error(`Error fetching reminder settings: ${error.message}`);
+
+    const summary = { date: today, owners: owners.length, sent: 0, failed: 0, skipped: 0, pending: [] };
+
+    for (const owner of owners) {
+        const rules = getReminderRules(owner.rules);
+        const reminders = evaluateReminders({ ...await loadOwnerData(supabase, owner.user_id), rules, today });
+        if (reminders.length === 0) continue;
+
+        const { data: sentRows, error: sentError } = await supabase
+            .from('sent_notifications')
+            .select('reference_key, recipient_type')
+            .eq('user_id', owner.user_id)
+            .eq('status', 'sent')
+            .in('reference_key', reminders.map(r => r.key));
+
+        if (sentError) throw new Error(`Error fetching sent notifications: ${sentError.message}`);
+
+        const alreadySent = new Set((sentRows || []).map(row => `${row.reference_key}|${row.recipient_type}`));
+        const t = await getTranslator(owner.language);
+
+        for (const reminder of reminders) {
+            const recipients = [{ type: 'owner', email: owner.owner_email }];
+            if (rules[reminder.rule].notifyTenant && reminder.tenantEmail) {
+                recipients.push({ type: 'tenant', email: reminder.tenantEmail });
+            }
+
+            for (const recipient of recipients) {
+                if (alreadySent.has(`${reminder.key}|${recipient.type}`)) {
+                    summary.skipped++;
+                    continue;
+                }
+                if (dryRun) {
+                    summary.pending.push({ userId: owner.user_id, key: reminder.key, recipientType: recipient.type });
+                    continue;
+                }
+
+                const { subject, text } = composeReminder(reminder, recipient.type, t, owner.date_format || undefined);
+                const record = {
+                    user_id: owner.user_id,
+                    unit_id: reminder.unitId,
+                    rule: reminder.rule,
+                    reference_key: reminder.key,
+                    recipient_type: recipient.type,
+                    recipient: recipient.email,
+                    subject,
+                };
+
+                try {
+                    await transport.sendMail({
+                        from: process.env.MAIL_FROM || process.env.SMTP_USER,
+                        replyTo: recipient.type === 'tenant' ? owner.owner_email : undefined,
+                        to: recipient.email,
+                        subject,
+                        text,
+                    });
+                    Object.assign(record, { status: 'sent', error: null, sent_at: new Date().toISOString() });
+                    summary.sent++;
+                } catch (sendError) {
+                    console.error('Reminder email error:', sendError.message);
+                    Object.assign(record, { status: 'failed', error: sendError.message });
+                    summary.failed++;
+                }
+
+                const { error: recordError } = await supabase
+                    .from('sent_notifications')
+                    .upsert([record], { onConflict: 'user_id,reference_key,recipient_type' });
+
+                if (recordError) console.error('Sent notification log error:', recordError.message);
+            }
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Supabase client for the job (service role: bypasses row level security)
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Client, or null when the service role key is missing
+ */
+export const createServiceClient = (env = process.env) => {
+    const url = env.SUPABASE_URL || env.VITE_SUPABASE_URL;
+    if (!url || !env.SUPABASE_SERVICE_ROLE_KEY) return null;
+    return createClient(url, env.SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } });
+};
+
+export default async function handler(request, response) {
+    // Apply security headers
+    applySecurityHeaders(response);
+
+    // Vercel Cron calls with GET
+    if (request.method !== 'GET') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Apply rate limiting
+    const rateLimitResult = rateLimiter(request);
+    Object.entries(rateLimitResult.headers).forEach(([key, value]) => {
+        response.setHeader(key, value);
+    });
+
+    if (rateLimitResult.isLimited) {
+        return sendRateLimitError(response, rateLimitResult);
+    }
+
+    // Vercel Cron sends the project's CRON_SECRET as a bearer token
+    const secret = process.env.CRON_SECRET;
+    if (!secret || request.headers.authorization !== `Bearer ${secret}`) {
+        return response.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const supabase = createServiceClient();
+    const transport = createMailTransport();
+    if (!supabase || !transport) {
+        return response.status(503).json({ error: 'Reminders are not configured' });
+    }
+
+    try {
+        const summary = await runReminders({
+            supabase,
+            transport,
+            today: new Date().toISOString().split('T')[0],
+            dryRun: request.query?.dryRun === '1',
+        });
+        return response.status(200).json(summary);
+    } catch (error) {
+        console.error('Reminders job error:', error.message);
+        return response.status(500).json({ error: 'Failed to run reminders' });
+    }
+}
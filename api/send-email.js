@@ -0,0 +1,195 @@
+import nodemailer from 'nodemailer';
+import { createClient } from '@supabase/supabase-js';
+import { createRateLimiter, sendRateLimitError } from './middleware/rate-limiter.js';
+import { applySecurityHeaders, applyCorsHeaders } from './middleware/security-headers.js';
+
+// Outgoing mail is easy to abuse: 20 messages per 15 minutes
+const rateLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    maxRequests: 20,
+});
+
+const ALLOWED_ORIGINS = [
+    'https://prop-flow-eosin.vercel.app',
+    'http://localhost:5173',
+];
+
+export const EMAIL_KINDS = ['notice', 'receipt', 'message'];
+
+// Vercel caps request bodies at 4.5 MB and base64 adds a third to the PDFs
+export const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validates the body of a send request
+ * Only PDF attachments (base64) are accepted: receipts and statements from the PDF services.
+ *
+ * @param {Object} body - { to, subject, text, kind, unitId, receiptId, attachments: [{ filename, content }] }
+ * @returns {Object} { error } or { message } (normalized)
+ */
+export const validateEmailRequest = (body) => {
+    const { to, subject, text = '', kind = 'message', unitId = null, receiptId = null, attachments = [] } = body || {};
+
+    if (typeof to !== 'string' || !EMAIL_PATTERN.test(to.trim())) return { error: 'Invalid recipient' };
+    if (typeof subject !== 'string' || !subject.trim() || subject.length > 250) return { error: 'Invalid subject' };
+    if (typeof text !== 'string') return { error: 'Invalid message' };
+    if (!EMAIL_KINDS.includes(kind)) return { error: 'Invalid kind' };
+    if (!Array.isArray(attachments)) return { error: 'Invalid attachments' };
+
+    let size = 0;
+    for (const attachment of attachments) {
+        if (typeof attachment?.filename !== 'string' || !/\.pdf$/i.test(attachment.filename)) {
+            return { error: 'Only PDF attachments are allowed' };
+        }
+        if (typeof attachment.content !== 'string' || !attachment.content) return { error: 'Invalid attachment' };
+        size += Buffer.byteLength(attachment.content, 'base64');
+    }
+    if (size > MAX_ATTACHMENT_BYTES) return { error: 'Attachments too large' };
+
+    return {
+        message: {
+            to: to.trim(),
+            subject: subject.trim(),
+            text,
+            kind,
+            unitId,
+            receiptId,
+            attachments: attachments.map(a => ({ filename: a.filename, content: a.content, size: Buffer.byteLength(a.content, 'base64') }))
+        }
+    };
+};
+
+/**
+ * SMTP transport from the environment
+ * SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for TLS on connect), SMTP_USER, SMTP_PASS.
+ * A local SMTP catcher (e.g. Mailpit on localhost:1025) works for testing.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Nodemailer transport, or null when SMTP is not configured
+ */
+export const createMailTransport = (env = process.env) => {
+    if (!env.SMTP_HOST) return null;
+
+    return nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+    });
+};
+
+export default async function handler(request, response) {
+    // Apply security headers
+    applySecurityHeaders(response);
+
+    // Handle preflight requests
+    if (request.method === 'OPTIONS') {
+        applyCorsHeaders(request, response, ALLOWED_ORIGINS, 'POST, OPTIONS');
+        return response.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (request.method !== 'POST') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Apply rate limiting
+    const rateLimitResult = rateLimiter(request);
+    Object.entries(rateLimitResult.headers).forEach(([key, value]) => {
+        response.setHeader(key, value);
+    });
+
+    if (rateLimitResult.isLimited) {
+        return sendRateLimitError(response, rateLimitResult);
+    }
+
+    // Apply CORS headers
+    applyCorsHeaders(request, response, ALLOWED_ORIGINS, 'POST, OPTIONS');
+
+    // Only signed-in users can send, as themselves: the log is written with their token (row level security)
+    const token = request.headers.authorization?.replace(/^Bearer\s+/i, '');
+    if (!token) {
+        return response.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const supabase = createClient(
+        process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL,
+        process.env.SUPABASE_ANON_KEY || process.env.VITE_SUPABASE_ANON_KEY,
+        { global: { headers: { Authorization: `Bearer ${token}` } }, auth: { persistSession: false } }
+    );
+
+    const { data: { user } = {}, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) {
+        return response.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { error: validationError, message } = validateEmailRequest(request.body);
+    if (validationError) {
+        return response.status(400).json({ error: validationError });
+    }
+
+    const transport = createMailTransport();
+    if (!transport) {
+        return response.status(503).json({ error: 'Email is not configured' });
+    }
+
+    // Logged before sending, so a message is on record even if the function dies mid-send
+    const { data: logged, error: logError } = await supabase
+        .from('email_log')
+        .insert([{
+            user_id: user.id,
+            unit_id: message.unitId,
+            receipt_id: message.receiptId,
+            kind: message.kind,
+            recipient: message.to,
+            subject: message.subject,
+            body: message.text,
+            attachments: message.attachments.map(({ filename, size }) => ({ filename, size })),
+            status: 'queued',
+        }])
+        .select();
+
+    if (logError) {
+        console.error('Email log error:', logError.message);
+        return response.status(500).json({ error: 'Failed to log email' });
+    }
+
+    let update;
+    try {
+        const info = await transport.sendMail({
+            from: process.env.MAIL_FROM || process.env.SMTP_USER,
+            replyTo: user.email,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            attachments: message.attachments.map(({ filename, content }) => ({
+                filename,
+                content,
+                encoding: 'base64',
+                contentType: 'application/pdf',
+            })),
+        });
+        update = { status: 'sent', message_id: info.messageId || null, sent_at: new Date().toISOString() };
+    } catch (error) {
+        console.error('Send email error:', error.message);
+        update = { status: 'failed', error: error.message };
+    }
+
+    const { data: updated, error: updateError } = await supabase
+        .from('email_log')
+        .update(update)
+        .eq('id', logged[0].id)
+        .select();
+
+    if (updateError) console.error('Email log error:', updateError.message);
+
+    const log = updated?.[0] || { ...logged[0], ...update };
+
+    if (update.status === 'failed') {
+        // The SMTP error is kept in the user's own log entry
+        return response.status(502).json({ error: 'Failed to send email', log });
+    }
+
+    return response.status(200).json({ log });
+}
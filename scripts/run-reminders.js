@@ -0,0 +1,43 @@
+import dotenv from 'dotenv';
+import { runReminders, createServiceClient } from '../api/reminders.js';
+import { createMailTransport } from '../api/send-email.js';
+
+// Runs the daily reminders job locally (what Vercel Cron runs on /api/reminders).
+// Reads SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY and the SMTP settings from the environment or .env.
+//
+//   node scripts/run-reminders.js                      Send today's reminders
+//   node scripts/run-reminders.js --dry-run            Only list what would be sent
+//   node scripts/run-reminders.js --date 2024-03-15    Evaluate the rules as of another date
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const dateIdx = args.indexOf('--date');
+const today = dateIdx >= 0 ? args[dateIdx + 1] : new Date().toISOString().split('T')[0];
+
+if (!/^\d{4}-\d{2}-\d{2}$/.test(today || '')) {
+    console.error('❌ --date must be YYYY-MM-DD');
+    process.exit(1);
+}
+
+const supabase = createServiceClient();
+const transport = createMailTransport();
+
+if (!supabase || (!transport && !dryRun)) {
+    console.error('❌ FATAL: Set SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY and SMTP_HOST (see .env.example).');
+    process.exit(1);
+}
+
+console.log(`⏰ Reminders for ${today}${dryRun ? ' (dry run)' : ''}`);
+
+try {
+    const summary = await runReminders({ supabase, transport, today, dryRun });
+    console.log(`✅ Owners: ${summary.owners} | Sent: ${summary.sent} | Failed: ${summary.failed} | Already sent: ${summary.skipped}`);
+    summary.pending.forEach(p => console.log(`   would send ${p.key} to ${p.recipientType}`));
+    // The rate limiter's cleanup timer would keep the process alive
+    process.exit(summary.failed > 0 ? 1 : 0);
+} catch (error) {
+    console.error('❌ FATAL:', error.message);
+    process.exit(1);
+}
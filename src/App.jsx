@@ -18,6 +18,7 @@ const Cashflow     = lazy(() => import('./pages/Cashflow'));
 const CalendarPage = lazy(() => import('./pages/Calendar'));
 const Increments   = lazy(() => import('./pages/Increments'));
 const Calculators  = lazy(() => import('./pages/Calculators'));
+const Indices      = lazy(() => import('./pages/Indices'));
 const Settings     = lazy(() => import('./pages/Settings'));
 
 // Shared loading fallback
@@ -45,6 +46,7 @@ function App() {
                                     <Route path="/calendar"    element={<CalendarPage />} />
                                     <Route path="/increments"  element={<Increments />} />
                                     <Route path="/calculators" element={<Calculators />} />
+                                    <Route path="/indices"     element={<Indices />} />
                                     <Route path="/settings"    element={<Settings />} />
                                 </Route>
 
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Modal from './Modal';
+import { useData } from '../context/DataContext';
+import { useSettings } from '../context/SettingsContext';
+import { generateReceiptBatch, getReceiptLabels, BATCH_FORMATS } from '../lib/receiptService';
+import { Download, Loader2 } from 'lucide-react';
+
+const getDefaultForm = () => {
+    const today = new Date().toISOString().split('T')[0];
+    return {
+        mode: 'month', // 'month' (payments for a month) | 'range' (payments received between two dates)
+        month: today.slice(0, 7),
+        from: `${today.slice(0, 8)}01`,
+        to: today,
+        format: 'pdf'
+    };
+};
+
+/**
+ * Receipts of every payment of a month or date range, for a set of units, in one PDF or a ZIP.
+ * Payments without a receipt get one issued (in date order); existing receipts are printed as issued.
+ */
+export default function BatchReceiptsModal({ isOpen, onClose }) {
+    const { t } = useTranslation();
+    const { units, payments, getPaymentReceipt, buildPaymentReceipt, issueReceipt } = useData();
+    const { settings } = useSettings();
+    const [form, setForm] = useState(getDefaultForm);
+    const [unitIds, setUnitIds] = useState(null); // null = every unit
+    const [generating, setGenerating] = useState(false);
+
+    const selectedUnitIds = unitIds || units.map(u => u.id);
+
+    const selectedPayments = payments
+        .filter(p => selectedUnitIds.includes(p.unitId))
+        .filter(p => form.mode === 'month'
+            ? p.forMonth === form.month
+            : p.datePaid >= form.from && p.datePaid <= form.to)
+        .sort((a, b) => a.datePaid.localeCompare(b.datePaid) || (a.forMonth || '').localeCompare(b.forMonth || ''));
+
+    const toIssue = selectedPayments.filter(p => !getPaymentReceipt(p.id)).length;
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const toggleUnit = (unitId) => {
+        setUnitIds(selectedUnitIds.includes(unitId)
+            ? selectedUnitIds.filter(id => id !== unitId)
+            : [...selectedUnitIds, unitId]);
+    };
+
+    const handleGenerate = async () => {
+        setGenerating(true);
+        try {
+            const labels = getReceiptLabels(t);
+            const batch = [];
+
+            // One at a time: numbers are assigned in order
+            for (const payment of selectedPayments) {
+                const receipt = getPaymentReceipt(payment.id) || await issueReceipt(
+                    payment,
+                    buildPaymentReceipt(payment, { ownerName: settings.ownerName, dateFormat: settings.dateFormat, labels }),
+                    { pointOfSale: settings.receiptPointOfSale }
+                );
+                if (receipt) batch.push(receipt);
+            }
+
+            generateReceiptBatch(batch, {
+                signatureDataUrl: settings.signatureDataUrl,
+                format: form.format,
+                fileName: form.mode === 'month' ? `Receipts_${form.month}` : `Receipts_${form.from}_${form.to}`
+            });
+            onClose();
+        } finally {
+            setGenerating(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={t('batchReceipts.title')}>
+            <div className="space-y-5">
+                {/* Period */}
+                <div className="space-y-2">
+                    <div className="flex gap-2">
+                        {['month', 'range'].map(mode => (
+                            <button
+                                key={mode}
+                                onClick={() => setForm(prev => ({ ...prev, mode }))}
+                                className={`flex-1 px-3 py-2 rounded-lg border text-sm font-medium transition-all ${form.mode === mode
+                                    ? 'bg-emerald-50 border-emerald-400 text-emerald-700'
+                                    : 'bg-white border-slate-200 text-slate-600 hover:border-slate-300'
+                                    }`}
+                            >
+                                {t(`batchReceipts.modes.${mode}`)}
+                            </button>
+                        ))}
+                    </div>
+                    {form.mode === 'month' ? (
+                        <input
+                            type="month"
+                            name="month"
+                            value={form.month}
+                            onChange={handleChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                        />
+                    ) : (
+                        <div className="grid grid-cols-2 gap-2">
+                            <input
+                                type="date"
+                                name="from"
+                                value={form.from}
+                                onChange={handleChange}
+                                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                            />
+                            <input
+                                type="date"
+                                name="to"
+                                value={form.to}
+                                min={form.from}
+                                onChange={handleChange}
+                                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                            />
+                        </div>
+                    )}
+                </div>
+
+                {/* Units */}
+                <div>
+                    <div className="flex justify-between items-center mb-2">
+                        <label className="text-sm font-medium text-slate-700">{t('batchReceipts.units')}</label>
+                        <button
+                            onClick={() => setUnitIds(selectedUnitIds.length === units.length ? [] : null)}
+                            className="text-xs text-emerald-600 hover:underline"
+                        >
+                            {selectedUnitIds.length === units.length ? t('batchReceipts.selectNone') : t('batchReceipts.selectAll')}
+                        </button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-1 max-h-40 overflow-y-auto border border-slate-200 rounded-lg p-2">
+                        {units.map(unit => (
+                            <label key={unit.id} className="flex items-center gap-2 text-sm text-slate-600">
+                                <input
+                                    type="checkbox"
+                                    checked={selectedUnitIds.includes(unit.id)}
+                                    onChange={() => toggleUnit(unit.id)}
+                                    className="rounded border-slate-300"
+                                />
+                                <span className="truncate">{unit.name}</span>
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Output */}
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-2">{t('batchReceipts.format')}</label>
+                    <select
+                        name="format"
+                        value={form.format}
+                        onChange={handleChange}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white"
+                    >
+                        {BATCH_FORMATS.map(format => (
+                            <option key={format} value={format}>{t(`batchReceipts.formats.${format}`)}</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="flex items-center justify-between gap-3 pt-4 border-t border-slate-100">
+                    <p className="text-sm text-slate-500">
+                        {t('batchReceipts.summary', { count: selectedPayments.length })}
+                        {toIssue > 0 && <span className="block text-xs text-amber-600">{t('batchReceipts.toIssue', { count: toIssue })}</span>}
+                    </p>
+                    <button
+                        onClick={handleGenerate}
+                        disabled={generating || selectedPayments.length === 0}
+                        className="flex items-center gap-2 px-4 py-2 bg-slate-900 text-white hover:bg-slate-800 rounded-lg text-sm font-medium disabled:opacity-50"
+                    >
+                        {generating ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+                        {t('batchReceipts.generate')}
+                    </button>
+                </div>
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Modal from './Modal';
+import { useData } from '../context/DataContext';
+import { CHARGE_CATEGORIES } from '../lib/charges';
+import { formatCurrency } from '../lib/utils';
+import { Plus, Trash2, Repeat } from 'lucide-react';
+
+const getEmptyForm = () => ({
+    category: 'expensas',
+    description: '',
+    amount: '',
+    forMonth: new Date().toISOString().slice(0, 7),
+    recurring: false,
+    endMonth: ''
+});
+
+/**
+ * Extra charges billed to the tenant of a lease (expensas, ABL, utilities...)
+ */
+export default function ChargesModal({ isOpen, onClose, unit, lease }) {
+    const { t } = useTranslation();
+    const { getLeaseCharges, addCharge, deleteCharge } = useData();
+    const [formData, setFormData] = useState(getEmptyForm);
+
+    if (!unit) return null;
+
+    const leaseCharges = getLeaseCharges(unit.id, lease?.id);
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!formData.forMonth || !(Number(formData.amount) > 0)) return;
+
+        await addCharge({
+            ...formData,
+            unitId: unit.id,
+            leaseId: lease?.id,
+            amount: parseFloat(formData.amount),
+            endMonth: formData.recurring && formData.endMonth ? formData.endMonth : null
+        });
+        setFormData(getEmptyForm());
+    };
+
+    const handleDelete = async (charge) => {
+        if (window.confirm(t('charges.confirmDelete'))) {
+            await deleteCharge(charge.id);
+        }
+    };
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={onClose}
+            title={`${t('charges.title')} - ${unit.name}`}
+            className="max-w-2xl"
+        >
+            <div className="space-y-5">
+                {leaseCharges.length === 0 ? (
+                    <p className="text-sm text-slate-400 italic">{t('charges.noCharges')}</p>
+                ) : (
+                    <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                        {leaseCharges.map(charge => (
+                            <div key={charge.id} className="flex items-center justify-between gap-3 p-3 text-sm">
+                                <div className="min-w-0">
+                                    <p className="font-medium text-slate-700">
+                                        {t(`charges.categories.${charge.category}`)}
+                                        {charge.description && <span className="text-slate-500 font-normal"> - {charge.description}</span>}
+                                    </p>
+                                    <p className="text-xs text-slate-500 flex items-center gap-1">
+                                        {charge.recurring && <Repeat size={12} />}
+                                        {charge.recurring
+                                            ? t('charges.recurringFrom', { from: charge.forMonth, to: charge.endMonth || t('charges.leaseEnd') })
+                                            : charge.forMonth}
+                                    </p>
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <span className="font-bold text-slate-800">{formatCurrency(charge.amount, lease?.currency)}</span>
+                                    <button
+                                        onClick={() => handleDelete(charge)}
+                                        title={t('common.delete')}
+                                        className="p-2 text-red-500 hover:bg-red-50 rounded-lg"
+                                    >
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {/* New Charge */}
+                <form onSubmit={handleSubmit} className="pt-4 border-t border-slate-100 space-y-3">
+                    <label className="block text-sm font-medium text-slate-700">{t('charges.addCharge')}</label>
+                    <div className="grid grid-cols-2 gap-3">
+                        <select
+                            name="category"
+                            value={formData.category}
+                            onChange={handleChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm bg-white"
+                        >
+                            {CHARGE_CATEGORIES.map(category => (
+                                <option key={category} value={category}>{t(`charges.categories.${category}`)}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            name="amount"
+                            value={formData.amount}
+                            onChange={handleChange}
+                            placeholder={t('charges.amount')}
+                            min="0"
+                            step="0.01"
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                            required
+                        />
+                    </div>
+                    <input
+                        type="text"
+                        name="description"
+                        value={formData.description}
+                        onChange={handleChange}
+                        placeholder={t('charges.description')}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                    />
+                    <div className="grid grid-cols-2 gap-3 items-end">
+                        <div>
+                            <label className="block text-xs text-slate-500 mb-1">{formData.recurring ? t('charges.fromMonth') : t('charges.month')}</label>
+                            <input
+                                type="month"
+                                name="forMonth"
+                                value={formData.forMonth}
+                                onChange={handleChange}
+                                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                                required
+                            />
+                        </div>
+                        {formData.recurring && (
+                            <div>
+                                <label className="block text-xs text-slate-500 mb-1">{t('charges.toMonth')}</label>
+                                <input
+                                    type="month"
+                                    name="endMonth"
+                                    value={formData.endMonth}
+                                    onChange={handleChange}
+                                    min={formData.forMonth}
+                                    className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm"
+                                />
+                            </div>
+                        )}
+                    </div>
+                    <div className="flex items-center justify-between">
+                        <label className="flex items-center gap-2 text-sm text-slate-600">
+                            <input
+                                type="checkbox"
+                                name="recurring"
+                                checked={formData.recurring}
+                                onChange={handleChange}
+                                className="rounded border-slate-300"
+                            />
+                            {t('charges.recurring')}
+                        </label>
+                        <button
+                            type="submit"
+                            disabled={!(Number(formData.amount) > 0)}
+                            className="flex items-center gap-1 px-4 py-2 bg-emerald-600 text-white hover:bg-emerald-700 rounded-lg text-sm font-bold shadow-sm transition-colors disabled:opacity-50"
+                        >
+                            <Plus size={16} />
+                            {t('common.save')}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </Modal>
+    );
+}
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import Modal from './Modal';
+import { useData } from '../context/DataContext';
+import { useSettings } from '../context/SettingsContext';
+import { CONTRACT_LANGUAGES, getContractTemplate, getContractValues, fillTemplate } from '../lib/contracts';
+import { generateContract, getContractFile } from '../lib/contractService';
+import { formatDate, formatBytes } from '../lib/utils';
+import { Download, Save, FileText, ExternalLink, Trash2, RotateCcw, Loader2 } from 'lucide-react';
+
+/**
+ * Lease contract from the owner's template (Settings), in Spanish or English
+ * The filled-in text can be edited before downloading it or saving it with the lease.
+ */
+export default function ContractModal({ isOpen, onClose, unit, lease }) {
+    const { t, i18n } = useTranslation();
+    const { settings } = useSettings();
+    const { getLeaseDocuments, addLeaseDocument, deleteDocument } = useData();
+    const [language, setLanguage] = useState(settings.language === 'en' ? 'en' : 'es');
+    const [body, setBody] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    // The contract is written in its own language, whatever the app's language
+    const contractT = i18n.getFixedT(language);
+
+    const getBody = () => fillTemplate(
+        getContractTemplate(settings.contractTemplates, language),
+        getContractValues({ unit, lease, ownerName: settings.ownerName, dateFormat: settings.dateFormat, t: contractT })
+    );
+
+    useEffect(() => {
+        if (isOpen && lease) setBody(getBody());
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [isOpen, lease, language]);
+
+    if (!unit || !lease) return null;
+
+    const leaseDocuments = getLeaseDocuments(lease.id);
+
+    const contract = {
+        body,
+        unitName: unit.name,
+        tenantName: lease.tenantName,
+        startDate: lease.startDate,
+        language,
+        labels: {
+            title: contractT('contracts.pdfTitle'),
+            landlord: contractT('contracts.landlord'),
+            tenant: contractT('contracts.tenant'),
+            page: contractT('contracts.page'),
+        }
+    };
+    const options = { ownerName: settings.ownerName, signatureDataUrl: settings.signatureDataUrl };
+
+    const handleSave = async () => {
+        setSaving(true);
+        await addLeaseDocument({ unitId: unit.id, leaseId: lease.id, ...getContractFile(contract, options) });
+        setSaving(false);
+    };
+
+    const handleDelete = async (doc) => {
+        if (window.confirm(t('contracts.confirmDelete', { name: doc.name }))) {
+            await deleteDocument(doc.id);
+        }
+    };
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={onClose}
+            title={`${t('contracts.title')} - ${unit.name} (${lease.tenantName})`}
+            className="max-w-3xl"
+        >
+            <div className="space-y-4">
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                    <div className="flex items-center gap-2">
+                        <label className="text-sm font-medium text-slate-700">{t('contracts.language')}</label>
+                        <select
+                            value={language}
+                            onChange={(e) => setLanguage(e.target.value)}
+                            className="p-2 border border-slate-200 rounded-lg text-sm bg-white"
+                        >
+                            {CONTRACT_LANGUAGES.map(lang => (
+                                <option key={lang} value={lang}>{t(`contracts.languages.${lang}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <button
+                        onClick={() => setBody(getBody())}
+                        className="flex items-center gap-1.5 text-xs font-medium text-slate-500 hover:text-slate-800"
+                    >
+                        <RotateCcw size={14} />
+                        {t('contracts.resetText')}
+                    </button>
+                </div>
+
+                <div>
+                    <textarea
+                        value={body}
+                        onChange={(e) => setBody(e.target.value)}
+                        rows={16}
+                        className="w-full p-3 border border-slate-200 rounded-lg text-sm font-mono leading-relaxed focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none"
+                    />
+                    <p className="text-xs text-slate-400 mt-1">
+                        {settings.signatureDataUrl ? t('contracts.signatureHint') : t('contracts.noSignatureHint')}
+                    </p>
+                </div>
+
+                <div className="flex justify-end gap-2">
+                    <button
+                        onClick={() => generateContract(contract, options)}
+                        disabled={!body.trim()}
+                        className="flex items-center gap-2 px-4 py-2 border border-slate-200 text-slate-700 hover:bg-slate-50 rounded-lg text-sm font-medium disabled:opacity-50"
+                    >
+                        <Download size={16} />
+                        {t('contracts.download')}
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={!body.trim() || saving}
+                        className="flex items-center gap-2 px-4 py-2 bg-slate-900 text-white hover:bg-slate-800 rounded-lg text-sm font-medium disabled:opacity-50"
+                    >
+                        {saving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+                        {t('contracts.saveToLease')}
+                    </button>
+                </div>
+
+                {/* Contracts stored with the lease */}
+                <div>
+                    <h4 className="text-sm font-semibold text-slate-700 mb-2">{t('contracts.savedContracts')}</h4>
+                    {leaseDocuments.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic">{t('contracts.noSavedContracts')}</p>
+                    ) : (
+                        <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                            {leaseDocuments.map(doc => (
+                                <div key={doc.id} className="flex items-center justify-between gap-3 p-2 px-3 text-sm">
+                                    <div className="flex items-center gap-2 min-w-0">
+                                        <FileText size={16} className="text-red-500 shrink-0" />
+                                        <span className="text-slate-700 truncate">{doc.name}</span>
+                                    </div>
+                                    <div className="flex items-center gap-2 shrink-0">
+                                        <span className="text-xs text-slate-400">
+                                            {formatDate(doc.createdAt, settings.dateFormat)} · {formatBytes(doc.size)}
+                                        </span>
+                                        <a
+                                            href={doc.url}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            title={t('contracts.openFile')}
+                                            className="p-1.5 text-slate-500 hover:bg-slate-100 rounded-lg"
+                                        >
+                                            <ExternalLink size={14} />
+                                        </a>
+                                        <button
+                                            onClick={() => handleDelete(doc)}
+                                            title={t('common.delete')}
+                                            className="p-1.5 text-red-500 hover:bg-red-50 rounded-lg"
+                                        >
+                                            <Trash2 size={14} />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </Modal>
+    );
+}
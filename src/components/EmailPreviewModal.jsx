@@ -1,13 +1,42 @@
-import React from 'react';
-import { Mail, X, Send } from 'lucide-react';
+import React, { useState } from 'react';
+import { Mail, X, Send, Paperclip, ExternalLink, Loader2 } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
+import { useData } from '../context/DataContext';
 
-export default function EmailPreviewModal({ isOpen, onClose, recipient, subject, body }) {
+/**
+ * Preview of an email to a tenant, sent through /api/send-email (with PDF attachments)
+ * or, as a fallback, opened in the user's mail app (without attachments).
+ *
+ * kind, unitId and receiptId are recorded in the email log.
+ */
+export default function EmailPreviewModal({
+    isOpen, onClose, recipient, subject, body, onSend,
+    attachments = [], kind = 'message', unitId = null, receiptId = null
+}) {
     const { t } = useTranslation();
+    const { sendEmail } = useData();
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState(null);
 
     if (!isOpen) return null;
 
-    const handleSend = () => {
+    const handleSend = async () => {
+        setSending(true);
+        setError(null);
+        try {
+            await sendEmail({ to: recipient, subject, text: body, kind, unitId, receiptId, attachments });
+            // Let the caller log what was sent (e.g. tenant notice audit trail)
+            if (onSend) onSend({ recipient, subject, body });
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const handleOpenMailClient = () => {
+        if (onSend) onSend({ recipient, subject, body });
         const mailtoLink = `mailto:${recipient}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
         window.open(mailtoLink, '_blank');
         onClose();
@@ -49,6 +78,26 @@ export default function EmailPreviewModal({ isOpen, onClose, recipient, subject,
                             className="w-full h-64 p-3 bg-white border border-slate-200 rounded text-sm text-slate-600 leading-relaxed resize-none focus:outline-none focus:ring-2 focus:ring-blue-500/20"
                         />
                     </div>
+
+                    {attachments.length > 0 && (
+                        <div>
+                            <label className="text-xs font-bold text-slate-400 uppercase tracking-wider block mb-1">{t('email.attachments')}</label>
+                            <div className="flex flex-wrap gap-2">
+                                {attachments.map(attachment => (
+                                    <span key={attachment.filename} className="flex items-center gap-1 px-2 py-1 bg-slate-100 rounded text-xs text-slate-600">
+                                        <Paperclip size={12} />
+                                        {attachment.filename}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {error && (
+                        <p className="p-2 bg-red-50 border border-red-200 rounded text-sm text-red-700">
+                            {t('email.sendFailed', { error })}
+                        </p>
+                    )}
                 </div>
 
                 <div className="p-4 border-t border-slate-100 bg-slate-50 flex justify-end gap-3">
@@ -59,12 +108,22 @@ export default function EmailPreviewModal({ isOpen, onClose, recipient, subject,
                         {t('common.cancel')}
                     </button>
                     <button
-                        onClick={handleSend}
-                        className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg shadow-sm flex items-center gap-2 transition-all hover:scale-105 active:scale-95"
+                        onClick={handleOpenMailClient}
+                        disabled={sending}
+                        title={attachments.length > 0 ? t('email.noAttachmentsInMailClient') : undefined}
+                        className="px-4 py-2 text-sm font-medium text-slate-600 hover:bg-slate-200 rounded-lg flex items-center gap-2 transition-colors disabled:opacity-50"
                     >
-                        <Send size={16} />
+                        <ExternalLink size={16} />
                         {t('email.openMailClient')}
                     </button>
+                    <button
+                        onClick={handleSend}
+                        disabled={sending}
+                        className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg shadow-sm flex items-center gap-2 transition-all hover:scale-105 active:scale-95 disabled:opacity-50"
+                    >
+                        {sending ? <Loader2 size={16} className="animate-spin" /> : <Send size={16} />}
+                        {sending ? t('email.sending') : t('email.send')}
+                    </button>
                 </div>
             </div>
         </div>
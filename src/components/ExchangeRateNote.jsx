@@ -0,0 +1,39 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { AlertTriangle, ArrowLeftRight } from 'lucide-react';
+import { useSettings } from '../context/SettingsContext';
+import { formatCurrency, formatDate } from '../lib/utils';
+
+/**
+ * Exchange rate used to report USD amounts in ARS, with the date of the quote.
+ * Warns when there are USD amounts and no stored rate to convert them.
+ *
+ * @param {boolean} byDate - Past amounts were converted at the rate of their own date
+ *   (the rate shown only applies to current and projected ones)
+ */
+export default function ExchangeRateNote({ rate, missingRate = false, byDate = false }) {
+    const { t } = useTranslation();
+    const { settings } = useSettings();
+
+    if (missingRate) {
+        return (
+            <div className="flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-700">
+                <AlertTriangle size={16} className="shrink-0" />
+                {t('currency.missingRate')}
+            </div>
+        );
+    }
+
+    if (!rate) return null;
+
+    return (
+        <p className="flex items-center gap-1.5 text-xs text-slate-500">
+            <ArrowLeftRight size={12} />
+            {t(byDate ? 'currency.rateNoteByDate' : 'currency.rateNote', {
+                value: formatCurrency(rate.value),
+                type: t(`currency.rateTypes.${rate.rateType}`),
+                date: formatDate(rate.date, settings.dateFormat)
+            })}
+        </p>
+    );
+}
@@ -2,19 +2,22 @@ import React, { useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import Modal from './Modal';
 import { DollarSign, Calendar, FileText, Tag } from 'lucide-react';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../lib/currency';
 
 export default function ExpenseModal({ isOpen, onClose, unitId, unitName, onSave }) {
     const { t } = useTranslation();
     const [formData, setFormData] = useState({
         category: 'maintenance',
         amount: '',
+        currency: DEFAULT_CURRENCY,
         date: new Date().toISOString().split('T')[0],
-        description: ''
+        description: '',
+        rebill: false
     });
 
     const handleChange = (e) => {
-        const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
     };
 
     const handleSubmit = (e) => {
@@ -34,8 +37,10 @@ export default function ExpenseModal({ isOpen, onClose, unitId, unitName, onSave
         setFormData({
             category: 'maintenance',
             amount: '',
+            currency: DEFAULT_CURRENCY,
             date: new Date().toISOString().split('T')[0],
-            description: ''
+            description: '',
+            rebill: false
         });
         onClose();
     };
@@ -70,17 +75,30 @@ export default function ExpenseModal({ isOpen, onClose, unitId, unitName, onSave
                         <DollarSign size={16} className="inline mr-1" />
                         {t('expenses.amount')}
                     </label>
-                    <input
-                        type="number"
-                        name="amount"
-                        value={formData.amount}
-                        onChange={handleChange}
-                        placeholder="0.00"
-                        step="0.01"
-                        min="0"
-                        className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-                        required
-                    />
+                    <div className="flex gap-2">
+                        <input
+                            type="number"
+                            name="amount"
+                            value={formData.amount}
+                            onChange={handleChange}
+                            placeholder="0.00"
+                            step="0.01"
+                            min="0"
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                            required
+                        />
+                        <select
+                            name="currency"
+                            value={formData.currency}
+                            onChange={handleChange}
+                            title={t('expenses.currency')}
+                            className="px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {CURRENCIES.map(currency => (
+                                <option key={currency} value={currency}>{currency}</option>
+                            ))}
+                        </select>
+                    </div>
                 </div>
 
                 {/* Date */}
@@ -115,6 +133,21 @@ export default function ExpenseModal({ isOpen, onClose, unitId, unitName, onSave
                     />
                 </div>
 
+                {/* Re-bill to Tenant */}
+                <label className="flex items-start gap-2 text-sm text-slate-700">
+                    <input
+                        type="checkbox"
+                        name="rebill"
+                        checked={formData.rebill}
+                        onChange={handleChange}
+                        className="mt-0.5 rounded border-slate-300"
+                    />
+                    <span>
+                        {t('expenses.rebill')}
+                        <span className="block text-xs text-slate-500">{t('expenses.rebillHint')}</span>
+                    </span>
+                </label>
+
                 {/* Actions */}
                 <div className="flex gap-3 pt-4">
                     <button
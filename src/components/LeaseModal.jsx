@@ -1,46 +1,122 @@
 import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import Modal from './Modal';
-import { User, DollarSign, Calendar, Mail } from 'lucide-react';
+import { User, DollarSign, Calendar, Mail, TrendingUp, Plus, Trash2 } from 'lucide-react';
+import { getAvailableIndices } from '../lib/arquiler';
+import { ROUNDING_MODES, FIXED_CONTRACT_TYPES, PUBLICATION_LAGS, requiresIndexData } from '../lib/rentCalculator';
+import { LATE_FEE_TYPES, DEFAULT_DUE_DAY } from '../lib/balance';
+import { DEPOSIT_CURRENCIES } from '../lib/deposit';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../lib/currency';
+import { RENEWAL_TERMS, DEFAULT_RENEWAL_TERM, getRenewalEndDate } from '../lib/renewal';
 
-export default function LeaseModal({ isOpen, onClose, unitId, unitName, onSave, mode = 'add', lease = null, currentTenantEmail = '' }) {
+// Adjustment clauses in use: monthly, quarterly, four-monthly, semiannual, annual
+const ADJUSTMENT_FREQUENCIES = [1, 3, 4, 6, 12];
+
+// Blank form for a new lease (one-year term starting today)
+const getEmptyForm = () => ({
+    tenantName: '',
+    tenantEmail: '',
+    rentAmount: '',
+    currency: DEFAULT_CURRENCY,
+    securityDeposit: '',
+    depositCurrency: 'ARS',
+    depositReceivedDate: '',
+    depositIndexed: false,
+    indexType: 'ipc',
+    adjustmentFrequency: '4',
+    roundingMode: 'nearest',
+    roundingStep: '500',
+    incrementPercentage: '',
+    rentSteps: [],
+    adjustmentCap: '',
+    adjustmentFloor: '',
+    hybridPercentage: '',
+    publicationLag: '0',
+    dueDay: String(DEFAULT_DUE_DAY),
+    lateFeeType: 'none',
+    lateFeeRate: '',
+    lateFeeAmount: '',
+    graceDays: '0',
+    startDate: new Date().toISOString().split('T')[0],
+    endDate: new Date(new Date().setFullYear(new Date().getFullYear() + 1)).toISOString().split('T')[0]
+});
+
+// Form values of an existing lease
+const getLeaseForm = (lease, tenantEmail = '') => ({
+    tenantName: lease.tenantName || '',
+    tenantEmail: tenantEmail || '',
+    rentAmount: lease.rentAmount?.toString() || '',
+    currency: lease.currency || DEFAULT_CURRENCY,
+    securityDeposit: lease.securityDeposit?.toString() || '',
+    depositCurrency: lease.depositCurrency || 'ARS',
+    depositReceivedDate: lease.depositReceivedDate || '',
+    depositIndexed: !!lease.depositIndexed,
+    indexType: lease.indexType || 'ipc',
+    adjustmentFrequency: (lease.adjustmentFrequency || 4).toString(),
+    roundingMode: lease.roundingMode || 'nearest',
+    roundingStep: (lease.roundingStep ?? 500).toString(),
+    incrementPercentage: lease.incrementPercentage?.toString() || '',
+    rentSteps: (lease.rentSteps || []).map(step => ({ fromMonth: String(step.fromMonth), amount: String(step.amount) })),
+    adjustmentCap: lease.adjustmentCap?.toString() ?? '',
+    adjustmentFloor: lease.adjustmentFloor?.toString() ?? '',
+    hybridPercentage: lease.hybridPercentage?.toString() ?? '',
+    publicationLag: (lease.publicationLag ?? 0).toString(),
+    dueDay: (lease.dueDay ?? DEFAULT_DUE_DAY).toString(),
+    lateFeeType: lease.lateFeeType || 'none',
+    lateFeeRate: lease.lateFeeRate ? lease.lateFeeRate.toString() : '',
+    lateFeeAmount: lease.lateFeeAmount ? lease.lateFeeAmount.toString() : '',
+    graceDays: (lease.graceDays ?? 0).toString(),
+    startDate: lease.startDate || new Date().toISOString().split('T')[0],
+    endDate: lease.endDate || new Date(new Date().setFullYear(new Date().getFullYear() + 1)).toISOString().split('T')[0]
+});
+
+export default function LeaseModal({ isOpen, onClose, unitId, unitName, onSave, mode = 'add', lease = null, currentTenantEmail = '', initialValues = null, carriedCharges = [] }) {
     const { t } = useTranslation();
-    const [formData, setFormData] = useState({
-        tenantName: '',
-        tenantEmail: '',
-        rentAmount: '',
-        securityDeposit: '',
-        startDate: new Date().toISOString().split('T')[0],
-        endDate: new Date(new Date().setFullYear(new Date().getFullYear() + 1)).toISOString().split('T')[0]
-    });
-
-    // Pre-populate form when editing
+    const [formData, setFormData] = useState(getEmptyForm);
+    const [renewalTerm, setRenewalTerm] = useState(String(DEFAULT_RENEWAL_TERM));
+
+    // Pre-populate form when editing or renewing
     useEffect(() => {
         if (mode === 'edit' && lease) {
-            setFormData({
-                tenantName: lease.tenantName || '',
-                tenantEmail: currentTenantEmail || '',
-                rentAmount: lease.rentAmount?.toString() || '',
-                securityDeposit: lease.securityDeposit?.toString() || '',
-                startDate: lease.startDate || new Date().toISOString().split('T')[0],
-                endDate: lease.endDate || new Date(new Date().setFullYear(new Date().getFullYear() + 1)).toISOString().split('T')[0]
-            });
+            setFormData(getLeaseForm(lease, currentTenantEmail));
+        } else if (mode === 'renew' && lease) {
+            // Same tenant, deposit, clauses and recurring charges; rent and term from the renewal (see getRenewalValues)
+            setFormData({ ...getLeaseForm(lease, lease.tenantEmail || currentTenantEmail), carryCharges: true, ...initialValues });
+            setRenewalTerm(String(DEFAULT_RENEWAL_TERM));
         } else if (mode === 'add') {
-            // Reset form for add mode
-            setFormData({
-                tenantName: '',
-                tenantEmail: '',
-                rentAmount: '',
-                securityDeposit: '',
-                startDate: new Date().toISOString().split('T')[0],
-                endDate: new Date(new Date().setFullYear(new Date().getFullYear() + 1)).toISOString().split('T')[0]
-            });
+            // Reset form for add mode (prefilled with the terms of a simulation, if any)
+            setFormData({ ...getEmptyForm(), ...initialValues });
         }
-    }, [mode, lease, isOpen]);
+    }, [mode, lease, isOpen, initialValues]);
 
     const handleChange = (e) => {
-        const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    // Choosing a term moves the end date
+    const handleTermChange = (e) => {
+        const months = e.target.value;
+        setRenewalTerm(months);
+        setFormData(prev => ({ ...prev, endDate: getRenewalEndDate(prev.startDate, Number(months)) }));
+    };
+
+    const handleStepChange = (idx, field, value) => {
+        setFormData(prev => ({
+            ...prev,
+            rentSteps: prev.rentSteps.map((step, i) => i === idx ? { ...step, [field]: value } : step)
+        }));
+    };
+
+    const addStep = () => {
+        setFormData(prev => {
+            const lastMonth = Math.max(1, ...prev.rentSteps.map(step => parseInt(step.fromMonth, 10) || 1));
+            return { ...prev, rentSteps: [...prev.rentSteps, { fromMonth: String(lastMonth + 6), amount: '' }] };
+        });
+    };
+
+    const removeStep = (idx) => {
+        setFormData(prev => ({ ...prev, rentSteps: prev.rentSteps.filter((_, i) => i !== idx) }));
     };
 
     const handleSubmit = (e) => {
@@ -53,36 +129,57 @@ export default function LeaseModal({ isOpen, onClose, unitId, unitName, onSave,
         const payload = {
             ...formData,
             rentAmount: parseFloat(formData.rentAmount),
-            securityDeposit: parseFloat(formData.securityDeposit || 0)
+            securityDeposit: parseFloat(formData.securityDeposit || 0),
+            depositReceivedDate: formData.depositReceivedDate || null,
+            adjustmentFrequency: parseInt(formData.adjustmentFrequency, 10),
+            roundingStep: parseFloat(formData.roundingStep || 1),
+            incrementPercentage: parseFloat(formData.incrementPercentage || 0),
+            rentSteps: formData.rentSteps
+                .map(step => ({ fromMonth: parseInt(step.fromMonth, 10), amount: parseFloat(step.amount) }))
+                .filter(step => step.fromMonth > 0 && step.amount > 0)
+                .sort((a, b) => a.fromMonth - b.fromMonth),
+            // Empty = rule not in the lease
+            adjustmentCap: formData.adjustmentCap === '' ? null : parseFloat(formData.adjustmentCap),
+            adjustmentFloor: formData.adjustmentFloor === '' ? null : parseFloat(formData.adjustmentFloor),
+            hybridPercentage: formData.hybridPercentage === '' ? null : parseFloat(formData.hybridPercentage),
+            publicationLag: parseInt(formData.publicationLag || 0, 10),
+            dueDay: Math.min(31, Math.max(1, parseInt(formData.dueDay, 10) || DEFAULT_DUE_DAY)),
+            lateFeeRate: parseFloat(formData.lateFeeRate || 0),
+            lateFeeAmount: parseFloat(formData.lateFeeAmount || 0),
+            graceDays: Math.max(0, parseInt(formData.graceDays || 0, 10))
         };
 
-        if (mode === 'add') {
+        if (mode === 'add' || mode === 'renew') {
             payload.unitId = unitId;
         }
+        if (mode === 'renew') {
+            payload.previousLeaseId = lease.id;
+            payload.carryCharges = carriedCharges.length > 0 && !!formData.carryCharges;
+        }
 
         onSave(payload);
 
         // Reset form only in add mode
         if (mode === 'add') {
-            setFormData({
-                tenantName: '',
-                tenantEmail: '',
-                rentAmount: '',
-                securityDeposit: '',
-                startDate: new Date().toISOString().split('T')[0],
-                endDate: new Date(new Date().setFullYear(new Date().getFullYear() + 1)).toISOString().split('T')[0]
-            });
+            setFormData(getEmptyForm());
         }
         onClose();
     };
 
-    const modalTitle = mode === 'edit'
-        ? `${t('units.editLease')} - ${unitName}`
-        : `${t('units.addLease')} - ${unitName}`;
+    const modalTitle = {
+        edit: `${t('units.editLease')} - ${unitName}`,
+        renew: `${t('units.renewLease')} - ${unitName}`
+    }[mode] || `${t('units.addLease')} - ${unitName}`;
 
     return (
         <Modal isOpen={isOpen} onClose={onClose} title={modalTitle}>
             <form onSubmit={handleSubmit} className="space-y-4">
+                {mode === 'renew' && lease && (
+                    <p className="p-3 bg-emerald-50 border border-emerald-100 rounded-lg text-sm text-emerald-800">
+                        {t('units.renewalHint', { tenant: lease.tenantName, endDate: lease.endDate })}
+                    </p>
+                )}
+
                 {/* Tenant Name */}
                 <div>
                     <label className="block text-sm font-medium text-slate-700 mb-2">
@@ -105,16 +202,32 @@ export default function LeaseModal({ isOpen, onClose, unitId, unitName, onSave,
                         <DollarSign size={16} className="inline mr-1" />
                         {t('units.rentPerMonth')}
                     </label>
-                    <input
-                        type="number"
-                        name="rentAmount"
-                        value={formData.rentAmount}
-                        onChange={handleChange}
-                        placeholder="0.00"
-                        min="0"
-                        className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
-                        required
-                    />
+                    <div className="flex gap-2">
+                        <input
+                            type="number"
+                            name="rentAmount"
+                            value={formData.rentAmount}
+                            onChange={handleChange}
+                            placeholder="0.00"
+                            min="0"
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                            required
+                        />
+                        <select
+                            name="currency"
+                            value={formData.currency}
+                            onChange={handleChange}
+                            title={t('units.currency')}
+                            className="px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {CURRENCIES.map(currency => (
+                                <option key={currency} value={currency}>{currency}</option>
+                            ))}
+                        </select>
+                    </div>
+                    {formData.currency !== DEFAULT_CURRENCY && (
+                        <p className="text-xs text-slate-500 mt-1">{t('units.currencyHint')}</p>
+                    )}
                 </div>
 
                 {/* Tenant Email */}
@@ -150,6 +263,345 @@ export default function LeaseModal({ isOpen, onClose, unitId, unitName, onSave,
                     />
                 </div>
 
+                <div className="grid grid-cols-2 gap-4">
+                    {/* Deposit Currency */}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            {t('units.depositCurrency')}
+                        </label>
+                        <select
+                            name="depositCurrency"
+                            value={formData.depositCurrency}
+                            onChange={handleChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {DEPOSIT_CURRENCIES.map(currency => (
+                                <option key={currency} value={currency}>{currency}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Deposit Received */}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            <Calendar size={16} className="inline mr-1" />
+                            {t('units.depositReceivedDate')}
+                        </label>
+                        <input
+                            type="date"
+                            name="depositReceivedDate"
+                            value={formData.depositReceivedDate}
+                            onChange={handleChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                        />
+                    </div>
+                </div>
+
+                {formData.depositCurrency === 'ARS' && (
+                    <label className="flex items-start gap-2 text-sm text-slate-700">
+                        <input
+                            type="checkbox"
+                            name="depositIndexed"
+                            checked={formData.depositIndexed}
+                            onChange={handleChange}
+                            className="mt-0.5 rounded border-slate-300"
+                        />
+                        <span>
+                            {t('units.depositIndexed')}
+                            <span className="block text-xs text-slate-500">{t('units.depositIndexedHint')}</span>
+                        </span>
+                    </label>
+                )}
+
+                <div className="grid grid-cols-2 gap-4">
+                    {/* Adjustment Index */}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            <TrendingUp size={16} className="inline mr-1" />
+                            {t('units.indexType')}
+                        </label>
+                        <select
+                            name="indexType"
+                            value={formData.indexType}
+                            onChange={handleChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {getAvailableIndices().map(index => (
+                                <option key={index.id} value={index.id}>{index.name}</option>
+                            ))}
+                            {FIXED_CONTRACT_TYPES.map(type => (
+                                <option key={type} value={type}>{t(`units.contractTypes.${type}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Adjustment Frequency */}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            <Calendar size={16} className="inline mr-1" />
+                            {t('units.adjustmentFrequency')}
+                        </label>
+                        <select
+                            name="adjustmentFrequency"
+                            value={formData.adjustmentFrequency}
+                            onChange={handleChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {ADJUSTMENT_FREQUENCIES.map(months => (
+                                <option key={months} value={months}>{t('units.everyNMonths', { count: months })}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {/* Fixed Percentage Clause */}
+                {formData.indexType === 'fixed' && (
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            {t('units.fixedPercentage')}
+                        </label>
+                        <input
+                            type="number"
+                            name="incrementPercentage"
+                            value={formData.incrementPercentage}
+                            onChange={handleChange}
+                            placeholder="10"
+                            min="0"
+                            step="0.01"
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                        />
+                    </div>
+                )}
+
+                {/* Publication Lag: which published months the index window uses */}
+                {requiresIndexData(formData.indexType) && (
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            {t('units.publicationLag')}
+                        </label>
+                        <select
+                            name="publicationLag"
+                            value={formData.publicationLag}
+                            onChange={handleChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {PUBLICATION_LAGS.map(lag => (
+                                <option key={lag} value={lag}>{t(`units.publicationLags.${lag}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                {/* Step-up Table: month 1 is the initial rent */}
+                {formData.indexType === 'step_up' && (
+                    <div className="space-y-2">
+                        <label className="block text-sm font-medium text-slate-700">
+                            {t('units.rentSteps')}
+                        </label>
+                        {formData.rentSteps.map((step, idx) => (
+                            <div key={idx} className="flex items-center gap-2">
+                                <span className="text-xs text-slate-500 whitespace-nowrap">{t('units.fromMonth')}</span>
+                                <input
+                                    type="number"
+                                    min="2"
+                                    value={step.fromMonth}
+                                    onChange={(e) => handleStepChange(idx, 'fromMonth', e.target.value)}
+                                    className="w-20 px-2 py-1 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                                />
+                                <DollarSign size={14} className="text-slate-400" />
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={step.amount}
+                                    onChange={(e) => handleStepChange(idx, 'amount', e.target.value)}
+                                    placeholder="0.00"
+                                    className="flex-1 px-2 py-1 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                                />
+                                <button
+                                    type="button"
+                                    onClick={() => removeStep(idx)}
+                                    className="p-1 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            </div>
+                        ))}
+                        <button
+                            type="button"
+                            onClick={addStep}
+                            className="flex items-center gap-1 text-xs font-medium text-emerald-600 hover:text-emerald-700"
+                        >
+                            <Plus size={14} />
+                            {t('units.addStep')}
+                        </button>
+                    </div>
+                )}
+
+                {/* Clause Rules: cap, floor, "greater of index and X%" */}
+                {formData.indexType !== 'step_up' && (
+                    <div className="grid grid-cols-3 gap-4">
+                        {['adjustmentCap', 'adjustmentFloor', 'hybridPercentage'].map(field => (
+                            <div key={field}>
+                                <label className="block text-sm font-medium text-slate-700 mb-2">
+                                    {t(`units.${field}`)}
+                                </label>
+                                <input
+                                    type="number"
+                                    name={field}
+                                    value={formData[field]}
+                                    onChange={handleChange}
+                                    placeholder="%"
+                                    min="0"
+                                    step="0.01"
+                                    className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                                />
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div className="grid grid-cols-2 gap-4">
+                    {/* Rounding Policy */}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            {t('units.roundingMode')}
+                        </label>
+                        <select
+                            name="roundingMode"
+                            value={formData.roundingMode}
+                            onChange={handleChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {ROUNDING_MODES.map(mode => (
+                                <option key={mode} value={mode}>{t(`units.rounding.${mode}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Rounding Step */}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            <DollarSign size={16} className="inline mr-1" />
+                            {t('units.roundingStep')}
+                        </label>
+                        <input
+                            type="number"
+                            name="roundingStep"
+                            value={formData.roundingStep}
+                            onChange={handleChange}
+                            min="1"
+                            disabled={formData.roundingMode === 'none'}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none disabled:bg-slate-50 disabled:text-slate-400"
+                        />
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                    {/* Due Day */}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            <Calendar size={16} className="inline mr-1" />
+                            {t('units.dueDay')}
+                        </label>
+                        <input
+                            type="number"
+                            name="dueDay"
+                            value={formData.dueDay}
+                            onChange={handleChange}
+                            min="1"
+                            max="31"
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                        />
+                    </div>
+
+                    {/* Late Interest Clause */}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            {t('units.lateFeeType')}
+                        </label>
+                        <select
+                            name="lateFeeType"
+                            value={formData.lateFeeType}
+                            onChange={handleChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {LATE_FEE_TYPES.map(type => (
+                                <option key={type} value={type}>{t(`units.lateFeeTypes.${type}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {formData.lateFeeType !== 'none' && (
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-2">
+                                {formData.lateFeeType === 'daily' ? t('units.lateFeeRate') : t('units.lateFeeAmount')}
+                            </label>
+                            <input
+                                type="number"
+                                name={formData.lateFeeType === 'daily' ? 'lateFeeRate' : 'lateFeeAmount'}
+                                value={formData.lateFeeType === 'daily' ? formData.lateFeeRate : formData.lateFeeAmount}
+                                onChange={handleChange}
+                                placeholder={formData.lateFeeType === 'daily' ? '%' : '$'}
+                                min="0"
+                                step={formData.lateFeeType === 'daily' ? '0.01' : '1'}
+                                className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-2">
+                                {t('units.graceDays')}
+                            </label>
+                            <input
+                                type="number"
+                                name="graceDays"
+                                value={formData.graceDays}
+                                onChange={handleChange}
+                                min="0"
+                                className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                            />
+                        </div>
+                    </div>
+                )}
+
+                {/* Renewal Term */}
+                {mode === 'renew' && (
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            <Calendar size={16} className="inline mr-1" />
+                            {t('units.renewalTerm')}
+                        </label>
+                        <select
+                            value={renewalTerm}
+                            onChange={handleTermChange}
+                            className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {RENEWAL_TERMS.map(months => (
+                                <option key={months} value={months}>{t('units.termMonths', { count: months })}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                {mode === 'renew' && carriedCharges.length > 0 && (
+                    <label className="flex items-start gap-2 text-sm text-slate-700">
+                        <input
+                            type="checkbox"
+                            name="carryCharges"
+                            checked={!!formData.carryCharges}
+                            onChange={handleChange}
+                            className="mt-0.5 rounded border-slate-300"
+                        />
+                        <span>
+                            {t('units.carryCharges', { count: carriedCharges.length })}
+                            <span className="block text-xs text-slate-500">
+                                {carriedCharges.map(charge => charge.description || t(`charges.categories.${charge.category}`)).join(', ')}
+                            </span>
+                        </span>
+                    </label>
+                )}
+
                 <div className="grid grid-cols-2 gap-4">
                     {/* Start Date */}
                     <div>
@@ -0,0 +1,122 @@
+import React, { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import Modal from './Modal';
+import { useData } from '../context/DataContext';
+import { useSettings } from '../context/SettingsContext';
+import { AGING_BUCKETS } from '../lib/ledger';
+import { cn, formatCurrency, formatDate } from '../lib/utils';
+
+/**
+ * Tenant ledger of a lease: charges, payments and running balance, with arrears aging
+ */
+export default function LedgerModal({ isOpen, onClose, unit, lease }) {
+    const { t, i18n } = useTranslation();
+    const { getLedger } = useData();
+    const { settings } = useSettings();
+
+    const ledger = useMemo(() => (
+        unit ? getLedger(unit.id, lease?.id || null) : null
+    ), [unit, lease, getLedger]);
+
+    const monthName = (month) => new Date(`${month}-01T12:00:00`)
+        .toLocaleDateString(i18n.language, { month: 'long', year: 'numeric' });
+
+    const describe = (entry) => {
+        if (entry.type === 'rent') return t('ledger.rentFor', { month: monthName(entry.month) });
+        if (entry.type === 'late_fee') return t('ledger.lateFeeFor', { month: monthName(entry.month) });
+        if (entry.type === 'payment') return t('ledger.paymentFor', { month: monthName(entry.month) });
+        const category = t(`charges.categories.${entry.category || 'other'}`);
+        return `${category} ${monthName(entry.month)}${entry.description ? ` - ${entry.description}` : ''}`;
+    };
+
+    if (!ledger) return null;
+
+    const tenant = lease?.tenantName || unit.tenant;
+    // The ledger is kept in the currency of the lease
+    const money = (amount) => formatCurrency(amount, lease?.currency);
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={onClose}
+            title={`${t('ledger.title')} - ${unit.name}${tenant ? ` (${tenant})` : ''}`}
+            className="max-w-3xl"
+        >
+            <div className="space-y-5">
+                {/* Totals */}
+                <div className="grid grid-cols-3 gap-3 text-center">
+                    <div className="p-3 bg-slate-50 rounded-lg border border-slate-100">
+                        <p className="text-xs text-slate-500 uppercase font-semibold">{t('ledger.charged')}</p>
+                        <p className="text-lg font-bold text-slate-800">{money(ledger.charged)}</p>
+                    </div>
+                    <div className="p-3 bg-emerald-50 rounded-lg border border-emerald-100">
+                        <p className="text-xs text-emerald-600 uppercase font-semibold">{t('ledger.paid')}</p>
+                        <p className="text-lg font-bold text-emerald-700">{money(ledger.paid)}</p>
+                    </div>
+                    <div className={cn(
+                        "p-3 rounded-lg border",
+                        ledger.balance > 0 ? "bg-rose-50 border-rose-100" : "bg-slate-50 border-slate-100"
+                    )}>
+                        <p className={cn("text-xs uppercase font-semibold", ledger.balance > 0 ? "text-rose-600" : "text-slate-500")}>
+                            {ledger.balance < 0 ? t('ledger.credit') : t('ledger.balance')}
+                        </p>
+                        <p className={cn("text-lg font-bold", ledger.balance > 0 ? "text-rose-700" : "text-slate-800")}>
+                            {money(Math.abs(ledger.balance))}
+                        </p>
+                    </div>
+                </div>
+
+                {/* Arrears aging */}
+                <div>
+                    <h4 className="text-sm font-semibold text-slate-700 mb-2">{t('ledger.aging')}</h4>
+                    <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+                        {AGING_BUCKETS.map(bucket => (
+                            <div key={bucket} className="p-2 bg-white rounded-lg border border-slate-200 text-center">
+                                <p className="text-[10px] text-slate-400 uppercase font-semibold">{t('ledger.days', { range: bucket })}</p>
+                                <p className={cn("text-sm font-bold", ledger.aging.buckets[bucket] > 0 ? "text-rose-600" : "text-slate-400")}>
+                                    {money(ledger.aging.buckets[bucket])}
+                                </p>
+                            </div>
+                        ))}
+                        <div className="p-2 bg-white rounded-lg border border-slate-200 text-center">
+                            <p className="text-[10px] text-slate-400 uppercase font-semibold">{t('ledger.notDue')}</p>
+                            <p className="text-sm font-bold text-slate-600">{money(ledger.aging.notDue)}</p>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Entries */}
+                {ledger.entries.length === 0 ? (
+                    <p className="text-sm text-slate-400 italic text-center py-4">{t('ledger.noEntries')}</p>
+                ) : (
+                    <div className="max-h-80 overflow-y-auto border border-slate-200 rounded-lg">
+                        <table className="w-full text-sm">
+                            <thead className="bg-slate-50 text-xs text-slate-500 uppercase sticky top-0">
+                                <tr>
+                                    <th className="px-3 py-2 text-left">{t('ledger.date')}</th>
+                                    <th className="px-3 py-2 text-left">{t('ledger.description')}</th>
+                                    <th className="px-3 py-2 text-right">{t('ledger.debit')}</th>
+                                    <th className="px-3 py-2 text-right">{t('ledger.creditColumn')}</th>
+                                    <th className="px-3 py-2 text-right">{t('ledger.balance')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {ledger.entries.map(entry => (
+                                    <tr key={`${entry.type}-${entry.id}`}>
+                                        <td className="px-3 py-2 text-slate-500 whitespace-nowrap">{formatDate(entry.date, settings.dateFormat)}</td>
+                                        <td className="px-3 py-2 text-slate-700 first-letter:uppercase">{describe(entry)}</td>
+                                        <td className="px-3 py-2 text-right text-slate-700">{entry.debit ? money(entry.debit) : ''}</td>
+                                        <td className="px-3 py-2 text-right text-emerald-600">{entry.credit ? money(entry.credit) : ''}</td>
+                                        <td className={cn("px-3 py-2 text-right font-medium", entry.balance > 0 ? "text-rose-600" : "text-slate-700")}>
+                                            {money(entry.balance)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </Modal>
+    );
+}
@@ -8,14 +8,16 @@
  * - Smooth transitions
  * - Backdrop overlay
  * - Auto-close on route change
+ * - Notification bell (top right)
  */
 
 import React, { useState, useEffect } from 'react';
 import { NavLink, useLocation } from 'react-router-dom';
-import { Menu, X, Home, Building2, DollarSign, Calendar, TrendingUp, Calculator, Globe, LogOut, Wrench } from 'lucide-react';
+import { Menu, X, Home, Building2, DollarSign, Calendar, TrendingUp, Calculator, Globe, LogOut, Wrench, LineChart } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { cn } from '../lib/utils';
 import { useAuth } from '../context/AuthContext';
+import NotificationCenter from './NotificationCenter';
 
 export default function MobileNav() {
     const { t, i18n } = useTranslation();
@@ -49,6 +51,7 @@ export default function MobileNav() {
         { path: '/calendar', icon: Calendar, label: t('nav.calendar') || 'Calendar' },
         { path: '/increments', icon: TrendingUp, label: t('nav.increments') || 'Rent Increments' },
         { path: '/calculators', icon: Calculator, label: t('nav.calculators') || 'Calculators' },
+        { path: '/indices', icon: LineChart, label: t('nav.indices') || 'Index Values' },
     ];
 
     const toggleLanguage = () => {
@@ -68,6 +71,12 @@ export default function MobileNav() {
                 <Menu size={24} className="text-slate-700" />
             </button>
 
+            {/* Notifications - Visible only on mobile/tablet */}
+            <NotificationCenter
+                align="right"
+                className="lg:hidden fixed top-4 right-4 z-40 p-1 bg-white rounded-lg shadow-lg border border-slate-200"
+            />
+
             {/* Backdrop Overlay */}
             {isOpen && (
                 <div
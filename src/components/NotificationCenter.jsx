@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { Bell, Wallet, TrendingUp, Wrench, AlertTriangle, Check, X } from 'lucide-react';
+import { useData } from '../context/DataContext';
+import { useSettings } from '../context/SettingsContext';
+import { formatCurrency, formatDate, cn } from '../lib/utils';
+
+const TYPE_ICONS = {
+    rent_overdue: { icon: Wallet, className: 'bg-rose-50 text-rose-600' },
+    adjustment_upcoming: { icon: TrendingUp, className: 'bg-emerald-50 text-emerald-600' },
+    maintenance_due: { icon: Wrench, className: 'bg-amber-50 text-amber-600' },
+    maintenance_overdue: { icon: Wrench, className: 'bg-rose-50 text-rose-600' },
+    index_fallback: { icon: AlertTriangle, className: 'bg-amber-50 text-amber-600' },
+};
+
+/**
+ * Bell with the notification inbox (see lib/notifications)
+ * Opening a notification marks it as read and goes to its page and unit.
+ *
+ * @param {string} align - Side the panel opens towards: 'left' | 'right'
+ */
+export default function NotificationCenter({ align = 'left', className }) {
+    const { t, i18n } = useTranslation();
+    const { settings } = useSettings();
+    const { notifications, markNotificationRead, markAllNotificationsRead, dismissNotification } = useData();
+    const [isOpen, setIsOpen] = useState(false);
+    const containerRef = useRef(null);
+    const navigate = useNavigate();
+    const location = useLocation();
+
+    const unreadCount = notifications.filter(n => !n.read).length;
+
+    // Close on navigation and on clicks outside the panel
+    useEffect(() => {
+        setIsOpen(false);
+    }, [location.pathname, location.search]);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [isOpen]);
+
+    const formatMonth = (month) => {
+        const [year, monthIndex] = month.split('-').map(Number);
+        return new Date(year, monthIndex - 1, 1).toLocaleDateString(i18n.language, { month: 'long', year: 'numeric' });
+    };
+
+    const describe = ({ type, data, date, days }) => t(`notifications.types.${type}.body`, {
+        ...data,
+        date: formatDate(date, settings.dateFormat),
+        days,
+        month: data.month ? formatMonth(data.month) : '',
+        outstanding: data.outstanding !== undefined ? formatCurrency(data.outstanding, data.currency) : ''
+    });
+
+    const handleOpen = (notification) => {
+        if (!notification.read) markNotificationRead(notification.key);
+        navigate(notification.link);
+    };
+
+    return (
+        <div ref={containerRef} className={cn("relative", className)}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="relative p-2 rounded-lg text-slate-500 hover:bg-slate-100 hover:text-slate-700 transition-colors"
+                aria-label={t('notifications.title')}
+                aria-expanded={isOpen}
+            >
+                <Bell size={20} />
+                {unreadCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 flex items-center justify-center rounded-full bg-rose-500 text-white text-[10px] font-bold">
+                        {unreadCount > 9 ? '9+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div
+                    className={cn(
+                        "absolute top-full mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white rounded-xl border border-slate-200 shadow-xl z-50 overflow-hidden",
+                        align === 'right' ? "right-0" : "left-0"
+                    )}
+                    role="dialog"
+                    aria-label={t('notifications.title')}
+                >
+                    <div className="flex items-center justify-between px-4 py-3 border-b border-slate-100">
+                        <h3 className="text-sm font-bold text-slate-800">{t('notifications.title')}</h3>
+                        {unreadCount > 0 && (
+                            <button
+                                onClick={markAllNotificationsRead}
+                                className="text-xs font-medium text-emerald-600 hover:text-emerald-700"
+                            >
+                                {t('notifications.markAllRead')}
+                            </button>
+                        )}
+                    </div>
+
+                    {notifications.length === 0 ? (
+                        <p className="px-4 py-8 text-sm text-slate-400 text-center">{t('notifications.empty')}</p>
+                    ) : (
+                        <ul className="max-h-96 overflow-y-auto divide-y divide-slate-100">
+                            {notifications.map(notification => {
+                                const { icon: Icon, className: iconClassName } = TYPE_ICONS[notification.type] || TYPE_ICONS.index_fallback;
+
+                                return (
+                                    <li
+                                        key={notification.key}
+                                        className={cn("group flex items-start gap-3 px-4 py-3 hover:bg-slate-50", !notification.read && "bg-emerald-50/40")}
+                                    >
+                                        <div className={cn("p-1.5 rounded-lg shrink-0", iconClassName)}>
+                                            <Icon size={14} />
+                                        </div>
+                                        <button onClick={() => handleOpen(notification)} className="flex-1 min-w-0 text-left">
+                                            <p className={cn("text-sm text-slate-800", !notification.read && "font-semibold")}>
+                                                {t(`notifications.types.${notification.type}.title`)}
+                                            </p>
+                                            <p className="text-xs text-slate-500 mt-0.5">{describe(notification)}</p>
+                                        </button>
+                                        <div className="flex flex-col gap-1 shrink-0">
+                                            {!notification.read && (
+                                                <button
+                                                    onClick={() => markNotificationRead(notification.key)}
+                                                    className="p-1 text-slate-300 hover:text-emerald-600 transition-colors"
+                                                    title={t('notifications.markRead')}
+                                                    aria-label={t('notifications.markRead')}
+                                                >
+                                                    <Check size={14} />
+                                                </button>
+                                            )}
+                                            <button
+                                                onClick={() => dismissNotification(notification.key)}
+                                                className="p-1 text-slate-300 hover:text-rose-500 transition-colors"
+                                                title={t('notifications.dismiss')}
+                                                aria-label={t('notifications.dismiss')}
+                                            >
+                                                <X size={14} />
+                                            </button>
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
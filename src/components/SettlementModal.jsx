@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Modal from './Modal';
+import { useData } from '../context/DataContext';
+import { useSettings } from '../context/SettingsContext';
+import { generateSettlementStatement } from '../lib/settlementService';
+import { getRenewalChain } from '../lib/renewal';
+import { cn, formatCurrency, formatDate } from '../lib/utils';
+import { Plus, Trash2, Download } from 'lucide-react';
+
+const getEmptyDeduction = () => ({ description: '', amount: '', link: '' });
+
+/**
+ * Final settlement of a lease's security deposit: deductions at move-out,
+ * arrears from the ledger and the amount to refund, with the PDF statement
+ */
+export default function SettlementModal({ isOpen, onClose, leaseId }) {
+    const { t } = useTranslation();
+    const {
+        units, leases, expenses, maintenances,
+        getDepositDeductions, addDepositDeduction, deleteDepositDeduction, getDepositSettlement, getExchangeRate
+    } = useData();
+    const { settings } = useSettings();
+    const [exchangeRate, setExchangeRate] = useState('');
+    const [deduction, setDeduction] = useState(getEmptyDeduction);
+
+    const lease = leases.find(l => l.id === leaseId);
+    if (!lease) return null;
+
+    const unit = units.find(u => u.id === lease.unitId);
+    // The deposit carries over renewals: the settlement covers the leases it renewed too
+    const chain = getRenewalChain(leases.filter(l => l.unitId === lease.unitId), lease.id);
+    const settled = chain.slice(0, chain.findIndex(l => l.id === lease.id) + 1);
+    const deductions = settled.flatMap(l => getDepositDeductions(l.id));
+    // A USD deposit or USD arrears are settled in ARS: the stored rate at the end of the lease, unless one is entered
+    const isForeign = lease.depositCurrency !== 'ARS' || lease.currency !== 'ARS';
+    const storedRate = getExchangeRate(lease.endDate || new Date().toISOString().split('T')[0], settings.exchangeRateType);
+    const enteredRate = exchangeRate !== '' ? Number(exchangeRate) || 0 : storedRate?.value || 0;
+    const rate = isForeign ? enteredRate : 1;
+    const settlement = getDepositSettlement(lease.id, rate);
+
+    const unitExpenses = expenses.filter(e => e.unitId === lease.unitId);
+    const unitMaintenances = maintenances.filter(m => m.unitId === lease.unitId);
+
+    // Linking an expense fills in its description and amount
+    const handleLinkChange = (e) => {
+        const link = e.target.value;
+        const [kind, id] = link.split(':');
+        const expense = kind === 'expense' ? unitExpenses.find(x => x.id === id) : null;
+        const maintenance = kind === 'maintenance' ? unitMaintenances.find(x => x.id === id) : null;
+
+        setDeduction(prev => ({
+            link,
+            description: expense?.description || maintenance?.title || prev.description,
+            amount: expense ? String(expense.amount) : prev.amount
+        }));
+    };
+
+    const handleAddDeduction = async (e) => {
+        e.preventDefault();
+        if (!deduction.description || !(Number(deduction.amount) > 0)) return;
+
+        const [kind, id] = deduction.link.split(':');
+        await addDepositDeduction({
+            leaseId: lease.id,
+            unitId: lease.unitId,
+            description: deduction.description,
+            amount: parseFloat(deduction.amount),
+            expenseId: kind === 'expense' ? id : null,
+            maintenanceId: kind === 'maintenance' ? id : null
+        });
+        setDeduction(getEmptyDeduction());
+    };
+
+    const handleDownload = () => {
+        const { dateFormat, ownerName, signatureDataUrl } = settings;
+        generateSettlementStatement(settlement, { unit, lease: { ...lease, startDate: settled[0].startDate }, deductions }, {
+            title: t('settlement.pdfTitle'),
+            dateIssued: t('receipt.dateIssued'),
+            property: t('receipt.property'),
+            tenant: t('receipt.tenant'),
+            leasePeriod: t('settlement.leasePeriod'),
+            depositReceived: t('settlement.depositReceived'),
+            indexedDeposit: t('settlement.indexedDeposit'),
+            exchangeRate: t('settlement.exchangeRate'),
+            deductions: t('settlement.deductions'),
+            noDeductions: t('settlement.noDeductions'),
+            arrears: t('settlement.arrears'),
+            refund: t('settlement.refund').toUpperCase(),
+            owedByTenant: t('settlement.owedByTenant').toUpperCase(),
+            footer: t('settlement.footer'),
+            na: t('receipt.na'),
+        }, { dateFormat, ownerName, signatureDataUrl, exchangeRate: rate });
+    };
+
+    const owes = settlement.owedByTenant > 0;
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={onClose}
+            title={`${t('settlement.title')} - ${unit?.name} (${lease.tenantName})`}
+            className="max-w-2xl"
+        >
+            <div className="space-y-5">
+                {/* Deposit */}
+                <div className="p-3 bg-blue-50/50 rounded-lg border border-blue-100 text-sm space-y-1">
+                    <div className="flex justify-between">
+                        <span className="text-blue-700 font-medium">{t('settlement.depositReceived')}</span>
+                        <span className="font-bold text-blue-800">{formatCurrency(settlement.deposit, lease.depositCurrency)}</span>
+                    </div>
+                    {lease.depositReceivedDate && (
+                        <p className="text-xs text-blue-600">{t('settlement.receivedOn', { date: formatDate(lease.depositReceivedDate, settings.dateFormat) })}</p>
+                    )}
+                    {settlement.indexFactor !== 1 && (
+                        <div className="flex justify-between">
+                            <span className="text-blue-700">{t('settlement.indexedDeposit')}</span>
+                            <span className="font-bold text-blue-800">{formatCurrency(settlement.refundableDeposit)}</span>
+                        </div>
+                    )}
+                    {isForeign && (
+                        <div className="flex justify-between items-center gap-3 pt-1">
+                            <label className="text-blue-700">{t('settlement.exchangeRate')}</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={exchangeRate}
+                                onChange={(e) => setExchangeRate(e.target.value)}
+                                placeholder={storedRate ? String(storedRate.value) : 'ARS / USD'}
+                                className="w-32 p-1.5 border border-blue-200 rounded-lg text-sm"
+                            />
+                        </div>
+                    )}
+                    {isForeign && exchangeRate === '' && storedRate && (
+                        <p className="text-xs text-blue-600 text-right">
+                            {t('settlement.storedRate', {
+                                type: t(`currency.rateTypes.${storedRate.rateType}`),
+                                date: formatDate(storedRate.date, settings.dateFormat)
+                            })}
+                        </p>
+                    )}
+                </div>
+
+                {/* Deductions */}
+                <div>
+                    <h4 className="text-sm font-semibold text-slate-700 mb-2">{t('settlement.deductions')}</h4>
+                    {deductions.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic">{t('settlement.noDeductions')}</p>
+                    ) : (
+                        <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                            {deductions.map(d => (
+                                <div key={d.id} className="flex items-center justify-between gap-3 p-2 px-3 text-sm">
+                                    <span className="text-slate-700">{d.description}</span>
+                                    <div className="flex items-center gap-2">
+                                        <span className="font-medium text-slate-800">{formatCurrency(d.amount)}</span>
+                                        <button
+                                            onClick={() => deleteDepositDeduction(d.id)}
+                                            title={t('common.delete')}
+                                            className="p-1.5 text-red-500 hover:bg-red-50 rounded-lg"
+                                        >
+                                            <Trash2 size={14} />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleAddDeduction} className="mt-3 space-y-2">
+                        <select
+                            value={deduction.link}
+                            onChange={handleLinkChange}
+                            className="w-full p-2 border border-slate-200 rounded-lg text-sm bg-white"
+                        >
+                            <option value="">{t('settlement.noLink')}</option>
+                            {unitExpenses.length > 0 && (
+                                <optgroup label={t('settlement.linkExpense')}>
+                                    {unitExpenses.map(e => (
+                                        <option key={e.id} value={`expense:${e.id}`}>
+                                            {e.date} - {e.description || t(`expenses.categories.${e.category}`)} ({formatCurrency(e.amount)})
+                                        </option>
+                                    ))}
+                                </optgroup>
+                            )}
+                            {unitMaintenances.length > 0 && (
+                                <optgroup label={t('settlement.linkMaintenance')}>
+                                    {unitMaintenances.map(m => (
+                                        <option key={m.id} value={`maintenance:${m.id}`}>{m.title}</option>
+                                    ))}
+                                </optgroup>
+                            )}
+                        </select>
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="text"
+                                value={deduction.description}
+                                onChange={(e) => setDeduction(prev => ({ ...prev, description: e.target.value }))}
+                                placeholder={t('settlement.deductionDescription')}
+                                className="flex-1 p-2 border border-slate-200 rounded-lg text-sm"
+                            />
+                            <input
+                                type="number"
+                                min="0"
+                                value={deduction.amount}
+                                onChange={(e) => setDeduction(prev => ({ ...prev, amount: e.target.value }))}
+                                placeholder="0"
+                                className="w-32 p-2 border border-slate-200 rounded-lg text-sm"
+                            />
+                            <button
+                                type="submit"
+                                disabled={!deduction.description || !(Number(deduction.amount) > 0)}
+                                className="p-2 bg-emerald-600 text-white hover:bg-emerald-700 rounded-lg disabled:opacity-50"
+                                title={t('settlement.addDeduction')}
+                            >
+                                <Plus size={16} />
+                            </button>
+                        </div>
+                    </form>
+                </div>
+
+                {/* Result */}
+                <div className="p-3 bg-slate-50 rounded-lg text-sm space-y-1">
+                    <div className="flex justify-between">
+                        <span className="text-slate-600">{t('settlement.deposit')}</span>
+                        <span className="font-medium">{formatCurrency(settlement.refundableDepositArs)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                        <span className="text-slate-600">{t('settlement.deductions')}</span>
+                        <span className="font-medium text-red-600">- {formatCurrency(settlement.deductionsTotal)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                        <span className="text-slate-600">{t('settlement.arrears')}</span>
+                        <span className="font-medium text-red-600">- {formatCurrency(settlement.arrears)}</span>
+                    </div>
+                    <div className={cn("flex justify-between pt-2 border-t border-slate-200 font-bold", owes ? "text-red-700" : "text-emerald-700")}>
+                        <span>{owes ? t('settlement.owedByTenant') : t('settlement.refund')}</span>
+                        <span>{formatCurrency(owes ? settlement.owedByTenant : settlement.refund)}</span>
+                    </div>
+                </div>
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={handleDownload}
+                        disabled={isForeign && !rate}
+                        className="flex items-center gap-2 px-4 py-2 bg-slate-900 text-white hover:bg-slate-800 rounded-lg text-sm font-medium disabled:opacity-50"
+                    >
+                        <Download size={16} />
+                        {t('settlement.download')}
+                    </button>
+                </div>
+            </div>
+        </Modal>
+    );
+}
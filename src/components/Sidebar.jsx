@@ -10,10 +10,12 @@ import {
     CalendarCheck,
     Settings,
     LogOut,
-    Wrench
+    Wrench,
+    LineChart
 } from 'lucide-react';
 import { cn } from '../lib/utils';
 import { useAuth } from '../context/AuthContext';
+import NotificationCenter from './NotificationCenter';
 
 const SidebarItem = ({ to, icon: Icon, label }) => (
     <NavLink
@@ -37,9 +39,12 @@ export default function Sidebar() {
     return (
         <div className="w-64 h-screen bg-white border-r border-slate-200 flex flex-col shadow-sm fixed left-0 top-0 hidden md:flex z-50">
             <div className="p-6 border-b border-slate-100">
-                <div className="flex items-center gap-2 text-emerald-600">
-                    <Building2 size={28} />
-                    <span className="text-xl font-bold tracking-tight text-slate-800">PropFlow</span>
+                <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2 text-emerald-600">
+                        <Building2 size={28} />
+                        <span className="text-xl font-bold tracking-tight text-slate-800">PropFlow</span>
+                    </div>
+                    <NotificationCenter />
                 </div>
             </div>
 
@@ -51,6 +56,7 @@ export default function Sidebar() {
                 <SidebarItem to="/calendar" icon={CalendarCheck} label={t('nav.calendar')} />
                 <SidebarItem to="/increments" icon={TrendingUp} label={t('nav.increments')} />
                 <SidebarItem to="/calculators" icon={Calculator} label={t('nav.calculators')} />
+                <SidebarItem to="/indices" icon={LineChart} label={t('nav.indices')} />
             </nav>
 
             <div className="p-4 border-t border-slate-100">
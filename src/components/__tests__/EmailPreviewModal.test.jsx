@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+vi.mock('react-i18next', () => ({
+    useTranslation: () => ({ t: (key) => key }),
+}));
+
+const sendEmail = vi.fn();
+vi.mock('../../context/DataContext', () => ({
+    useData: () => ({ sendEmail }),
+}));
+
+import EmailPreviewModal from '../EmailPreviewModal';
+
+describe('EmailPreviewModal', () => {
+    const props = {
+        isOpen: true,
+        onClose: vi.fn(),
+        recipient: 'tenant@example.com',
+        subject: 'Rent Adjustment Notice',
+        body: 'New rent: $120,000',
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.spyOn(window, 'open').mockImplementation(() => null);
+    });
+
+    it('reports what was sent before opening the mail client', () => {
+        const onSend = vi.fn();
+        render(<EmailPreviewModal {...props} onSend={onSend} />);
+
+        fireEvent.click(screen.getByText('email.openMailClient'));
+
+        expect(onSend).toHaveBeenCalledWith({
+            recipient: 'tenant@example.com',
+            subject: 'Rent Adjustment Notice',
+            body: 'New rent: $120,000',
+        });
+        expect(window.open).toHaveBeenCalledWith(expect.stringContaining('mailto:tenant@example.com'), '_blank');
+        expect(props.onClose).toHaveBeenCalled();
+    });
+
+    it('sends through the email endpoint with the attachments and reports it', async () => {
+        sendEmail.mockResolvedValue({ id: 'log-1', status: 'sent' });
+        const onSend = vi.fn();
+        const attachments = [{ filename: 'Receipt_101_2024-03_0001-00000001.pdf', content: 'JVBERi0=' }];
+        render(<EmailPreviewModal {...props} onSend={onSend} attachments={attachments} kind="receipt" unitId="unit-1" receiptId="rc-1" />);
+
+        expect(screen.getByText('Receipt_101_2024-03_0001-00000001.pdf')).toBeInTheDocument();
+        fireEvent.click(screen.getByText('email.send'));
+
+        await waitFor(() => expect(props.onClose).toHaveBeenCalled());
+        expect(sendEmail).toHaveBeenCalledWith({
+            to: 'tenant@example.com',
+            subject: 'Rent Adjustment Notice',
+            text: 'New rent: $120,000',
+            kind: 'receipt',
+            unitId: 'unit-1',
+            receiptId: 'rc-1',
+            attachments,
+        });
+        expect(onSend).toHaveBeenCalled();
+        expect(window.open).not.toHaveBeenCalled();
+    });
+
+    it('keeps the preview open and shows the error when sending fails', async () => {
+        sendEmail.mockRejectedValue(new Error('Failed to send email'));
+        const onSend = vi.fn();
+        render(<EmailPreviewModal {...props} onSend={onSend} />);
+
+        fireEvent.click(screen.getByText('email.send'));
+
+        expect(await screen.findByText('email.sendFailed')).toBeInTheDocument();
+        expect(onSend).not.toHaveBeenCalled();
+        expect(props.onClose).not.toHaveBeenCalled();
+    });
+
+    it('does not report anything when cancelled', () => {
+        const onSend = vi.fn();
+        render(<EmailPreviewModal {...props} onSend={onSend} />);
+
+        fireEvent.click(screen.getByText('common.cancel'));
+
+        expect(onSend).not.toHaveBeenCalled();
+        expect(sendEmail).not.toHaveBeenCalled();
+        expect(window.open).not.toHaveBeenCalled();
+    });
+});
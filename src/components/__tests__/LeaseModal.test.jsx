@@ -107,6 +107,77 @@ describe('LeaseModal', () => {
         expect(payload.tenantEmail).toBe('jane@mail.com');
         expect(payload.rentAmount).toBe(200000);
         expect(payload.unitId).toBe('unit-1');
+        expect(payload.adjustmentFrequency).toBe(4);
+    });
+
+    it('saves the selected adjustment frequency', () => {
+        const onSave = vi.fn();
+        const { container } = render(<LeaseModal {...defaultProps} onSave={onSave} />);
+
+        fireEvent.change(container.querySelector('input[name="tenantName"]'), { target: { value: 'Jane', name: 'tenantName' } });
+        fireEvent.change(container.querySelector('input[name="rentAmount"]'), { target: { value: '200000', name: 'rentAmount' } });
+        fireEvent.change(container.querySelector('select[name="adjustmentFrequency"]'), { target: { value: '6', name: 'adjustmentFrequency' } });
+        fireEvent.submit(container.querySelector('form'));
+
+        expect(onSave.mock.calls[0][0].adjustmentFrequency).toBe(6);
+    });
+
+    it('renews a lease with its tenant and clauses, the new rent and term, linked to it', () => {
+        const onSave = vi.fn();
+        const lease = {
+            id: 'lease-1',
+            tenantName: 'John Doe',
+            tenantEmail: 'john@test.com',
+            rentAmount: 150000,
+            securityDeposit: 300000,
+            indexType: 'icl',
+            adjustmentFrequency: 6,
+            startDate: '2023-03-01',
+            endDate: '2025-02-28',
+        };
+        const renewal = { rentAmount: '240000', rentSteps: [], startDate: '2025-03-01', endDate: '2027-02-28' };
+
+        const { container } = render(
+            <LeaseModal {...defaultProps} mode="renew" lease={lease} initialValues={renewal} onSave={onSave} />
+        );
+
+        expect(screen.getByText('units.renewLease - Unit 101')).toBeInTheDocument();
+        fireEvent.change(container.querySelector('select:not([name])'), { target: { value: '36' } });
+        fireEvent.submit(container.querySelector('form'));
+
+        expect(onSave.mock.calls[0][0]).toMatchObject({
+            tenantName: 'John Doe',
+            tenantEmail: 'john@test.com',
+            securityDeposit: 300000,
+            rentAmount: 240000,
+            indexType: 'icl',
+            adjustmentFrequency: 6,
+            startDate: '2025-03-01',
+            endDate: '2028-02-29',
+            unitId: 'unit-1',
+            previousLeaseId: 'lease-1',
+            carryCharges: false,
+        });
+    });
+
+    it('offers to carry the recurring charges over to the renewal', () => {
+        const onSave = vi.fn();
+        const lease = { id: 'lease-1', tenantName: 'John Doe', rentAmount: 150000, startDate: '2023-03-01', endDate: '2025-02-28' };
+        const renewal = { rentAmount: '240000', rentSteps: [], startDate: '2025-03-01', endDate: '2027-02-28' };
+        const carriedCharges = [{ unitId: 'unit-1', forMonth: '2025-03', category: 'expensas', description: 'Expensas', amount: 50000, recurring: true, endMonth: null }];
+
+        const { container } = render(
+            <LeaseModal {...defaultProps} mode="renew" lease={lease} initialValues={renewal} carriedCharges={carriedCharges} onSave={onSave} />
+        );
+
+        const checkbox = container.querySelector('input[name="carryCharges"]');
+        expect(checkbox).toBeChecked();
+        fireEvent.submit(container.querySelector('form'));
+        expect(onSave.mock.calls[0][0].carryCharges).toBe(true);
+
+        fireEvent.click(checkbox);
+        fireEvent.submit(container.querySelector('form'));
+        expect(onSave.mock.calls[1][0].carryCharges).toBe(false);
     });
 
     it('does not render when isOpen is false', () => {
@@ -3,8 +3,16 @@
  * 
  * This context provides:
  * - Units (rental properties) management
- * - Expenses tracking
- * - Payment records
+ * - Leases and their renewals, security deposits and their final settlement
+ * - Expenses tracking, and extra charges re-billed to tenants
+ * - Payment records (several instalments per month), monthly balances and tenant ledgers
+ * - Numbered rent receipts (issue, void and reissue)
+ * - Rent adjustment history and tenant notice log
+ * - Lease documents (generated contracts) in Supabase Storage
+ * - Email sent through /api/send-email (notices, receipts) and its delivery log
+ * - Email reminder rules (daily job, /api/reminders) and the reminders sent
+ * - In-app notifications (overdue rent, upcoming adjustments, maintenance, IPC fallback) and their read state
+ * - Currencies (ARS / USD) and the exchange-rate table used to report totals in ARS
  * - Optimistic UI updates with Supabase synchronization
  * 
  * All data operations follow the pattern:
@@ -13,9 +21,19 @@
  * 3. Revert on error or sync with server response
  */
 
-import React, { createContext, useContext, useEffect, useState, useMemo } from 'react';
+import React, { createContext, useContext, useEffect, useState, useMemo, useRef } from 'react';
 import { supabase } from '../lib/supabase';
 import { useAuth } from './AuthContext';
+import { findLeaseForMonth, getRentForMonth, getMonthBalance, getLateFeeRule } from '../lib/balance';
+import { buildLedger } from '../lib/ledger';
+import { getChargesForMonth, allocatePayment, chargeCategoryForExpense } from '../lib/charges';
+import { computeSettlement } from '../lib/deposit';
+import { DEFAULT_CURRENCY, DEFAULT_RATE_TYPE, findRate, toArs } from '../lib/currency';
+import { DEFAULT_POINT_OF_SALE, STALE_CHAIN_ERROR, ISSUE_ATTEMPTS, formatReceiptNumber, hashReceipt, buildReceiptSnapshot } from '../lib/receipts';
+import { getReminderRules } from '../lib/reminders';
+import { getRenewedLeaseEnd, getCarriedCharges, getRenewalChain } from '../lib/renewal';
+import { collectNotifications, mergeNotificationState } from '../lib/notifications';
+import { loadIndexData } from '../lib/indexStore';
 
 const DataContext = createContext();
 
@@ -28,6 +46,18 @@ export const DataProvider = ({ children }) => {
     const [expenses, setExpenses] = useState([]);
     const [payments, setPayments] = useState([]);
     const [maintenances, setMaintenances] = useState([]);
+    const [rentAdjustments, setRentAdjustments] = useState([]);
+    const [tenantNotices, setTenantNotices] = useState([]);
+    const [charges, setCharges] = useState([]);
+    const [depositDeductions, setDepositDeductions] = useState([]);
+    const [exchangeRates, setExchangeRates] = useState([]);
+    const [receipts, setReceipts] = useState([]);
+    const [documents, setDocuments] = useState([]);
+    const [emailLog, setEmailLog] = useState([]);
+    const [reminderSettings, setReminderSettings] = useState(null);
+    const [sentNotifications, setSentNotifications] = useState([]);
+    const [notificationState, setNotificationState] = useState([]);
+    const [indexFallback, setIndexFallback] = useState(false);
     const [loading, setLoading] = useState(false);
 
     // ==================== DATA MAPPERS ====================
@@ -46,7 +76,6 @@ export const DataProvider = ({ children }) => {
         leaseStart: u.lease_start,
         leaseEnd: u.lease_end,
         lastIncrementDate: u.last_increment_date,
-        rentOverride: u.rent_override,
         isActive: u.is_active ?? true
         // tenantEmail is derived from the active lease — not stored on unit
     });
@@ -67,7 +96,26 @@ export const DataProvider = ({ children }) => {
         startDate: l.start_date,
         endDate: l.end_date,
         lastIncrementDate: l.last_increment_date,
+        indexType: l.index_type || 'ipc',
+        adjustmentFrequency: l.adjustment_frequency || 4,
+        roundingMode: l.rounding_mode || 'nearest',
+        roundingStep: l.rounding_step ?? 500,
+        rentSteps: l.rent_steps || [],
+        adjustmentCap: l.adjustment_cap ?? null,
+        adjustmentFloor: l.adjustment_floor ?? null,
+        hybridPercentage: l.hybrid_percentage ?? null,
+        publicationLag: l.publication_lag ?? 0,
+        dueDay: l.due_day ?? 10,
+        lateFeeType: l.late_fee_type || 'none',
+        lateFeeRate: l.late_fee_rate ?? 0,
+        lateFeeAmount: l.late_fee_amount ?? 0,
+        graceDays: l.grace_days ?? 0,
+        depositReceivedDate: l.deposit_received_date || null,
+        depositCurrency: l.deposit_currency || 'ARS',
+        depositIndexed: l.deposit_indexed ?? false,
+        currency: l.currency || DEFAULT_CURRENCY,
         status: l.status,
+        previousLeaseId: l.previous_lease_id || null,
         userId: l.user_id
     });
 
@@ -86,7 +134,27 @@ export const DataProvider = ({ children }) => {
         start_date: l.startDate,
         end_date: l.endDate,
         last_increment_date: l.lastIncrementDate,
+        index_type: l.indexType,
+        adjustment_frequency: l.adjustmentFrequency,
+        rounding_mode: l.roundingMode,
+        rounding_step: l.roundingStep,
+        rent_steps: l.rentSteps,
+        adjustment_cap: l.adjustmentCap,
+        adjustment_floor: l.adjustmentFloor,
+        hybrid_percentage: l.hybridPercentage,
+        publication_lag: l.publicationLag,
+        due_day: l.dueDay,
+        late_fee_type: l.lateFeeType,
+        late_fee_rate: l.lateFeeRate,
+        late_fee_amount: l.lateFeeAmount,
+        grace_days: l.graceDays,
+        deposit_received_date: l.depositReceivedDate || null,
+        deposit_currency: l.depositCurrency,
+        deposit_indexed: l.depositIndexed,
+        currency: l.currency || DEFAULT_CURRENCY,
         status: l.status || 'ACTIVE',
+        // Only set when renewing (left out of partial updates)
+        previous_lease_id: l.previousLeaseId,
         user_id: user.id
     });
 
@@ -105,7 +173,6 @@ export const DataProvider = ({ children }) => {
         lease_start: u.leaseStart,
         lease_end: u.leaseEnd,
         last_increment_date: u.lastIncrementDate,
-        rent_override: u.rentOverride ?? null,
         is_active: u.isActive ?? true,
         user_id: user.id
         // tenant_email intentionally omitted — email lives on the lease
@@ -133,6 +200,204 @@ export const DataProvider = ({ children }) => {
         user_id: user.id
     });
 
+    /**
+     * Maps database rent adjustment record to application format
+     * @param {Object} a - Rent adjustment record from Supabase
+     * @returns {Object} Normalized adjustment (see getRecordedAdjustments)
+     */
+    const mapAdjustmentFromDB = (a) => ({
+        id: a.id,
+        unitId: a.unit_id,
+        leaseId: a.lease_id,
+        date: a.date,
+        oldRent: Number(a.old_rent),
+        newRent: Number(a.new_rent),
+        percentChange: a.percent_change === null ? null : Number(a.percent_change),
+        indexType: a.index_type,
+        indexValues: a.index_values || [],
+        isManual: a.is_manual ?? false
+    });
+
+    const mapAdjustmentToDB = (a) => ({
+        unit_id: a.unitId,
+        lease_id: a.leaseId || null,
+        date: a.date,
+        old_rent: a.oldRent,
+        new_rent: a.newRent,
+        percent_change: a.percentChange ?? null,
+        index_type: a.indexType || null,
+        index_values: a.indexValues || [],
+        is_manual: a.isManual ?? false,
+        user_id: user.id
+    });
+
+    const mapNoticeFromDB = (n) => ({
+        id: n.id,
+        unitId: n.unit_id,
+        leaseId: n.lease_id,
+        adjustmentDate: n.adjustment_date,
+        recipient: n.recipient,
+        subject: n.subject,
+        body: n.body,
+        notifiedAt: n.notified_at
+    });
+
+    const mapNoticeToDB = (n) => ({
+        unit_id: n.unitId,
+        lease_id: n.leaseId || null,
+        adjustment_date: n.adjustmentDate,
+        recipient: n.recipient,
+        subject: n.subject,
+        body: n.body,
+        notified_at: n.notifiedAt,
+        user_id: user.id
+    });
+
+    const mapChargeFromDB = (c) => ({
+        id: c.id,
+        unitId: c.unit_id,
+        leaseId: c.lease_id,
+        forMonth: c.for_month,
+        category: c.category,
+        description: c.description || '',
+        amount: Number(c.amount),
+        recurring: c.recurring ?? false,
+        endMonth: c.end_month || null,
+        expenseId: c.expense_id || null
+    });
+
+    const mapChargeToDB = (c) => ({
+        unit_id: c.unitId,
+        lease_id: c.leaseId || null,
+        for_month: c.forMonth,
+        category: c.category,
+        description: c.description || null,
+        amount: c.amount,
+        recurring: !!c.recurring,
+        end_month: c.recurring ? c.endMonth || null : null,
+        expense_id: c.expenseId || null,
+        user_id: user.id
+    });
+
+    const mapDeductionFromDB = (d) => ({
+        id: d.id,
+        leaseId: d.lease_id,
+        unitId: d.unit_id,
+        description: d.description,
+        amount: Number(d.amount),
+        expenseId: d.expense_id || null,
+        maintenanceId: d.maintenance_id || null
+    });
+
+    const mapDeductionToDB = (d) => ({
+        lease_id: d.leaseId,
+        unit_id: d.unitId,
+        description: d.description,
+        amount: d.amount,
+        expense_id: d.expenseId || null,
+        maintenance_id: d.maintenanceId || null,
+        user_id: user.id
+    });
+
+    // Payments: chargesAmount is the part allocated to extra charges
+    const mapPaymentFromDB = (p) => ({
+        ...p,
+        unitId: p.unit_id,
+        forMonth: p.for_month,
+        datePaid: p.date_paid,
+        chargesAmount: Number(p.charges_amount) || 0,
+        currency: p.currency || DEFAULT_CURRENCY
+    });
+
+    const mapExpenseFromDB = (e) => ({
+        ...e,
+        unitId: e.unit_id,
+        currency: e.currency || DEFAULT_CURRENCY
+    });
+
+    const mapReceiptFromDB = (r) => ({
+        id: r.id,
+        paymentId: r.payment_id,
+        unitId: r.unit_id,
+        pointOfSale: r.point_of_sale,
+        number: r.number,
+        formattedNumber: formatReceiptNumber(r.point_of_sale, r.number),
+        snapshot: r.snapshot,
+        hash: r.hash,
+        previousHash: r.previous_hash || '',
+        status: r.status,
+        voidReason: r.void_reason || null,
+        voidedAt: r.voided_at || null,
+        replacesId: r.replaces_id || null,
+        issuedAt: r.issued_at
+    });
+
+    const mapEmailLogFromDB = (m) => ({
+        id: m.id,
+        unitId: m.unit_id,
+        receiptId: m.receipt_id,
+        kind: m.kind,
+        recipient: m.recipient,
+        subject: m.subject,
+        attachments: m.attachments || [],
+        status: m.status,
+        messageId: m.message_id || null,
+        error: m.error || null,
+        createdAt: m.created_at,
+        sentAt: m.sent_at || null
+    });
+
+    const mapReminderSettingsFromDB = (r) => ({
+        enabled: r.enabled,
+        ownerEmail: r.owner_email,
+        rules: getReminderRules(r.rules),
+        language: r.language,
+        dateFormat: r.date_format
+    });
+
+    const mapSentNotificationFromDB = (n) => ({
+        id: n.id,
+        unitId: n.unit_id,
+        rule: n.rule,
+        referenceKey: n.reference_key,
+        recipientType: n.recipient_type,
+        recipient: n.recipient,
+        subject: n.subject,
+        status: n.status,
+        error: n.error || null,
+        sentAt: n.sent_at || null,
+        createdAt: n.created_at
+    });
+
+    const mapNotificationStateFromDB = (n) => ({
+        id: n.id,
+        key: n.key,
+        type: n.type,
+        unitId: n.unit_id,
+        readAt: n.read_at || null,
+        dismissedAt: n.dismissed_at || null,
+        createdAt: n.created_at
+    });
+
+    const mapDocumentFromDB = (d) => ({
+        id: d.id,
+        unitId: d.unit_id,
+        leaseId: d.lease_id || null,
+        name: d.name,
+        size: d.size,
+        type: d.type,
+        url: d.url,
+        createdAt: d.created_at
+    });
+
+    const mapExchangeRateFromDB = (r) => ({
+        id: r.id,
+        date: r.date,
+        rateType: r.rate_type,
+        value: Number(r.value),
+        source: r.source || ''
+    });
+
     // ==================== DATA FETCHING ====================
 
     /**
@@ -149,13 +414,35 @@ export const DataProvider = ({ children }) => {
                 { data: l, error: lErr },
                 { data: e, error: eErr },
                 { data: p, error: pErr },
-                { data: m, error: mErr }
+                { data: m, error: mErr },
+                { data: ra, error: raErr },
+                { data: tn, error: tnErr },
+                { data: ch, error: chErr },
+                { data: dd, error: ddErr },
+                { data: xr, error: xrErr },
+                { data: rc, error: rcErr },
+                { data: el, error: elErr },
+                { data: rs, error: rsErr },
+                { data: sn, error: snErr },
+                { data: ns, error: nsErr },
+                { data: dc, error: dcErr }
             ] = await Promise.all([
                 supabase.from('units').select('*'),
                 supabase.from('leases').select('*'),
                 supabase.from('expenses').select('*'),
                 supabase.from('payments').select('*'),
                 supabase.from('maintenances').select('*'),
+                supabase.from('rent_adjustments').select('*'),
+                supabase.from('tenant_notices').select('*'),
+                supabase.from('charges').select('*'),
+                supabase.from('deposit_deductions').select('*'),
+                supabase.from('exchange_rates').select('*'),
+                supabase.from('receipts').select('*'),
+                supabase.from('email_log').select('*'),
+                supabase.from('reminder_settings').select('*'),
+                supabase.from('sent_notifications').select('*'),
+                supabase.from('notifications').select('*'),
+                supabase.from('documents').select('*'),
             ]);
 
             if (uErr) console.error('Error fetching units:', uErr);
@@ -180,18 +467,46 @@ export const DataProvider = ({ children }) => {
             }
 
             if (eErr) console.error('Error fetching expenses:', eErr);
-            else if (e) setExpenses(e.map(x => ({ ...x, unitId: x.unit_id })));
+            else if (e) setExpenses(e.map(mapExpenseFromDB));
 
             if (pErr) console.error('Error fetching payments:', pErr);
-            else if (p) setPayments(p.map(x => ({
-                ...x,
-                unitId: x.unit_id,
-                forMonth: x.for_month,
-                datePaid: x.date_paid
-            })));
+            else if (p) setPayments(p.map(mapPaymentFromDB));
 
             if (mErr) console.error('Error fetching maintenances:', mErr);
             else if (m) setMaintenances(m.map(mapMaintenanceFromDB));
+
+            if (raErr) console.error('Error fetching rent adjustments:', raErr);
+            else if (ra) setRentAdjustments(ra.map(mapAdjustmentFromDB));
+
+            if (tnErr) console.error('Error fetching tenant notices:', tnErr);
+            else if (tn) setTenantNotices(tn.map(mapNoticeFromDB));
+
+            if (chErr) console.error('Error fetching charges:', chErr);
+            else if (ch) setCharges(ch.map(mapChargeFromDB));
+
+            if (ddErr) console.error('Error fetching deposit deductions:', ddErr);
+            else if (dd) setDepositDeductions(dd.map(mapDeductionFromDB));
+
+            if (xrErr) console.error('Error fetching exchange rates:', xrErr);
+            else if (xr) setExchangeRates(xr.map(mapExchangeRateFromDB));
+
+            if (rcErr) console.error('Error fetching receipts:', rcErr);
+            else if (rc) setReceipts(rc.map(mapReceiptFromDB));
+
+            if (elErr) console.error('Error fetching email log:', elErr);
+            else if (el) setEmailLog(el.map(mapEmailLogFromDB));
+
+            if (rsErr) console.error('Error fetching reminder settings:', rsErr);
+            else if (rs) setReminderSettings(rs[0] ? mapReminderSettingsFromDB(rs[0]) : null);
+
+            if (snErr) console.error('Error fetching sent notifications:', snErr);
+            else if (sn) setSentNotifications(sn.map(mapSentNotificationFromDB));
+
+            if (nsErr) console.error('Error fetching notifications:', nsErr);
+            else if (ns) setNotificationState(ns.map(mapNotificationStateFromDB));
+
+            if (dcErr) console.error('Error fetching documents:', dcErr);
+            else if (dc) setDocuments(dc.map(mapDocumentFromDB));
         } catch (error) {
             console.error('Unexpected error fetching data:', error);
         } finally {
@@ -209,6 +524,18 @@ export const DataProvider = ({ children }) => {
             setExpenses([]);
             setPayments([]);
             setMaintenances([]);
+            setRentAdjustments([]);
+            setTenantNotices([]);
+            setCharges([]);
+            setDepositDeductions([]);
+            setExchangeRates([]);
+            setReceipts([]);
+            setDocuments([]);
+            setEmailLog([]);
+            setReminderSettings(null);
+            setSentNotifications([]);
+            setNotificationState([]);
+            setIndexFallback(false);
             setLoading(false);
         }
     }, [user]);
@@ -283,20 +610,11 @@ export const DataProvider = ({ children }) => {
                 dbPayload.tenant = updatedFields.tenant;
             if (updatedFields.lastIncrementDate !== undefined)
                 dbPayload.last_increment_date = updatedFields.lastIncrementDate;
-            if (updatedFields.rentOverride !== undefined)
-                dbPayload.rent_override = updatedFields.rentOverride;
             if (updatedFields.isActive !== undefined)
                 dbPayload.is_active = updatedFields.isActive;
             if (updatedFields.tenantEmail !== undefined)
                 dbPayload.tenant_email = updatedFields.tenantEmail;
 
-            // Auto-clear rentOverride when rent or lastIncrementDate is updated (settled)
-            if ((updatedFields.rent !== undefined || updatedFields.lastIncrementDate !== undefined) && updatedFields.rentOverride === undefined) {
-                dbPayload.rent_override = null;
-                // Update local state too if we haven't already
-                setUnits(prev => prev.map(u => u.id === id ? { ...u, rentOverride: null } : u));
-            }
-
             const { error } = await supabase
                 .from('units')
                 .update(dbPayload)
@@ -412,6 +730,170 @@ export const DataProvider = ({ children }) => {
         }
     };
 
+    /**
+     * Renews a lease: adds the new lease, linked to the previous one, and marks
+     * the previous one RENEWED (ending the day before the renewal starts)
+     * With carryCharges set, the recurring charges still billed are carried over to
+     * the new lease (charges belong to a lease, see getCarriedCharges).
+     * @param {string} previousLeaseId - Lease being renewed
+     * @param {Object} renewal - Terms of the new lease, and carryCharges
+     * @returns {Promise<string>} ID of the new lease
+     */
+    const renewLease = async (previousLeaseId, renewal) => {
+        const { carryCharges, ...leaseData } = renewal;
+        const previous = leases.find(l => l.id === previousLeaseId);
+        if (!previous) throw new Error('Lease not found');
+
+        const endDate = getRenewedLeaseEnd(previous, leaseData.startDate);
+        const restorePrevious = () => setLeases(prev => prev.map(l => l.id === previousLeaseId ? previous : l));
+
+        // Optimistic update
+        setLeases(prev => prev.map(l =>
+            l.id === previousLeaseId ? { ...l, status: 'RENEWED', endDate } : l
+        ));
+
+        try {
+            const { error } = await supabase
+                .from('leases')
+                .update({ status: 'RENEWED', end_date: endDate })
+                .eq('id', previousLeaseId);
+
+            if (error) throw error;
+        } catch (error) {
+            console.error("Error renewing lease:", error);
+            restorePrevious();
+            throw error;
+        }
+
+        let leaseId;
+        try {
+            leaseId = await addLease({ ...leaseData, previousLeaseId });
+        } catch (error) {
+            // Keep the previous lease in effect
+            await supabase
+                .from('leases')
+                .update({ status: previous.status, end_date: previous.endDate })
+                .eq('id', previousLeaseId);
+            restorePrevious();
+            throw error;
+        }
+
+        if (carryCharges) {
+            for (const charge of getCarriedCharges(getLeaseCharges(previous.unitId, previousLeaseId), leaseData.startDate)) {
+                await addCharge({ ...charge, leaseId });
+            }
+        }
+
+        return leaseId;
+    };
+
+    // ==================== SECURITY DEPOSITS ====================
+
+    /**
+     * Deductions from the deposit of a lease
+     * @param {string} leaseId - Lease ID
+     * @returns {Array} Deductions
+     */
+    const getDepositDeductions = (leaseId) => {
+        return depositDeductions.filter(d => d.leaseId === leaseId);
+    };
+
+    /**
+     * Adds a deduction from the deposit (damages, repairs), optionally linked to an expense or maintenance task
+     * @param {Object} deduction - { leaseId, unitId, description, amount, expenseId, maintenanceId }
+     */
+    const addDepositDeduction = async (deduction) => {
+        const tempId = crypto.randomUUID();
+
+        // Optimistic update
+        setDepositDeductions(prev => [...prev, { ...deduction, id: tempId }]);
+
+        try {
+            const { data, error } = await supabase
+                .from('deposit_deductions')
+                .insert([mapDeductionToDB(deduction)])
+                .select();
+
+            if (error) throw error;
+
+            setDepositDeductions(prev => prev.map(d =>
+                d.id === tempId ? mapDeductionFromDB(data[0]) : d
+            ));
+        } catch (err) {
+            console.error("Error adding deposit deduction:", err);
+            // Revert optimistic update
+            setDepositDeductions(prev => prev.filter(d => d.id !== tempId));
+        }
+    };
+
+    /**
+     * Deletes a deduction from the deposit
+     * @param {string} id - Deduction ID
+     */
+    const deleteDepositDeduction = async (id) => {
+        try {
+            const { error } = await supabase
+                .from('deposit_deductions')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            setDepositDeductions(prev => prev.filter(d => d.id !== id));
+        } catch (err) {
+            console.error("Error deleting deposit deduction:", err);
+            alert("Failed to delete deduction.");
+        }
+    };
+
+    /**
+     * Final settlement of a lease's deposit: deposit (indexed if agreed) minus deductions minus arrears (see lib/deposit)
+     * The deposit carries over renewals, so the settlement covers the renewal chain up to
+     * the lease: the arrears and deductions of all its leases, and the index from the first
+     * month of the first one (when the deposit was received) to the last month of this one.
+     * Arrears of a USD lease are converted to ARS at the same rate as a USD deposit.
+     * @param {string} leaseId - Lease ID
+     * @param {number|null} exchangeRate - ARS per USD (default: the stored rate at the end of the lease)
+     * @param {string} rateType - Rate type to look up when no rate is given
+     * @returns {Object|null} Settlement
+     */
+    const getDepositSettlement = (leaseId, exchangeRate = null, rateType = DEFAULT_RATE_TYPE) => {
+        const lease = leases.find(l => l.id === leaseId);
+        if (!lease) return null;
+
+        const chain = getRenewalChain(leases.filter(l => l.unitId === lease.unitId), leaseId);
+        const settled = chain.slice(0, chain.findIndex(l => l.id === leaseId) + 1);
+        const first = settled[0];
+
+        const unit = units.find(u => u.id === lease.unitId);
+        // Adjustments of a lease (legacy ones without a lease fall within its dates)
+        const adjustmentsOf = (l) => getRentAdjustments(l.unitId).filter(a =>
+            a.leaseId ? a.leaseId === l.id : (a.date >= l.startDate && (!l.endDate || a.date <= l.endDate))
+        );
+        const lastMonth = [lease.endDate, new Date().toISOString()]
+            .filter(Boolean)
+            .map(date => date.slice(0, 7))
+            .sort()[0];
+        const rate = exchangeRate
+            ?? getExchangeRate(lease.endDate || new Date().toISOString().split('T')[0], rateType)?.value
+            ?? 0;
+        const arrears = settled.reduce((sum, l) => {
+            const balance = getLedger(l.unitId, l.id).balance;
+            return sum + (l.currency === 'USD' ? balance * rate : balance);
+        }, 0);
+
+        return computeSettlement({
+            deposit: Number(lease.securityDeposit) || 0,
+            currency: lease.depositCurrency,
+            indexed: lease.depositIndexed,
+            initialRent: getRentForMonth(unit, first, adjustmentsOf(first), first.startDate.slice(0, 7)),
+            lastRent: getRentForMonth(unit, lease, adjustmentsOf(lease), lastMonth),
+            deductions: settled.flatMap(l => getDepositDeductions(l.id)),
+            arrears,
+            exchangeRate: rate
+        });
+    };
+
     /**
      * Updates an existing lease
      * @param {string} leaseId - Lease ID to update
@@ -435,6 +917,11 @@ export const DataProvider = ({ children }) => {
             // Remove id from payload as it's used in the where clause
             delete dbPayload.id;
             delete dbPayload.user_id; // Don't update user_id
+            // Defaulted fields must not overwrite the stored value on partial updates
+            if (updates.tenantEmail === undefined) delete dbPayload.tenant_email;
+            if (updates.status === undefined) delete dbPayload.status;
+            if (updates.currency === undefined) delete dbPayload.currency;
+            if (updates.depositReceivedDate === undefined) delete dbPayload.deposit_received_date;
 
             const { error } = await supabase
                 .from('leases')
@@ -458,22 +945,484 @@ export const DataProvider = ({ children }) => {
     };
 
 
+    // ==================== RENT ADJUSTMENTS ====================
+
+    /**
+     * Recorded adjustments of a unit, oldest first
+     * @param {string} unitId
+     * @returns {Array} Adjustments
+     */
+    const getRentAdjustments = (unitId) => {
+        return rentAdjustments
+            .filter(a => a.unitId === unitId)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    };
+
+    /**
+     * Records an applied (or manually agreed) rent adjustment
+     * @param {Object} adjustment - { unitId, leaseId, date, oldRent, newRent, percentChange, indexType, indexValues, isManual }
+     */
+    const addRentAdjustment = async (adjustment) => {
+        const tempId = crypto.randomUUID();
+
+        // Optimistic update
+        setRentAdjustments(prev => [...prev, { ...adjustment, id: tempId }]);
+
+        try {
+            const { data, error } = await supabase
+                .from('rent_adjustments')
+                .insert([mapAdjustmentToDB(adjustment)])
+                .select();
+
+            if (error) throw error;
+
+            // Replace temp ID with real ID
+            setRentAdjustments(prev => prev.map(a =>
+                a.id === tempId ? mapAdjustmentFromDB(data[0]) : a
+            ));
+            return data[0].id;
+        } catch (err) {
+            console.error("Error recording rent adjustment:", err);
+            // Revert optimistic update
+            setRentAdjustments(prev => prev.filter(a => a.id !== tempId));
+            throw err;
+        }
+    };
+
+    /**
+     * Deletes a recorded rent adjustment
+     * @param {string} id - Adjustment ID
+     */
+    const deleteRentAdjustment = async (id) => {
+        try {
+            const { error } = await supabase
+                .from('rent_adjustments')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            setRentAdjustments(prev => prev.filter(a => a.id !== id));
+        } catch (err) {
+            console.error("Error deleting rent adjustment:", err);
+            throw err;
+        }
+    };
+
+
+    /**
+     * Applies a scheduled adjustment: records it in the history with the index
+     * values used, and moves the active lease (and legacy unit fields) to the new rent
+     * @param {string} unitId - Unit ID
+     * @param {Object} update - Schedule item { date, newRent, percentChange, indexType, details, isManualOverride }
+     */
+    const applyRentAdjustment = async (unitId, update) => {
+        const unit = units.find(u => u.id === unitId);
+        if (!unit) return;
+
+        const lease = getActiveLease(unitId);
+
+        // A manual amount agreed in advance is already in the history; a new manual
+        // amount for the same date replaces it, from the rent it started from
+        const recorded = rentAdjustments.find(a => a.unitId === unitId && a.date === update.date);
+        const replaced = recorded && update.isManualOverride && Number(recorded.newRent) !== Number(update.newRent);
+        const oldRent = replaced ? Number(recorded.oldRent) : lease ? Number(lease.rentAmount) : Number(unit.rent);
+
+        if (replaced) await deleteRentAdjustment(recorded.id);
+        if (!recorded || replaced) await addRentAdjustment({
+            unitId,
+            leaseId: lease?.id,
+            date: update.date,
+            oldRent,
+            newRent: update.newRent,
+            percentChange: Number(update.percentChange),
+            indexType: update.indexType,
+            indexValues: update.details || [],
+            isManual: !!update.isManualOverride
+        });
+
+        if (lease) {
+            await updateLease(lease.id, { rentAmount: update.newRent, lastIncrementDate: update.date });
+        }
+        await updateUnit(unitId, { rent: update.newRent, lastIncrementDate: update.date });
+    };
+
+    /**
+     * Undoes a recorded adjustment: deletes it from the history and, if it was in effect,
+     * moves the active lease (and legacy unit fields) back to the rent before it
+     * Only adjustments of the active lease can be undone: the rent of a lease it
+     * renewed is not the rent of the current one.
+     * @param {Object} adjustment - Recorded adjustment
+     */
+    const revertRentAdjustment = async (adjustment) => {
+        const lease = getActiveLease(adjustment.unitId);
+        const ofLease = (a) => (lease ? a.leaseId === lease.id : !a.leaseId);
+        if (!ofLease(adjustment)) {
+            console.error('Cannot revert an adjustment of a previous lease', adjustment);
+            return;
+        }
+
+        await deleteRentAdjustment(adjustment.id);
+        if (new Date(adjustment.date) > new Date()) return;
+
+        // The last increment is now the lease's adjustment before it (none: counted from the lease start)
+        const previous = getRentAdjustments(adjustment.unitId)
+            .filter(a => a.id !== adjustment.id && ofLease(a) && a.date < adjustment.date)
+            .pop();
+        const rollback = { lastIncrementDate: previous?.date || null };
+
+        if (lease) {
+            await updateLease(lease.id, { ...rollback, rentAmount: adjustment.oldRent });
+        }
+        await updateUnit(adjustment.unitId, { ...rollback, rent: adjustment.oldRent });
+    };
+
+    // ==================== TENANT NOTICES ====================
+
+    /**
+     * Notices sent to the tenant of a unit, newest first
+     * @param {string} unitId
+     * @returns {Array} Notices
+     */
+    const getTenantNotices = (unitId) => {
+        return tenantNotices
+            .filter(n => n.unitId === unitId)
+            .sort((a, b) => b.notifiedAt.localeCompare(a.notifiedAt));
+    };
+
+    /**
+     * Logs an adjustment notice sent to a tenant (audit trail)
+     * @param {Object} notice - { unitId, leaseId, adjustmentDate, recipient, subject, body }
+     */
+    const logTenantNotice = async (notice) => {
+        const tempId = crypto.randomUUID();
+        const entry = { ...notice, notifiedAt: new Date().toISOString() };
+
+        // Optimistic update
+        setTenantNotices(prev => [...prev, { ...entry, id: tempId }]);
+
+        try {
+            const { data, error } = await supabase
+                .from('tenant_notices')
+                .insert([mapNoticeToDB(entry)])
+                .select();
+
+            if (error) throw error;
+
+            setTenantNotices(prev => prev.map(n =>
+                n.id === tempId ? mapNoticeFromDB(data[0]) : n
+            ));
+        } catch (err) {
+            console.error("Error logging tenant notice:", err);
+            // Revert optimistic update
+            setTenantNotices(prev => prev.filter(n => n.id !== tempId));
+        }
+    };
+
+    // ==================== LEASE DOCUMENTS ====================
+
+    /**
+     * Documents attached to a lease (generated contracts), newest first
+     * @param {string} leaseId - Lease ID
+     * @returns {Array} Documents
+     */
+    const getLeaseDocuments = (leaseId) => {
+        return documents
+            .filter(d => d.leaseId === leaseId)
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    };
+
+    /**
+     * Uploads a file to Storage (bucket 'files', in the user's folder) and attaches it to a lease
+     * Not optimistic: the document needs the URL of the uploaded file.
+     *
+     * @param {Object} file - { unitId, leaseId, name, blob }
+     * @returns {Object|null} Document, or null if it failed
+     */
+    const addLeaseDocument = async ({ unitId, leaseId, name, blob }) => {
+        const filePath = `${user.id}/${crypto.randomUUID()}.${name.split('.').pop()}`;
+
+        try {
+            const { error: uploadError } = await supabase.storage
+                .from('files')
+                .upload(filePath, blob, { contentType: blob.type });
+
+            if (uploadError) throw uploadError;
+
+            const { data: { publicUrl } } = supabase.storage
+                .from('files')
+                .getPublicUrl(filePath);
+
+            const { data, error } = await supabase
+                .from('documents')
+                .insert([{
+                    user_id: user.id,
+                    unit_id: unitId,
+                    lease_id: leaseId,
+                    name,
+                    size: blob.size,
+                    type: blob.type,
+                    url: publicUrl
+                }])
+                .select();
+
+            if (error) throw error;
+
+            const saved = mapDocumentFromDB(data[0]);
+            setDocuments(prev => [...prev, saved]);
+            return saved;
+        } catch (err) {
+            console.error("Error saving lease document:", err);
+            alert("Failed to save document.");
+            return null;
+        }
+    };
+
+    /**
+     * Deletes a document and its file in Storage
+     * @param {string} id - Document ID
+     */
+    const deleteDocument = async (id) => {
+        const removed = documents.find(d => d.id === id);
+        if (!removed) return;
+
+        // Optimistic update
+        setDocuments(prev => prev.filter(d => d.id !== id));
+
+        try {
+            const { error } = await supabase
+                .from('documents')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            const filePath = removed.url.split('/files/')[1];
+            if (filePath) await supabase.storage.from('files').remove([filePath]);
+        } catch (err) {
+            console.error("Error deleting document:", err);
+            // Revert optimistic update
+            setDocuments(prev => [...prev, removed]);
+        }
+    };
+
+    // ==================== EMAIL ====================
+
+    /**
+     * Emails sent about a unit, newest first
+     * @param {string} unitId
+     * @returns {Array} Log entries
+     */
+    const getEmailLog = (unitId) => {
+        return emailLog
+            .filter(m => m.unitId === unitId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    };
+
+    /**
+     * Sends an email through /api/send-email, which logs it with its delivery status
+     * Not optimistic: the log entry is written by the endpoint.
+     * @param {Object} message - { to, subject, text, kind, unitId, receiptId, attachments: [{ filename, content }] }
+     * @returns {Promise<Object>} The log entry
+     * @throws {Error} When the message was not sent (a failed delivery is still logged)
+     */
+    const sendEmail = async (message) => {
+        const { data: { session } } = await supabase.auth.getSession();
+
+        const res = await fetch('/api/send-email', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${session?.access_token || ''}`
+            },
+            body: JSON.stringify(message)
+        });
+        const data = await res.json().catch(() => ({}));
+
+        const entry = data.log ? mapEmailLogFromDB(data.log) : null;
+        if (entry) setEmailLog(prev => [...prev, entry]);
+
+        if (!res.ok) {
+            console.error("Error sending email:", data.error || res.status);
+            throw new Error(data.error || `Email API returned status ${res.status}`);
+        }
+        return entry;
+    };
+
+    // ==================== REMINDERS ====================
+
+    /**
+     * Saves the owner's reminder rules (read by the daily reminders job)
+     * @param {Object} settings - { enabled, ownerEmail, rules, language, dateFormat }
+     */
+    const saveReminderSettings = async (settings) => {
+        const previous = reminderSettings;
+
+        // Optimistic update
+        setReminderSettings({ ...settings, rules: getReminderRules(settings.rules) });
+
+        try {
+            const { data, error } = await supabase
+                .from('reminder_settings')
+                .upsert([{
+                    enabled: settings.enabled,
+                    owner_email: settings.ownerEmail,
+                    rules: getReminderRules(settings.rules),
+                    language: settings.language,
+                    date_format: settings.dateFormat,
+                    updated_at: new Date().toISOString(),
+                    user_id: user.id
+                }], { onConflict: 'user_id' })
+                .select();
+
+            if (error) throw error;
+
+            setReminderSettings(mapReminderSettingsFromDB(data[0]));
+        } catch (err) {
+            console.error("Error saving reminder settings:", err);
+            // Revert optimistic update
+            setReminderSettings(previous);
+        }
+    };
+
+    // ==================== NOTIFICATIONS ====================
+
+    // Whether IPC values only come from the hardcoded fallback: checked once per
+    // session when a lease needs them (the schedule pages also warn inline)
+    const indexCheckedFor = useRef(null);
+    useEffect(() => {
+        if (!user || indexCheckedFor.current === user.id) return;
+        if (!leases.some(l => l.status === 'ACTIVE' && l.indexType === 'ipc')) return;
+
+        indexCheckedFor.current = user.id;
+        loadIndexData()
+            .then(({ usingFallback }) => setIndexFallback(usingFallback))
+            .catch(err => console.error("Error checking index data:", err));
+    }, [user, leases]);
+
+    // Events for the notification center, derived from the data (see lib/notifications)
+    const activeNotifications = useMemo(() => loading ? [] : collectNotifications({
+        units,
+        leases,
+        payments,
+        adjustments: rentAdjustments,
+        charges,
+        maintenances,
+        indexFallback,
+        today: new Date().toISOString().split('T')[0]
+    }), [units, leases, payments, rentAdjustments, charges, maintenances, indexFallback, loading]);
+
+    const notifications = useMemo(
+        () => mergeNotificationState(activeNotifications, notificationState),
+        [activeNotifications, notificationState]
+    );
+
+    // Newly seen events get a row, which keeps the date they first showed up
+    const recordingKeys = useRef(new Set());
+    useEffect(() => {
+        if (!user) return;
+
+        const known = new Set(notificationState.map(n => n.key));
+        const fresh = activeNotifications.filter(n => !known.has(n.key) && !recordingKeys.current.has(n.key));
+        if (fresh.length === 0) return;
+
+        fresh.forEach(n => recordingKeys.current.add(n.key));
+        const record = async () => {
+            try {
+                const { data, error } = await supabase
+                    .from('notifications')
+                    .upsert(fresh.map(n => ({ key: n.key, type: n.type, unit_id: n.unitId, user_id: user.id })), {
+                        onConflict: 'user_id,key',
+                        ignoreDuplicates: true
+                    })
+                    .select();
+
+                if (error) throw error;
+
+                const recorded = (data || []).map(mapNotificationStateFromDB);
+                setNotificationState(prev => [...prev.filter(s => !recorded.some(r => r.key === s.key)), ...recorded]);
+            } catch (err) {
+                console.error("Error recording notifications:", err);
+            } finally {
+                fresh.forEach(n => recordingKeys.current.delete(n.key));
+            }
+        };
+        record();
+    }, [user, activeNotifications, notificationState]);
+
+    /**
+     * Stores the read / dismissed state of active notifications
+     * @param {Array} keys - Notification keys
+     * @param {Object} changes - { readAt } and/or { dismissedAt }
+     */
+    const saveNotificationState = async (keys, changes) => {
+        const targets = activeNotifications.filter(n => keys.includes(n.key));
+        if (targets.length === 0) return;
+
+        const previous = notificationState;
+        const byKey = new Map(notificationState.map(s => [s.key, s]));
+        const rows = targets.map(n => ({
+            ...(byKey.get(n.key) || { key: n.key, type: n.type, unitId: n.unitId, readAt: null, dismissedAt: null, createdAt: null }),
+            ...changes
+        }));
+
+        // Optimistic update
+        setNotificationState(prev => [...prev.filter(s => !keys.includes(s.key)), ...rows]);
+
+        try {
+            const { data, error } = await supabase
+                .from('notifications')
+                .upsert(rows.map(r => ({
+                    key: r.key,
+                    type: r.type,
+                    unit_id: r.unitId,
+                    read_at: r.readAt,
+                    dismissed_at: r.dismissedAt,
+                    user_id: user.id
+                })), { onConflict: 'user_id,key' })
+                .select();
+
+            if (error) throw error;
+
+            const saved = data.map(mapNotificationStateFromDB);
+            setNotificationState(prev => [...prev.filter(s => !keys.includes(s.key)), ...saved]);
+        } catch (err) {
+            console.error("Error saving notification state:", err);
+            // Revert optimistic update
+            setNotificationState(previous);
+        }
+    };
+
+    const markNotificationRead = (key) => saveNotificationState([key], { readAt: new Date().toISOString() });
+
+    const markAllNotificationsRead = () => saveNotificationState(
+        notifications.filter(n => !n.read).map(n => n.key),
+        { readAt: new Date().toISOString() }
+    );
+
+    // Dismissed notifications stay hidden until the event changes (a new key)
+    const dismissNotification = (key) => saveNotificationState([key], { dismissedAt: new Date().toISOString() });
+
     // ==================== EXPENSES MANAGEMENT ====================
 
     /**
      * Adds a new expense record
-     * @param {Object} expense - Expense data (category, amount, date, description, unitId)
+     * With rebill set, the expense is also billed to the tenant of the unit as an
+     * extra charge for the month of the expense.
+     * @param {Object} expense - Expense data (category, amount, date, description, unitId, rebill)
      */
     const addExpense = async (expense) => {
         const tempId = crypto.randomUUID();
+        const currency = expense.currency || DEFAULT_CURRENCY;
 
         // Optimistic update
-        setExpenses([...expenses, { ...expense, id: tempId, user_id: user.id }]);
+        setExpenses([...expenses, { ...expense, currency, id: tempId, user_id: user.id }]);
 
         try {
             const payload = {
                 category: expense.category,
                 amount: expense.amount,
+                currency,
                 date: expense.date,
                 description: expense.description,
                 user_id: user.id,
@@ -489,8 +1438,21 @@ export const DataProvider = ({ children }) => {
 
             // Replace temp ID with real ID
             setExpenses(prev => prev.map(e =>
-                e.id === tempId ? { ...data[0], unitId: data[0].unit_id } : e
+                e.id === tempId ? mapExpenseFromDB(data[0]) : e
             ));
+
+            if (expense.rebill) {
+                await addCharge({
+                    unitId: expense.unitId,
+                    leaseId: getActiveLease(expense.unitId)?.id,
+                    forMonth: expense.date.slice(0, 7),
+                    category: chargeCategoryForExpense(expense.category),
+                    description: expense.description,
+                    amount: expense.amount,
+                    recurring: false,
+                    expenseId: data[0].id
+                });
+            }
         } catch (err) {
             console.error("Error adding expense:", err);
             // Revert optimistic update
@@ -499,10 +1461,13 @@ export const DataProvider = ({ children }) => {
     };
 
     /**
-     * Deletes an expense record
+     * Deletes an expense record, and the charge it was re-billed to the tenant with
      * @param {string} expenseId - Expense ID to delete
      */
     const deleteExpense = async (expenseId) => {
+        // Collected before the database unlinks them (expense_id is set to null)
+        const billed = charges.filter(c => c.expenseId === expenseId).map(c => c.id);
+
         try {
             const { error } = await supabase
                 .from('expenses')
@@ -515,45 +1480,265 @@ export const DataProvider = ({ children }) => {
         } catch (err) {
             console.error("Error deleting expense:", err);
             alert("Failed to delete expense.");
+            return;
+        }
+
+        if (billed.length === 0) return;
+
+        try {
+            const { error } = await supabase
+                .from('charges')
+                .delete()
+                .in('id', billed);
+
+            if (error) throw error;
+
+            setCharges(prev => prev.filter(c => !billed.includes(c.id)));
+        } catch (err) {
+            console.error("Error deleting re-billed charge:", err);
+            alert("The expense was deleted, but its charge to the tenant could not be deleted.");
+        }
+    };
+
+    // ==================== EXTRA CHARGES ====================
+
+    /**
+     * Extra charges of a lease (or of the legacy unit lease when leaseId is null)
+     * @param {string} unitId - Unit ID
+     * @param {string|null} leaseId - Lease ID
+     * @returns {Array} Charges, oldest first
+     */
+    const getLeaseCharges = (unitId, leaseId = null) => {
+        return charges
+            .filter(c => c.unitId === unitId && (c.leaseId || null) === (leaseId || null))
+            .sort((a, b) => a.forMonth.localeCompare(b.forMonth));
+    };
+
+    /**
+     * Adds an extra charge billed to the tenant (expensas, ABL, utilities...)
+     * @param {Object} charge - { unitId, leaseId, forMonth, category, description, amount, recurring, endMonth, expenseId }
+     */
+    const addCharge = async (charge) => {
+        const tempId = crypto.randomUUID();
+
+        // Optimistic update
+        setCharges(prev => [...prev, { ...charge, id: tempId }]);
+
+        try {
+            const { data, error } = await supabase
+                .from('charges')
+                .insert([mapChargeToDB(charge)])
+                .select();
+
+            if (error) throw error;
+
+            setCharges(prev => prev.map(c =>
+                c.id === tempId ? mapChargeFromDB(data[0]) : c
+            ));
+        } catch (err) {
+            console.error("Error adding charge:", err);
+            // Revert optimistic update
+            setCharges(prev => prev.filter(c => c.id !== tempId));
+        }
+    };
+
+    /**
+     * Deletes an extra charge
+     * @param {string} id - Charge ID
+     */
+    const deleteCharge = async (id) => {
+        try {
+            const { error } = await supabase
+                .from('charges')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            setCharges(prev => prev.filter(c => c.id !== id));
+        } catch (err) {
+            console.error("Error deleting charge:", err);
+            alert("Failed to delete charge.");
+        }
+    };
+
+    // ==================== EXCHANGE RATES ====================
+
+    /**
+     * Stored quote of a rate type in effect on a date (the latest on or before it)
+     * @param {string} date - Date (YYYY-MM-DD, default: today)
+     * @param {string} rateType - 'official' | 'mep'
+     * @returns {Object|null} { id, date, rateType, value, source }
+     */
+    const getExchangeRate = (date = new Date().toISOString().split('T')[0], rateType = DEFAULT_RATE_TYPE) => {
+        return findRate(exchangeRates, date, rateType);
+    };
+
+    /**
+     * Converts an amount to ARS at the stored rate of its date
+     * @param {number} amount - Amount
+     * @param {string} currency - 'ARS' | 'USD'
+     * @param {string} date - Date of the amount (default: today)
+     * @param {string} rateType - 'official' | 'mep'
+     * @returns {number|null} Amount in ARS, or null when no USD rate is stored up to that date
+     */
+    const convertToArs = (amount, currency, date, rateType = DEFAULT_RATE_TYPE) => {
+        return toArs(amount, currency, getExchangeRate(date, rateType));
+    };
+
+    /**
+     * Stores the quote of a date and rate type, replacing the one already stored
+     * @param {Object} rate - { date, rateType, value, source }
+     */
+    const addExchangeRate = async (rate) => {
+        const tempId = crypto.randomUUID();
+        const previous = exchangeRates;
+
+        // Optimistic update
+        setExchangeRates(prev => [
+            ...prev.filter(r => !(r.date === rate.date && r.rateType === rate.rateType)),
+            { ...rate, id: tempId }
+        ]);
+
+        try {
+            const { data, error } = await supabase
+                .from('exchange_rates')
+                .upsert([{
+                    date: rate.date,
+                    rate_type: rate.rateType,
+                    value: rate.value,
+                    source: rate.source || null,
+                    user_id: user.id
+                }], { onConflict: 'user_id,date,rate_type' })
+                .select();
+
+            if (error) throw error;
+
+            setExchangeRates(prev => prev.map(r =>
+                r.id === tempId ? mapExchangeRateFromDB(data[0]) : r
+            ));
+        } catch (err) {
+            console.error("Error saving exchange rate:", err);
+            // Revert optimistic update
+            setExchangeRates(previous);
+        }
+    };
+
+    /**
+     * Deletes a stored quote
+     * @param {string} id - Exchange rate ID
+     */
+    const deleteExchangeRate = async (id) => {
+        try {
+            const { error } = await supabase
+                .from('exchange_rates')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            setExchangeRates(prev => prev.filter(r => r.id !== id));
+        } catch (err) {
+            console.error("Error deleting exchange rate:", err);
+            alert("Failed to delete exchange rate.");
         }
     };
 
     // ==================== PAYMENTS MANAGEMENT ====================
 
     /**
-     * Records a rent payment for a specific month
+     * Payments recorded for a unit and month, oldest first
      * @param {string} unitId - Unit ID
      * @param {string} forMonth - Month in YYYY-MM format
-     * @param {string} customDate - Optional custom payment date (YYYY-MM-DD)
+     * @returns {Array}
+     */
+    const getMonthPayments = (unitId, forMonth) => {
+        return payments
+            .filter(p => p.unitId === unitId && p.forMonth === forMonth)
+            .sort((a, b) => (a.datePaid || '').localeCompare(b.datePaid || ''));
+    };
+
+    /**
+     * Rent and extra charges due, late interest, paid and outstanding for a unit and month (see lib/balance)
+     * @param {string} unitId - Unit ID
+     * @param {string} forMonth - Month in YYYY-MM format
+     * @returns {Object} Month balance (see getMonthBalance), with the extra charges billed (chargeItems) and the lease currency
      */
-    const markPaid = async (unitId, forMonth, customDate = null) => {
-        // Prevent duplicate payments for the same month
-        if (payments.find(p => p.unitId === unitId && p.forMonth === forMonth)) return;
+    const getUnitBalance = (unitId, forMonth) => {
+        const unit = units.find(u => u.id === unitId);
+        const lease = findLeaseForMonth(leases.filter(l => l.unitId === unitId), forMonth);
+        const due = getRentForMonth(unit, lease, getRentAdjustments(unitId), forMonth);
+        const chargeItems = getChargesForMonth(getLeaseCharges(unitId, lease?.id), forMonth);
+
+        const balance = getMonthBalance({
+            due,
+            charges: chargeItems.reduce((sum, c) => sum + Number(c.amount), 0),
+            payments: getMonthPayments(unitId, forMonth),
+            month: forMonth,
+            dueDay: lease?.dueDay,
+            lateFeeRule: getLateFeeRule(lease)
+        });
+        return { ...balance, chargeItems, currency: lease?.currency || DEFAULT_CURRENCY };
+    };
 
+    /**
+     * Ledger of a lease: rent and extra charges, payments received, running balance and arrears aging (see lib/ledger)
+     * @param {string} unitId - Unit ID
+     * @param {string} leaseId - Optional lease ID (default: the active lease, or the legacy unit lease)
+     * @returns {Object} { entries, charged, paid, balance, aging }
+     */
+    const getLedger = (unitId, leaseId = null) => {
+        const unit = units.find(u => u.id === unitId);
+        const lease = leaseId ? leases.find(l => l.id === leaseId) : getActiveLease(unitId);
+
+        return buildLedger({
+            unit,
+            lease: lease || null,
+            adjustments: getRentAdjustments(unitId),
+            payments: payments.filter(p => p.unitId === unitId),
+            charges: getLeaseCharges(unitId, lease?.id)
+        });
+    };
+
+    /**
+     * Records a rent payment (or one instalment of it) for a specific month
+     * @param {string} unitId - Unit ID
+     * @param {string} forMonth - Month in YYYY-MM format
+     * @param {string} customDate - Optional custom payment date (YYYY-MM-DD)
+     * @param {number} amount - Optional amount (default: the outstanding balance of the month)
+     * @param {number} chargesAmount - Optional part for extra charges (default: what is left after the rent, see allocatePayment)
+     */
+    const markPaid = async (unitId, forMonth, customDate = null, amount = null, chargesAmount = null) => {
         const unit = units.find(u => u.id === unitId);
         if (!unit) return;
 
-        // Use lease rent if available (fallback to legacy unit rent)
-        const activeLease = getActiveLease(unitId);
-        const rentAmount = activeLease ? activeLease.rentAmount : unit.rent;
+        // Default to settling the month; nothing to record when it is already paid
+        const balance = getUnitBalance(unitId, forMonth);
+        const paymentAmount = amount !== null ? Number(amount) : balance.outstanding;
+        if (!(paymentAmount > 0)) return;
 
         const paymentData = {
             unit_id: unitId,
             user_id: user.id,
             date_paid: customDate || new Date().toISOString().split('T')[0],
-            amount: rentAmount, // Snapshot current rent at time of payment
+            amount: paymentAmount,
+            charges_amount: chargesAmount !== null
+                ? Math.min(Number(chargesAmount), paymentAmount)
+                : allocatePayment(paymentAmount, balance),
+            currency: balance.currency,
             for_month: forMonth
         };
 
         const tempId = crypto.randomUUID();
 
         // Optimistic update
-        setPayments([...payments, {
+        setPayments(prev => [...prev, {
             ...paymentData,
             id: tempId,
             unitId: unitId,
             forMonth: forMonth,
-            datePaid: paymentData.date_paid
+            datePaid: paymentData.date_paid,
+            chargesAmount: paymentData.charges_amount
         }]);
 
         try {
@@ -566,12 +1751,7 @@ export const DataProvider = ({ children }) => {
 
             // Replace temp ID with real ID
             setPayments(prev => prev.map(p =>
-                p.id === tempId ? {
-                    ...data[0],
-                    unitId: data[0].unit_id,
-                    forMonth: data[0].for_month,
-                    datePaid: data[0].date_paid
-                } : p
+                p.id === tempId ? mapPaymentFromDB(data[0]) : p
             ));
         } catch (err) {
             console.error("Error recording payment:", err);
@@ -583,7 +1763,7 @@ export const DataProvider = ({ children }) => {
     /**
      * Updates an existing payment record
      * @param {string} id - Payment ID
-     * @param {Object} updates - Fields to update (datePaid, amount)
+     * @param {Object} updates - Fields to update (datePaid, amount, chargesAmount)
      */
     const updatePayment = async (id, updates) => {
         // Optimistic update
@@ -597,6 +1777,8 @@ export const DataProvider = ({ children }) => {
                 dbPayload.date_paid = updates.datePaid;
             if (updates.amount !== undefined)
                 dbPayload.amount = updates.amount;
+            if (updates.chargesAmount !== undefined)
+                dbPayload.charges_amount = updates.chargesAmount;
 
             const { error } = await supabase
                 .from('payments')
@@ -631,6 +1813,148 @@ export const DataProvider = ({ children }) => {
         }
     };
 
+    // ==================== RECEIPTS ====================
+
+    /**
+     * Receipt in force for a payment (the issued one; voided receipts are kept for the record)
+     * @param {string} paymentId - Payment ID
+     * @returns {Object|null} Receipt
+     */
+    const getPaymentReceipt = (paymentId) => {
+        return receipts.find(r => r.paymentId === paymentId && r.status === 'issued') || null;
+    };
+
+    /**
+     * What the receipt of a payment prints with the current data: the balance of the month
+     * left after it (and the instalments before it) and the month's late interest
+     * @param {Object} payment - Payment
+     * @param {Object} options - { ownerName, dateFormat, labels }
+     * @returns {Object} Snapshot (see buildReceiptSnapshot)
+     */
+    const buildPaymentReceipt = (payment, { ownerName, dateFormat, labels }) => {
+        const unit = units.find(u => u.id === payment.unitId);
+        const balance = getUnitBalance(payment.unitId, payment.forMonth);
+        const idx = balance.payments.findIndex(p => p.id === payment.id);
+        const paidSoFar = balance.payments
+            .slice(0, idx + 1)
+            .reduce((sum, p) => sum + Number(p.amount), 0);
+
+        return buildReceiptSnapshot({
+            payment,
+            unit,
+            outstanding: Math.max(0, balance.totalDue - paidSoFar),
+            lateFee: balance.lateFee,
+            ownerName,
+            dateFormat,
+            labels
+        });
+    };
+
+    /**
+     * Issues a receipt for a payment
+     * Not optimistic: the number is assigned by the database, which also checks the
+     * receipt is chained to the last one (another may be issued at the same time, then
+     * it is chained again).
+     * @param {Object} payment - Payment
+     * @param {Object} snapshot - What the receipt prints (see buildReceiptSnapshot)
+     * @param {Object} options - { pointOfSale, replacesId }
+     * @returns {Promise<Object|null>} The issued receipt, or null on error
+     */
+    const issueReceipt = async (payment, snapshot, { pointOfSale = DEFAULT_POINT_OF_SALE, replacesId = null } = {}) => {
+        try {
+            for (let attempt = 1; ; attempt++) {
+                // Chain to the last receipt of the point of sale (read from the database: local state
+                // lags behind when several receipts are issued in a row)
+                const { data: last, error: lastError } = await supabase
+                    .from('receipts')
+                    .select('hash')
+                    .eq('point_of_sale', pointOfSale)
+                    .order('number', { ascending: false })
+                    .limit(1);
+
+                if (lastError) throw lastError;
+
+                const previousHash = last?.[0]?.hash || '';
+                const hash = await hashReceipt(snapshot, previousHash);
+
+                const { data, error } = await supabase
+                    .from('receipts')
+                    .insert([{
+                        payment_id: payment.id,
+                        unit_id: payment.unitId,
+                        point_of_sale: pointOfSale,
+                        snapshot,
+                        hash,
+                        previous_hash: previousHash,
+                        replaces_id: replacesId,
+                        user_id: user.id
+                    }])
+                    .select();
+
+                if (error?.code === STALE_CHAIN_ERROR && attempt < ISSUE_ATTEMPTS) continue;
+                if (error) throw error;
+
+                const receipt = mapReceiptFromDB(data[0]);
+                setReceipts(prev => [...prev, receipt]);
+                return receipt;
+            }
+        } catch (err) {
+            console.error("Error issuing receipt:", err);
+            alert("Failed to issue receipt.");
+            return null;
+        }
+    };
+
+    /**
+     * Voids a receipt
+     * @param {string} id - Receipt ID
+     * @param {string} reason - Why it is voided
+     * @returns {Promise<boolean>} Whether it was voided
+     */
+    const voidReceipt = async (id, reason) => {
+        const voidedAt = new Date().toISOString();
+
+        // Optimistic update
+        setReceipts(prev => prev.map(r =>
+            r.id === id ? { ...r, status: 'void', voidReason: reason, voidedAt } : r
+        ));
+
+        try {
+            const { error } = await supabase
+                .from('receipts')
+                .update({ status: 'void', void_reason: reason, voided_at: voidedAt })
+                .eq('id', id);
+
+            if (error) throw error;
+            return true;
+        } catch (err) {
+            console.error("Error voiding receipt:", err);
+            alert("Failed to void receipt.");
+            // Revert optimistic update
+            setReceipts(prev => prev.map(r =>
+                r.id === id ? { ...r, status: 'issued', voidReason: null, voidedAt: null } : r
+            ));
+            return false;
+        }
+    };
+
+    /**
+     * Voids a receipt and issues a new one for the same payment that references it
+     * @param {Object} receipt - Receipt to replace
+     * @param {string} reason - Why it is replaced
+     * @param {Object} payment - Payment (current data)
+     * @param {Object} snapshot - What the new receipt prints
+     * @returns {Promise<Object|null>} The new receipt (null if the old one could not be voided)
+     */
+    const reissueReceipt = async (receipt, reason, payment, snapshot) => {
+        // A payment never has two issued receipts
+        if (!await voidReceipt(receipt.id, reason)) return null;
+        return issueReceipt(payment, { ...snapshot, replaces: receipt.formattedNumber }, {
+            pointOfSale: receipt.pointOfSale,
+            replacesId: receipt.id
+        });
+    };
+
     // ==================== MAINTENANCE MANAGEMENT ====================
 
     /**
@@ -739,6 +2063,17 @@ export const DataProvider = ({ children }) => {
         expenses,
         payments,
         maintenances,
+        rentAdjustments,
+        tenantNotices,
+        charges,
+        depositDeductions,
+        exchangeRates,
+        receipts,
+        documents,
+        emailLog,
+        reminderSettings,
+        sentNotifications,
+        notifications,
         addUnit,
         updateUnit,
         deleteUnit,
@@ -746,18 +2081,54 @@ export const DataProvider = ({ children }) => {
         addLease,
         updateLease,
         terminateLease,
+        renewLease,
         getActiveLease,
+        getDepositDeductions,
+        addDepositDeduction,
+        deleteDepositDeduction,
+        getDepositSettlement,
+        getRentAdjustments,
+        addRentAdjustment,
+        deleteRentAdjustment,
+        applyRentAdjustment,
+        revertRentAdjustment,
+        getTenantNotices,
+        logTenantNotice,
+        getLeaseDocuments,
+        addLeaseDocument,
+        deleteDocument,
+        getEmailLog,
+        sendEmail,
+        saveReminderSettings,
+        markNotificationRead,
+        markAllNotificationsRead,
+        dismissNotification,
         addExpense,
         deleteExpense,
+        getLeaseCharges,
+        addCharge,
+        deleteCharge,
+        getExchangeRate,
+        convertToArs,
+        addExchangeRate,
+        deleteExchangeRate,
+        getMonthPayments,
+        getUnitBalance,
+        getLedger,
         markPaid,
         updatePayment,
         deletePayment,
+        getPaymentReceipt,
+        buildPaymentReceipt,
+        issueReceipt,
+        voidReceipt,
+        reissueReceipt,
         addMaintenance,
         completeMaintenance,
         deleteMaintenance,
         loading
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }), [units, leases, expenses, payments, maintenances, loading]);
+    }), [units, leases, expenses, payments, maintenances, rentAdjustments, tenantNotices, charges, depositDeductions, exchangeRates, receipts, documents, emailLog, reminderSettings, sentNotifications, notifications, loading]);
 
     return (
         <DataContext.Provider value={value}>
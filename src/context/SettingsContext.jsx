@@ -1,4 +1,7 @@
 import React, { createContext, useContext, useState, useCallback } from 'react';
+import { DEFAULT_SCENARIO_BANDS } from '../lib/rentCalculator';
+import { DEFAULT_RATE_TYPE } from '../lib/currency';
+import { DEFAULT_POINT_OF_SALE } from '../lib/receipts';
 
 const STORAGE_KEY = 'propflow_settings';
 
@@ -6,7 +9,12 @@ const defaultSettings = {
     ownerName: '',
     dateFormat: 'dd/mm/yyyy', // 'dd/mm/yyyy' | 'mm/dd/yyyy'
     signatureDataUrl: null,
+    receiptPointOfSale: DEFAULT_POINT_OF_SALE, // Prefix of the receipt numbers (0001-...)
     language: 'es',
+    projectionScenarios: DEFAULT_SCENARIO_BANDS, // { optimistic, base, pessimistic } (see PROJECTION_SCENARIOS)
+    remCurve: [], // Imported market expectations: [{ date, value }] monthly rates
+    exchangeRateType: DEFAULT_RATE_TYPE, // Rate used to report USD amounts in ARS: 'official' | 'mep'
+    contractTemplates: { es: '', en: '' }, // Lease contract templates by language ('' = the default one, see lib/contracts)
 };
 
 const SettingsContext = createContext(null);
@@ -0,0 +1,225 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, waitFor, act } from '@testing-library/react';
+
+// Tables the provider loads, the writes it sends, the tables whose updates fail
+// and errors for the next inserts into a table
+const db = vi.hoisted(() => ({ tables: {}, updates: [], inserts: [], deletes: [], failing: [], insertErrors: [], user: { id: 'user-1' } }));
+
+// Query builder that ignores filters and resolves to the table's rows
+vi.mock('../../lib/supabase', () => ({
+    supabase: {
+        from: (table) => {
+            let error = null;
+            let data = db.tables[table] || [];
+            const query = {
+                select: () => query,
+                eq: () => query,
+                in: () => query,
+                order: () => query,
+                limit: () => query,
+                insert: (rows) => {
+                    db.inserts.push({ table, rows });
+                    const failure = db.insertErrors.find(e => e.table === table);
+                    if (failure) {
+                        db.insertErrors.splice(db.insertErrors.indexOf(failure), 1);
+                        error = failure.error;
+                    }
+                    data = rows.map((row, i) => ({ ...row, id: `${table}-${db.inserts.length}-${i}` }));
+                    return query;
+                },
+                delete: () => {
+                    db.deletes.push({ table });
+                    return query;
+                },
+                update: (payload) => {
+                    db.updates.push({ table, payload });
+                    if (db.failing.includes(table)) error = new Error('Update rejected');
+                    return query;
+                },
+                then: (resolve) => resolve({ data, error }),
+            };
+            return query;
+        },
+    },
+}));
+
+vi.mock('../AuthContext', () => ({
+    useAuth: () => ({ user: db.user }),
+}));
+
+vi.mock('../../lib/indexStore', () => ({
+    loadIndexData: () => Promise.resolve({ isFallback: false }),
+}));
+
+import { DataProvider, useData } from '../DataContext';
+
+const renderProvider = async () => {
+    const context = {};
+    const Consumer = () => {
+        Object.assign(context, useData());
+        return null;
+    };
+    render(<DataProvider><Consumer /></DataProvider>);
+    await waitFor(() => expect(context.leases).toHaveLength(db.tables.leases.length));
+    return context;
+};
+
+describe('DataProvider', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(window, 'alert').mockImplementation(() => {});
+        db.updates = [];
+        db.inserts = [];
+        db.deletes = [];
+        db.failing = [];
+        db.insertErrors = [];
+        db.tables = {
+            units: [{ id: 'u1', name: 'Unit 101', is_active: true }],
+            leases: [{
+                id: 'l1',
+                unit_id: 'u1',
+                tenant_name: 'Ana',
+                rent_amount: 1000,
+                currency: 'USD',
+                deposit_received_date: '2024-01-05',
+                start_date: '2024-01-01',
+                end_date: '2025-12-31',
+                status: 'ACTIVE',
+            }],
+        };
+    });
+
+    it('keeps the currency and deposit date of a lease on partial updates', async () => {
+        const context = await renderProvider();
+
+        await act(() => context.updateLease('l1', { rentAmount: 1100, lastIncrementDate: '2024-05-01' }));
+
+        const { payload } = db.updates.find(u => u.table === 'leases');
+        expect(payload).toMatchObject({ rent_amount: 1100, last_increment_date: '2024-05-01' });
+        expect(payload).not.toHaveProperty('currency');
+        expect(payload).not.toHaveProperty('deposit_received_date');
+    });
+
+    it('does not reissue a receipt that could not be voided', async () => {
+        db.tables.receipts = [{ id: 'r1', payment_id: 'p1', unit_id: 'u1', point_of_sale: 1, number: 1, snapshot: {}, status: 'issued' }];
+        db.failing = ['receipts'];
+        const context = await renderProvider();
+
+        const receipt = context.receipts[0];
+        const reissued = await act(() => context.reissueReceipt(receipt, 'Wrong amount', { id: 'p1', unitId: 'u1' }, {}));
+
+        expect(reissued).toBeNull();
+        expect(db.inserts.filter(i => i.table === 'receipts')).toEqual([]);
+        expect(context.receipts[0].status).toBe('issued');
+    });
+
+    it('chains a receipt again when another one was issued at the same time', async () => {
+        db.insertErrors = [{ table: 'receipts', error: { code: '40001', message: 'Receipt chain changed' } }];
+        const context = await renderProvider();
+
+        const receipt = await act(() => context.issueReceipt({ id: 'p1', unitId: 'u1' }, { amount: 1000 }));
+
+        expect(db.inserts.filter(i => i.table === 'receipts')).toHaveLength(2);
+        expect(receipt).not.toBeNull();
+    });
+
+    it('applies a manual amount to the lease, replacing the earlier amount for the same date', async () => {
+        db.tables.rent_adjustments = [{
+            id: 'a1', unit_id: 'u1', lease_id: 'l1', date: '2024-05-01',
+            old_rent: 1000, new_rent: 1200, percent_change: 20, is_manual: true
+        }];
+        const context = await renderProvider();
+
+        await act(() => context.applyRentAdjustment('u1', {
+            date: '2024-05-01', newRent: 1150, percentChange: 15, indexType: 'ipc', details: [], isManualOverride: true
+        }));
+
+        expect(db.deletes).toEqual([{ table: 'rent_adjustments' }]);
+        expect(db.inserts.find(i => i.table === 'rent_adjustments').rows[0]).toMatchObject({ old_rent: 1000, new_rent: 1150 });
+        expect(db.updates.find(u => u.table === 'leases').payload).toMatchObject({ rent_amount: 1150, last_increment_date: '2024-05-01' });
+        expect(context.leases[0]).toMatchObject({ rentAmount: 1150, currency: 'USD' });
+    });
+
+    it('moves the lease back to the previous rent when reverting an adjustment in effect', async () => {
+        db.tables.leases[0].rent_amount = 1200;
+        db.tables.rent_adjustments = [
+            { id: 'a0', unit_id: 'u1', lease_id: 'l1', date: '2024-01-01', old_rent: 900, new_rent: 1000, percent_change: 11.1, is_manual: false },
+            { id: 'a1', unit_id: 'u1', lease_id: 'l1', date: '2024-05-01', old_rent: 1000, new_rent: 1200, percent_change: 20, is_manual: true }
+        ];
+        const context = await renderProvider();
+
+        await act(() => context.revertRentAdjustment(context.getRentAdjustments('u1')[1]));
+
+        expect(db.deletes).toEqual([{ table: 'rent_adjustments' }]);
+        expect(db.updates.find(u => u.table === 'leases').payload).toMatchObject({ rent_amount: 1000, last_increment_date: '2024-01-01' });
+        expect(db.updates.find(u => u.table === 'units').payload).toMatchObject({ rent: 1000, last_increment_date: '2024-01-01' });
+    });
+
+    it('deletes the charge an expense was re-billed with', async () => {
+        db.tables.expenses = [{ id: 'e1', unit_id: 'u1', category: 'repairs', amount: 300, date: '2024-03-10' }];
+        db.tables.charges = [
+            { id: 'c1', unit_id: 'u1', lease_id: 'l1', for_month: '2024-03', category: 'other', amount: 300, expense_id: 'e1' },
+            { id: 'c2', unit_id: 'u1', lease_id: 'l1', for_month: '2024-03', category: 'expensas', amount: 50, expense_id: null }
+        ];
+        const context = await renderProvider();
+
+        await act(() => context.deleteExpense('e1'));
+
+        expect(db.deletes).toEqual([{ table: 'expenses' }, { table: 'charges' }]);
+        expect(context.charges.map(c => c.id)).toEqual(['c2']);
+    });
+
+    it('carries the recurring charges over to the renewal when asked to', async () => {
+        db.tables.charges = [
+            { id: 'c1', unit_id: 'u1', lease_id: 'l1', for_month: '2024-01', category: 'expensas', amount: 50, recurring: true, end_month: null },
+            { id: 'c2', unit_id: 'u1', lease_id: 'l1', for_month: '2024-02', category: 'other', amount: 30, recurring: false, end_month: null }
+        ];
+        const context = await renderProvider();
+
+        const leaseId = await act(() => context.renewLease('l1', {
+            unitId: 'u1', tenantName: 'Ana', rentAmount: 1500, currency: 'USD',
+            startDate: '2026-01-01', endDate: '2027-12-31', carryCharges: true
+        }));
+
+        const carried = db.inserts.filter(i => i.table === 'charges').map(i => i.rows[0]);
+        expect(carried).toEqual([expect.objectContaining({ lease_id: leaseId, for_month: '2026-01', category: 'expensas', amount: 50, recurring: true })]);
+        expect(db.inserts.find(i => i.table === 'leases').rows[0]).not.toHaveProperty('carry_charges');
+    });
+
+    it('settles the deposit over the whole renewal chain', async () => {
+        db.tables.leases = [
+            {
+                id: 'l0', unit_id: 'u1', tenant_name: 'Ana', rent_amount: 800, currency: 'ARS',
+                security_deposit: 1000, deposit_currency: 'ARS', deposit_indexed: true,
+                start_date: '2022-01-01', end_date: '2023-12-31', status: 'RENEWED'
+            },
+            {
+                ...db.tables.leases[0], currency: 'ARS', security_deposit: 1000, deposit_currency: 'ARS',
+                deposit_indexed: true, previous_lease_id: 'l0'
+            }
+        ];
+        db.tables.deposit_deductions = [
+            { id: 'd0', lease_id: 'l0', unit_id: 'u1', description: 'Paint', amount: 100 },
+            { id: 'd1', lease_id: 'l1', unit_id: 'u1', description: 'Window', amount: 50 }
+        ];
+        const context = await renderProvider();
+
+        const settlement = context.getDepositSettlement('l1');
+
+        expect(settlement.indexFactor).toBe(1.25);
+        expect(settlement.deductionsTotal).toBe(150);
+        expect(settlement.arrears).toBe(context.getLedger('u1', 'l0').balance + context.getLedger('u1', 'l1').balance);
+    });
+
+    it('does not revert an adjustment of the lease that was renewed', async () => {
+        db.tables.rent_adjustments = [
+            { id: 'a0', unit_id: 'u1', lease_id: 'l0', date: '2023-09-01', old_rent: 500, new_rent: 800, percent_change: 60, is_manual: true }
+        ];
+        const context = await renderProvider();
+
+        await act(() => context.revertRentAdjustment(context.getRentAdjustments('u1')[0]));
+
+        expect(db.deletes).toEqual([]);
+        expect(db.updates).toEqual([]);
+    });
+});
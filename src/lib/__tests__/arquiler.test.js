@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { buildIndexData } from '../arquiler';
+
+describe('buildIndexData', () => {
+    it('converts every arquiler monthly percentage to a decimal rate, small ones included', () => {
+        const data = buildIndexData([], {
+            ipc: [{ fecha: '2024-01', valor: 2.5 }, { fecha: '2024-02', valor: 0.8 }],
+            casa_propia: [['2024-01-01', 0.5]],
+            icl: [{ date: '2024-01-01', value: 4.5 }]
+        });
+
+        expect(data.ipc.map(p => [p.date, p.value])).toEqual([['2024-01-01', 0.025], ['2024-02-01', 0.008]]);
+        expect(data.casa_propia[0].value).toBe(0.005);
+        expect(data.icl[0].value).toBe(4.5);
+    });
+
+    it('prefers the INDEC series unless it is only the fallback', () => {
+        const indec = [{ date: '2024-01-01', value: 0.02, source: 'indec' }];
+        const arquiler = { ipc: [{ fecha: '2024-01', valor: 2.5 }] };
+
+        expect(buildIndexData(indec, arquiler).ipc).toBe(indec);
+        expect(buildIndexData([{ ...indec[0], source: 'fallback' }], arquiler).ipc[0].source).toBe('arquiler');
+    });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest';
+import { findLeaseForMonth, getRentForMonth, getMonthBalance, getDueDate, getLateFee, getLateFeeRule } from '../balance';
+
+const lease = { id: 'l1', startDate: '2025-01-01', endDate: '2026-12-31', rentAmount: 150000, status: 'ACTIVE' };
+
+describe('findLeaseForMonth', () => {
+    const previous = { id: 'l0', startDate: '2023-01-01', endDate: '2024-12-31', rentAmount: 80000, status: 'TERMINATED' };
+
+    it('returns the lease covering the month', () => {
+        expect(findLeaseForMonth([previous, lease], '2024-06')).toBe(previous);
+        expect(findLeaseForMonth([previous, lease], '2025-06')).toBe(lease);
+    });
+
+    it('returns null when no lease covers the month', () => {
+        expect(findLeaseForMonth([previous, lease], '2022-06')).toBeNull();
+    });
+});
+
+describe('getRentForMonth', () => {
+    const adjustments = [
+        { date: '2025-05-01', oldRent: 100000, newRent: 125000 },
+        { date: '2025-09-01', oldRent: 125000, newRent: 150000 },
+    ];
+
+    it('uses the rent in effect after the latest adjustment up to the month', () => {
+        expect(getRentForMonth({}, lease, adjustments, '2025-06')).toBe(125000);
+        expect(getRentForMonth({}, lease, adjustments, '2025-09')).toBe(150000);
+    });
+
+    it('uses the old rent of the first adjustment before it applies', () => {
+        expect(getRentForMonth({}, lease, adjustments, '2025-02')).toBe(100000);
+    });
+
+    it('uses the lease rent without adjustments', () => {
+        expect(getRentForMonth({}, lease, [], '2025-02')).toBe(150000);
+    });
+
+    it('is zero outside the lease', () => {
+        expect(getRentForMonth({}, lease, adjustments, '2024-12')).toBe(0);
+        expect(getRentForMonth({}, lease, adjustments, '2027-01')).toBe(0);
+    });
+
+    it('falls back to the legacy unit lease', () => {
+        const unit = { rent: 90000, leaseStart: '2025-01-01' };
+        expect(getRentForMonth(unit, null, [], '2025-03')).toBe(90000);
+    });
+});
+
+describe('getDueDate', () => {
+    it('uses the due day of the month', () => {
+        expect(getDueDate('2025-03')).toBe('2025-03-10');
+        expect(getDueDate('2025-03', 5)).toBe('2025-03-05');
+    });
+});
+
+describe('getMonthBalance', () => {
+    const today = new Date('2025-03-05T12:00:00Z');
+
+    it('sums several instalments for the month', () => {
+        const balance = getMonthBalance({
+            due: 150000,
+            payments: [{ amount: 50000, datePaid: '2025-03-04' }, { amount: '30000', datePaid: '2025-03-01' }],
+            month: '2025-03',
+            today
+        });
+
+        expect(balance.paid).toBe(80000);
+        expect(balance.outstanding).toBe(70000);
+        expect(balance.status).toBe('partial');
+        expect(balance.payments[0].datePaid).toBe('2025-03-01');
+    });
+
+    it('is paid when the instalments cover the rent', () => {
+        const balance = getMonthBalance({
+            due: 150000,
+            payments: [{ amount: 100000 }, { amount: 50000 }],
+            month: '2025-03',
+            today
+        });
+
+        expect(balance.status).toBe('paid');
+        expect(balance.outstanding).toBe(0);
+    });
+
+    it('is overdue after the due day with a balance outstanding', () => {
+        const later = new Date('2025-03-11T12:00:00Z');
+
+        expect(getMonthBalance({ due: 150000, payments: [], month: '2025-03', today: later }).status).toBe('overdue');
+        expect(getMonthBalance({ due: 150000, payments: [{ amount: 1000 }], month: '2025-03', today: later }).status).toBe('overdue');
+        expect(getMonthBalance({ due: 150000, payments: [], month: '2025-03', today }).status).toBe('pending');
+    });
+
+    it('is not overdue within the grace period', () => {
+        const lateFeeRule = { type: 'daily', rate: 0.1, amount: 0, graceDays: 5 };
+        const balance = (date) => getMonthBalance({ due: 150000, month: '2025-03', lateFeeRule, today: new Date(`${date}T12:00:00Z`) });
+
+        expect(balance('2025-03-15').status).toBe('pending');
+        expect(balance('2025-03-16').status).toBe('overdue');
+    });
+
+    it('clamps the due day to the end of the month', () => {
+        expect(getMonthBalance({ due: 1, month: '2025-02', dueDay: 31, today }).dueDate).toBe('2025-02-28');
+    });
+
+    it('has no status when nothing is due or paid', () => {
+        expect(getMonthBalance({ due: 0, payments: [], month: '2025-03', today }).status).toBe('none');
+    });
+});
+
+describe('getLateFee', () => {
+    const daily = { type: 'daily', rate: 0.1, amount: 0, graceDays: 0 };
+    const today = new Date('2025-03-20T12:00:00Z');
+
+    it('accrues daily interest on the unpaid rent up to today', () => {
+        const late = getLateFee({ due: 100000, payments: [], dueDate: '2025-03-10', rule: daily, today });
+
+        expect(late.amount).toBe(1000); // 10 days at 0.1%
+        expect(late.daysLate).toBe(10);
+        expect(late.accruedTo).toBe('2025-03-20');
+    });
+
+    it('stops the interest on the part covered by each late payment', () => {
+        const payments = [
+            { amount: 50000, datePaid: '2025-03-05' },
+            { amount: 50000, datePaid: '2025-03-15' }
+        ];
+        const late = getLateFee({ due: 100000, payments, dueDate: '2025-03-10', rule: daily, today });
+
+        expect(late.amount).toBe(250); // 50000 for 5 days
+        expect(late.accruedTo).toBe('2025-03-15');
+    });
+
+    it('starts after the grace period', () => {
+        const rule = { ...daily, graceDays: 5 };
+        const onTime = getLateFee({ due: 100000, payments: [{ amount: 100000, datePaid: '2025-03-15' }], dueDate: '2025-03-10', rule, today });
+
+        expect(onTime.amount).toBe(0);
+        expect(getLateFee({ due: 100000, payments: [], dueDate: '2025-03-10', rule, today }).amount).toBe(500);
+    });
+
+    it('charges a flat fee once', () => {
+        const rule = { type: 'flat', rate: 0, amount: 5000, graceDays: 0 };
+
+        expect(getLateFee({ due: 100000, payments: [], dueDate: '2025-03-10', rule, today }).amount).toBe(5000);
+        expect(getLateFee({ due: 100000, payments: [{ amount: 100000, datePaid: '2025-03-10' }], dueDate: '2025-03-10', rule, today }).amount).toBe(0);
+    });
+
+    it('reads the clause from the lease', () => {
+        expect(getLateFeeRule(null).type).toBe('none');
+        expect(getLateFeeRule({ lateFeeType: 'daily', lateFeeRate: '0.2', graceDays: 3 })).toEqual({ type: 'daily', rate: 0.2, amount: 0, graceDays: 3 });
+    });
+
+    it('is owed on top of the rent in the month balance', () => {
+        const balance = getMonthBalance({
+            due: 100000,
+            payments: [{ amount: 100000, datePaid: '2025-03-20' }],
+            month: '2025-03',
+            lateFeeRule: daily,
+            today
+        });
+
+        expect(balance.lateFee).toBe(1000);
+        expect(balance.outstanding).toBe(1000);
+        expect(balance.status).toBe('overdue');
+    });
+});
+
+describe('getMonthBalance with extra charges', () => {
+    const today = new Date('2025-03-05T12:00:00Z');
+
+    it('settles rent and charges separately', () => {
+        const balance = getMonthBalance({
+            due: 100000,
+            charges: 20000,
+            payments: [{ amount: 100000, chargesAmount: 0, datePaid: '2025-03-01' }],
+            month: '2025-03',
+            today
+        });
+
+        expect(balance.totalDue).toBe(120000);
+        expect(balance.rentOutstanding).toBe(0);
+        expect(balance.chargesOutstanding).toBe(20000);
+        expect(balance.outstanding).toBe(20000);
+        expect(balance.status).toBe('partial');
+    });
+
+    it('is due when there are only charges', () => {
+        expect(getMonthBalance({ due: 0, charges: 5000, payments: [], month: '2025-03', today }).status).toBe('pending');
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { getChargesForMonth, allocatePayment, chargeCategoryForExpense } from '../charges';
+
+describe('getChargesForMonth', () => {
+    const charges = [
+        { id: 'once', forMonth: '2025-03', recurring: false },
+        { id: 'monthly', forMonth: '2025-02', recurring: true, endMonth: '2025-04' },
+        { id: 'open', forMonth: '2025-04', recurring: true, endMonth: null }
+    ];
+
+    it('bills one-off charges in their month only', () => {
+        expect(getChargesForMonth(charges, '2025-03').map(c => c.id)).toEqual(['once', 'monthly']);
+    });
+
+    it('bills recurring charges until their end month', () => {
+        expect(getChargesForMonth(charges, '2025-05').map(c => c.id)).toEqual(['open']);
+        expect(getChargesForMonth(charges, '2025-01')).toEqual([]);
+    });
+});
+
+describe('allocatePayment', () => {
+    it('settles the rent before the charges', () => {
+        expect(allocatePayment(80000, { rentOutstanding: 100000, chargesOutstanding: 20000 })).toBe(0);
+        expect(allocatePayment(110000, { rentOutstanding: 100000, chargesOutstanding: 20000 })).toBe(10000);
+    });
+
+    it('keeps anything beyond both on the rent', () => {
+        expect(allocatePayment(150000, { rentOutstanding: 100000, chargesOutstanding: 20000 })).toBe(20000);
+    });
+});
+
+describe('chargeCategoryForExpense', () => {
+    it('maps expense categories to charge categories', () => {
+        expect(chargeCategoryForExpense('taxes')).toBe('abl');
+        expect(chargeCategoryForExpense('utilities')).toBe('utilities');
+        expect(chargeCategoryForExpense('maintenance')).toBe('other');
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import i18n from 'i18next';
+import en from '../../locales/en.json';
+import es from '../../locales/es.json';
+import { DEFAULT_CONTRACT_TEMPLATES, getContractTemplate, getContractValues, fillTemplate } from '../contracts';
+import { DEFAULT_DUE_DAY } from '../balance';
+import { DEFAULT_FREQUENCY_MONTHS } from '../rentCalculator';
+
+const translator = i18n.createInstance();
+translator.init({ resources: { en: { translation: en }, es: { translation: es } }, lng: 'en', interpolation: { escapeValue: false } });
+
+const unit = { id: 'u1', name: 'Unit 101' };
+
+const lease = {
+    id: 'l1',
+    unitId: 'u1',
+    tenantName: 'Ana',
+    tenantEmail: 'ana@example.com',
+    rentAmount: 100000,
+    currency: 'ARS',
+    securityDeposit: 1000,
+    depositCurrency: 'USD',
+    startDate: '2024-03-01',
+    endDate: '2026-02-28',
+    indexType: 'icl',
+    adjustmentFrequency: 6,
+    dueDay: 5
+};
+
+describe('getContractValues', () => {
+    it('fills the lease data in the language of the contract', () => {
+        const values = getContractValues({ unit, lease, ownerName: 'Juan', t: translator.getFixedT('es'), today: '2024-02-20' });
+
+        expect(values).toMatchObject({
+            owner_name: 'Juan',
+            tenant_name: 'Ana',
+            unit: 'Unit 101',
+            rent: '$ 100.000',
+            deposit: 'US$ 1.000',
+            due_day: '5',
+            start_date: '1/3/2024',
+            end_date: '28/2/2026',
+            index: 'ICL (Ley de Alquileres 2020)',
+            adjustment_frequency: 'cada 6 meses',
+            date: '20/2/2024'
+        });
+    });
+
+    it('names fixed adjustments with their rate and assumes the default term without an end date', () => {
+        const values = getContractValues({
+            unit,
+            lease: { ...lease, indexType: 'fixed', incrementPercentage: 5, endDate: null },
+            dateFormat: 'mm/dd/yyyy',
+            t: translator.getFixedT('en')
+        });
+
+        expect(values.index).toBe('Fixed percentage (5%)');
+        expect(values.end_date).toBe('2/28/2026');
+    });
+
+    it('uses the due day and adjustment frequency the balance and schedule default to', () => {
+        const values = getContractValues({
+            unit,
+            lease: { ...lease, dueDay: null, adjustmentFrequency: null },
+            t: translator.getFixedT('en')
+        });
+
+        expect(values.due_day).toBe(String(DEFAULT_DUE_DAY));
+        expect(values.adjustment_frequency).toBe(`every ${DEFAULT_FREQUENCY_MONTHS} months`);
+    });
+});
+
+describe('fillTemplate', () => {
+    it('replaces known placeholders and keeps unknown ones', () => {
+        expect(fillTemplate('{{tenant_name}} rents {{ unit }} ({{typo}})', { tenant_name: 'Ana', unit: 'Unit 101' }))
+            .toBe('Ana rents Unit 101 ({{typo}})');
+    });
+});
+
+describe('getContractTemplate', () => {
+    it('uses the default template of a language unless the owner wrote one', () => {
+        expect(getContractTemplate({ es: '', en: 'Custom {{tenant_name}}' }, 'es')).toBe(DEFAULT_CONTRACT_TEMPLATES.es);
+        expect(getContractTemplate({ es: '', en: 'Custom {{tenant_name}}' }, 'en')).toBe('Custom {{tenant_name}}');
+        expect(getContractTemplate(undefined, 'en')).toBe(DEFAULT_CONTRACT_TEMPLATES.en);
+    });
+});
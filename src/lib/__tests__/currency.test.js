@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { findRate, toArs, sumInArs } from '../currency';
+
+const rates = [
+    { date: '2025-03-01', rateType: 'mep', value: 1200 },
+    { date: '2025-03-10', rateType: 'mep', value: 1250 },
+    { date: '2025-03-05', rateType: 'official', value: 1080 },
+];
+
+describe('findRate', () => {
+    it('returns the latest quote of the type on or before the date', () => {
+        expect(findRate(rates, '2025-03-09', 'mep').value).toBe(1200);
+        expect(findRate(rates, '2025-03-10', 'mep').value).toBe(1250);
+        expect(findRate(rates, '2025-04-01', 'official').value).toBe(1080);
+    });
+
+    it('returns null when there is no quote up to the date', () => {
+        expect(findRate(rates, '2025-02-28', 'mep')).toBeNull();
+        expect(findRate([], '2025-03-01', 'official')).toBeNull();
+    });
+});
+
+describe('toArs', () => {
+    it('leaves ARS amounts as they are', () => {
+        expect(toArs(1000, 'ARS')).toBe(1000);
+        expect(toArs(1000, undefined)).toBe(1000);
+    });
+
+    it('converts USD at the rate', () => {
+        expect(toArs(500, 'USD', { value: 1250 })).toBe(625000);
+    });
+
+    it('returns null for USD without a rate', () => {
+        expect(toArs(500, 'USD', null)).toBeNull();
+    });
+});
+
+describe('sumInArs', () => {
+    it('sums mixed currencies in ARS', () => {
+        const items = [{ amount: 100000, currency: 'ARS' }, { amount: 100, currency: 'USD' }];
+        expect(sumInArs(items, { value: 1200 })).toEqual({ total: 220000, missingRate: false });
+    });
+
+    it('converts each amount at its own rate', () => {
+        const items = [{ amount: 100, currency: 'USD', date: '2024-01-10' }, { amount: 100, currency: 'USD', date: '2024-06-10' }];
+        const rates = [{ date: '2024-01-01', rateType: 'mep', value: 1000 }, { date: '2024-06-01', rateType: 'mep', value: 1300 }];
+        expect(sumInArs(items, item => findRate(rates, item.date))).toEqual({ total: 230000, missingRate: false });
+    });
+
+    it('flags USD amounts left out for lack of a rate', () => {
+        const items = [{ amount: 100000, currency: 'ARS' }, { amount: 100, currency: 'USD' }];
+        expect(sumInArs(items, null)).toEqual({ total: 100000, missingRate: true });
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { computeSettlement } from '../deposit';
+
+describe('computeSettlement', () => {
+    it('refunds the deposit minus deductions and arrears', () => {
+        const settlement = computeSettlement({
+            deposit: 200000,
+            deductions: [{ amount: 30000 }, { amount: '20000' }],
+            arrears: 50000
+        });
+
+        expect(settlement.deductionsTotal).toBe(50000);
+        expect(settlement.refund).toBe(100000);
+        expect(settlement.owedByTenant).toBe(0);
+    });
+
+    it('indexes the refund to the last rent', () => {
+        const settlement = computeSettlement({ deposit: 200000, indexed: true, initialRent: 200000, lastRent: 500000 });
+
+        expect(settlement.indexFactor).toBe(2.5);
+        expect(settlement.refund).toBe(500000);
+    });
+
+    it('does not index foreign currency deposits and converts them', () => {
+        const settlement = computeSettlement({
+            deposit: 1000,
+            currency: 'USD',
+            indexed: true,
+            initialRent: 100,
+            lastRent: 200,
+            exchangeRate: 1200
+        });
+
+        expect(settlement.refundableDeposit).toBe(1000);
+        expect(settlement.refundableDepositArs).toBe(1200000);
+    });
+
+    it('reports what the tenant owes when deductions exceed the deposit', () => {
+        const settlement = computeSettlement({ deposit: 100000, deductions: [{ amount: 80000 }], arrears: 60000 });
+
+        expect(settlement.refund).toBe(0);
+        expect(settlement.owedByTenant).toBe(40000);
+    });
+
+    it('ignores a credit in favour of the tenant as arrears', () => {
+        expect(computeSettlement({ deposit: 100000, arrears: -20000 }).refund).toBe(100000);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const upsert = vi.fn();
+const select = vi.fn();
+
+vi.mock('../supabase', () => ({
+    supabase: { from: () => ({ select, upsert }) },
+}));
+vi.mock('../indec', () => ({ fetchIPCData: vi.fn() }));
+vi.mock('../arquiler', async (importOriginal) => ({
+    ...(await importOriginal()),
+    fetchArquilerData: vi.fn(),
+}));
+
+import { fetchIPCData } from '../indec';
+import { fetchArquilerData } from '../arquiler';
+import { toIndexRows, indexDataFromRows, loadIndexData, parseIndexTable } from '../indexStore';
+
+const row = (index_type, date, value, source, fetched_at = '2025-01-10T00:00:00Z') =>
+    ({ index_type, date, value, source, fetched_at });
+
+describe('indexStore', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        upsert.mockResolvedValue({ error: null });
+    });
+
+    it('keeps the most trusted source for each date', () => {
+        const data = indexDataFromRows([
+            row('ipc', '2024-02-01', 0.13, 'arquiler'),
+            row('ipc', '2024-02-01', 0.132, 'indec'),
+            row('ipc', '2024-01-01', 0.206, 'arquiler'),
+        ]);
+
+        expect(data.ipc).toEqual([
+            { date: '2024-01-01', value: 0.206, source: 'arquiler', fetchedAt: '2025-01-10T00:00:00Z' },
+            { date: '2024-02-01', value: 0.132, source: 'indec', fetchedAt: '2025-01-10T00:00:00Z' },
+        ]);
+        expect(data.icl).toEqual([]);
+    });
+
+    it('never stores fallback values', () => {
+        const rows = toIndexRows({
+            ipc: [{ date: '2024-01-01', value: 0.2, source: 'fallback' }],
+            icl: [{ date: '2024-01-02', value: 10, source: 'arquiler' }],
+        }, '2025-01-10T00:00:00Z');
+
+        expect(rows).toEqual([row('icl', '2024-01-02', 10, 'arquiler')]);
+    });
+
+    it('uses fresh stored values without calling the APIs', async () => {
+        select.mockResolvedValue({ data: [row('ipc', '2024-01-01', 0.2, 'indec', new Date().toISOString())], error: null });
+
+        const { indexData, usingFallback } = await loadIndexData();
+
+        expect(fetchIPCData).not.toHaveBeenCalled();
+        expect(indexData.ipc).toHaveLength(1);
+        expect(usingFallback).toBe(false);
+    });
+
+    it('refreshes stale values from the APIs and stores them', async () => {
+        select.mockResolvedValue({ data: [row('ipc', '2024-01-01', 0.2, 'indec', '2020-01-01T00:00:00Z')], error: null });
+        fetchIPCData.mockResolvedValue([{ date: '2024-02-01', value: 0.13, source: 'indec' }]);
+        fetchArquilerData.mockResolvedValue(null);
+
+        const { indexData } = await loadIndexData();
+
+        expect(upsert).toHaveBeenCalledWith(
+            [expect.objectContaining({ index_type: 'ipc', date: '2024-02-01', source: 'indec' })],
+            { onConflict: 'user_id,index_type,date,source' }
+        );
+        expect(indexData.ipc.map(p => p.date)).toEqual(['2024-01-01', '2024-02-01']);
+    });
+
+    it('flags the hardcoded fallback when nothing else is available', async () => {
+        select.mockResolvedValue({ data: [], error: null });
+        fetchIPCData.mockResolvedValue([{ date: '2025-01-01', value: 0.022, source: 'fallback' }]);
+        fetchArquilerData.mockResolvedValue(null);
+
+        const { indexData, usingFallback } = await loadIndexData();
+
+        expect(usingFallback).toBe(true);
+        expect(indexData.ipc[0].source).toBe('fallback');
+        expect(upsert).not.toHaveBeenCalled();
+    });
+});
+
+describe('parseIndexTable', () => {
+    it('reads TSV pasted from the INDEC spreadsheet with a header and decimal commas', () => {
+        const { points, errors } = parseIndexTable('Período\tVariación\n2024-01\t20,6\n2024-02\t13,2\n', 'ipc');
+
+        expect(errors).toEqual([]);
+        expect(points.map(p => p.date)).toEqual(['2024-01-01', '2024-02-01']);
+        expect(points[0].value).toBeCloseTo(0.206);
+    });
+
+    it('reads CSV with several date formats', () => {
+        const { points } = parseIndexTable('01/2024,4.5\nfeb-24,"3,1"\n2024-03-15;2,5%', 'casa_propia');
+
+        expect(points.map(p => p.date)).toEqual(['2024-01-01', '2024-02-01', '2024-03-01']);
+        expect(points.map(p => +(p.value * 100).toFixed(2))).toEqual([4.5, 3.1, 2.5]);
+    });
+
+    it('keeps levels as-is and the day for daily indices', () => {
+        const { points } = parseIndexTable('02/01/2024;1.234,56', 'icl');
+        expect(points).toEqual([{ date: '2024-01-02', value: 1234.56 }]);
+    });
+
+    it('reports lines that cannot be read', () => {
+        const { points, errors } = parseIndexTable('2024-01\t2\nbad line\n2024-13\t1', 'ipc');
+        expect(points).toHaveLength(1);
+        expect(errors).toEqual([2, 3]);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { buildLedger, getAging } from '../ledger';
+
+const lease = { id: 'l1', startDate: '2025-01-01', endDate: '2026-12-31', rentAmount: 100000, status: 'ACTIVE' };
+const today = new Date('2025-04-05T12:00:00Z');
+
+describe('buildLedger', () => {
+    it('charges rent every month up to the current one', () => {
+        const ledger = buildLedger({ unit: {}, lease, today });
+
+        expect(ledger.entries.map(e => e.date)).toEqual(['2025-01-10', '2025-02-10', '2025-03-10', '2025-04-10']);
+        expect(ledger.charged).toBe(400000);
+        expect(ledger.balance).toBe(400000);
+    });
+
+    it('uses the rent in effect each month', () => {
+        const adjustments = [{ date: '2025-03-01', oldRent: 100000, newRent: 120000 }];
+        const ledger = buildLedger({ unit: {}, lease, adjustments, today });
+
+        expect(ledger.entries.map(e => e.debit)).toEqual([100000, 100000, 120000, 120000]);
+    });
+
+    it('stops charging at the lease end', () => {
+        const ended = { ...lease, endDate: '2025-02-28', status: 'TERMINATED' };
+        expect(buildLedger({ unit: {}, lease: ended, today }).entries).toHaveLength(2);
+    });
+
+    it('keeps a running balance across charges and payments', () => {
+        const payments = [
+            { id: 'p1', amount: 100000, datePaid: '2025-01-08', forMonth: '2025-01' },
+            { id: 'p2', amount: 60000, datePaid: '2025-02-10', forMonth: '2025-02' },
+            { id: 'p3', amount: 50000, datePaid: '2024-12-20', forMonth: '2024-12' }
+        ];
+        const ledger = buildLedger({ unit: {}, lease, payments, today });
+
+        expect(ledger.entries.slice(0, 4).map(e => [e.type, e.balance])).toEqual([
+            ['payment', -100000],
+            ['rent', 0],
+            ['rent', 100000],
+            ['payment', 40000]
+        ]);
+        // The December payment belongs to another lease
+        expect(ledger.paid).toBe(160000);
+        expect(ledger.balance).toBe(240000);
+    });
+
+    it('bills extra charges in their months', () => {
+        const charges = [
+            { id: 'c1', forMonth: '2025-02', recurring: false, category: 'abl', amount: 8000 },
+            { id: 'c2', forMonth: '2025-03', recurring: true, endMonth: null, category: 'expensas', amount: 15000 }
+        ];
+        const ledger = buildLedger({ unit: {}, lease, charges, today });
+        const billed = ledger.entries.filter(e => e.type === 'charge');
+
+        expect(billed.map(e => [e.month, e.category, e.date])).toEqual([
+            ['2025-02', 'abl', '2025-02-10'],
+            ['2025-03', 'expensas', '2025-03-10'],
+            ['2025-04', 'expensas', '2025-04-10']
+        ]);
+        expect(ledger.balance).toBe(438000);
+    });
+
+    it('charges late interest only on the rent part of payments', () => {
+        const withInterest = { ...lease, endDate: '2025-01-31', lateFeeType: 'daily', lateFeeRate: 0.1 };
+        const charges = [{ id: 'c1', forMonth: '2025-01', recurring: false, category: 'expensas', amount: 20000 }];
+        const payments = [{ id: 'p1', amount: 120000, chargesAmount: 20000, datePaid: '2025-01-10', forMonth: '2025-01' }];
+        const ledger = buildLedger({ unit: {}, lease: withInterest, charges, payments, today });
+
+        expect(ledger.entries.some(e => e.type === 'late_fee')).toBe(false);
+        expect(ledger.balance).toBe(0);
+    });
+
+    it('charges late interest on the lease due day', () => {
+        const withInterest = { ...lease, dueDay: 5, lateFeeType: 'daily', lateFeeRate: 0.1 };
+        const payments = [{ id: 'p1', amount: 100000, datePaid: '2025-01-15', forMonth: '2025-01' }];
+        const ledger = buildLedger({ unit: {}, lease: { ...withInterest, endDate: '2025-01-31' }, payments, today });
+
+        expect(ledger.entries.map(e => [e.type, e.date, e.debit || e.credit])).toEqual([
+            ['rent', '2025-01-05', 100000],
+            ['late_fee', '2025-01-15', 1000],
+            ['payment', '2025-01-15', 100000]
+        ]);
+        expect(ledger.balance).toBe(1000);
+    });
+
+    it('falls back to the legacy unit lease', () => {
+        const unit = { rent: 90000, leaseStart: '2025-03-01' };
+        expect(buildLedger({ unit, lease: null, today }).charged).toBe(180000);
+    });
+
+    it('is empty without a lease', () => {
+        expect(buildLedger({ unit: {}, lease: null, today })).toMatchObject({ entries: [], balance: 0 });
+    });
+});
+
+describe('getAging', () => {
+    const charges = [
+        { date: '2024-12-10', amount: 100000 },
+        { date: '2025-01-10', amount: 100000 },
+        { date: '2025-02-10', amount: 100000 },
+        { date: '2025-03-10', amount: 100000 },
+        { date: '2025-04-10', amount: 100000 }
+    ];
+
+    it('groups unpaid charges by days past due', () => {
+        const aging = getAging(charges, 0, '2025-04-05');
+
+        expect(aging.buckets).toEqual({ '0-30': 100000, '31-60': 100000, '61-90': 100000, '90+': 100000 });
+        expect(aging.overdue).toBe(400000);
+        expect(aging.notDue).toBe(100000);
+    });
+
+    it('applies payments to the oldest charges first', () => {
+        const aging = getAging(charges, 150000, '2025-04-05');
+
+        expect(aging.buckets).toEqual({ '0-30': 100000, '31-60': 100000, '61-90': 50000, '90+': 0 });
+    });
+
+    it('has no arrears when everything is paid', () => {
+        expect(getAging(charges, 500000, '2025-04-05')).toMatchObject({ overdue: 0, notDue: 0 });
+    });
+});
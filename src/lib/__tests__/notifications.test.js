@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { collectNotifications, mergeNotificationState, getNotificationLink } from '../notifications';
+
+const unit = { id: 'u1', name: 'Unit 101', isActive: true };
+
+const lease = {
+    id: 'l1',
+    unitId: 'u1',
+    tenantName: 'Ana',
+    rentAmount: 100000,
+    startDate: '2024-01-01',
+    endDate: '2025-12-31',
+    indexType: 'ipc',
+    adjustmentFrequency: 4,
+    dueDay: 10,
+    currency: 'ARS',
+    status: 'ACTIVE'
+};
+
+const paidFebruary = [{ unitId: 'u1', forMonth: '2024-02', amount: 100000, datePaid: '2024-02-05' }];
+
+describe('collectNotifications', () => {
+    it('flags rent as soon as it is overdue and links to the unit on the overview', () => {
+        expect(collectNotifications({ units: [unit], leases: [lease], payments: paidFebruary, today: '2024-03-10' })).toEqual([]);
+
+        const [notification] = collectNotifications({ units: [unit], leases: [lease], payments: paidFebruary, today: '2024-03-11' });
+        expect(notification).toMatchObject({
+            key: 'rent_overdue:l1:2024-03',
+            type: 'rent_overdue',
+            unitId: 'u1',
+            days: 1,
+            link: '/?unit=u1'
+        });
+    });
+
+    it('collects upcoming adjustments and maintenance due soon or overdue', () => {
+        const payments = [...paidFebruary, { unitId: 'u1', forMonth: '2024-04', amount: 100000, datePaid: '2024-04-01' }];
+        const maintenances = [
+            { id: 'm1', unitId: 'u1', title: 'Boiler', nextDue: '2024-04-01' },
+            { id: 'm2', unitId: 'u1', title: 'Roof', nextDue: '2024-05-05' },
+            { id: 'm3', unitId: 'u1', title: 'Paint', nextDue: '2024-08-01' }
+        ];
+        const notifications = collectNotifications({ units: [unit], leases: [lease], payments, maintenances, today: '2024-04-15' });
+
+        expect(notifications.map(n => [n.key, n.link])).toEqual([
+            ['rent_overdue:l1:2024-03', '/?unit=u1'],
+            ['adjustment_upcoming:l1:2024-05-01', '/increments?unit=u1'],
+            ['maintenance_overdue:m1:2024-04-01', '/maintenance?unit=u1'],
+            ['maintenance_due:m2:2024-05-05', '/maintenance?unit=u1']
+        ]);
+    });
+
+    it('warns about fallback IPC values only while a lease is adjusted by IPC', () => {
+        const rentless = { units: [], today: '2024-03-05' };
+        expect(collectNotifications({ ...rentless, leases: [lease], indexFallback: true }).map(n => n.key))
+            .toEqual(['index_fallback:2024-03']);
+        expect(collectNotifications({ ...rentless, leases: [{ ...lease, indexType: 'icl' }], indexFallback: true })).toEqual([]);
+        expect(getNotificationLink({ type: 'index_fallback' })).toBe('/indices');
+    });
+});
+
+describe('mergeNotificationState', () => {
+    it('hides dismissed notifications and lists unread ones first', () => {
+        const active = [
+            { key: 'a', date: '2024-03-01' },
+            { key: 'b', date: '2024-03-02' },
+            { key: 'c', date: '2024-03-03' }
+        ];
+        const stored = [
+            { key: 'a', readAt: '2024-03-05T10:00:00Z', dismissedAt: null, createdAt: '2024-03-01T10:00:00Z' },
+            { key: 'b', readAt: null, dismissedAt: '2024-03-05T10:00:00Z', createdAt: '2024-03-02T10:00:00Z' }
+        ];
+
+        expect(mergeNotificationState(active, stored).map(n => [n.key, n.read])).toEqual([['c', false], ['a', true]]);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { formatReceiptNumber, buildReceiptSnapshot, hashReceipt, verifyReceiptChain } from '../receipts';
+
+const payment = { id: 'p1', amount: 150000, chargesAmount: 20000, currency: 'ARS', datePaid: '2025-03-08', forMonth: '2025-03' };
+const unit = { name: 'Depto 1A', tenant: 'Ana Pérez' };
+
+describe('formatReceiptNumber', () => {
+    it('pads point of sale and number', () => {
+        expect(formatReceiptNumber(1, 42)).toBe('0001-00000042');
+        expect(formatReceiptNumber(12, 12345678)).toBe('0012-12345678');
+    });
+});
+
+describe('buildReceiptSnapshot', () => {
+    it('freezes what the receipt prints', () => {
+        const snapshot = buildReceiptSnapshot({ payment, unit, outstanding: 5000, lateFee: 300, dateIssued: '2025-03-08' });
+        expect(snapshot).toMatchObject({
+            unitName: 'Depto 1A',
+            tenant: 'Ana Pérez',
+            forMonth: '2025-03',
+            amount: 150000,
+            chargesAmount: 20000,
+            currency: 'ARS',
+            outstanding: 5000,
+            lateFee: 300,
+            replaces: null
+        });
+    });
+});
+
+describe('hashReceipt', () => {
+    it('is stable regardless of key order and depends on the previous hash', async () => {
+        const a = await hashReceipt({ amount: 1, forMonth: '2025-03' }, 'abc');
+        const b = await hashReceipt({ forMonth: '2025-03', amount: 1 }, 'abc');
+        const c = await hashReceipt({ amount: 1, forMonth: '2025-03' }, '');
+        expect(a).toBe(b);
+        expect(a).not.toBe(c);
+        expect(a).toMatch(/^[0-9a-f]{64}$/);
+    });
+});
+
+describe('verifyReceiptChain', () => {
+    const buildChain = async () => {
+        const first = { id: 'r1', number: 1, snapshot: { amount: 100 }, previousHash: '' };
+        first.hash = await hashReceipt(first.snapshot, '');
+        const second = { id: 'r2', number: 2, snapshot: { amount: 200 }, previousHash: first.hash };
+        second.hash = await hashReceipt(second.snapshot, first.hash);
+        return [first, second];
+    };
+
+    it('accepts an untouched chain', async () => {
+        expect(await verifyReceiptChain(await buildChain())).toEqual([]);
+    });
+
+    it('flags a receipt whose snapshot was changed', async () => {
+        const [first, second] = await buildChain();
+        first.snapshot = { amount: 90 };
+        expect(await verifyReceiptChain([first, second])).toEqual(['r1']);
+    });
+
+    it('flags the receipt after a missing one', async () => {
+        const [, second] = await buildChain();
+        expect(await verifyReceiptChain([second])).toEqual(['r2']);
+    });
+});
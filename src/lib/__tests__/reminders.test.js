@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateReminders, getReminderRules, DEFAULT_REMINDER_RULES } from '../reminders';
+
+const unit = { id: 'u1', name: 'Unit 101', isActive: true };
+
+const lease = {
+    id: 'l1',
+    unitId: 'u1',
+    tenantName: 'Ana',
+    tenantEmail: 'ana@example.com',
+    rentAmount: 100000,
+    startDate: '2024-01-01',
+    endDate: '2025-12-31',
+    indexType: 'ipc',
+    adjustmentFrequency: 4,
+    dueDay: 10,
+    currency: 'ARS',
+    status: 'ACTIVE'
+};
+
+const evaluate = (overrides = {}) => evaluateReminders({
+    units: [unit],
+    leases: [lease],
+    rules: getReminderRules({
+        adjustment_upcoming: { enabled: false },
+        lease_expiring: { enabled: false }
+    }),
+    ...overrides
+});
+
+describe('getReminderRules', () => {
+    it('fills in the defaults and keeps maintenance owner-only', () => {
+        const rules = getReminderRules({ rent_overdue: { days: '3' }, maintenance_overdue: { notifyTenant: true } });
+        expect(rules.rent_overdue).toEqual({ ...DEFAULT_REMINDER_RULES.rent_overdue, days: 3 });
+        expect(rules.lease_expiring).toEqual(DEFAULT_REMINDER_RULES.lease_expiring);
+        expect(rules.maintenance_overdue.notifyTenant).toBe(false);
+    });
+});
+
+describe('evaluateReminders', () => {
+    it('flags rent still unpaid N days after the due day, once per month', () => {
+        const payments = [{ unitId: 'u1', forMonth: '2024-02', amount: 100000, datePaid: '2024-02-05' }];
+        expect(evaluate({ payments, today: '2024-03-14' })).toEqual([]); // 4 days late, rule is 5
+
+        const [reminder] = evaluate({ payments, today: '2024-03-15' });
+        expect(reminder).toMatchObject({
+            rule: 'rent_overdue',
+            key: 'rent_overdue:l1:2024-03',
+            date: '2024-03-10',
+            days: 5,
+            tenantEmail: 'ana@example.com',
+            data: { unitName: 'Unit 101', month: '2024-03', outstanding: 100000 }
+        });
+    });
+
+    it('also checks the previous month and skips paid months', () => {
+        const payments = [{ unitId: 'u1', forMonth: '2024-03', amount: 100000, datePaid: '2024-03-08' }];
+        const reminders = evaluate({ payments, today: '2024-04-02' });
+        expect(reminders).toEqual([]);
+
+        const unpaid = evaluate({ today: '2024-04-02' });
+        expect(unpaid.map(r => r.key)).toEqual(['rent_overdue:l1:2024-03']);
+    });
+
+    it('flags the next adjustment not recorded yet within N days', () => {
+        const rules = getReminderRules({ rent_overdue: { enabled: false }, lease_expiring: { enabled: false } });
+        expect(evaluate({ rules, today: '2024-04-10' })).toEqual([]); // May 1st is 21 days away
+
+        const [reminder] = evaluate({ rules, today: '2024-04-11' });
+        expect(reminder).toMatchObject({ rule: 'adjustment_upcoming', key: 'adjustment_upcoming:l1:2024-05-01', days: 20 });
+
+        const adjustments = [{ unitId: 'u1', date: '2024-05-01', oldRent: 100000, newRent: 120000 }];
+        expect(evaluate({ rules, adjustments, today: '2024-04-11' })).toEqual([]);
+    });
+
+    it('flags leases ending within N days', () => {
+        const rules = getReminderRules({ rent_overdue: { enabled: false }, adjustment_upcoming: { enabled: false } });
+        const [reminder] = evaluate({ rules, today: '2025-11-01' });
+        expect(reminder).toMatchObject({ rule: 'lease_expiring', key: 'lease_expiring:l1:2025-12-31', days: 60 });
+    });
+
+    it('flags overdue maintenance of active units only', () => {
+        const rules = getReminderRules({
+            rent_overdue: { enabled: false },
+            adjustment_upcoming: { enabled: false },
+            lease_expiring: { enabled: false }
+        });
+        const maintenances = [
+            { id: 'm1', unitId: 'u1', title: 'Boiler', nextDue: '2024-03-01' },
+            { id: 'm2', unitId: 'u2', title: 'Roof', nextDue: '2024-03-01' }
+        ];
+        const units = [unit, { id: 'u2', name: 'Unit 102', isActive: false }];
+
+        const reminders = evaluate({ units, rules, maintenances, today: '2024-03-05' });
+        expect(reminders).toHaveLength(1);
+        expect(reminders[0]).toMatchObject({ rule: 'maintenance_overdue', key: 'maintenance_overdue:m1:2024-03-01', days: 4 });
+    });
+});
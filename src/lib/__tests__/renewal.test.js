@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { getRenewalValues, getRenewalEndDate, getRenewedLeaseEnd, getRenewalChain, getCarriedCharges } from '../renewal';
+
+describe('getRenewalValues', () => {
+    it('starts the day after the lease ends, with the current rent and a new term', () => {
+        const lease = { rentAmount: 100000, startDate: '2023-03-01', endDate: '2025-02-28' };
+        expect(getRenewalValues(lease, 185000)).toEqual({
+            rentAmount: '185000',
+            rentSteps: [],
+            startDate: '2025-03-01',
+            endDate: '2027-02-28'
+        });
+        expect(getRenewalValues(lease, 185000, { months: 12 }).endDate).toBe('2026-02-28');
+    });
+
+    it('starts today when the lease has no end date', () => {
+        const values = getRenewalValues({ rentAmount: 100000, startDate: '2023-03-01' }, 0, { today: '2024-06-15' });
+        expect(values).toMatchObject({ rentAmount: '100000', startDate: '2024-06-15', endDate: '2026-06-14' });
+    });
+});
+
+describe('getRenewalEndDate', () => {
+    it('ends the day before the same date months later', () => {
+        expect(getRenewalEndDate('2024-01-15', 12)).toBe('2025-01-14');
+        expect(getRenewalEndDate('2024-03-01', 24)).toBe('2026-02-28');
+    });
+});
+
+describe('getRenewedLeaseEnd', () => {
+    it('ends the renewed lease the day before the renewal starts', () => {
+        expect(getRenewedLeaseEnd({ endDate: '2025-02-28' }, '2025-01-01')).toBe('2024-12-31');
+        expect(getRenewedLeaseEnd({ endDate: '2025-02-28' }, '2025-03-01')).toBe('2025-02-28');
+        expect(getRenewedLeaseEnd({ endDate: '2025-02-28' }, '2025-04-01')).toBe('2025-02-28');
+    });
+});
+
+describe('getCarriedCharges', () => {
+    it('carries the recurring charges still billed, from the first month of the renewal', () => {
+        const charges = [
+            { id: 'c1', unitId: 'u1', leaseId: 'l1', forMonth: '2024-03', category: 'expensas', description: 'Expensas', amount: 50000, recurring: true, endMonth: null },
+            { id: 'c2', unitId: 'u1', leaseId: 'l1', forMonth: '2024-03', category: 'abl', description: 'ABL 2024', amount: 8000, recurring: true, endMonth: '2024-12' },
+            { id: 'c3', unitId: 'u1', leaseId: 'l1', forMonth: '2025-02', category: 'other', description: 'Repair', amount: 3000, recurring: false, endMonth: null },
+            { id: 'c4', unitId: 'u1', leaseId: 'l1', forMonth: '2025-06', category: 'utilities', description: 'Water', amount: 2000, recurring: true, endMonth: '2025-12' }
+        ];
+
+        expect(getCarriedCharges(charges, '2025-03-01')).toEqual([
+            { unitId: 'u1', forMonth: '2025-03', category: 'expensas', description: 'Expensas', amount: 50000, recurring: true, endMonth: null },
+            { unitId: 'u1', forMonth: '2025-06', category: 'utilities', description: 'Water', amount: 2000, recurring: true, endMonth: '2025-12' }
+        ]);
+    });
+});
+
+describe('getRenewalChain', () => {
+    it('follows the renewals both ways, oldest first', () => {
+        const leases = [
+            { id: 'l3', previousLeaseId: 'l2' },
+            { id: 'other', previousLeaseId: null },
+            { id: 'l1', previousLeaseId: null },
+            { id: 'l2', previousLeaseId: 'l1' }
+        ];
+        expect(getRenewalChain(leases, 'l2').map(l => l.id)).toEqual(['l1', 'l2', 'l3']);
+        expect(getRenewalChain(leases, 'other').map(l => l.id)).toEqual(['other']);
+        expect(getRenewalChain(leases, 'missing')).toEqual([]);
+    });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { calculateNextRent, calculateFullSchedule } from '../rentCalculator';
+import { calculateNextRent, calculateFullSchedule, getIndexHistory, applyLeaseTerms, applyRounding, getRentSteps, getAppliedRule, getAdjustmentLimits, getPublicationLag, getRecordedAdjustments, simulateSchedule } from '../rentCalculator';
 
 // Helper: create IPC history for a range of months with a fixed rate
 const makeIpcHistory = (startYear, startMonth, count, rate = 0.04) => {
@@ -113,44 +113,566 @@ describe('calculateNextRent', () => {
 });
 
 describe('Manual Rent Overrides', () => {
-    it('respects rentOverride for the next pending update', () => {
+    it('ignores the legacy rentOverride field', () => {
         const unit = {
             rent: 100000,
             leaseStart: '2025-01-01',
             leaseEnd: '2026-01-01',
             rentOverride: 120000,
         };
-        const ipc = makeIpcHistory(2025, 1, 12, 0.04); // standard IPC calculation would be less
+        const ipc = makeIpcHistory(2025, 1, 12, 0.04);
         const result = calculateNextRent(unit, ipc, 4);
 
-        expect(result.newRent).toBe(120000);
-        expect(result.isManualOverride).toBe(true);
+        expect(result.newRent).not.toBe(120000);
+        expect(result.isManualOverride).toBe(false);
     });
 
-    it('uses the override as baseline for subsequent automatic updates', () => {
+    it('uses a recorded manual amount as baseline for subsequent automatic updates', () => {
         const unit = {
             rent: 100000,
-            leaseStart: '2024-01-01',
-            leaseEnd: '2025-01-01',
-            lastIncrementDate: '2024-01-01',
-            rentOverride: 110000, // Override for first update (May 2024)
+            leaseStart: '2099-01-01',
+            leaseEnd: '2100-01-01',
+            adjustments: [{ date: '2099-05-01', oldRent: 100000, newRent: 110000, isManual: true }]
         };
-        const ipc = makeIpcHistory(2024, 1, 12, 0.05); // 5% per month
+        const ipc = makeIpcHistory(2024, 1, 12, 0.05); // 5% per month, projected onwards
         const schedule = calculateFullSchedule(unit, ipc, 4);
 
-        // Update 1 (2024-05-01)
+        // Update 1 (2099-05-01)
         expect(schedule[0].newRent).toBe(110000);
         expect(schedule[0].isManualOverride).toBe(true);
 
-        // Update 2 (2024-09-01) - should build on 110,000 using IPC
-        // Interval calculation uses 4 months of 5% gain: 1.05^4 = 1.2155
-        // 110000 * 1.2155 = 133,705 -> round to 500 = 133,500
-        expect(schedule[1].newRent).toBeGreaterThan(110000);
+        // Update 2 (2099-09-01) - builds on 110,000: 1.05^4 * 110000 = 133,705.8 -> round to 500
         expect(schedule[1].isManualOverride).toBe(false);
-        expect(schedule[1].newRent % 500).toBe(0);
-
-        // Let's verify exactly (1.05^4 * 110000 = 133705.8)
         expect(schedule[1].newRent).toBe(133500);
     });
 });
 
+
+
+// Helper: create a daily ICL-like level series growing at a fixed daily rate
+const makeLevelHistory = (startDate, days, startValue = 10, dailyRate = 0.001) => {
+    const history = [];
+    const start = new Date(startDate);
+    for (let i = 0; i < days; i++) {
+        const d = new Date(start);
+        d.setUTCDate(d.getUTCDate() + i);
+        history.push({
+            date: d.toISOString().split('T')[0],
+            value: startValue * Math.pow(1 + dailyRate, i),
+        });
+    }
+    return history;
+};
+
+describe('Index types', () => {
+    it('resolves the series for the lease index from an index map', () => {
+        const ipc = makeIpcHistory(2025, 1, 3);
+        const icl = makeLevelHistory('2025-01-01', 10);
+        expect(getIndexHistory({ ipc, icl }, 'icl')).toBe(icl);
+        expect(getIndexHistory(ipc, 'icl')).toBe(ipc); // plain arrays are used as-is
+        expect(getIndexHistory({ ipc }, 'cac')).toEqual([]);
+    });
+
+    it('uses the ICL start/end ratio instead of compounding', () => {
+        const unit = {
+            rent: 100000,
+            leaseStart: '2025-01-01',
+            leaseEnd: '2025-12-31',
+            indexType: 'icl',
+        };
+        const icl = [
+            { date: '2025-01-01', value: 20 },
+            { date: '2025-02-15', value: 21 },
+            { date: '2025-05-01', value: 24 },
+            { date: '2025-09-01', value: 30 },
+        ];
+        const schedule = calculateFullSchedule(unit, { icl, ipc: makeIpcHistory(2025, 1, 12, 0.5) }, 4);
+
+        // 24 / 20 = 1.2 -> 120,000
+        expect(schedule[0].newRent).toBe(120000);
+        expect(schedule[0].percentChange).toBe('20.00');
+        expect(schedule[0].isProjected).toBe(false);
+        expect(schedule[0].indexType).toBe('icl');
+        expect(schedule[0].details.map(d => d.value)).toEqual([20, 24]);
+
+        // 30 / 24 = 1.25 -> 150,000
+        expect(schedule[1].newRent).toBe(150000);
+    });
+
+    it('uses the last published ICL value on or before the adjustment date', () => {
+        const unit = { rent: 100000, leaseStart: '2025-01-01', leaseEnd: '2025-06-01', indexType: 'icl' };
+        const icl = [
+            { date: '2025-01-01', value: 10 },
+            { date: '2025-04-28', value: 11 }, // last value before 2025-05-01
+            { date: '2025-05-05', value: 50 },
+        ];
+        const schedule = calculateFullSchedule(unit, { icl }, 4);
+        expect(schedule[0].newRent).toBe(110000);
+    });
+
+    it('projects ICL beyond the last published value and marks it projected', () => {
+        const unit = { rent: 100000, leaseStart: '2025-01-01', leaseEnd: '2025-06-01', indexType: 'icl' };
+        const icl = makeLevelHistory('2025-01-01', 60, 10, 0.001); // data until March
+        const schedule = calculateFullSchedule(unit, { icl }, 4);
+
+        expect(schedule[0].isProjected).toBe(true);
+        // 120 days of 0.1% daily growth ~ 12.7%
+        expect(Number(schedule[0].percentChange)).toBeCloseTo(12.74, 0);
+    });
+
+    it('uses monthly CAC levels as a ratio', () => {
+        const unit = { rent: 100000, leaseStart: '2025-01-01', leaseEnd: '2025-06-01', indexType: 'cac' };
+        const cac = [
+            { date: '2025-01-01', value: 1000 },
+            { date: '2025-02-01', value: 1020 },
+            { date: '2025-03-01', value: 1040 },
+            { date: '2025-04-01', value: 1060 },
+            { date: '2025-05-01', value: 1100 },
+        ];
+        const schedule = calculateFullSchedule(unit, { cac }, 4);
+        expect(schedule[0].newRent).toBe(110000);
+    });
+
+    it('compounds Casa Propia monthly rates like IPC', () => {
+        const unit = { rent: 100000, leaseStart: '2025-01-01', leaseEnd: '2025-06-01', indexType: 'casa_propia' };
+        const casaPropia = makeIpcHistory(2025, 1, 4, 0.05);
+        const schedule = calculateFullSchedule(unit, { casa_propia: casaPropia, ipc: makeIpcHistory(2025, 1, 4, 0.01) }, 4);
+
+        // 1.05^4 * 100000 = 121,550 -> 121,500
+        expect(schedule[0].newRent).toBe(121500);
+    });
+
+    it('returns null from calculateNextRent when the lease index has no data', () => {
+        const unit = { rent: 100000, leaseStart: '2025-01-01', indexType: 'icl' };
+        expect(calculateNextRent(unit, { ipc: makeIpcHistory(2025, 1, 12) })).toBeNull();
+    });
+
+    it('copies the lease index onto the unit', () => {
+        const unit = { id: 'u1', rent: 1000 };
+        expect(applyLeaseTerms(unit, { indexType: 'icl' }).indexType).toBe('icl');
+        expect(applyLeaseTerms(unit, null)).toBe(unit);
+    });
+});
+
+describe('Adjustment frequency', () => {
+    const ipc = makeIpcHistory(2025, 1, 24, 0.02);
+
+    it('reads the frequency from the lease when none is passed', () => {
+        const unit = { rent: 100000, leaseStart: '2025-01-01', leaseEnd: '2026-01-01', adjustmentFrequency: 6 };
+        const schedule = calculateFullSchedule(unit, ipc);
+
+        expect(schedule.map(s => s.date)).toEqual(['2025-07-01', '2026-01-01']);
+    });
+
+    it('supports quarterly clauses', () => {
+        const unit = { rent: 100000, leaseStart: '2025-01-01', leaseEnd: '2026-01-01', adjustmentFrequency: 3 };
+        expect(calculateFullSchedule(unit, ipc)).toHaveLength(4);
+        expect(calculateNextRent(unit, ipc).nextDate.toISOString().slice(0, 10)).toBe('2025-04-01');
+    });
+
+    it('defaults to four months when the lease has no frequency', () => {
+        const unit = { rent: 100000, leaseStart: '2025-01-01', leaseEnd: '2026-01-01' };
+        expect(calculateFullSchedule(unit, ipc)).toHaveLength(3);
+    });
+
+    it('copies the lease frequency onto the unit', () => {
+        expect(applyLeaseTerms({ rent: 1 }, { adjustmentFrequency: 3 }).adjustmentFrequency).toBe(3);
+    });
+
+    it('anchors the schedule to a renewed lease, not to the unit fields of the first one', () => {
+        const unit = { rent: 80000, leaseStart: '2023-01-01', leaseEnd: '2024-12-31', lastIncrementDate: '2024-07-01' };
+        const renewal = { startDate: '2025-01-01', endDate: '2026-01-01', rentAmount: 100000, adjustmentFrequency: 6, previousLeaseId: 'l1' };
+        const terms = applyLeaseTerms(unit, renewal);
+
+        expect(terms).toMatchObject({ leaseStart: '2025-01-01', leaseEnd: '2026-01-01', rent: 100000, lastIncrementDate: null });
+        expect(calculateFullSchedule(terms, ipc).map(s => s.date)).toEqual(['2025-07-01', '2026-01-01']);
+        expect(calculateFullSchedule(terms, ipc)[0].increaseAmount).toBeGreaterThan(0);
+    });
+});
+
+describe('Rounding policy', () => {
+    it('rounds to the nearest step by default', () => {
+        expect(applyRounding(133705.8)).toBe(133500);
+        expect(applyRounding(133705.8, { mode: 'nearest', step: 1000 })).toBe(134000);
+    });
+
+    it('rounds up, down or not at all', () => {
+        expect(applyRounding(133205.8, { mode: 'ceil', step: 1000 })).toBe(134000);
+        expect(applyRounding(133705.8, { mode: 'floor', step: 1 })).toBe(133705);
+        expect(applyRounding(133705.8123, { mode: 'none' })).toBe(133705.81);
+    });
+
+    it('does not push exact multiples over the step because of float noise', () => {
+        expect(applyRounding(100000.0000001, { mode: 'ceil', step: 1000 })).toBe(100000);
+    });
+
+    it('applies the lease rounding to the schedule and keeps the raw amount', () => {
+        const unit = {
+            rent: 110000,
+            leaseStart: '2024-01-01',
+            leaseEnd: '2024-05-01',
+            roundingMode: 'ceil',
+            roundingStep: 1000,
+        };
+        const schedule = calculateFullSchedule(unit, makeIpcHistory(2024, 1, 4, 0.05), 4);
+
+        // 110000 * 1.05^4 = 133,705.69
+        expect(schedule[0].rawRent).toBeCloseTo(133705.69, 1);
+        expect(schedule[0].newRent).toBe(134000);
+    });
+
+    it('keeps exact amounts when the lease says no rounding', () => {
+        const unit = { rent: 100000, leaseStart: '2024-01-01', leaseEnd: '2024-05-01', roundingMode: 'none' };
+        const schedule = calculateFullSchedule(unit, makeIpcHistory(2024, 1, 4, 0.01), 4);
+        expect(schedule[0].newRent).toBe(104060.4);
+    });
+});
+
+describe('Fixed escalation clauses', () => {
+    it('applies a fixed percentage every adjustment without index data', () => {
+        const unit = {
+            rent: 100000,
+            leaseStart: '2024-01-01',
+            leaseEnd: '2024-12-31',
+            indexType: 'fixed',
+            incrementPercentage: 10,
+            adjustmentFrequency: 6,
+            roundingMode: 'none',
+        };
+        const schedule = calculateFullSchedule(unit, null);
+
+        expect(schedule).toHaveLength(1);
+        expect(schedule[0].date).toBe('2024-07-01');
+        expect(schedule[0].newRent).toBe(110000);
+        expect(schedule[0].isProjected).toBe(false);
+    });
+
+    it('compounds the fixed percentage over consecutive adjustments', () => {
+        const unit = {
+            rent: 100000,
+            leaseStart: '2024-01-01',
+            leaseEnd: '2025-01-01',
+            indexType: 'fixed',
+            incrementPercentage: 10,
+            adjustmentFrequency: 4,
+            roundingMode: 'none',
+        };
+        const schedule = calculateFullSchedule(unit, {});
+
+        expect(schedule.map(s => s.newRent)).toEqual([110000, 121000, 133100]);
+    });
+
+    it('returns the next fixed adjustment from calculateNextRent without index data', () => {
+        const unit = {
+            rent: 100000,
+            leaseStart: '2024-01-01',
+            lastIncrementDate: '2024-01-01',
+            indexType: 'fixed',
+            incrementPercentage: 5,
+            adjustmentFrequency: 12,
+            roundingMode: 'none',
+        };
+        const result = calculateNextRent(unit, []);
+
+        expect(result.nextDate.toISOString().split('T')[0]).toBe('2025-01-01');
+        expect(result.newRent).toBe(105000);
+    });
+
+    it('uses the explicit amounts of a step-up table', () => {
+        const unit = {
+            rent: 100000,
+            leaseStart: '2024-01-01',
+            leaseEnd: '2025-12-31',
+            indexType: 'step_up',
+            rentSteps: [{ fromMonth: 13, amount: 180000 }, { fromMonth: 7, amount: 140000 }],
+        };
+        const schedule = calculateFullSchedule(unit, null);
+
+        expect(schedule.map(s => s.date)).toEqual(['2024-07-01', '2025-01-01']);
+        expect(schedule.map(s => s.newRent)).toEqual([140000, 180000]);
+        expect(schedule[1].increaseAmount).toBe(40000);
+    });
+
+    it('normalizes and sorts the step table', () => {
+        expect(getRentSteps({ rentSteps: [{ fromMonth: '7', amount: '1500' }, { fromMonth: 3, amount: 1200 }, { fromMonth: 0, amount: 1 }] }))
+            .toEqual([{ fromMonth: 3, amount: 1200 }, { fromMonth: 7, amount: 1500 }]);
+    });
+
+    it('copies the escalation terms from the lease', () => {
+        const unit = applyLeaseTerms({ rent: 1 }, { indexType: 'fixed', incrementPercentage: 8, rentSteps: [] });
+        expect(unit.indexType).toBe('fixed');
+        expect(unit.incrementPercentage).toBe(8);
+    });
+});
+
+describe('Caps, floors and hybrid clauses', () => {
+    // 4 months at 5% = 21.55% accumulated
+    const base = { rent: 100000, leaseStart: '2024-01-01', leaseEnd: '2024-05-01', roundingMode: 'none' };
+    const history = makeIpcHistory(2024, 1, 4, 0.05);
+
+    it('caps the adjustment and records the rule in details', () => {
+        const [item] = calculateFullSchedule({ ...base, adjustmentCap: 10 }, history, 4);
+        expect(item.newRent).toBe(110000);
+
+        const rule = getAppliedRule(item.details);
+        expect(rule.rule).toBe('cap');
+        expect(rule.limit).toBeCloseTo(0.10);
+        expect(rule.indexValue).toBeCloseTo(0.2155, 4);
+    });
+
+    it('applies the floor when the index is lower', () => {
+        const [item] = calculateFullSchedule({ ...base, adjustmentFloor: 25 }, history, 4);
+        expect(item.newRent).toBe(125000);
+        expect(getAppliedRule(item.details).rule).toBe('floor');
+    });
+
+    it('uses the greater of the index and the hybrid percentage', () => {
+        const [fixedWins] = calculateFullSchedule({ ...base, hybridPercentage: 30 }, history, 4);
+        expect(fixedWins.newRent).toBe(130000);
+        expect(getAppliedRule(fixedWins.details).rule).toBe('hybrid');
+
+        const [indexWins] = calculateFullSchedule({ ...base, hybridPercentage: 15 }, history, 4);
+        expect(indexWins.newRent).toBeCloseTo(121550.63, 2);
+        expect(getAppliedRule(indexWins.details).rule).toBe('index');
+    });
+
+    it('keeps the cap as the final limit over a hybrid clause', () => {
+        const [item] = calculateFullSchedule({ ...base, hybridPercentage: 30, adjustmentCap: 20 }, history, 4);
+        expect(item.newRent).toBe(120000);
+        expect(getAppliedRule(item.details).rule).toBe('cap');
+    });
+
+    it('treats a zero floor as a rule (no decreases)', () => {
+        const [item] = calculateFullSchedule({ ...base, adjustmentFloor: 0 }, makeIpcHistory(2024, 1, 4, -0.01), 4);
+        expect(item.newRent).toBe(100000);
+        expect(getAppliedRule(item.details).rule).toBe('floor');
+    });
+
+    it('adds no rule to details when the lease has none', () => {
+        const [item] = calculateFullSchedule(base, history, 4);
+        expect(getAppliedRule(item.details)).toBeNull();
+    });
+
+    it('reads empty rules as not set', () => {
+        expect(getAdjustmentLimits({ adjustmentCap: '', adjustmentFloor: null, hybridPercentage: '12' }))
+            .toEqual({ cap: null, floor: null, hybrid: 12 });
+    });
+});
+
+describe('Publication lag', () => {
+    const unit = { rent: 100000, leaseStart: '2024-01-01', leaseEnd: '2024-05-01', roundingMode: 'none' };
+    // Published through March 2024 when the May adjustment is due
+    const history = makeIpcHistory(2023, 12, 4, 0.05);
+
+    it('uses the months of the period without a lag', () => {
+        const [item] = calculateFullSchedule(unit, history, 4);
+        expect(item.details.map(d => d.date)).toEqual(['2024-01-01', '2024-02-01', '2024-03-01', '2024-04-01']);
+        expect(item.isProjected).toBe(true);
+    });
+
+    it('shifts the index window back by the lease lag', () => {
+        const [item] = calculateFullSchedule({ ...unit, publicationLag: 1 }, history, 4);
+        expect(item.details.map(d => d.date)).toEqual(['2023-12-01', '2024-01-01', '2024-02-01', '2024-03-01']);
+        expect(item.isProjected).toBe(false);
+        expect(item.newRent).toBeCloseTo(121550.63, 2);
+    });
+
+    it('stays projected when the lagged months are not published', () => {
+        const [item] = calculateFullSchedule({ ...unit, publicationLag: 1 }, makeIpcHistory(2024, 1, 3, 0.05), 4);
+        expect(item.isProjected).toBe(true);
+        expect(item.details[0]).toMatchObject({ date: '2023-12-01', type: 'projected' });
+    });
+
+    it('ignores lags outside the supported range', () => {
+        expect(getPublicationLag({ publicationLag: 5 })).toBe(0);
+        expect(getPublicationLag({ publicationLag: '2' })).toBe(2);
+    });
+});
+
+describe('Recorded adjustment history', () => {
+    const unit = {
+        rent: 120000,
+        leaseStart: '2024-01-01',
+        leaseEnd: '2024-12-31',
+        roundingMode: 'none',
+    };
+    const history = makeIpcHistory(2024, 1, 12, 0.05);
+
+    it('shows recorded figures for past slots instead of zeros', () => {
+        const adjustments = [{ date: '2024-05-01', oldRent: 100000, newRent: 120000, percentChange: 20, indexValues: [{ date: '2024-01-01', value: 0.05, type: 'real' }] }];
+        const schedule = calculateFullSchedule({ ...unit, adjustments }, history, 4);
+
+        expect(schedule[0]).toMatchObject({
+            date: '2024-05-01',
+            newRent: 120000,
+            increaseAmount: 20000,
+            percentChange: '20.00',
+            isRecorded: true,
+            status: 'completed',
+        });
+        expect(schedule[0].details).toHaveLength(1);
+    });
+
+    it('works back the figures of past slots applied before the history was kept', () => {
+        const fixed = { ...unit, rent: 121000, leaseEnd: '2025-01-01', indexType: 'fixed', incrementPercentage: 10 };
+
+        const legacy = calculateFullSchedule({ ...fixed, lastIncrementDate: '2024-09-01' }, history, 4);
+        expect(legacy[0]).toMatchObject({ date: '2024-05-01', newRent: 110000, increaseAmount: 10000, percentChange: '10.00', status: 'completed' });
+        expect(legacy[1]).toMatchObject({ date: '2024-09-01', newRent: 121000, increaseAmount: 11000, status: 'completed' });
+        expect(legacy[2]).toMatchObject({ date: '2025-01-01', newRent: 133100, status: 'pending' });
+
+        // From the rent a recorded adjustment started from
+        const adjustments = [{ date: '2024-09-01', oldRent: 110000, newRent: 121000 }];
+        const [first] = calculateFullSchedule({ ...fixed, adjustments }, history, 4);
+        expect(first).toMatchObject({ newRent: 110000, increaseAmount: 10000, isRecorded: false, status: 'completed' });
+    });
+
+    it('treats the latest recorded adjustment as the last applied one', () => {
+        const adjustments = [{ date: '2024-05-01', oldRent: 100000, newRent: 120000 }];
+        const schedule = calculateFullSchedule({ ...unit, adjustments }, history, 4);
+
+        // Next slot compounds from the recorded rent
+        expect(schedule[1].status).toBe('pending');
+        expect(schedule[1].isRecorded).toBe(false);
+        expect(schedule[1].newRent).toBeCloseTo(120000 * Math.pow(1.05, 4), 2);
+    });
+
+    it('keeps a future manual amount as the next pending update', () => {
+        const future = { ...unit, leaseStart: '2099-01-01', leaseEnd: '2099-12-31' };
+        const adjustments = [{ date: '2099-05-01', oldRent: 120000, newRent: 130000, isManual: true }];
+        const next = calculateNextRent({ ...future, adjustments }, history, 4);
+
+        expect(next.newRent).toBe(130000);
+        expect(next.isManualOverride).toBe(true);
+        expect(next.isRecorded).toBe(true);
+    });
+
+    it('derives the percentage when it was not stored', () => {
+        const [record] = getRecordedAdjustments({ adjustments: [{ date: '2024-05-01', oldRent: 100000, newRent: 110000 }] });
+        expect(record.percentChange).toBeCloseTo(10);
+        expect(record.isManual).toBe(false);
+    });
+});
+
+describe('Index provenance', () => {
+    it('carries the source and fetch date of each index value in details', () => {
+        const history = makeIpcHistory(2024, 1, 4, 0.05).map(p => ({ ...p, source: 'indec', fetchedAt: '2024-05-02T10:00:00Z' }));
+        const [item] = calculateFullSchedule({ rent: 100000, leaseStart: '2024-01-01', leaseEnd: '2024-05-01' }, history, 4);
+
+        expect(item.details[0]).toMatchObject({ type: 'real', source: 'indec', fetchedAt: '2024-05-02T10:00:00Z' });
+    });
+});
+
+describe('Manual index values', () => {
+    it('prefers official values over manual entries for the same month', () => {
+        const official = makeIpcHistory(2024, 1, 4, 0.05).map(p => ({ ...p, source: 'indec' }));
+        const manual = makeIpcHistory(2024, 1, 4, 0.10).map(p => ({ ...p, source: 'manual' }));
+        const unit = { rent: 100000, leaseStart: '2024-01-01', leaseEnd: '2024-05-01', roundingMode: 'none' };
+
+        const [item] = calculateFullSchedule(unit, [...manual, ...official], 4);
+
+        expect(item.newRent).toBeCloseTo(121550.63, 2);
+        expect(item.details.every(d => d.source === 'indec')).toBe(true);
+    });
+
+    it('uses manual entries for months without an official value', () => {
+        const history = [
+            ...makeIpcHistory(2024, 1, 3, 0.05).map(p => ({ ...p, source: 'indec' })),
+            { date: '2024-04-01', value: 0.05, source: 'manual' },
+        ];
+        const unit = { rent: 100000, leaseStart: '2024-01-01', leaseEnd: '2024-05-01', roundingMode: 'none' };
+
+        const [item] = calculateFullSchedule(unit, history, 4);
+
+        expect(item.isProjected).toBe(false);
+        expect(item.details[3].source).toBe('manual');
+    });
+});
+
+describe('Simulated leases', () => {
+    const terms = { rent: 100000, leaseStart: '2024-01-01', leaseEnd: '2025-01-01', indexType: 'ipc', roundingMode: 'none' };
+
+    it('uses the same 4-month default frequency as the lease schedule', () => {
+        const ipc = makeIpcHistory(2024, 1, 12, 0.04);
+
+        expect(simulateSchedule(terms, ipc)).toEqual(calculateFullSchedule(terms, ipc));
+        expect(simulateSchedule(terms, ipc).map(s => s.date)).toEqual(['2024-05-01', '2024-09-01', '2025-01-01']);
+    });
+
+    it('projects the periods beyond the published data up to lease end', () => {
+        const schedule = simulateSchedule(terms, makeIpcHistory(2024, 1, 6, 0.04));
+
+        expect(schedule).toHaveLength(3);
+        expect(schedule[0].isProjected).toBe(false);
+        expect(schedule[1].isProjected).toBe(true);
+        expect(schedule[2].newRent).toBeGreaterThan(schedule[1].newRent);
+    });
+
+    it('ignores applied history of the terms', () => {
+        const ipc = makeIpcHistory(2024, 1, 12, 0.04);
+        const schedule = simulateSchedule({
+            ...terms,
+            lastIncrementDate: '2024-09-01',
+            adjustments: [{ date: '2024-05-01', oldRent: 100000, newRent: 200000 }]
+        }, ipc);
+
+        expect(schedule.every(s => s.status === 'pending' && !s.isRecorded && !s.isManualOverride)).toBe(true);
+        expect(schedule[0].newRent).toBeCloseTo(116985.86, 2);
+    });
+});
+
+describe('Projection scenarios', () => {
+    const unit = { rent: 100000, leaseStart: '2024-01-01', leaseEnd: '2024-09-01', roundingMode: 'none' };
+    const history = [
+        ...makeIpcHistory(2024, 1, 2, 0.06),
+        ...makeIpcHistory(2024, 3, 2, 0.03),
+    ];
+
+    it('repeats the last published value by default', () => {
+        const [, item] = calculateFullSchedule(unit, history, 4);
+
+        expect(item.isProjected).toBe(true);
+        expect(item.details.every(d => d.value === 0.03)).toBe(true);
+    });
+
+    it('projects with the trailing 3-month average', () => {
+        const [, item] = calculateFullSchedule(unit, history, 4, { type: 'trailing3' });
+
+        expect(item.details[0].value).toBeCloseTo(0.04, 10);
+    });
+
+    it('projects with a custom monthly rate', () => {
+        const [first, item] = calculateFullSchedule(unit, history, 4, { type: 'custom', rate: 0.02 });
+
+        expect(item.newRent).toBeCloseTo(first.newRent * Math.pow(1.02, 4), 2);
+    });
+
+    it('treats an empty custom rate as the last value', () => {
+        const [, item] = calculateFullSchedule(unit, history, 4, { type: 'custom', rate: '' });
+
+        expect(item.details[0].value).toBe(0.03);
+    });
+
+    it('follows an expectations curve and repeats its last rate after it ends', () => {
+        const curve = [
+            { date: '2024-05-01', value: 0.025 },
+            { date: '2024-06-01', value: 0.02 },
+        ];
+        const [, item] = calculateFullSchedule(unit, history, 4, { type: 'curve', curve });
+
+        expect(item.details.map(d => d.value)).toEqual([0.025, 0.02, 0.02, 0.02]);
+    });
+
+    it('projects level indices with the scenario rate', () => {
+        const icl = [
+            { date: '2024-01-01', value: 100 },
+            { date: '2024-02-01', value: 104 },
+        ];
+        const iclUnit = { ...unit, indexType: 'icl', leaseEnd: '2024-05-01' };
+        const [item] = calculateFullSchedule(iclUnit, { icl }, 4, { type: 'custom', rate: 0.01 });
+
+        // Feb 1 → May 1: 90 days at 1% per 30 days
+        expect(item.isProjected).toBe(true);
+        expect(item.newRent).toBeCloseTo(100000 * 1.04 * Math.pow(1.01, 3), 0);
+    });
+});
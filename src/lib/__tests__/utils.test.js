@@ -22,6 +22,11 @@ describe('formatCurrency', () => {
         // maximumFractionDigits: 0 in the formatter
         expect(formatCurrency(1234.56)).toBe('$ 1.235');
     });
+
+    it('prefixes dollar amounts with US$', () => {
+        expect(formatCurrency(1500, 'USD')).toBe('US$ 1.500');
+        expect(formatCurrency(1500, 'ARS')).toBe('$ 1.500');
+    });
 });
 
 describe('formatDate', () => {
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from '../zip';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+describe('crc32', () => {
+    it('matches the standard check value', () => {
+        expect(crc32(bytes('123456789'))).toBe(0xCBF43926);
+        expect(crc32(new Uint8Array(0))).toBe(0);
+    });
+});
+
+describe('createZip', () => {
+    it('writes stored entries and the central directory', () => {
+        const zip = createZip([
+            { name: 'a.txt', data: bytes('hello') },
+            { name: 'b.txt', data: bytes('world!') }
+        ], new Date(2025, 2, 8, 10, 30, 0));
+        const view = new DataView(zip.buffer);
+
+        // First local header: signature, stored, CRC and sizes
+        expect(view.getUint32(0, true)).toBe(0x04034B50);
+        expect(view.getUint16(8, true)).toBe(0);
+        expect(view.getUint32(14, true)).toBe(crc32(bytes('hello')));
+        expect(view.getUint32(18, true)).toBe(5);
+        expect(new TextDecoder().decode(zip.slice(30, 35))).toBe('a.txt');
+        expect(new TextDecoder().decode(zip.slice(35, 40))).toBe('hello');
+
+        // End of central directory: two entries, directory right after the data
+        const end = zip.length - 22;
+        expect(view.getUint32(end, true)).toBe(0x06054B50);
+        expect(view.getUint16(end + 10, true)).toBe(2);
+        const centralOffset = view.getUint32(end + 16, true);
+        expect(centralOffset).toBe((30 + 5 + 5) + (30 + 5 + 6));
+        expect(view.getUint32(centralOffset, true)).toBe(0x02014B50);
+        expect(view.getUint32(end + 12, true)).toBe(2 * (46 + 5));
+    });
+});
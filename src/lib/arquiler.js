@@ -17,3 +17,63 @@ export const getAvailableIndices = () => [
     { id: 'ipc', name: 'IPC (Indec / Arquiler)' },
     { id: 'cac', name: 'CAC (Construcción)' }
 ];
+
+// Date/value keys seen in the arquiler.com payload (english and spanish variants)
+const DATE_KEYS = ['date', 'fecha', 'period', 'periodo'];
+const VALUE_KEYS = ['value', 'valor', 'rate', 'index', 'indice'];
+
+/**
+ * Normalizes a raw arquiler series into { date: YYYY-MM-DD, value } points
+ * Accepts arrays of objects ({ fecha, valor }, { date, value }, ...) or [date, value] tuples
+ * @param {Array} raw - Raw series
+ * @returns {Array} Points sorted ascending by date
+ */
+const normalizeSeries = (raw) => {
+    if (!Array.isArray(raw)) return [];
+
+    return raw.map(item => {
+        const [rawDate, rawValue] = Array.isArray(item)
+            ? item
+            : [DATE_KEYS.map(k => item?.[k]).find(Boolean), VALUE_KEYS.map(k => item?.[k]).find(v => v !== undefined)];
+
+        const value = Number(rawValue);
+        if (!rawDate || Number.isNaN(value)) return null;
+
+        // Monthly periods (YYYY-MM) are anchored to the first day of the month
+        const dateStr = String(rawDate).slice(0, 10);
+        return { date: dateStr.length === 7 ? `${dateStr}-01` : dateStr, value };
+    })
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Builds the index data map used by rentCalculator from the available sources
+ * 
+ * IPC comes from the INDEC proxy (fetchIPCData); ICL, Casa Propia and CAC come from arquiler.
+ * Arquiler publishes the monthly variation series (IPC, Casa Propia) as percentages
+ * (2.5, or 0.8 for 0.8%): they are always converted to decimals (0.025, 0.008), like
+ * the INDEC series. Level series (ICL, CAC) are kept as-is.
+ * Every point carries its source ('indec', 'arquiler', 'fallback', ...) for provenance.
+ * 
+ * @param {Array} ipcHistory - IPC monthly rates from fetchIPCData
+ * @param {Object|null} arquilerRates - Raw response from fetchArquilerData
+ * @returns {Object} { ipc: [], icl: [], casa_propia: [], cac: [] }
+ */
+export const buildIndexData = (ipcHistory = [], arquilerRates = null) => {
+    const rates = arquilerRates || {};
+    const asDecimalRate = (point) => ({ ...point, value: point.value / 100 });
+    const fromArquiler = (raw) => normalizeSeries(raw).map(point => ({ ...point, source: 'arquiler' }));
+
+    const arquilerIpc = fromArquiler(rates.ipc).map(asDecimalRate);
+
+    // Prefer INDEC, but not its hardcoded fallback when arquiler has real data
+    const ipcIsFallback = !ipcHistory || ipcHistory.length === 0 || ipcHistory.every(p => p.source === 'fallback');
+
+    return {
+        ipc: ipcIsFallback && arquilerIpc.length > 0 ? arquilerIpc : (ipcHistory || []),
+        icl: fromArquiler(rates.icl),
+        casa_propia: fromArquiler(rates.casa_propia ?? rates.casaPropia).map(asDecimalRate),
+        cac: fromArquiler(rates.cac)
+    };
+};
@@ -0,0 +1,241 @@
+/**
+ * Rent balance per unit and month
+ *
+ * A month can be paid in several instalments (rows of payments with the same
+ * for_month). The balance of a month is the rent and extra charges due for it
+ * minus the sum of those payments, and its status drives the Calendar cells:
+ * - 'paid': nothing outstanding
+ * - 'partial': some payments, balance outstanding, not yet due
+ * - 'overdue': balance outstanding after the due date and its grace period
+ * - 'pending': nothing paid, not yet due
+ * - 'none': no rent due (no lease that month) and nothing paid
+ *
+ * Leases can set the due day and a late-interest clause (daily punitive
+ * interest or a flat fee, after an optional grace period). Interest accrued
+ * from the payment dates is owed on top of the rent.
+ *
+ * Rent and extra charges are settled separately: each payment records the part
+ * of it that went to charges (chargesAmount, see lib/charges).
+ */
+
+export const PAYMENT_STATUSES = ['paid', 'partial', 'overdue', 'pending', 'none'];
+
+// Rent is due by the 10th (the "on time" limit used so far)
+export const DEFAULT_DUE_DAY = 10;
+
+// Late-interest clauses: none, daily % on the unpaid rent, or a flat fee
+export const LATE_FEE_TYPES = ['none', 'daily', 'flat'];
+
+export const DEFAULT_LATE_FEE = { type: 'none', rate: 0, amount: 0, graceDays: 0 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().split('T')[0];
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Amounts are compared to the cent
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const lastDayOfMonth = (month) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+};
+
+/**
+ * Date rent is due in a month (the due day, clamped to the end of short months)
+ * @param {string} month - YYYY-MM
+ * @param {number} dueDay - Day of the month (default: 10)
+ * @returns {string} YYYY-MM-DD
+ */
+export const getDueDate = (month, dueDay = DEFAULT_DUE_DAY) => {
+    const day = Math.min(Math.max(1, Number(dueDay) || DEFAULT_DUE_DAY), lastDayOfMonth(month));
+    return `${month}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Late-interest clause of a lease
+ * @param {Object|null} lease - Lease ({ lateFeeType, lateFeeRate, lateFeeAmount, graceDays })
+ * @returns {Object} { type, rate, amount, graceDays } (rate: daily %)
+ */
+export const getLateFeeRule = (lease) => {
+    if (!lease || !LATE_FEE_TYPES.includes(lease.lateFeeType)) return DEFAULT_LATE_FEE;
+    return {
+        type: lease.lateFeeType,
+        rate: Number(lease.lateFeeRate) || 0,
+        amount: Number(lease.lateFeeAmount) || 0,
+        graceDays: Math.max(0, Number(lease.graceDays) || 0)
+    };
+};
+
+/**
+ * Late interest accrued on a month's rent
+ *
+ * Interest runs from the end of the grace period: payments made up to then are
+ * on time, later ones stop the interest on the part of the rent they cover,
+ * and whatever is still unpaid accrues up to today. A flat fee is charged once
+ * when any part of the rent was (or is still) unpaid after the grace period.
+ *
+ * @param {Object} params
+ * @param {number} params.due - Rent due for the month
+ * @param {Array} params.payments - Payments for the month ({ amount, datePaid })
+ * @param {string} params.dueDate - YYYY-MM-DD (see getDueDate)
+ * @param {Object} params.rule - Late-interest clause (see getLateFeeRule)
+ * @param {Date} params.today - Reference date (default: now)
+ * @returns {Object} { amount, daysLate, accruedTo } (accruedTo: last date interest ran to, null when on time)
+ */
+export const getLateFee = ({ due = 0, payments = [], dueDate, rule = DEFAULT_LATE_FEE, today = new Date() }) => {
+    if (!rule || rule.type === 'none' || due <= 0) return { amount: 0, daysLate: 0, accruedTo: null };
+
+    const todayStr = today.toISOString().split('T')[0];
+    const limit = addDays(dueDate, rule.graceDays || 0);
+    const dailyRate = (Number(rule.rate) || 0) / 100;
+
+    let remaining = due;
+    let from = limit;
+    let interest = 0;
+    let accruedTo = null;
+
+    [...payments]
+        .sort((a, b) => (a.datePaid || '').localeCompare(b.datePaid || ''))
+        .forEach(payment => {
+            const date = payment.datePaid || todayStr;
+            if (remaining > 0 && date > limit) {
+                interest += remaining * dailyRate * daysBetween(from, date);
+                from = date;
+                accruedTo = date;
+            }
+            remaining -= Number(payment.amount);
+        });
+
+    if (remaining > 0 && todayStr > limit) {
+        interest += remaining * dailyRate * daysBetween(from, todayStr);
+        accruedTo = todayStr;
+    }
+
+    if (!accruedTo) return { amount: 0, daysLate: 0, accruedTo: null };
+
+    return {
+        amount: roundCents(rule.type === 'flat' ? Number(rule.amount) || 0 : interest),
+        daysLate: daysBetween(dueDate, accruedTo),
+        accruedTo
+    };
+};
+
+/**
+ * Lease in effect during a month: the active one if it covers the month,
+ * otherwise the most recent lease that does
+ *
+ * @param {Array} leases - Leases of the unit
+ * @param {string} month - YYYY-MM
+ * @returns {Object|null} Lease
+ */
+export const findLeaseForMonth = (leases = [], month) => {
+    const covering = leases.filter(lease =>
+        lease.startDate && lease.startDate.slice(0, 7) <= month &&
+        (!lease.endDate || lease.endDate.slice(0, 7) >= month)
+    );
+    return covering.find(lease => lease.status === 'ACTIVE')
+        || covering.sort((a, b) => b.startDate.localeCompare(a.startDate))[0]
+        || null;
+};
+
+/**
+ * Rent due for a month
+ *
+ * Uses the recorded adjustments to find the rent in effect on the 1st of the
+ * month: the new rent of the latest adjustment up to that month, or the old rent
+ * of the first one after it. Without a lease covering the month (and without a
+ * legacy unit lease), nothing is due.
+ *
+ * @param {Object} unit - Unit (legacy rent / leaseStart / leaseEnd)
+ * @param {Object|null} lease - Lease in effect (see findLeaseForMonth)
+ * @param {Array} adjustments - Recorded adjustments of the unit ({ date, oldRent, newRent })
+ * @param {string} month - YYYY-MM
+ * @returns {number} Rent due
+ */
+export const getRentForMonth = (unit, lease, adjustments = [], month) => {
+    const start = lease ? lease.startDate : unit?.leaseStart;
+    const end = lease ? lease.endDate : unit?.leaseEnd;
+    if (!start || start.slice(0, 7) > month || (end && end.slice(0, 7) < month)) return 0;
+
+    const baseRent = Number(lease ? lease.rentAmount : unit?.rent) || 0;
+
+    // Adjustments of this lease only (they start after the lease does)
+    const history = adjustments
+        .filter(a => a.date >= start)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const applied = history.filter(a => a.date.slice(0, 7) <= month).pop();
+    if (applied) return Number(applied.newRent);
+
+    const next = history[0];
+    return next && Number(next.oldRent) > 0 ? Number(next.oldRent) : baseRent;
+};
+
+/**
+ * Part of a payment that went to the rent
+ * @param {Object} payment - { amount, chargesAmount }
+ * @returns {number}
+ */
+export const getRentPortion = (payment) => Number(payment.amount) - (Number(payment.chargesAmount) || 0);
+
+/**
+ * Balance and status of a month
+ * The outstanding balance includes the late interest accrued so far, which only
+ * runs on the rent.
+ *
+ * @param {Object} params
+ * @param {number} params.due - Rent due for the month (see getRentForMonth)
+ * @param {number} params.charges - Extra charges billed for the month (see lib/charges)
+ * @param {Array} params.payments - Payments for the month ({ amount, chargesAmount, datePaid })
+ * @param {string} params.month - YYYY-MM
+ * @param {number} params.dueDay - Day of the month rent is due (default: 10)
+ * @param {Object} params.lateFeeRule - Late-interest clause (see getLateFeeRule)
+ * @param {Date} params.today - Reference date (default: now)
+ * @returns {Object} { due, charges, lateFee, totalDue, paid, rentPaid, chargesPaid, daysLate,
+ *   rentOutstanding, chargesOutstanding, outstanding, status, dueDate, payments }
+ */
+export const getMonthBalance = ({ due = 0, charges = 0, payments = [], month, dueDay = DEFAULT_DUE_DAY, lateFeeRule = DEFAULT_LATE_FEE, today = new Date() }) => {
+    const paid = roundCents(payments.reduce((sum, p) => sum + Number(p.amount), 0));
+    const chargesPaid = roundCents(payments.reduce((sum, p) => sum + (Number(p.chargesAmount) || 0), 0));
+    const rentPaid = roundCents(paid - chargesPaid);
+    const dueDate = getDueDate(month, dueDay);
+    const late = getLateFee({
+        due,
+        payments: payments.map(p => ({ ...p, amount: getRentPortion(p) })),
+        dueDate,
+        rule: lateFeeRule,
+        today
+    });
+    const rentOutstanding = Math.max(0, roundCents(due + late.amount - rentPaid));
+    const chargesOutstanding = Math.max(0, roundCents(charges - chargesPaid));
+    const outstanding = roundCents(rentOutstanding + chargesOutstanding);
+    const todayStr = today.toISOString().split('T')[0];
+    // Within the grace period the rent is not late yet
+    const overdueAfter = addDays(dueDate, lateFeeRule?.graceDays || 0);
+
+    let status;
+    if (due <= 0 && charges <= 0 && paid === 0) status = 'none';
+    else if (outstanding === 0) status = 'paid';
+    else if (todayStr > overdueAfter) status = 'overdue';
+    else if (paid > 0) status = 'partial';
+    else status = 'pending';
+
+    return {
+        due,
+        charges,
+        lateFee: late.amount,
+        totalDue: roundCents(due + charges + late.amount),
+        paid,
+        rentPaid,
+        chargesPaid,
+        daysLate: late.daysLate,
+        rentOutstanding,
+        chargesOutstanding,
+        outstanding,
+        status,
+        dueDate,
+        payments: [...payments].sort((a, b) => (a.datePaid || '').localeCompare(b.datePaid || ''))
+    };
+};
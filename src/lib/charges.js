@@ -0,0 +1,55 @@
+/**
+ * Extra charges billed to tenants
+ *
+ * Besides the rent, tenants usually reimburse building fees (expensas), the
+ * municipal tax (ABL) and utilities. A charge belongs to a lease and is billed
+ * once, for its month, or every month from it until its end month (or the end
+ * of the lease) when recurring.
+ *
+ * Payments record which part of them went to charges (chargesAmount); the rest
+ * pays the rent.
+ */
+
+export const CHARGE_CATEGORIES = ['expensas', 'abl', 'utilities', 'other'];
+
+// Charge category for an expense re-billed to the tenant (see ExpenseModal)
+const EXPENSE_CHARGE_CATEGORIES = { utilities: 'utilities', taxes: 'abl' };
+
+/**
+ * Charge category for a re-billed expense
+ * @param {string} expenseCategory - Expense category
+ * @returns {string} Charge category
+ */
+export const chargeCategoryForExpense = (expenseCategory) =>
+    EXPENSE_CHARGE_CATEGORIES[expenseCategory] || 'other';
+
+/**
+ * Whether a charge is billed in a month
+ * @param {Object} charge - { forMonth, recurring, endMonth }
+ * @param {string} month - YYYY-MM
+ * @returns {boolean}
+ */
+export const isChargeBilledIn = (charge, month) => {
+    if (!charge.recurring) return charge.forMonth === month;
+    return charge.forMonth <= month && (!charge.endMonth || charge.endMonth >= month);
+};
+
+/**
+ * Charges billed in a month
+ * @param {Array} charges - Charges of the lease
+ * @param {string} month - YYYY-MM
+ * @returns {Array} Charges
+ */
+export const getChargesForMonth = (charges = [], month) =>
+    charges.filter(charge => isChargeBilledIn(charge, month));
+
+/**
+ * Splits a payment between rent and charges: the rent (with its late interest)
+ * is settled first, then the charges; anything beyond both is an advance on the rent
+ *
+ * @param {number} amount - Payment amount
+ * @param {Object} balance - Month balance ({ rentOutstanding, chargesOutstanding }, see getMonthBalance)
+ * @returns {number} Part of the payment allocated to charges
+ */
+export const allocatePayment = (amount, { rentOutstanding = 0, chargesOutstanding = 0 }) =>
+    Math.min(Math.max(0, amount - rentOutstanding), chargesOutstanding);
@@ -0,0 +1,127 @@
+import { jsPDF } from 'jspdf';
+
+/**
+ * Draws a lease contract: the filled-in text of a template (see lib/contracts),
+ * over as many pages as it takes, and the signature block of both parties.
+ *
+ * @param {Object} contract - { body, tenantName, labels }
+ * @param {Object} options - { ownerName, signatureDataUrl }
+ * @returns {jsPDF} Document
+ */
+const drawContract = (contract, options = {}) => {
+    const { ownerName = '', signatureDataUrl = null } = options;
+    const { body, tenantName = '', labels = {} } = contract;
+
+    const l = {
+        title: labels.title || 'LEASE AGREEMENT',
+        landlord: labels.landlord || 'Landlord',
+        tenant: labels.tenant || 'Tenant',
+        page: labels.page || 'Page',
+    };
+
+    const doc = new jsPDF();
+    const primaryColor = '#059669'; // Emerald-600
+    const secondaryColor = '#475569'; // Slate-600
+    const margin = 20;
+    const pageBottom = 270;
+    const lineHeight = 5.5;
+
+    // Header
+    doc.setFillColor(primaryColor);
+    doc.rect(0, 0, 210, 40, 'F');
+
+    doc.setTextColor('#ffffff');
+    doc.setFontSize(24);
+    doc.setFont('helvetica', 'bold');
+    doc.text(l.title, 105, 25, { align: 'center' });
+
+    // Clauses: paragraphs wrapped to the page width, breaking pages as needed
+    doc.setTextColor('#1e293b');
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+
+    let y = 55;
+    body.split('\n').forEach(paragraph => {
+        const lines = paragraph.trim() ? doc.splitTextToSize(paragraph, 170) : [''];
+        lines.forEach(line => {
+            if (y > pageBottom) {
+                doc.addPage();
+                y = 25;
+            }
+            doc.text(line, margin, y);
+            y += lineHeight;
+        });
+    });
+
+    // Signature block, on a new page if it doesn't fit
+    let sigY = y + 15;
+    if (sigY + 45 > pageBottom) {
+        doc.addPage();
+        sigY = 40;
+    }
+
+    doc.setDrawColor('#e2e8f0');
+    doc.setLineWidth(0.3);
+
+    if (signatureDataUrl) {
+        try {
+            doc.addImage(signatureDataUrl, 'PNG', margin, sigY, 80, 30);
+        } catch (e) {
+            // If image fails, skip silently
+        }
+    }
+
+    doc.line(margin, sigY + 33, margin + 70, sigY + 33);
+    doc.line(120, sigY + 33, 190, sigY + 33);
+
+    doc.setFontSize(9);
+    doc.setTextColor(secondaryColor);
+    doc.setFont('helvetica', 'bold');
+    doc.text(l.landlord, margin + 35, sigY + 39, { align: 'center' });
+    doc.text(l.tenant, 155, sigY + 39, { align: 'center' });
+    doc.setFont('helvetica', 'normal');
+    doc.text(ownerName, margin + 35, sigY + 44, { align: 'center' });
+    doc.text(tenantName, 155, sigY + 44, { align: 'center' });
+
+    // Page numbers
+    const pageCount = doc.getNumberOfPages();
+    doc.setFontSize(9);
+    doc.setTextColor('#94a3b8');
+    doc.setFont('helvetica', 'italic');
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.text(`${l.page} ${page} / ${pageCount}`, 105, 285, { align: 'center' });
+    }
+
+    return doc;
+};
+
+/**
+ * File name of a contract
+ * @param {Object} contract - { unitName, startDate, language }
+ * @returns {string} e.g. Contract_Unit 101_2024-03-01_es.pdf
+ */
+export const getContractFileName = (contract) =>
+    `Contract_${contract.unitName}_${contract.startDate}_${contract.language}.pdf`;
+
+/**
+ * Downloads a lease contract as a PDF
+ *
+ * @param {Object} contract - { body, unitName, tenantName, startDate, language, labels }
+ * @param {Object} options - { ownerName, signatureDataUrl }
+ */
+export const generateContract = (contract, options = {}) => {
+    drawContract(contract, options).save(getContractFileName(contract));
+};
+
+/**
+ * Lease contract as a file, to store it with the lease's documents
+ *
+ * @param {Object} contract - { body, unitName, tenantName, startDate, language, labels }
+ * @param {Object} options - { ownerName, signatureDataUrl }
+ * @returns {Object} { name, blob }
+ */
+export const getContractFile = (contract, options = {}) => ({
+    name: getContractFileName(contract),
+    blob: drawContract(contract, options).output('blob')
+});
@@ -0,0 +1,124 @@
+import { getAvailableIndices } from './arquiler';
+import { DEFAULT_DUE_DAY } from './balance';
+import { getFrequency } from './rentCalculator';
+import { getRenewalEndDate, DEFAULT_RENEWAL_TERM } from './renewal';
+import { formatCurrency, formatDate } from './utils';
+
+/**
+ * Lease contracts
+ *
+ * A contract is a template with {{placeholders}} filled in with the lease data.
+ * The owner edits the templates in Settings (one per language, the defaults
+ * below when left empty) and can still edit the filled-in text of each contract
+ * before generating the PDF (see contractService). The owner's signature is not
+ * a placeholder: it goes in the signature block of the PDF.
+ */
+
+export const CONTRACT_LANGUAGES = ['es', 'en'];
+
+// Placeholders available in the templates, in the order they are listed in Settings
+export const CONTRACT_PLACEHOLDERS = [
+    'owner_name', 'tenant_name', 'tenant_email', 'unit', 'rent', 'deposit', 'due_day',
+    'start_date', 'end_date', 'index', 'adjustment_frequency', 'date'
+];
+
+export const DEFAULT_CONTRACT_TEMPLATES = {
+    es: `Entre {{owner_name}}, en adelante "EL LOCADOR", y {{tenant_name}}, en adelante "EL LOCATARIO", se celebra el presente contrato de locación, sujeto a las siguientes cláusulas:
+
+PRIMERA - OBJETO: EL LOCADOR da en locación a EL LOCATARIO el inmueble "{{unit}}", que será destinado exclusivamente a vivienda.
+
+SEGUNDA - PLAZO: La locación se pacta desde el {{start_date}} hasta el {{end_date}}. Al vencimiento, EL LOCATARIO deberá restituir el inmueble libre de ocupantes y en el mismo estado en que lo recibió, salvo el desgaste por el uso normal.
+
+TERCERA - PRECIO: El alquiler mensual inicial es de {{rent}}, pagadero por mes adelantado hasta el día {{due_day}} de cada mes.
+
+CUARTA - ACTUALIZACIÓN: El alquiler se actualizará según {{index}}, con la siguiente periodicidad: {{adjustment_frequency}}.
+
+QUINTA - DEPÓSITO EN GARANTÍA: EL LOCATARIO entrega a EL LOCADOR la suma de {{deposit}} en concepto de depósito en garantía, que le será devuelta al finalizar la locación, previa deducción de los importes que adeude.
+
+SEXTA - GASTOS Y SERVICIOS: Están a cargo de EL LOCATARIO los servicios que consuma y las expensas ordinarias. Las reparaciones que no se deban al uso del inmueble están a cargo de EL LOCADOR.
+
+SÉPTIMA - DOMICILIOS: Las partes constituyen domicilio en los indicados por cada una, donde serán válidas todas las notificaciones. El correo electrónico de EL LOCATARIO es {{tenant_email}}.
+
+En prueba de conformidad, se firman dos ejemplares de un mismo tenor, el {{date}}.`,
+    en: `This lease agreement is made between {{owner_name}} ("the Landlord") and {{tenant_name}} ("the Tenant"), under the following terms:
+
+1. PROPERTY: The Landlord leases to the Tenant the property "{{unit}}", to be used solely as a residence.
+
+2. TERM: The lease runs from {{start_date}} to {{end_date}}. When it ends, the Tenant shall return the property vacant and in the same condition as received, except for normal wear and tear.
+
+3. RENT: The initial monthly rent is {{rent}}, payable in advance by day {{due_day}} of each month.
+
+4. ADJUSTMENTS: The rent will be adjusted by {{index}}, with the following frequency: {{adjustment_frequency}}.
+
+5. SECURITY DEPOSIT: The Tenant pays the Landlord {{deposit}} as a security deposit, to be returned when the lease ends, less any amounts owed.
+
+6. UTILITIES AND EXPENSES: The Tenant pays for the utilities they use and the ordinary building expenses. Repairs not caused by the use of the property are paid by the Landlord.
+
+7. NOTICES: Notices are valid at the addresses given by each party. The Tenant's email is {{tenant_email}}.
+
+Signed in two copies of the same content, on {{date}}.`
+};
+
+/**
+ * Template of a language: the owner's one from Settings, or the default
+ * @param {Object} templates - Owner's templates ({ es, en }, empty = default)
+ * @param {string} language - 'es' | 'en'
+ * @returns {string} Template
+ */
+export const getContractTemplate = (templates = {}, language) =>
+    templates?.[language]?.trim() ? templates[language] : DEFAULT_CONTRACT_TEMPLATES[language] || DEFAULT_CONTRACT_TEMPLATES.es;
+
+/**
+ * Name of the adjustment clause of a lease
+ * @param {Object} lease - Lease
+ * @param {Function} t - Translate function of the contract's language
+ * @returns {string} Index name ("Fixed percentage (5%)" for fixed adjustments)
+ */
+const getIndexName = (lease, t) => {
+    const indexType = lease.indexType || 'ipc';
+    const index = getAvailableIndices().find(i => i.id === indexType);
+    if (index) return index.name;
+
+    const name = t(`units.contractTypes.${indexType}`);
+    return indexType === 'fixed' && lease.incrementPercentage ? `${name} (${lease.incrementPercentage}%)` : name;
+};
+
+/**
+ * Placeholder values of a lease
+ * A lease without an end date, due day or adjustment frequency gets the defaults
+ * the adjustment schedule and the balance apply.
+ *
+ * @param {Object} params
+ * @param {Object} params.unit - Unit
+ * @param {Object} params.lease - Lease
+ * @param {string} params.ownerName - Owner's name (Settings)
+ * @param {string} params.dateFormat - Date format (Settings)
+ * @param {Function} params.t - Translate function of the contract's language (i18n.getFixedT)
+ * @param {string} params.today - Date of the contract (YYYY-MM-DD)
+ * @returns {Object} Values by placeholder
+ */
+export const getContractValues = ({ unit, lease, ownerName = '', dateFormat = 'dd/mm/yyyy', t, today = new Date().toISOString().split('T')[0] }) => ({
+    owner_name: ownerName,
+    tenant_name: lease.tenantName || '',
+    tenant_email: lease.tenantEmail || '',
+    unit: unit?.name || '',
+    rent: formatCurrency(lease.rentAmount || 0, lease.currency),
+    deposit: formatCurrency(lease.securityDeposit || 0, lease.depositCurrency),
+    due_day: String(Number(lease.dueDay) || DEFAULT_DUE_DAY),
+    start_date: formatDate(lease.startDate, dateFormat),
+    end_date: formatDate(lease.endDate || getRenewalEndDate(lease.startDate, DEFAULT_RENEWAL_TERM), dateFormat),
+    index: getIndexName(lease, t),
+    adjustment_frequency: t('units.everyNMonths', { count: getFrequency(lease) }).toLowerCase(),
+    date: formatDate(today, dateFormat)
+});
+
+/**
+ * Fills in the placeholders of a template
+ * Unknown placeholders are left as they are, so a typo shows up in the preview.
+ *
+ * @param {string} template - Text with {{placeholders}}
+ * @param {Object} values - Values by placeholder
+ * @returns {string} Contract text
+ */
+export const fillTemplate = (template, values) =>
+    template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in values ? values[name] : match));
@@ -0,0 +1,65 @@
+/**
+ * Currencies and exchange rates
+ *
+ * Leases, payments and expenses are recorded in ARS or USD. Totals that mix
+ * both are reported in ARS, converting USD amounts with a stored exchange-rate
+ * table: one quote (ARS per USD) per date and rate type, either the official
+ * rate or the MEP ("dólar bolsa") rate usually agreed in USD leases.
+ */
+
+export const CURRENCIES = ['ARS', 'USD'];
+
+export const DEFAULT_CURRENCY = 'ARS';
+
+export const RATE_TYPES = ['official', 'mep'];
+
+export const DEFAULT_RATE_TYPE = 'mep';
+
+/**
+ * Latest quote of a rate type on or before a date
+ *
+ * @param {Array} rates - Exchange rates ({ date, rateType, value })
+ * @param {string} date - Reference date (YYYY-MM-DD)
+ * @param {string} rateType - 'official' | 'mep'
+ * @returns {Object|null} The rate, or null when there is no quote up to that date
+ */
+export const findRate = (rates, date, rateType = DEFAULT_RATE_TYPE) => {
+    return rates
+        .filter(r => r.rateType === rateType && r.date <= date)
+        .reduce((latest, r) => (!latest || r.date > latest.date ? r : latest), null);
+};
+
+/**
+ * Converts an amount to ARS
+ *
+ * @param {number} amount - Amount in its currency
+ * @param {string} currency - 'ARS' | 'USD'
+ * @param {Object|null} rate - Quote to convert USD with ({ value })
+ * @returns {number|null} Amount in ARS, or null when a USD amount has no rate
+ */
+export const toArs = (amount, currency = DEFAULT_CURRENCY, rate = null) => {
+    if ((currency || DEFAULT_CURRENCY) === 'ARS') return Number(amount) || 0;
+    if (!rate || !(Number(rate.value) > 0)) return null;
+    return Math.round(Number(amount) * Number(rate.value) * 100) / 100;
+};
+
+/**
+ * Sums amounts in mixed currencies, in ARS
+ *
+ * @param {Array} items - Amounts ({ amount, currency })
+ * @param {Object|Function|null} rate - Quote to convert USD with, or the quote of each item (item => rate)
+ * @returns {Object} { total, missingRate } (missingRate: USD amounts were left out for lack of a rate)
+ */
+export const sumInArs = (items, rate = null) => {
+    let missingRate = false;
+    const total = items.reduce((sum, item) => {
+        const converted = toArs(item.amount, item.currency, typeof rate === 'function' ? rate(item) : rate);
+        if (converted === null) {
+            missingRate = true;
+            return sum;
+        }
+        return sum + converted;
+    }, 0);
+
+    return { total: Math.round(total * 100) / 100, missingRate };
+};
@@ -0,0 +1,67 @@
+import { CURRENCIES } from './currency';
+
+/**
+ * Security deposit settlement
+ *
+ * At move-out the deposit is returned minus the deductions agreed for damages
+ * (linked to expenses or maintenance tasks) and whatever the tenant still owes
+ * on the ledger. Leases can index the refund: the deposit is returned updated
+ * in proportion to the rent, from the first month's to the last month's (the
+ * usual clause under Ley 27.551). Only ARS deposits are indexed.
+ *
+ * Deductions and arrears are in ARS; a USD deposit is converted at the exchange
+ * rate of the settlement.
+ */
+
+export const DEPOSIT_CURRENCIES = CURRENCIES;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Final settlement of a lease's deposit
+ *
+ * @param {Object} params
+ * @param {number} params.deposit - Deposit received (in its currency)
+ * @param {string} params.currency - 'ARS' | 'USD'
+ * @param {boolean} params.indexed - Whether the refund follows the rent
+ * @param {number} params.initialRent - Rent of the first month
+ * @param {number} params.lastRent - Rent of the last month
+ * @param {Array} params.deductions - Deductions ({ amount }) in ARS
+ * @param {number} params.arrears - Balance owed on the ledger (ARS)
+ * @param {number} params.exchangeRate - ARS per unit of the deposit currency (default: 1)
+ * @returns {Object} { deposit, currency, indexFactor, refundableDeposit, refundableDepositArs,
+ *   deductionsTotal, arrears, balance, refund, owedByTenant } (balance < 0: the tenant owes the difference)
+ */
+export const computeSettlement = ({
+    deposit = 0,
+    currency = 'ARS',
+    indexed = false,
+    initialRent = 0,
+    lastRent = 0,
+    deductions = [],
+    arrears = 0,
+    exchangeRate = 1
+}) => {
+    const indexFactor = indexed && currency === 'ARS' && initialRent > 0 && lastRent > 0
+        ? lastRent / initialRent
+        : 1;
+
+    const refundableDeposit = roundCents(Number(deposit) * indexFactor);
+    const refundableDepositArs = roundCents(refundableDeposit * (currency === 'ARS' ? 1 : Number(exchangeRate) || 0));
+    const deductionsTotal = roundCents(deductions.reduce((sum, d) => sum + Number(d.amount), 0));
+    const owed = Math.max(0, roundCents(arrears));
+    const balance = roundCents(refundableDepositArs - deductionsTotal - owed);
+
+    return {
+        deposit: Number(deposit),
+        currency,
+        indexFactor,
+        refundableDeposit,
+        refundableDepositArs,
+        deductionsTotal,
+        arrears: owed,
+        balance,
+        refund: Math.max(0, balance),
+        owedByTenant: Math.max(0, -balance)
+    };
+};
@@ -23,7 +23,8 @@ export const fetchIPCData = async () => {
 
             return {
                 date: dateStr,
-                value: item.valor / 100 // Convert Percentage to Decimal (2.5 -> 0.025)
+                value: item.valor / 100, // Convert Percentage to Decimal (2.5 -> 0.025)
+                source: 'indec'
             };
         }).sort((a, b) => new Date(b.date) - new Date(a.date));
 
@@ -59,6 +60,7 @@ export const fetchIPCData = async () => {
             { date: '2024-02-01', value: 0.132 },
             { date: '2024-01-01', value: 0.206 },
         ];
-        return officialData;
+        // Flag the points so callers can warn that the schedule uses stale data
+        return officialData.map(point => ({ ...point, source: 'fallback' }));
     }
 };
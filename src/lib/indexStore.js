@@ -0,0 +1,301 @@
+import { supabase } from './supabase';
+import { fetchIPCData } from './indec';
+import { fetchArquilerData, buildIndexData } from './arquiler';
+import { INDEX_METHODS, sourceRank } from './rentCalculator';
+
+/**
+ * Index values persisted in Supabase (index_values table)
+ *
+ * Pages used to fetch /api/ipc and /api/arquiler on every mount and silently
+ * fall back to hardcoded data. The store keeps every published value with its
+ * source and fetch date, refreshes it from the APIs when it gets stale, and
+ * reports when a schedule can only be computed from fallback data.
+ */
+
+// Refresh from the APIs when the newest stored value is older than this
+export const REFRESH_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+// Sources filled from the APIs (manual entries come from the Indices page)
+export const OFFICIAL_SOURCES = ['indec', 'arquiler'];
+
+const INDEX_TYPES = ['ipc', 'icl', 'casa_propia', 'cac'];
+
+/**
+ * Converts an index data map into index_values rows
+ * Fallback values are never stored: they are not published data.
+ *
+ * @param {Object} indexData - { ipc: [], icl: [], ... } (see buildIndexData)
+ * @param {string} fetchedAt - ISO timestamp of the fetch
+ * @returns {Array} Rows { index_type, date, value, source, fetched_at }
+ */
+export const toIndexRows = (indexData, fetchedAt) => INDEX_TYPES.flatMap(indexType =>
+    (indexData?.[indexType] || [])
+        .filter(point => point.source && point.source !== 'fallback')
+        .map(point => ({
+            index_type: indexType,
+            date: point.date,
+            value: point.value,
+            source: point.source,
+            fetched_at: point.fetchedAt || fetchedAt
+        }))
+);
+
+/**
+ * Builds the index data map used by rentCalculator from index_values rows
+ * When the same index and date exist in several sources the most trusted wins
+ * (see INDEX_SOURCES in rentCalculator).
+ *
+ * @param {Array} rows - Rows { index_type, date, value, source, fetched_at }
+ * @returns {Object} { ipc: [], icl: [], casa_propia: [], cac: [] } with points
+ *   { date, value, source, fetchedAt } sorted ascending, one per date
+ */
+export const indexDataFromRows = (rows = []) => {
+    const byIndex = Object.fromEntries(INDEX_TYPES.map(indexType => [indexType, new Map()]));
+
+    rows.forEach(row => {
+        const series = byIndex[row.index_type];
+        if (!series) return;
+
+        const current = series.get(row.date);
+        if (!current || sourceRank(row.source) < sourceRank(current.source)) {
+            series.set(row.date, {
+                date: row.date,
+                value: Number(row.value),
+                source: row.source,
+                fetchedAt: row.fetched_at
+            });
+        }
+    });
+
+    return Object.fromEntries(Object.entries(byIndex).map(([indexType, series]) => [
+        indexType,
+        [...series.values()].sort((a, b) => a.date.localeCompare(b.date))
+    ]));
+};
+
+/**
+ * Whether a series only has fallback data
+ * @param {Array} series - Index points
+ * @returns {boolean}
+ */
+export const isFallbackSeries = (series) =>
+    !series || series.length === 0 || series.every(point => point.source === 'fallback');
+
+const readStoredRows = async () => {
+    const { data, error } = await supabase.from('index_values').select('*');
+    if (error) throw error;
+    return data || [];
+};
+
+// Only API fetches count: manual entries must not delay a refresh
+const isStale = (rows) => {
+    const official = rows.filter(row => OFFICIAL_SOURCES.includes(row.source));
+    if (official.length === 0) return true;
+    const newest = official.reduce((latest, row) => row.fetched_at > latest ? row.fetched_at : latest, '');
+    return Date.now() - new Date(newest).getTime() > REFRESH_INTERVAL_MS;
+};
+
+/**
+ * Loads index data for the schedule calculations
+ *
+ * 1. Reads the stored values from index_values
+ * 2. If they are stale (or missing), fetches /api/ipc and /api/arquiler and upserts the result
+ * 3. Only uses the hardcoded IPC fallback when neither the store nor the APIs have IPC data
+ *
+ * @returns {Promise<Object>} { indexData, usingFallback }
+ */
+export const loadIndexData = async () => {
+    let rows = [];
+    try {
+        rows = await readStoredRows();
+    } catch (error) {
+        console.error("Failed to read stored index values", error);
+    }
+
+    let fallbackIpc = [];
+
+    // IPC is needed by most leases: refetch when the store has no official IPC
+    if (isStale(rows) || !rows.some(row => row.index_type === 'ipc' && OFFICIAL_SOURCES.includes(row.source))) {
+        const fetchedAt = new Date().toISOString();
+        const [ipc, arquiler] = await Promise.all([fetchIPCData(), fetchArquilerData()]);
+        const fetched = buildIndexData(ipc, arquiler);
+        const freshRows = toIndexRows(fetched, fetchedAt);
+
+        if (isFallbackSeries(fetched.ipc)) fallbackIpc = fetched.ipc;
+
+        if (freshRows.length > 0) {
+            const { error } = await supabase
+                .from('index_values')
+                .upsert(freshRows, { onConflict: 'user_id,index_type,date,source' });
+            if (error) console.error("Failed to store index values", error);
+        }
+
+        // Fresh values replace stored ones with the same key
+        const key = (row) => `${row.index_type}|${row.date}|${row.source}`;
+        const freshKeys = new Set(freshRows.map(key));
+        rows = [...rows.filter(row => !freshKeys.has(key(row))), ...freshRows];
+    }
+
+    const indexData = indexDataFromRows(rows);
+    const usingFallback = indexData.ipc.length === 0 && fallbackIpc.length > 0;
+    if (usingFallback) {
+        indexData.ipc = [...fallbackIpc].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    return { indexData, usingFallback };
+};
+
+// ==================== MANUAL ENTRY ====================
+
+/**
+ * Stored values of one index (all sources), newest first
+ * @param {string} indexType - Index id (see getAvailableIndices)
+ * @returns {Promise<Array>} Rows { index_type, date, value, source, fetched_at }
+ */
+export const fetchStoredValues = async (indexType) => {
+    const { data, error } = await supabase
+        .from('index_values')
+        .select('*')
+        .eq('index_type', indexType)
+        .order('date', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+};
+
+/**
+ * Saves manually entered values (insert or overwrite the manual value for each date)
+ * @param {string} indexType - Index id
+ * @param {Array} points - [{ date: YYYY-MM-DD, value }] in the units used by rentCalculator
+ */
+export const saveManualValues = async (indexType, points) => {
+    const enteredAt = new Date().toISOString();
+    const rows = points.map(point => ({
+        index_type: indexType,
+        date: point.date,
+        value: point.value,
+        source: 'manual',
+        fetched_at: enteredAt
+    }));
+
+    const { error } = await supabase
+        .from('index_values')
+        .upsert(rows, { onConflict: 'user_id,index_type,date,source' });
+
+    if (error) throw error;
+};
+
+/**
+ * Deletes a manually entered value (official values are never deleted)
+ * @param {string} indexType - Index id
+ * @param {string} date - YYYY-MM-DD
+ */
+export const deleteManualValue = async (indexType, date) => {
+    const { error } = await supabase
+        .from('index_values')
+        .delete()
+        .eq('index_type', indexType)
+        .eq('date', date)
+        .eq('source', 'manual');
+
+    if (error) throw error;
+};
+
+/**
+ * Whether values of an index are monthly rates entered as percentages (IPC, Casa Propia)
+ * rather than index levels (ICL, CAC)
+ * @param {string} indexType - Index id
+ * @returns {boolean}
+ */
+export const isRateIndex = (indexType) => INDEX_METHODS[indexType] === 'compound';
+
+const SPANISH_MONTHS = ['ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sep', 'oct', 'nov', 'dic'];
+
+/**
+ * Parses a date cell from a spreadsheet: 2024-01, 2024-01-15, 01/2024, 15/01/2024, ene-24, enero 2024
+ * @param {string} cell - Raw cell
+ * @param {boolean} keepDay - Keep the day (daily indices); otherwise anchor to the 1st
+ * @returns {string|null} YYYY-MM-DD
+ */
+const parseDateCell = (cell, keepDay) => {
+    const text = cell.trim().toLowerCase();
+    let year, month, day = 1;
+    let m;
+
+    if ((m = text.match(/^(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2}))?$/))) {
+        [, year, month, day = 1] = m;
+    } else if ((m = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/))) {
+        [, day, month, year] = m;
+    } else if ((m = text.match(/^(\d{1,2})[-/](\d{4})$/))) {
+        [, month, year] = m;
+    } else if ((m = text.match(/^([a-záéíóú]{3})[a-záéíóú]*\.?[\s-]+(\d{2}|\d{4})$/))) {
+        const monthIndex = SPANISH_MONTHS.indexOf(m[1]);
+        if (monthIndex === -1) return null;
+        month = monthIndex + 1;
+        year = m[2].length === 2 ? 2000 + Number(m[2]) : m[2];
+    } else {
+        return null;
+    }
+
+    year = Number(year);
+    month = Number(month);
+    day = keepDay ? Number(day) : 1;
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Parses a number cell: 2.5, 2,5, 1.234,56, 4,2%
+ * @param {string} cell - Raw cell
+ * @returns {number} NaN when not a number
+ */
+const parseNumberCell = (cell) => {
+    let text = cell.trim().replace(/%$/, '').replace(/\s/g, '');
+    if (text.includes(',')) text = text.replace(/\./g, '').replace(',', '.');
+    return text === '' ? NaN : Number(text);
+};
+
+/**
+ * Parses CSV/TSV text pasted from the INDEC spreadsheet (date in the first column,
+ * value in the second). Rate indices are entered as percentages (2.7 = 2.7%) and
+ * converted to decimals; level indices are kept as-is.
+ *
+ * @param {string} text - Pasted text
+ * @param {string} indexType - Index id
+ * @returns {Object} { points: [{ date, value }] sorted ascending, errors: [line numbers] }
+ */
+export const parseIndexTable = (text, indexType) => {
+    const keepDay = indexType === 'icl';
+    const byDate = new Map();
+    const errors = [];
+
+    (text || '').split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim()) return;
+
+        // Tabs/semicolons allow decimal commas; plain CSV splits on commas
+        let cells = line.split(/\t|;/);
+        if (cells.length < 2) {
+            cells = line.split(',');
+            // "2024-01,2,7": the value had a decimal comma
+            if (cells.length === 3) cells = [cells[0], `${cells[1]},${cells[2]}`];
+        }
+        cells = cells.map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+        const date = cells.length >= 2 ? parseDateCell(cells[0], keepDay) : null;
+        const value = cells.length >= 2 ? parseNumberCell(cells[1]) : NaN;
+
+        if (!date || Number.isNaN(value)) {
+            // A first line that doesn't parse is a header
+            if (i > 0 || byDate.size > 0) errors.push(i + 1);
+            return;
+        }
+
+        byDate.set(date, { date, value: isRateIndex(indexType) ? value / 100 : value });
+    });
+
+    return {
+        points: [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)),
+        errors
+    };
+};
@@ -0,0 +1,181 @@
+import { DEFAULT_DUE_DAY, getDueDate, getRentForMonth, getLateFee, getLateFeeRule, getRentPortion } from './balance';
+import { getChargesForMonth } from './charges';
+
+/**
+ * Tenant ledger of a lease
+ *
+ * One line per monthly rent charge and extra charge (dated on the due date of
+ * their month), per late-interest charge (dated to the day it accrued to) and
+ * per payment received, in date order with a running balance. The balance is what the
+ * tenant owes: charges minus payments (negative when paid in advance).
+ *
+ * Arrears aging allocates payments to the oldest charges first and groups what
+ * remains unpaid of each overdue charge by days past its due date.
+ */
+
+export const AGING_BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+const agingBucket = (days) => {
+    if (days <= 30) return '0-30';
+    if (days <= 60) return '31-60';
+    if (days <= 90) return '61-90';
+    return '90+';
+};
+
+const nextMonth = (month) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return monthIndex === 12 ? `${year + 1}-01` : `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Arrears aging of a set of charges and payments
+ *
+ * @param {Array} charges - Charges { date, amount } (date is when they fall due)
+ * @param {number} paid - Total paid
+ * @param {string} todayStr - Reference date (YYYY-MM-DD)
+ * @returns {Object} { buckets: { '0-30', '31-60', '61-90', '90+' }, overdue, notDue }
+ */
+export const getAging = (charges, paid, todayStr) => {
+    const buckets = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0]));
+    let credit = paid;
+    let notDue = 0;
+
+    [...charges]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .forEach(charge => {
+            const applied = Math.min(credit, charge.amount);
+            credit -= applied;
+            const unpaid = roundCents(charge.amount - applied);
+            if (unpaid <= 0) return;
+
+            if (charge.date < todayStr) {
+                const bucket = agingBucket(daysBetween(charge.date, todayStr));
+                buckets[bucket] = roundCents(buckets[bucket] + unpaid);
+            } else {
+                notDue = roundCents(notDue + unpaid);
+            }
+        });
+
+    const overdue = roundCents(AGING_BUCKETS.reduce((sum, bucket) => sum + buckets[bucket], 0));
+    return { buckets, overdue, notDue };
+};
+
+/**
+ * Builds the ledger of a lease
+ *
+ * Rent is charged for every month from the lease start up to the current month
+ * (or the lease end, if earlier), using the rent in effect that month, along with
+ * the extra charges billed that month. Payments count when their month falls
+ * within the lease. The due day and late-interest clause come from the lease.
+ *
+ * @param {Object} params
+ * @param {Object} params.unit - Unit (legacy lease fields when there is no lease)
+ * @param {Object|null} params.lease - Lease
+ * @param {Array} params.adjustments - Recorded adjustments of the unit
+ * @param {Array} params.payments - Payments of the unit ({ id, amount, datePaid, forMonth })
+ * @param {Array} params.charges - Extra charges of the lease ({ id, forMonth, recurring, endMonth, category, description, amount })
+ * @param {number} params.dueDay - Day of the month rent is due when the lease sets none (default: 10)
+ * @param {Date} params.today - Reference date (default: now)
+ * @returns {Object} { entries, charged, paid, balance, aging }
+ *   entries: { id, type: 'rent' | 'late_fee' | 'charge' | 'payment', date, month, category, description, debit, credit, balance }
+ */
+export const buildLedger = ({
+    unit,
+    lease,
+    adjustments = [],
+    payments = [],
+    charges = [],
+    dueDay = DEFAULT_DUE_DAY,
+    today = new Date()
+}) => {
+    const todayStr = today.toISOString().split('T')[0];
+    const start = lease ? lease.startDate : unit?.leaseStart;
+    const end = lease ? lease.endDate : unit?.leaseEnd;
+
+    if (!start) {
+        return { entries: [], charged: 0, paid: 0, balance: 0, aging: getAging([], 0, todayStr) };
+    }
+
+    const startMonth = start.slice(0, 7);
+    const endMonth = end ? end.slice(0, 7) : null;
+    const inLease = (month) => month >= startMonth && (!endMonth || month <= endMonth);
+
+    // Adjustments recorded for a later lease of the unit do not apply here
+    const leaseAdjustments = adjustments.filter(a => !end || a.date <= end);
+    const leaseDueDay = lease?.dueDay || dueDay;
+    const lateFeeRule = getLateFeeRule(lease);
+
+    const debits = [];
+    const lastMonth = endMonth && endMonth < todayStr.slice(0, 7) ? endMonth : todayStr.slice(0, 7);
+    for (let month = startMonth; month <= lastMonth; month = nextMonth(month)) {
+        const rent = getRentForMonth(unit, lease, leaseAdjustments, month);
+        if (rent <= 0) continue;
+
+        const dueDate = getDueDate(month, leaseDueDay);
+        debits.push({ id: `rent-${month}`, type: 'rent', date: dueDate, month, description: null, debit: rent, credit: 0 });
+
+        const late = getLateFee({
+            due: rent,
+            payments: payments
+                .filter(p => p.forMonth === month)
+                .map(p => ({ ...p, amount: getRentPortion(p) })),
+            dueDate,
+            rule: lateFeeRule,
+            today
+        });
+        if (late.amount > 0) {
+            debits.push({ id: `late-${month}`, type: 'late_fee', date: late.accruedTo, month, description: null, debit: late.amount, credit: 0 });
+        }
+
+        getChargesForMonth(charges, month).forEach(charge => {
+            debits.push({
+                id: `${charge.id}-${month}`,
+                type: 'charge',
+                date: dueDate,
+                month,
+                category: charge.category,
+                description: charge.description || null,
+                debit: Number(charge.amount),
+                credit: 0
+            });
+        });
+    }
+
+    const credits = payments
+        .filter(p => p.forMonth && inLease(p.forMonth))
+        .map(p => ({
+            id: p.id,
+            type: 'payment',
+            date: p.datePaid || getDueDate(p.forMonth, leaseDueDay),
+            month: p.forMonth,
+            description: null,
+            debit: 0,
+            credit: Number(p.amount)
+        }));
+
+    // Same day: charges before payments
+    let balance = 0;
+    const entries = [...debits, ...credits]
+        .sort((a, b) => a.date.localeCompare(b.date) || b.debit - a.debit)
+        .map(entry => {
+            balance = roundCents(balance + entry.debit - entry.credit);
+            return { ...entry, balance };
+        });
+
+    const charged = roundCents(debits.reduce((sum, d) => sum + d.debit, 0));
+    const paid = roundCents(credits.reduce((sum, c) => sum + c.credit, 0));
+
+    return {
+        entries,
+        charged,
+        paid,
+        balance: roundCents(charged - paid),
+        aging: getAging(debits.map(d => ({ date: d.date, amount: d.debit })), paid, todayStr)
+    };
+};
@@ -0,0 +1,108 @@
+import { evaluateReminders, getReminderRules } from './reminders';
+
+/**
+ * In-app notifications
+ *
+ * Gathers the events the pages already compute into one inbox (the bell next to
+ * the navigation):
+ * - 'rent_overdue': rent of a month past its due day and not fully paid (Overview)
+ * - 'adjustment_upcoming': a rent adjustment coming up (Increments)
+ * - 'maintenance_due' / 'maintenance_overdue': maintenance tasks due soon or overdue (Maintenance)
+ * - 'index_fallback': IPC adjustments computed from the hardcoded fallback values
+ *
+ * Notifications are derived from the data, like the reminders: only the read and
+ * dismissed state is stored (notifications table), under the same kind of key
+ * naming the event, so an event that comes back (next month's rent, the next due
+ * date of a task) is a new notification.
+ */
+
+export const NOTIFICATION_TYPES = ['rent_overdue', 'adjustment_upcoming', 'maintenance_due', 'maintenance_overdue', 'index_fallback'];
+
+// Same window as "due soon" on the Maintenance page
+export const MAINTENANCE_DUE_DAYS = 30;
+
+// Rent is flagged as soon as it is overdue; adjustments with the notice lead time
+const IN_APP_RULES = getReminderRules({
+    rent_overdue: { days: 0 },
+    lease_expiring: { enabled: false },
+    maintenance_overdue: { days: 0 }
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Page a notification opens (?unit= selects the unit there)
+ * @param {Object} notification - Notification ({ type, unitId })
+ * @returns {string} Route
+ */
+export const getNotificationLink = ({ type, unitId }) => {
+    const unit = unitId ? `?unit=${unitId}` : '';
+    switch (type) {
+        case 'rent_overdue': return `/${unit}`;
+        case 'adjustment_upcoming': return `/increments${unit}`;
+        case 'maintenance_due':
+        case 'maintenance_overdue': return `/maintenance${unit}`;
+        case 'index_fallback': return '/indices';
+        default: return '/';
+    }
+};
+
+/**
+ * Notifications active on a date
+ *
+ * @param {Object} params - Data as in evaluateReminders, plus:
+ * @param {boolean} params.indexFallback - IPC values only available from the fallback (see loadIndexData)
+ * @param {string} params.today - Reference date (YYYY-MM-DD)
+ * @returns {Array} Notifications { key, type, unitId, date, days, data, link }
+ *   (days: days late, or days left for upcoming events)
+ */
+export const collectNotifications = ({ indexFallback = false, ...data }) => {
+    const { units = [], leases = [], maintenances = [], today } = data;
+
+    const notifications = evaluateReminders({ ...data, rules: IN_APP_RULES })
+        .map(({ rule, key, unitId, date, days, data: values }) => ({ key, type: rule, unitId, date, days, data: values }));
+
+    // Due soon (overdue ones come from the reminder rule)
+    const activeUnitIds = new Set(units.filter(u => u.isActive !== false).map(u => u.id));
+    maintenances.forEach(task => {
+        if (!activeUnitIds.has(task.unitId) || !task.nextDue) return;
+
+        const daysLeft = Math.round((Date.parse(task.nextDue) - Date.parse(today)) / DAY_MS);
+        if (daysLeft >= 0 && daysLeft <= MAINTENANCE_DUE_DAYS) {
+            notifications.push({
+                key: `maintenance_due:${task.id}:${task.nextDue}`,
+                type: 'maintenance_due',
+                unitId: task.unitId,
+                date: task.nextDue,
+                days: daysLeft,
+                data: { unitName: units.find(u => u.id === task.unitId)?.name || '', title: task.title }
+            });
+        }
+    });
+
+    // Only matters while an active lease is adjusted by IPC; once a month
+    const usesIpc = leases.some(l => l.status === 'ACTIVE' && (l.indexType || 'ipc') === 'ipc');
+    if (indexFallback && usesIpc) {
+        const month = today.slice(0, 7);
+        notifications.push({ key: `index_fallback:${month}`, type: 'index_fallback', unitId: null, date: today, days: 0, data: { month } });
+    }
+
+    return notifications.map(n => ({ ...n, link: getNotificationLink(n) }));
+};
+
+/**
+ * Active notifications with their stored read / dismissed state
+ * Dismissed ones are left out; unread first, then by date.
+ *
+ * @param {Array} active - Active notifications (see collectNotifications)
+ * @param {Array} stored - Stored state ({ key, readAt, dismissedAt, createdAt })
+ * @returns {Array} Notifications with { read, createdAt }
+ */
+export const mergeNotificationState = (active, stored = []) => {
+    const byKey = new Map(stored.map(s => [s.key, s]));
+
+    return active
+        .filter(n => !byKey.get(n.key)?.dismissedAt)
+        .map(n => ({ ...n, read: !!byKey.get(n.key)?.readAt, createdAt: byKey.get(n.key)?.createdAt || null }))
+        .sort((a, b) => (a.read - b.read) || a.date.localeCompare(b.date));
+};
@@ -1,8 +1,39 @@
 import { jsPDF } from 'jspdf';
 import { formatCurrency, formatDate } from './utils';
-
-export const generateReceipt = (payment, unit, labels = {}, options = {}) => {
-    const { dateFormat = 'dd/mm/yyyy', ownerName = '', signatureDataUrl = null } = options;
+import { createZip } from './zip';
+
+export const BATCH_FORMATS = ['pdf', 'zip'];
+
+/**
+ * Translated receipt labels, stored in the snapshot of each receipt
+ * @param {Function} t - i18next translate function
+ * @returns {Object} Labels
+ */
+export const getReceiptLabels = (t) => Object.fromEntries([
+    'title', 'receiptId', 'dateIssued', 'propertyDetails', 'property', 'tenant', 'paymentInfo', 'period',
+    'amountPaid', 'datePaid', 'paidInFull', 'partialPayment', 'balanceDue', 'lateFee', 'extraCharges',
+    'replaces', 'void', 'footer', 'na'
+].map(key => [key, t(`receipt.${key}`)]));
+
+const receiptFileName = (receipt) => `Receipt_${receipt.snapshot.unitName}_${receipt.snapshot.forMonth}_${receipt.formattedNumber}.pdf`;
+
+/**
+ * Draws a rent receipt on the current page of a document, from the snapshot stored
+ * when it was issued (see lib/receipts). Voided receipts carry a VOID stamp.
+ *
+ * @param {jsPDF} doc - Document
+ * @param {Object} receipt - { formattedNumber, status, voidReason, snapshot }
+ * @param {Object} options - { signatureDataUrl }
+ */
+const drawReceipt = (doc, receipt, options = {}) => {
+    const { signatureDataUrl = null } = options;
+    const {
+        unitName, tenant, forMonth, datePaid, amount, chargesAmount, currency,
+        // outstanding: balance of the month left after this payment (instalments)
+        // lateFee: late interest accrued on the month (see getLateFee)
+        outstanding = 0, lateFee = 0,
+        ownerName = '', dateFormat = 'dd/mm/yyyy', dateIssued, replaces, labels = {}
+    } = receipt.snapshot;
 
     const l = {
         title: labels.title || 'RENT RECEIPT',
@@ -16,19 +47,16 @@ export const generateReceipt = (payment, unit, labels = {}, options = {}) => {
         amountPaid: labels.amountPaid || 'Amount Paid',
         datePaid: labels.datePaid || 'Date Paid',
         paidInFull: labels.paidInFull || 'PAID IN FULL',
+        partialPayment: labels.partialPayment || 'PARTIAL PAYMENT',
+        balanceDue: labels.balanceDue || 'Balance due',
+        lateFee: labels.lateFee || 'Late interest',
+        extraCharges: labels.extraCharges || 'extra charges',
+        replaces: labels.replaces || 'Replaces receipt',
+        void: labels.void || 'VOID',
         footer: labels.footer || 'Thank you for your payment and for choosing PropFlow.',
         na: labels.na || 'N/A',
     };
 
-    const today = (() => {
-        const now = new Date();
-        const y = now.getFullYear();
-        const m = String(now.getMonth() + 1).padStart(2, '0');
-        const d = String(now.getDate()).padStart(2, '0');
-        return `${y}-${m}-${d}`;
-    })();
-
-    const doc = new jsPDF();
     const primaryColor = '#059669'; // Emerald-600
     const secondaryColor = '#475569'; // Slate-600
 
@@ -50,8 +78,13 @@ export const generateReceipt = (payment, unit, labels = {}, options = {}) => {
     const margin = 20;
 
     // Receipt Reference
-    doc.text(`${l.receiptId}: ${payment.id.slice(0, 8).toUpperCase()}`, margin, startY);
-    doc.text(`${l.dateIssued}: ${formatDate(today, dateFormat)}`, 190, startY, { align: 'right' });
+    doc.text(`${l.receiptId}: ${receipt.formattedNumber}`, margin, startY);
+    doc.text(`${l.dateIssued}: ${formatDate(dateIssued, dateFormat)}`, 190, startY, { align: 'right' });
+    if (replaces) {
+        doc.setFontSize(9);
+        doc.text(`${l.replaces} ${replaces}`, margin, startY - 6);
+        doc.setFontSize(10);
+    }
 
     // Divider
     doc.setDrawColor('#e2e8f0');
@@ -64,8 +97,8 @@ export const generateReceipt = (payment, unit, labels = {}, options = {}) => {
 
     doc.setFontSize(11);
     doc.setTextColor(secondaryColor);
-    doc.text(`${l.property}: ${unit.name}`, margin, startY + 30);
-    doc.text(`${l.tenant}: ${unit.tenant || l.na}`, margin, startY + 38);
+    doc.text(`${l.property}: ${unitName}`, margin, startY + 30);
+    doc.text(`${l.tenant}: ${tenant || l.na}`, margin, startY + 38);
 
     doc.setFontSize(14);
     doc.setTextColor('#1e293b');
@@ -73,9 +106,13 @@ export const generateReceipt = (payment, unit, labels = {}, options = {}) => {
 
     doc.setFontSize(11);
     doc.setTextColor(secondaryColor);
-    doc.text(`${l.period}: ${payment.forMonth}`, margin, startY + 65);
-    doc.text(`${l.amountPaid}: ${formatCurrency(payment.amount)}`, margin, startY + 73);
-    doc.text(`${l.datePaid}: ${formatDate(payment.datePaid, dateFormat)}`, margin, startY + 81);
+    doc.text(`${l.period}: ${forMonth}`, margin, startY + 65);
+    const chargesNote = chargesAmount > 0 ? ` (${l.extraCharges}: ${formatCurrency(chargesAmount, currency)})` : '';
+    doc.text(`${l.amountPaid}: ${formatCurrency(amount, currency)}${chargesNote}`, margin, startY + 73);
+    doc.text(`${l.datePaid}: ${formatDate(datePaid, dateFormat)}`, margin, startY + 81);
+    if (lateFee > 0) {
+        doc.text(`${l.lateFee}: ${formatCurrency(lateFee, currency)}`, margin, startY + 89);
+    }
 
     // Summary Box
     doc.setFillColor('#f8fafc');
@@ -87,7 +124,15 @@ export const generateReceipt = (payment, unit, labels = {}, options = {}) => {
     doc.setFontSize(16);
     doc.setTextColor(primaryColor);
     doc.setFont('helvetica', 'bold');
-    doc.text(l.paidInFull, margin + 85, startY + 115, { align: 'center' });
+    if (outstanding > 0) {
+        doc.text(l.partialPayment, margin + 85, startY + 110, { align: 'center' });
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(secondaryColor);
+        doc.text(`${l.balanceDue}: ${formatCurrency(outstanding, currency)}`, margin + 85, startY + 118, { align: 'center' });
+    } else {
+        doc.text(l.paidInFull, margin + 85, startY + 115, { align: 'center' });
+    }
 
     // Signature section
     const sigY = startY + 140;
@@ -116,6 +161,75 @@ export const generateReceipt = (payment, unit, labels = {}, options = {}) => {
     doc.setFont('helvetica', 'italic');
     doc.text(l.footer, 105, 280, { align: 'center' });
 
-    // Save
-    doc.save(`Receipt_${unit.name}_${payment.forMonth}.pdf`);
+    // Void stamp, with the reason
+    if (receipt.status === 'void') {
+        doc.setTextColor('#dc2626');
+        doc.setFontSize(72);
+        doc.setFont('helvetica', 'bold');
+        doc.text(l.void, 105, 160, { align: 'center', angle: 30 });
+        if (receipt.voidReason) {
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'normal');
+            doc.text(receipt.voidReason, 105, 270, { align: 'center' });
+        }
+    }
+};
+
+/**
+ * Rent receipt (PDF). Printed from its stored snapshot, so every download of a receipt is the same document.
+ *
+ * @param {Object} receipt - { formattedNumber, status, voidReason, snapshot }
+ * @param {Object} options - { signatureDataUrl }
+ */
+export const generateReceipt = (receipt, options = {}) => {
+    const doc = new jsPDF();
+    drawReceipt(doc, receipt, options);
+    doc.save(receiptFileName(receipt));
+};
+
+/**
+ * Rent receipt as an email attachment (see /api/send-email)
+ *
+ * @param {Object} receipt - { formattedNumber, status, voidReason, snapshot }
+ * @param {Object} options - { signatureDataUrl }
+ * @returns {Object} { filename, content } (content: the PDF in base64)
+ */
+export const getReceiptAttachment = (receipt, options = {}) => {
+    const doc = new jsPDF();
+    drawReceipt(doc, receipt, options);
+    return { filename: receiptFileName(receipt), content: doc.output('datauristring').split(',')[1] };
+};
+
+/**
+ * Several receipts at once: one PDF with a page per receipt, or a ZIP with a PDF per receipt
+ *
+ * @param {Array} receipts - Receipts, in the order to print them
+ * @param {Object} options - { signatureDataUrl, format: 'pdf' | 'zip', fileName (without extension) }
+ */
+export const generateReceiptBatch = (receipts, options = {}) => {
+    const { format = 'pdf', fileName = 'Receipts' } = options;
+    if (receipts.length === 0) return;
+
+    if (format === 'pdf') {
+        const doc = new jsPDF();
+        receipts.forEach((receipt, idx) => {
+            if (idx > 0) doc.addPage();
+            drawReceipt(doc, receipt, options);
+        });
+        doc.save(`${fileName}.pdf`);
+        return;
+    }
+
+    const files = receipts.map(receipt => {
+        const doc = new jsPDF();
+        drawReceipt(doc, receipt, options);
+        return { name: receiptFileName(receipt), data: doc.output('arraybuffer') };
+    });
+
+    const url = URL.createObjectURL(new Blob([createZip(files)], { type: 'application/zip' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName}.zip`;
+    link.click();
+    URL.revokeObjectURL(url);
 };
@@ -0,0 +1,127 @@
+/**
+ * Rent receipts
+ *
+ * Every receipt gets a sequential number per owner and point of sale, printed
+ * point-of-sale style (0001-00000042), and stores a snapshot of everything it
+ * prints, so downloading it again always yields the same document. Receipts are
+ * never edited: a wrong one is voided (with a reason) and, when needed, a new
+ * one is issued that references it.
+ *
+ * Each receipt also stores a SHA-256 hash of its snapshot chained to the hash of
+ * the previous receipt of the owner, so a changed or missing receipt shows up
+ * when the chain is verified.
+ */
+
+export const RECEIPT_STATUSES = ['issued', 'void'];
+
+export const DEFAULT_POINT_OF_SALE = 1;
+
+// Error code of an insert chained to a receipt that is no longer the last one
+// (serialization_failure, see assign_receipt_number in the schema)
+export const STALE_CHAIN_ERROR = '40001';
+
+// Times a receipt is chained again when others are issued at the same time
+export const ISSUE_ATTEMPTS = 3;
+
+/**
+ * Printed receipt number, point-of-sale style
+ *
+ * @param {number} pointOfSale - Point of sale (4 digits)
+ * @param {number} number - Sequential number (8 digits)
+ * @returns {string} e.g. '0001-00000042'
+ */
+export const formatReceiptNumber = (pointOfSale, number) => {
+    return `${String(pointOfSale || DEFAULT_POINT_OF_SALE).padStart(4, '0')}-${String(number || 0).padStart(8, '0')}`;
+};
+
+// Today in local time (YYYY-MM-DD)
+const localToday = () => {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * What a receipt prints, frozen when it is issued
+ *
+ * @param {Object} params
+ * @param {Object} params.payment - Payment ({ amount, chargesAmount, currency, datePaid, forMonth })
+ * @param {Object} params.unit - Unit ({ name, tenant })
+ * @param {number} params.outstanding - Balance of the month left after this payment
+ * @param {number} params.lateFee - Late interest accrued on the month
+ * @param {string} params.ownerName - Name printed below the signature
+ * @param {string} params.dateFormat - Date format of the printed dates
+ * @param {Object} params.labels - Translated labels
+ * @param {string} params.dateIssued - Issue date (YYYY-MM-DD, default: today)
+ * @param {string|null} params.replaces - Number of the voided receipt this one replaces
+ * @returns {Object} Snapshot
+ */
+export const buildReceiptSnapshot = ({
+    payment,
+    unit,
+    outstanding = 0,
+    lateFee = 0,
+    ownerName = '',
+    dateFormat = 'dd/mm/yyyy',
+    labels = {},
+    dateIssued = localToday(),
+    replaces = null
+}) => ({
+    unitName: unit.name,
+    tenant: unit.tenant || null,
+    forMonth: payment.forMonth,
+    datePaid: payment.datePaid,
+    amount: Number(payment.amount),
+    chargesAmount: Number(payment.chargesAmount) || 0,
+    currency: payment.currency || 'ARS',
+    lateFee: Number(lateFee) || 0,
+    outstanding: Number(outstanding) || 0,
+    ownerName,
+    dateFormat,
+    dateIssued,
+    replaces,
+    labels
+});
+
+// JSON with sorted keys, so the same snapshot always hashes the same
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hash of a receipt snapshot chained to the previous receipt's hash
+ *
+ * @param {Object} snapshot - Receipt snapshot
+ * @param {string} previousHash - Hash of the previous receipt ('' for the first)
+ * @returns {Promise<string>} Hex SHA-256
+ */
+export const hashReceipt = async (snapshot, previousHash = '') => {
+    const data = new TextEncoder().encode(`${previousHash}|${stableStringify(snapshot)}`);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Verifies the hash chain of a point of sale
+ *
+ * @param {Array} receipts - Receipts of one point of sale ({ id, number, snapshot, hash, previousHash })
+ * @returns {Promise<Array>} IDs of the receipts whose hash or link does not match
+ */
+export const verifyReceiptChain = async (receipts) => {
+    const sorted = [...receipts].sort((a, b) => a.number - b.number);
+    const broken = [];
+    let previousHash = '';
+
+    for (const receipt of sorted) {
+        const expected = await hashReceipt(receipt.snapshot, receipt.previousHash || '');
+        if (expected !== receipt.hash || (receipt.previousHash || '') !== previousHash) {
+            broken.push(receipt.id);
+        }
+        previousHash = receipt.hash;
+    }
+
+    return broken;
+};
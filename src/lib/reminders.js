@@ -0,0 +1,188 @@
+// Explicit extensions: this module also runs in the reminders job (Node)
+import { findLeaseForMonth, getRentForMonth, getMonthBalance, getLateFeeRule } from './balance.js';
+import { getChargesForMonth } from './charges.js';
+import { applyLeaseTerms, getAdjustmentDates } from './rentCalculator.js';
+
+/**
+ * Reminders
+ *
+ * Rules evaluated every day by the reminders job (/api/reminders), each with a
+ * number of days set by the owner:
+ * - 'rent_overdue': rent of a month still unpaid N days after the due day
+ * - 'adjustment_upcoming': a rent adjustment within the next N days
+ * - 'lease_expiring': an active lease ending within the next N days
+ * - 'maintenance_overdue': a maintenance task overdue by N days or more
+ *
+ * Each match carries a key naming the event it is about (the lease and month of
+ * the unpaid rent, the task and its due date...), so the job sends it once: what
+ * was sent is recorded in sent_notifications under that key.
+ */
+
+export const REMINDER_RULES = ['rent_overdue', 'adjustment_upcoming', 'lease_expiring', 'maintenance_overdue'];
+
+// Rules that can also be sent to the tenant (maintenance stays with the owner)
+export const TENANT_RULES = ['rent_overdue', 'adjustment_upcoming', 'lease_expiring'];
+
+export const DEFAULT_REMINDER_RULES = {
+    rent_overdue: { enabled: true, days: 5, notifyTenant: false },
+    // Same lead time as the tenant notice on the Increments page
+    adjustment_upcoming: { enabled: true, days: 20, notifyTenant: false },
+    lease_expiring: { enabled: true, days: 60, notifyTenant: false },
+    maintenance_overdue: { enabled: true, days: 0, notifyTenant: false }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+const previousMonth = (month) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthIndex - 2, 1));
+    return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Reminder rules of an owner, filled in with the defaults
+ * @param {Object} stored - Stored rules ({ [rule]: { enabled, days, notifyTenant } })
+ * @returns {Object} Every rule with its settings
+ */
+export const getReminderRules = (stored = {}) => Object.fromEntries(REMINDER_RULES.map(rule => {
+    const settings = { ...DEFAULT_REMINDER_RULES[rule], ...(stored?.[rule] || {}) };
+    return [rule, {
+        enabled: !!settings.enabled,
+        days: Math.max(0, parseInt(settings.days, 10) || 0),
+        notifyTenant: TENANT_RULES.includes(rule) && !!settings.notifyTenant
+    }];
+}));
+
+/**
+ * Reminders due on a date
+ *
+ * @param {Object} params
+ * @param {Array} params.units - Units ({ id, name, isActive })
+ * @param {Array} params.leases - Leases (see mapLeaseFromDB)
+ * @param {Array} params.payments - Payments ({ unitId, forMonth, amount, chargesAmount, datePaid })
+ * @param {Array} params.adjustments - Recorded rent adjustments ({ unitId, date, oldRent, newRent })
+ * @param {Array} params.charges - Extra charges (see lib/charges)
+ * @param {Array} params.maintenances - Maintenance tasks ({ id, unitId, title, nextDue })
+ * @param {Object} params.rules - Reminder rules (see getReminderRules)
+ * @param {string} params.today - Reference date (YYYY-MM-DD)
+ * @returns {Array} Reminders { rule, key, unitId, leaseId, date, days, tenantEmail, data }
+ *   (date: due date, adjustment date, lease end or task due date; days: days late or days left)
+ */
+export const evaluateReminders = ({
+    units = [],
+    leases = [],
+    payments = [],
+    adjustments = [],
+    charges = [],
+    maintenances = [],
+    rules = getReminderRules(),
+    today
+}) => {
+    const reminders = [];
+    const currentMonth = today.slice(0, 7);
+    const activeUnits = units.filter(u => u.isActive !== false);
+
+    activeUnits.forEach(unit => {
+        const unitLeases = leases.filter(l => l.unitId === unit.id);
+        const lease = unitLeases.find(l => l.status === 'ACTIVE');
+        if (!lease) return;
+
+        const unitAdjustments = adjustments
+            .filter(a => a.unitId === unit.id)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const base = { unitId: unit.id, leaseId: lease.id, tenantEmail: lease.tenantEmail || '' };
+        const names = { unitName: unit.name, tenantName: lease.tenantName || '' };
+
+        // Unpaid rent: this month and the previous one (a late due day can run into the next month)
+        if (rules.rent_overdue.enabled) {
+            [previousMonth(currentMonth), currentMonth].forEach(month => {
+                if (findLeaseForMonth(unitLeases, month)?.id !== lease.id) return;
+
+                const balance = getMonthBalance({
+                    due: getRentForMonth(unit, lease, unitAdjustments, month),
+                    charges: getChargesForMonth(
+                        charges.filter(c => c.unitId === unit.id && (c.leaseId || null) === lease.id),
+                        month
+                    ).reduce((sum, c) => sum + Number(c.amount), 0),
+                    payments: payments.filter(p => p.unitId === unit.id && p.forMonth === month),
+                    month,
+                    dueDay: lease.dueDay,
+                    lateFeeRule: getLateFeeRule(lease),
+                    today: new Date(today)
+                });
+                const daysLate = daysBetween(balance.dueDate, today);
+
+                if (balance.status === 'overdue' && daysLate >= rules.rent_overdue.days) {
+                    reminders.push({
+                        ...base,
+                        rule: 'rent_overdue',
+                        key: `rent_overdue:${lease.id}:${month}`,
+                        date: balance.dueDate,
+                        days: daysLate,
+                        data: { ...names, month, outstanding: balance.outstanding, currency: lease.currency || 'ARS' }
+                    });
+                }
+            });
+        }
+
+        // Next adjustment not recorded yet
+        if (rules.adjustment_upcoming.enabled) {
+            const contract = applyLeaseTerms(unit, lease);
+            const next = getAdjustmentDates(contract).find(date =>
+                date >= today && !unitAdjustments.some(a => a.date === date)
+            );
+            const daysLeft = next ? daysBetween(today, next) : null;
+
+            if (next && daysLeft <= rules.adjustment_upcoming.days) {
+                reminders.push({
+                    ...base,
+                    rule: 'adjustment_upcoming',
+                    key: `adjustment_upcoming:${lease.id}:${next}`,
+                    date: next,
+                    days: daysLeft,
+                    data: names
+                });
+            }
+        }
+
+        if (rules.lease_expiring.enabled && lease.endDate) {
+            const daysLeft = daysBetween(today, lease.endDate);
+
+            if (daysLeft >= 0 && daysLeft <= rules.lease_expiring.days) {
+                reminders.push({
+                    ...base,
+                    rule: 'lease_expiring',
+                    key: `lease_expiring:${lease.id}:${lease.endDate}`,
+                    date: lease.endDate,
+                    days: daysLeft,
+                    data: names
+                });
+            }
+        }
+    });
+
+    if (rules.maintenance_overdue.enabled) {
+        maintenances.forEach(task => {
+            const unit = activeUnits.find(u => u.id === task.unitId);
+            if (!unit || !task.nextDue) return;
+
+            const daysLate = daysBetween(task.nextDue, today);
+            if (daysLate > 0 && daysLate >= rules.maintenance_overdue.days) {
+                reminders.push({
+                    rule: 'maintenance_overdue',
+                    key: `maintenance_overdue:${task.id}:${task.nextDue}`,
+                    unitId: unit.id,
+                    leaseId: null,
+                    date: task.nextDue,
+                    days: daysLate,
+                    tenantEmail: '',
+                    data: { unitName: unit.name, title: task.title }
+                });
+            }
+        });
+    }
+
+    return reminders;
+};
@@ -0,0 +1,112 @@
+/**
+ * Lease renewals
+ *
+ * A renewal is a new lease linked to the one it renews (previousLeaseId), with
+ * the same tenant and deposit, the rent in effect when renewing as its base rent,
+ * and a new term and clause settings. The renewed lease is closed with status
+ * 'RENEWED' instead of 'TERMINATED': the tenancy goes on and the deposit is not
+ * settled until the last lease of the chain ends.
+ */
+
+// Terms offered when renewing, in months
+export const RENEWAL_TERMS = [12, 24, 36];
+
+// Same as the term assumed for leases without an end date (see getAdjustmentDates)
+export const DEFAULT_RENEWAL_TERM = 24;
+
+const shiftDate = (date, { months = 0, days = 0 }) => {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCMonth(shifted.getUTCMonth() + months);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().split('T')[0];
+};
+
+/**
+ * Last day of a term starting on a date
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {number} months - Term in months
+ * @returns {string} YYYY-MM-DD (2024-03-01 + 24 months = 2026-02-28)
+ */
+export const getRenewalEndDate = (startDate, months) => shiftDate(shiftDate(startDate, { months }), { days: -1 });
+
+/**
+ * Form values of the lease renewing another one
+ * It starts the day after the current lease ends (today if it has no end date).
+ *
+ * @param {Object} lease - Lease being renewed
+ * @param {number} currentRent - Rent in effect (with the recorded adjustments)
+ * @param {Object} options - { months, today }
+ * @returns {Object} { rentAmount, rentSteps, startDate, endDate } as LeaseModal form values
+ */
+export const getRenewalValues = (lease, currentRent, { months = DEFAULT_RENEWAL_TERM, today = new Date().toISOString().split('T')[0] } = {}) => {
+    const startDate = lease.endDate ? shiftDate(lease.endDate, { days: 1 }) : today;
+    return {
+        rentAmount: String(currentRent || lease.rentAmount || ''),
+        // A step-up table counts months from the lease start: the renewal agrees a new one
+        rentSteps: [],
+        startDate,
+        endDate: getRenewalEndDate(startDate, months)
+    };
+};
+
+/**
+ * End date of a renewed lease: the day before the renewal starts, unless it already ended earlier
+ * @param {Object} lease - Lease being renewed
+ * @param {string} startDate - Start of the renewal
+ * @returns {string} YYYY-MM-DD
+ */
+export const getRenewedLeaseEnd = (lease, startDate) =>
+    lease.endDate && lease.endDate < startDate ? lease.endDate : shiftDate(startDate, { days: -1 });
+
+/**
+ * Recurring charges of a lease still billed when its renewal starts (expensas,
+ * ABL...), as charges of the renewal: they bill from the renewal's first month on
+ *
+ * @param {Array} charges - Charges of the lease being renewed
+ * @param {string} startDate - Start of the renewal
+ * @returns {Array} Charges without id or lease ({ unitId, forMonth, category, description, amount, recurring, endMonth })
+ */
+export const getCarriedCharges = (charges = [], startDate) => {
+    const month = startDate.slice(0, 7);
+    return charges
+        .filter(charge => charge.recurring && (!charge.endMonth || charge.endMonth >= month))
+        .map(charge => ({
+            unitId: charge.unitId,
+            forMonth: charge.forMonth > month ? charge.forMonth : month,
+            category: charge.category,
+            description: charge.description,
+            amount: charge.amount,
+            recurring: true,
+            endMonth: charge.endMonth || null
+        }));
+};
+
+/**
+ * Leases of a renewal chain, oldest first
+ * @param {Array} leases - Leases of the unit
+ * @param {string} leaseId - Any lease of the chain
+ * @returns {Array} Leases linked through previousLeaseId
+ */
+export const getRenewalChain = (leases = [], leaseId) => {
+    const lease = leases.find(l => l.id === leaseId);
+    if (!lease) return [];
+
+    const chain = [lease];
+    const seen = new Set([lease.id]);
+
+    let previous = leases.find(l => l.id === lease.previousLeaseId);
+    while (previous && !seen.has(previous.id)) {
+        chain.unshift(previous);
+        seen.add(previous.id);
+        previous = leases.find(l => l.id === previous.previousLeaseId);
+    }
+
+    let next = leases.find(l => l.previousLeaseId === lease.id);
+    while (next && !seen.has(next.id)) {
+        chain.push(next);
+        seen.add(next.id);
+        next = leases.find(l => l.previousLeaseId === next.id);
+    }
+
+    return chain;
+};
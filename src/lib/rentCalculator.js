@@ -1,19 +1,245 @@
 /**
- * Rent Calculator - Automated rent adjustment calculations based on IPC inflation data
+ * Rent Calculator - Automated rent adjustment calculations based on index data
  * 
  * This module handles:
- * - Calculating future rent increases based on historical IPC (inflation) data
+ * - Calculating future rent increases based on historical index data (IPC, ICL, Casa Propia, CAC)
  * - Generating complete rent schedules for the duration of a lease
  * - Projecting future increases when historical data is incomplete
  * 
  * Key Concepts:
  * - Rent increases are anchored to the lease start date
  * - Updates occur at regular intervals (default: every 4 months)
- * - IPC data is compounded month-by-month within each interval
- * - Missing future data uses the last known IPC value as projection
+ * - Rate indices (IPC, Casa Propia) are compounded month-by-month within each interval
+ * - Level indices (ICL, CAC) use the ratio between the index value at the end and start of the interval
+ * - Fixed escalations (a percentage every N months, or an explicit step-up table) need no index data
+ * - Missing future data is projected with a scenario (default: the last known value or trend)
+ * - New rents are rounded according to the lease's rounding policy (default: nearest 500)
  */
 
-import { addMonths, isAfter } from 'date-fns';
+import { addMonths, isAfter, differenceInCalendarDays } from 'date-fns';
+
+/**
+ * How each adjustment type is turned into a new rent:
+ * - 'compound': series of monthly variation rates (0.04 = 4%), compounded month by month
+ * - 'ratio': series of index levels (daily for ICL, monthly for CAC), factor = end / start
+ * - 'fixed': lease's incrementPercentage applied every adjustmentFrequency months
+ * - 'step': explicit amounts from the lease's rentSteps table
+ */
+export const INDEX_METHODS = {
+    ipc: 'compound',
+    casa_propia: 'compound',
+    icl: 'ratio',
+    cac: 'ratio',
+    fixed: 'fixed',
+    step_up: 'step'
+};
+
+/**
+ * Sources of index values, most trusted first: official publications, then
+ * values entered by hand, then the hardcoded fallback. Points without a
+ * source (plain arrays) are treated as official.
+ */
+export const INDEX_SOURCES = ['indec', 'arquiler', 'manual', 'fallback'];
+
+/**
+ * Rank of an index value source (lower is more trusted)
+ * @param {string} source - Source id (see INDEX_SOURCES)
+ * @returns {number}
+ */
+export const sourceRank = (source) => Math.max(0, INDEX_SOURCES.indexOf(source));
+
+/**
+ * Contract types that don't depend on an index (complement getAvailableIndices)
+ */
+export const FIXED_CONTRACT_TYPES = ['fixed', 'step_up'];
+
+/**
+ * Whether an adjustment type needs index data to be calculated
+ * @param {string} indexType - Index or contract type id
+ * @returns {boolean}
+ */
+export const requiresIndexData = (indexType) => !FIXED_CONTRACT_TYPES.includes(indexType);
+
+export const DEFAULT_INDEX_TYPE = 'ipc';
+
+export const DEFAULT_FREQUENCY_MONTHS = 4;
+
+/**
+ * Months between an index period and its publication (INDEC publishes IPC
+ * mid-month for the previous month). With a lag of N, an adjustment uses the
+ * index window shifted N months back: "the last published months before the date".
+ */
+export const PUBLICATION_LAGS = [0, 1, 2];
+
+/**
+ * How months without published data are projected:
+ * - 'last': last published value repeated (level indices: trend of the last ~30 days)
+ * - 'trailing3' / 'trailing6': average of the last 3 or 6 months
+ * - 'custom': a fixed monthly rate ({ type: 'custom', rate: 0.03 })
+ * - 'curve': monthly rates from a market expectations curve such as the BCRA REM
+ *   ({ type: 'curve', curve: [{ date, value }] }); months past the curve repeat its last rate
+ */
+export const PROJECTION_SCENARIOS = ['last', 'trailing3', 'trailing6', 'custom', 'curve'];
+
+export const DEFAULT_SCENARIO = { type: 'last' };
+
+/**
+ * Scenarios shown side by side in projections (configured in Settings):
+ * the base scenario is the main figure, optimistic and pessimistic bound it.
+ */
+export const SCENARIO_BANDS = ['optimistic', 'base', 'pessimistic'];
+
+export const DEFAULT_SCENARIO_BANDS = {
+    optimistic: { type: 'trailing6' },
+    base: DEFAULT_SCENARIO,
+    pessimistic: { type: 'trailing3' }
+};
+
+/**
+ * Rounding policies for adjusted rents:
+ * - 'none': keep the exact amount (to the cent)
+ * - 'nearest': round to the nearest multiple of step
+ * - 'ceil': round up to the next multiple of step
+ * - 'floor': round down to the previous multiple of step (step 1 = truncate to the peso)
+ */
+export const ROUNDING_MODES = ['none', 'nearest', 'ceil', 'floor'];
+
+export const DEFAULT_ROUNDING = { mode: 'nearest', step: 500 };
+
+/**
+ * Rounds an adjusted rent according to a rounding policy
+ * @param {number} amount - Unrounded rent
+ * @param {Object} rounding - { mode, step } (see ROUNDING_MODES)
+ * @returns {number} Rounded rent
+ */
+export const applyRounding = (amount, rounding = DEFAULT_ROUNDING) => {
+    const mode = rounding?.mode || DEFAULT_ROUNDING.mode;
+    const step = Number(rounding?.step) > 0 ? Number(rounding.step) : 1;
+
+    // Avoid floating point noise (e.g. 100000.00000001 rounding up a whole step)
+    const value = Math.round(amount * 100) / 100;
+
+    switch (mode) {
+        case 'none':
+            return value;
+        case 'ceil':
+            return Math.ceil(value / step) * step;
+        case 'floor':
+            return Math.floor(value / step) * step;
+        default:
+            return Math.round(value / step) * step;
+    }
+};
+
+/**
+ * Rounding policy of a unit/lease
+ * @param {Object} unit - Unit object (optionally with roundingMode / roundingStep)
+ * @returns {Object} { mode, step }
+ */
+export const getRounding = (unit) => ({
+    mode: ROUNDING_MODES.includes(unit?.roundingMode) ? unit.roundingMode : DEFAULT_ROUNDING.mode,
+    step: Number(unit?.roundingStep) > 0 ? Number(unit.roundingStep) : DEFAULT_ROUNDING.step
+});
+
+/**
+ * Clause rules that can override the index result of an adjustment:
+ * - 'hybrid': the greater of the index and a fixed percentage
+ * - 'floor': guaranteed minimum increase
+ * - 'cap': maximum increase
+ * 'index' is reported when rules exist but the index itself decided the amount.
+ */
+export const ADJUSTMENT_RULES = ['index', 'hybrid', 'floor', 'cap'];
+
+// Empty inputs mean "no rule" (0 is a valid cap/floor)
+const toPercentage = (value) =>
+    value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value);
+
+/**
+ * Cap, floor and hybrid percentages of a unit/lease (per adjustment, 10 = 10%)
+ * @param {Object} unit - Unit object (optionally with adjustmentCap / adjustmentFloor / hybridPercentage)
+ * @returns {Object} { cap, floor, hybrid } (null when the rule is not set)
+ */
+export const getAdjustmentLimits = (unit) => ({
+    cap: toPercentage(unit?.adjustmentCap),
+    floor: toPercentage(unit?.adjustmentFloor),
+    hybrid: toPercentage(unit?.hybridPercentage)
+});
+
+/**
+ * Rule that decided the amount of an adjustment, from its details
+ * @param {Array} details - Schedule item details
+ * @returns {Object|null} { rule, value, limit, indexValue } or null if the lease has no rules
+ */
+export const getAppliedRule = (details) => details?.find(d => d.type === 'rule') || null;
+
+/**
+ * Publication lag of a unit/lease in months (see PUBLICATION_LAGS)
+ * @param {Object} unit - Unit object (optionally with publicationLag)
+ * @returns {number} 0, 1 or 2
+ */
+export const getPublicationLag = (unit) => {
+    const lag = Number(unit?.publicationLag);
+    return PUBLICATION_LAGS.includes(lag) ? lag : 0;
+};
+
+/**
+ * Resolves the data series for an index
+ * 
+ * Accepts either a plain array (legacy: the series for the lease's index, usually IPC)
+ * or an object keyed by index id: { ipc: [...], icl: [...], casa_propia: [...], cac: [...] }
+ * 
+ * @param {Array|Object} indexData - Series or map of series
+ * @param {string} indexType - Index id (see getAvailableIndices)
+ * @returns {Array} Data points { date: YYYY-MM-DD, value }
+ */
+export const getIndexHistory = (indexData, indexType = DEFAULT_INDEX_TYPE) => {
+    if (!indexData) return [];
+    if (Array.isArray(indexData)) return indexData;
+    return indexData[indexType] || [];
+};
+
+/**
+ * Copies the term, rent and adjustment clause settings of a lease onto a
+ * unit-shaped object so it can be passed to calculateNextRent / calculateFullSchedule
+ * The legacy fields of the unit may still describe an earlier lease (renewals).
+ * 
+ * @param {Object} unit - Unit object (legacy rent/lease fields)
+ * @param {Object} lease - Active lease for the unit (optional)
+ * @returns {Object} Unit with the lease's term and clause settings
+ */
+export const applyLeaseTerms = (unit, lease) => {
+    if (!unit || !lease) return unit;
+    const leaseStart = lease.startDate || unit.leaseStart;
+    return {
+        ...unit,
+        leaseStart,
+        leaseEnd: lease.startDate ? lease.endDate : unit.leaseEnd,
+        rent: lease.rentAmount ?? unit.rent,
+        // The unit's pointer only counts if it falls within this lease
+        lastIncrementDate: lease.lastIncrementDate
+            || (unit.lastIncrementDate && (!leaseStart || unit.lastIncrementDate >= leaseStart) ? unit.lastIncrementDate : null),
+        indexType: lease.indexType || unit.indexType,
+        adjustmentFrequency: lease.adjustmentFrequency || unit.adjustmentFrequency,
+        roundingMode: lease.roundingMode || unit.roundingMode,
+        roundingStep: lease.roundingStep || unit.roundingStep,
+        incrementPercentage: lease.incrementPercentage ?? unit.incrementPercentage,
+        rentSteps: lease.rentSteps || unit.rentSteps,
+        adjustmentCap: lease.adjustmentCap ?? unit.adjustmentCap,
+        adjustmentFloor: lease.adjustmentFloor ?? unit.adjustmentFloor,
+        hybridPercentage: lease.hybridPercentage ?? unit.hybridPercentage,
+        publicationLag: lease.publicationLag ?? unit.publicationLag
+    };
+};
+
+/**
+ * Months between adjustments for a unit/lease
+ * @param {Object} unit - Unit object (optionally with adjustmentFrequency)
+ * @returns {number} Frequency in months
+ */
+export const getFrequency = (unit) => {
+    const frequency = Number(unit?.adjustmentFrequency);
+    return frequency > 0 ? frequency : DEFAULT_FREQUENCY_MONTHS;
+};
 
 /**
  * Calculates the next scheduled rent update for a unit
@@ -23,25 +249,31 @@ import { addMonths, isAfter } from 'date-fns';
  *   - leaseStart: lease start date (YYYY-MM-DD)
  *   - leaseEnd: lease end date (YYYY-MM-DD, optional)
  *   - lastIncrementDate: date of last applied rent increase (YYYY-MM-DD, optional)
- * @param {Array} ipcHistory - Array of IPC data objects:
- *   - date: month of IPC data (YYYY-MM-DD)
- *   - value: inflation rate as decimal (e.g., 0.04 = 4%)
- * @param {number} frequencyMonths - Months between rent updates (default: 4)
+ *   - indexType: adjustment index or contract type id (optional, default: 'ipc')
+ *   - incrementPercentage: percentage per adjustment for 'fixed' contracts
+ *   - rentSteps: [{ fromMonth, amount }] for 'step_up' contracts (month 1 = lease start)
+ *   - adjustmentFrequency: months between updates from the lease clause (optional, default: 4)
+ *   - roundingMode / roundingStep: rounding policy (optional, default: nearest 500)
+ *   - adjustmentCap / adjustmentFloor / hybridPercentage: clause rules (optional, see ADJUSTMENT_RULES)
+ *   - publicationLag: months the index window is shifted back (optional, default: 0)
+ *   - adjustments: recorded adjustments from rent_adjustments (optional, see getRecordedAdjustments)
+ * @param {Array|Object} ipcHistory - Index data (see getIndexHistory). For rate indices:
+ *   - date: month of the data (YYYY-MM-DD)
+ *   - value: variation rate as decimal (e.g., 0.04 = 4%)
+ *   For level indices (ICL, CAC) value is the index level on that date.
+ * @param {number} frequencyMonths - Months between rent updates (default: unit.adjustmentFrequency or 4)
  * @returns {Object|null} Next rent update details or null if no updates scheduled
  */
-export const calculateNextRent = (unit, ipcHistory, frequencyMonths = 4) => {
-    if (!unit || !ipcHistory || ipcHistory.length === 0) return null;
+export const calculateNextRent = (unit, ipcHistory, frequencyMonths = getFrequency(unit)) => {
+    if (!unit) return null;
+    const indexType = unit.indexType || DEFAULT_INDEX_TYPE;
+    if (requiresIndexData(indexType) && getIndexHistory(ipcHistory, indexType).length === 0) return null;
 
     // Generate full schedule of all rent updates
     const fullSchedule = calculateFullSchedule(unit, ipcHistory, frequencyMonths);
 
-    const leaseStart = new Date(unit.leaseStart);
-    const lastInc = unit.lastIncrementDate
-        ? new Date(unit.lastIncrementDate)
-        : leaseStart;
-
     // Find the first update that hasn't been applied yet
-    const nextUpdate = fullSchedule.find(u => new Date(u.date) > lastInc);
+    const nextUpdate = fullSchedule.find(u => u.status === 'pending');
 
     if (!nextUpdate) return null; // No more updates (lease ended)
 
@@ -49,10 +281,12 @@ export const calculateNextRent = (unit, ipcHistory, frequencyMonths = 4) => {
         nextDate: new Date(nextUpdate.date),
         currentRent: unit.rent,
         newRent: nextUpdate.newRent,
+        rawRent: nextUpdate.rawRent,
         increaseAmount: nextUpdate.increaseAmount,
         percentChange: nextUpdate.percentChange,
         isProjected: nextUpdate.isProjected,
         isManualOverride: nextUpdate.isManualOverride,
+        isRecorded: nextUpdate.isRecorded,
         projectionDetails: nextUpdate.details
     };
 };
@@ -62,17 +296,28 @@ export const calculateNextRent = (unit, ipcHistory, frequencyMonths = 4) => {
  * 
  * This function:
  * 1. Anchors all updates to strict multiples of frequencyMonths from lease start
- * 2. Calculates actual increases for future updates using IPC data
- * 3. Marks past updates as completed (without recalculating historical values)
- * 4. Compounds inflation month-by-month within each interval
+ *    (or to the months of the step-up table for 'step_up' contracts)
+ * 2. Calculates actual increases for future updates using the lease's index or clause
+ * 3. Uses the recorded adjustment (rent_adjustments) for slots that have one:
+ *    past ones are completed history, future ones are fixed manual amounts
+ * 4. Works the figures of other past updates (applied before the history was kept)
+ *    back from the rent in effect, dividing by the factor of each interval
+ * 5. Compounds inflation month-by-month within each interval
  * 
  * @param {Object} unit - Unit object (see calculateNextRent)
- * @param {Array} ipcHistory - IPC data array (see calculateNextRent)
- * @param {number} frequencyMonths - Months between updates (default: 4)
+ * @param {Array|Object} ipcHistory - Index data (see calculateNextRent)
+ * @param {number} frequencyMonths - Months between updates (default: unit.adjustmentFrequency or 4)
+ * @param {Object} scenario - Projection for months without data (see PROJECTION_SCENARIOS)
  * @returns {Array} Array of update objects with date, newRent, increaseAmount, etc.
  */
-export const calculateFullSchedule = (unit, ipcHistory, frequencyMonths = 4) => {
-    if (!unit || !unit.leaseStart || !ipcHistory) return [];
+export const calculateFullSchedule = (unit, ipcHistory, frequencyMonths = getFrequency(unit), scenario = DEFAULT_SCENARIO) => {
+    if (!unit || !unit.leaseStart) return [];
+
+    const indexType = unit.indexType || DEFAULT_INDEX_TYPE;
+    if (!ipcHistory && requiresIndexData(indexType)) return [];
+
+    const history = getIndexHistory(ipcHistory, indexType);
+    const rounding = getRounding(unit);
 
     const schedule = [];
     const leaseStart = new Date(unit.leaseStart);
@@ -82,64 +327,124 @@ export const calculateFullSchedule = (unit, ipcHistory, frequencyMonths = 4) =>
         ? new Date(unit.leaseEnd)
         : addMonths(leaseStart, 24);
 
-    const lastInc = unit.lastIncrementDate
-        ? new Date(unit.lastIncrementDate)
-        : leaseStart;
+    const recorded = getRecordedAdjustments(unit);
+    const todayStr = new Date().toISOString().split('T')[0];
+
+    // Last applied update: the latest recorded adjustment in effect,
+    // or the legacy lastIncrementDate pointer for leases without history
+    const lastInc = recorded
+        .filter(a => a.date <= todayStr)
+        .reduce((latest, a) => {
+            const date = new Date(a.date);
+            return isAfter(date, latest) ? date : latest;
+        }, unit.lastIncrementDate ? new Date(unit.lastIncrementDate) : leaseStart);
 
     // Running rent tracks the evolving rent for future calculations
     let runningRent = unit.rent;
-    let iterations = 0;
 
-    // Generate updates at regular intervals from lease start
-    let hasAppliedOverride = false;
+    const options = {
+        indexType,
+        rounding,
+        percentage: Number(unit.incrementPercentage) || 0,
+        steps: getRentSteps(unit),
+        limits: getAdjustmentLimits(unit),
+        lag: getPublicationLag(unit),
+        leaseStart,
+        scenario
+    };
+
+    // Update dates, each with the start of the interval it adjusts
+    const slots = INDEX_METHODS[indexType] === 'step'
+        ? getStepSlots(options.steps, leaseStart)
+        : getFrequencySlots(leaseStart, frequencyMonths);
 
-    while (iterations < 60) { // Safety limit
-        iterations++;
+    const findRecord = (prevStr, targetStr) => recorded.find(a => a.date > prevStr && a.date <= targetStr);
 
-        // Calculate next update date (anchored to lease start to avoid drift)
-        const targetDate = addMonths(leaseStart, iterations * frequencyMonths);
+    // Rents before and after each past update without a record, from the last one back
+    const pastRents = new Map();
+    let rentAfter = Number(unit.rent) || 0;
+    [...slots].reverse().forEach(({ prevDate, targetDate }) => {
+        if (isAfter(targetDate, leaseEnd) || isAfter(targetDate, lastInc)) return;
 
+        const targetStr = targetDate.toISOString().split('T')[0];
+        const record = findRecord(prevDate.toISOString().split('T')[0], targetStr);
+        if (record) {
+            rentAfter = record.oldRent;
+            return;
+        }
+
+        const oldRent = INDEX_METHODS[indexType] === 'step'
+            ? stepAmount(rentAfter, prevDate, options.steps, leaseStart).newRent
+            : applyRounding(rentAfter / calculateInterval(1, prevDate, targetDate, history, options).rawRent, { mode: 'none' });
+        pastRents.set(targetStr, { oldRent, newRent: rentAfter });
+        rentAfter = oldRent;
+    });
+
+    for (const { prevDate, targetDate } of slots) {
         // Stop if we've passed the lease end date
         if (isAfter(targetDate, leaseEnd)) break;
 
+        const prevStr = prevDate.toISOString().split('T')[0];
+        const targetStr = targetDate.toISOString().split('T')[0];
+
+        // Recorded adjustment for this slot: use the stored figures
+        const record = findRecord(prevStr, targetStr);
+        if (record) {
+            runningRent = record.newRent;
+            schedule.push({
+                date: targetStr,
+                newRent: record.newRent,
+                rawRent: record.newRent,
+                increaseAmount: record.newRent - record.oldRent,
+                percentChange: record.percentChange.toFixed(2),
+                isProjected: false,
+                isManualOverride: record.isManual,
+                isRecorded: true,
+                details: record.indexValues,
+                indexType: record.indexType || indexType,
+                status: record.date <= todayStr ? 'completed' : 'pending'
+            });
+            continue;
+        }
+
         // Determine if this update is in the future (not yet applied)
         const isFuture = isAfter(targetDate, lastInc);
 
         // Calculate the interval: from previous update to this update
-        const prevDate = addMonths(leaseStart, (iterations - 1) * frequencyMonths);
-        const calculation = calculateInterval(runningRent, prevDate, targetDate, ipcHistory);
+        const calculation = calculateInterval(runningRent, prevDate, targetDate, history, options);
 
-        let itemRent = 0;
-        let itemInc = 0;
-        let isManualOverride = false;
+        let itemRent;
+        let itemRaw;
+        let itemInc;
+        let percentChange = calculation.percentChange;
 
         if (isFuture) {
-            // Future update: check for manual override on the FIRST future update only
-            if (unit.rentOverride && !hasAppliedOverride) {
-                itemRent = Number(unit.rentOverride);
-                itemInc = itemRent - runningRent;
-                isManualOverride = true;
-                hasAppliedOverride = true;
-            } else {
-                itemRent = calculation.newRent;
-                itemInc = itemRent - runningRent;
-            }
+            itemRent = calculation.newRent;
+            itemRaw = calculation.rawRent;
+            itemInc = itemRent - runningRent;
 
             // Update running rent for subsequent calculations
             runningRent = itemRent;
         } else {
-            // Past update
-            itemRent = 0;
+            // Past update: the rents worked back from the rent in effect
+            const past = pastRents.get(targetStr);
+            itemRent = past.newRent;
+            itemRaw = itemRent;
+            itemInc = itemRent - past.oldRent;
+            percentChange = past.oldRent ? (((itemRent / past.oldRent) - 1) * 100).toFixed(2) : '0.00';
         }
 
         schedule.push({
-            date: targetDate.toISOString().split('T')[0],
+            date: targetStr,
             newRent: itemRent,
+            rawRent: itemRaw,
             increaseAmount: itemInc,
-            percentChange: isManualOverride ? ((itemInc / (itemRent - itemInc)) * 100).toFixed(2) : calculation.percentChange,
-            isProjected: isManualOverride ? false : calculation.isProjected,
-            isManualOverride,
-            details: isManualOverride ? [] : calculation.details,
+            percentChange,
+            isProjected: calculation.isProjected,
+            isManualOverride: false,
+            isRecorded: false,
+            details: calculation.details,
+            indexType,
             status: isFuture ? 'pending' : 'completed'
         });
     }
@@ -148,31 +453,342 @@ export const calculateFullSchedule = (unit, ipcHistory, frequencyMonths = 4) =>
 };
 
 /**
- * Calculates rent increase for a single interval by compounding monthly IPC data
+ * Dates of the rent updates of a lease, from its clause alone (no index data needed)
+ *
+ * @param {Object} unit - Unit object (see calculateNextRent)
+ * @param {number} frequencyMonths - Months between updates (default: unit.adjustmentFrequency or 4)
+ * @returns {Array} Update dates (YYYY-MM-DD) up to the lease end
+ */
+export const getAdjustmentDates = (unit, frequencyMonths = getFrequency(unit)) => {
+    if (!unit || !unit.leaseStart) return [];
+
+    const leaseStart = new Date(unit.leaseStart);
+    const leaseEnd = unit.leaseEnd ? new Date(unit.leaseEnd) : addMonths(leaseStart, 24);
+    const slots = INDEX_METHODS[unit.indexType || DEFAULT_INDEX_TYPE] === 'step'
+        ? getStepSlots(getRentSteps(unit), leaseStart)
+        : getFrequencySlots(leaseStart, frequencyMonths);
+
+    return slots
+        .filter(({ targetDate }) => !isAfter(targetDate, leaseEnd))
+        .map(({ targetDate }) => targetDate.toISOString().split('T')[0]);
+};
+
+/**
+ * Schedule for a simulated lease (Calculators page)
+ *
+ * A simulation has no applied history: every slot from lease start to lease end
+ * is calculated from the terms, past ones included, and slots beyond the
+ * published index data are projected.
+ *
+ * @param {Object} terms - Lease terms as a unit object (see calculateNextRent)
+ * @param {Array|Object} ipcHistory - Index data (see calculateNextRent)
+ * @returns {Array} Schedule items (see calculateFullSchedule)
+ */
+export const simulateSchedule = (terms, ipcHistory) => calculateFullSchedule({
+    ...terms,
+    lastIncrementDate: null,
+    adjustments: []
+}, ipcHistory);
+
+/**
+ * Normalized recorded adjustments of a unit (rows of rent_adjustments)
+ * @param {Object} unit - Unit object (optionally with adjustments)
+ * @returns {Array} [{ date, oldRent, newRent, percentChange, indexType, indexValues, isManual }] sorted by date
+ */
+export const getRecordedAdjustments = (unit) => (Array.isArray(unit?.adjustments) ? unit.adjustments : [])
+    .filter(a => a.date && Number(a.newRent) > 0)
+    .map(a => {
+        const oldRent = Number(a.oldRent) || 0;
+        const newRent = Number(a.newRent);
+        return {
+            date: a.date,
+            oldRent,
+            newRent,
+            percentChange: a.percentChange !== null && a.percentChange !== undefined
+                ? Number(a.percentChange)
+                : (oldRent ? ((newRent / oldRent) - 1) * 100 : 0),
+            indexType: a.indexType || null,
+            indexValues: Array.isArray(a.indexValues) ? a.indexValues : [],
+            isManual: !!a.isManual
+        };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * Update dates at strict multiples of frequencyMonths from lease start
+ * (anchored to lease start to avoid drift)
  * 
- * Process:
- * 1. Iterate through each month in the interval
- * 2. Find matching IPC data for that month
- * 3. If no data exists, use last known value (marks as projected)
- * 4. Compound all monthly factors together
- * 5. Apply to base rent
+ * @param {Date} leaseStart - Lease start date
+ * @param {number} frequencyMonths - Months between updates
+ * @returns {Array} [{ prevDate, targetDate }]
+ */
+const getFrequencySlots = (leaseStart, frequencyMonths) => {
+    const slots = [];
+    for (let i = 1; i <= 60; i++) { // Safety limit
+        slots.push({
+            prevDate: addMonths(leaseStart, (i - 1) * frequencyMonths),
+            targetDate: addMonths(leaseStart, i * frequencyMonths)
+        });
+    }
+    return slots;
+};
+
+/**
+ * Update dates from a step-up table: one per step after the first month
+ * 
+ * @param {Array} steps - Sorted [{ fromMonth, amount }]
+ * @param {Date} leaseStart - Lease start date
+ * @returns {Array} [{ prevDate, targetDate }]
+ */
+const getStepSlots = (steps, leaseStart) => {
+    const slots = [];
+    let prevDate = leaseStart;
+    steps.filter(step => step.fromMonth > 1).forEach(step => {
+        const targetDate = addMonths(leaseStart, step.fromMonth - 1);
+        slots.push({ prevDate, targetDate });
+        prevDate = targetDate;
+    });
+    return slots;
+};
+
+/**
+ * Normalized step-up table of a unit/lease
+ * @param {Object} unit - Unit object (optionally with rentSteps)
+ * @returns {Array} [{ fromMonth, amount }] sorted by fromMonth
+ */
+export const getRentSteps = (unit) => (Array.isArray(unit?.rentSteps) ? unit.rentSteps : [])
+    .map(step => ({ fromMonth: parseInt(step.fromMonth, 10), amount: Number(step.amount) }))
+    .filter(step => step.fromMonth > 0 && step.amount > 0)
+    .sort((a, b) => a.fromMonth - b.fromMonth);
+
+/**
+ * Calculates rent increase for a single interval using the lease's index
+ * 
+ * Dispatches to the engine for the index (see INDEX_METHODS), applies the
+ * lease's cap/floor/hybrid rules to the factor and applies it to the base rent,
+ * rounded with the lease's policy.
+ * 
+ * With a publication lag the index window is shifted back, so an interval is
+ * only projected when the lagged months are not published yet.
  * 
  * @param {number} baseRent - Starting rent amount
  * @param {Date} startDate - Interval start date
  * @param {Date} endDate - Interval end date
- * @param {Array} ipcHistory - IPC data array
- * @returns {Object} Calculation result with newRent, percentChange, isProjected, details
+ * @param {Array} history - Data series for the index
+ * @param {Object} options - { indexType, rounding, percentage, steps, limits, lag, leaseStart, scenario }
+ * @returns {Object} Calculation result with newRent, rawRent, percentChange, isProjected, details
  */
-const calculateInterval = (baseRent, startDate, endDate, ipcHistory) => {
-    // Sort IPC data chronologically for easier lookup
-    const historyAsc = [...ipcHistory].sort((a, b) =>
+const calculateInterval = (baseRent, startDate, endDate, history, options = {}) => {
+    const indexType = options.indexType || DEFAULT_INDEX_TYPE;
+    const method = INDEX_METHODS[indexType];
+
+    // Step-up tables set explicit amounts: no factor, no rounding
+    if (method === 'step') {
+        return stepAmount(baseRent, endDate, options.steps, options.leaseStart);
+    }
+
+    // Sort data chronologically for easier lookup, one value per date
+    const historyAsc = preferOfficial(history).sort((a, b) =>
         new Date(a.date) - new Date(b.date)
     );
 
-    // Fallback value if no IPC data exists at all
-    const lastRecorded = historyAsc[historyAsc.length - 1];
-    const lastRecordedVal = lastRecorded ? lastRecorded.value : 0.025; // Default 2.5%
+    // Index window: the interval shifted back by the publication lag
+    const lag = options.lag || 0;
+    const windowStart = addMonths(startDate, -lag);
+    const windowEnd = addMonths(endDate, -lag);
+
+    const indexResult = method === 'fixed'
+        ? fixedFactor(endDate, options.percentage)
+        : method === 'ratio'
+            ? ratioFactor(windowStart, windowEnd, historyAsc, getProjectedRate(historyAsc, method, options.scenario))
+            : compoundFactor(windowStart, windowEnd, historyAsc, getProjectedRate(historyAsc, method, options.scenario));
+
+    const { isProjected } = indexResult;
+    const { factor, rule, limit } = applyLimits(indexResult.factor, options.limits);
+
+    // Record which rule decided the amount (only for leases with rules)
+    const details = rule
+        ? [...indexResult.details, {
+            date: endDate.toISOString().split('T')[0],
+            type: 'rule',
+            rule,
+            value: factor - 1,
+            limit: limit === null ? null : limit / 100,
+            indexValue: indexResult.factor - 1
+        }]
+        : indexResult.details;
+
+    // Apply factor to base rent and round with the lease's policy
+    const rawRent = baseRent * factor;
+    const newRent = applyRounding(rawRent, options.rounding);
+
+    return {
+        newRent,
+        rawRent,
+        percentChange: ((factor - 1) * 100).toFixed(2),
+        isProjected,
+        details
+    };
+};
+
+/**
+ * Keeps one value per date, preferring official sources over manual entries
+ * (and manual entries over the hardcoded fallback)
+ * 
+ * @param {Array} history - Index points, possibly from several sources
+ * @returns {Array} Points with unique dates
+ */
+const preferOfficial = (history) => {
+    const byDate = new Map();
+    history.forEach(point => {
+        const current = byDate.get(point.date);
+        if (!current || sourceRank(point.source) < sourceRank(current.source)) {
+            byDate.set(point.date, point);
+        }
+    });
+    return [...byDate.values()];
+};
+
+/**
+ * Applies the lease's clause rules to an index factor
+ * 
+ * Order: hybrid ("greater of index and X%"), then floor, then cap,
+ * so the cap is always the final limit.
+ * 
+ * @param {number} indexFactor - Factor from the index (1.1 = +10%)
+ * @param {Object} limits - { cap, floor, hybrid } (see getAdjustmentLimits)
+ * @returns {Object} { factor, rule, limit } - rule is null when the lease has no rules
+ */
+const applyLimits = (indexFactor, limits = {}) => {
+    const { cap = null, floor = null, hybrid = null } = limits;
+    if (cap === null && floor === null && hybrid === null) {
+        return { factor: indexFactor, rule: null, limit: null };
+    }
+
+    let factor = indexFactor;
+    let rule = 'index';
+    let limit = null;
+
+    if (hybrid !== null) {
+        limit = hybrid;
+        if (1 + hybrid / 100 > factor) {
+            factor = 1 + hybrid / 100;
+            rule = 'hybrid';
+        }
+    }
+    if (floor !== null && factor < 1 + floor / 100) {
+        factor = 1 + floor / 100;
+        rule = 'floor';
+        limit = floor;
+    }
+    if (cap !== null && factor > 1 + cap / 100) {
+        factor = 1 + cap / 100;
+        rule = 'cap';
+        limit = cap;
+    }
+
+    return { factor, rule, limit };
+};
+
+/**
+ * Fixed percentage escalation (e.g. 10% every 6 months)
+ * 
+ * @param {Date} endDate - Adjustment date
+ * @param {number} percentage - Increase per adjustment (10 = 10%)
+ * @returns {Object} { factor, isProjected, details }
+ */
+const fixedFactor = (endDate, percentage) => ({
+    factor: 1 + percentage / 100,
+    isProjected: false,
+    details: [{
+        date: endDate.toISOString().split('T')[0],
+        value: percentage / 100,
+        type: 'fixed'
+    }]
+});
+
+/**
+ * Step-up table amount for the step starting at endDate
+ * 
+ * @param {number} baseRent - Rent before the step
+ * @param {Date} endDate - Start of this step
+ * @param {Array} steps - Sorted [{ fromMonth, amount }]
+ * @param {Date} leaseStart - Lease start date (month 1 of the table)
+ * @returns {Object} Calculation result (see calculateInterval)
+ */
+const stepAmount = (baseRent, endDate, steps = [], leaseStart) => {
+    const dateStr = endDate.toISOString().split('T')[0];
+    const step = steps.find(s =>
+        addMonths(leaseStart, s.fromMonth - 1).toISOString().split('T')[0] === dateStr
+    );
+    const amount = step ? step.amount : baseRent;
+
+    return {
+        newRent: amount,
+        rawRent: amount,
+        percentChange: baseRent ? (((amount / baseRent) - 1) * 100).toFixed(2) : '0.00',
+        isProjected: false,
+        details: [{ date: dateStr, value: amount, type: 'step' }]
+    };
+};
+
+/**
+ * Monthly rate of a projection scenario for months without published data
+ * 
+ * @param {Array} historyAsc - Index data sorted ascending
+ * @param {string} method - 'compound' or 'ratio' (see INDEX_METHODS)
+ * @param {Object} scenario - { type, rate, curve } (see PROJECTION_SCENARIOS)
+ * @returns {Function} (month: YYYY-MM) => monthly rate as decimal
+ */
+const getProjectedRate = (historyAsc, method, scenario = DEFAULT_SCENARIO) => {
+    // Trailing rate over the last N months: averaged rates, or level growth
+    const trailingRate = (months) => {
+        if (historyAsc.length === 0) return 0.025; // Default 2.5%
+        if (method === 'ratio') {
+            // ~30 days for 'last', as the published trend
+            const days = months === 1 ? 28 : months * 30;
+            return Math.pow(1 + trailingDailyRate(historyAsc, days), 30) - 1;
+        }
+        const recent = historyAsc.slice(-months);
+        return recent.reduce((sum, point) => sum + point.value, 0) / recent.length;
+    };
+
+    const type = PROJECTION_SCENARIOS.includes(scenario?.type) ? scenario.type : DEFAULT_SCENARIO.type;
+
+    // Empty custom rate: same as 'last'
+    const customRate = type === 'custom' ? toPercentage(scenario.rate) : null;
+    if (customRate !== null) return () => customRate;
+
+    if (type === 'curve' && Array.isArray(scenario.curve) && scenario.curve.length > 0) {
+        const curve = [...scenario.curve].sort((a, b) => a.date.localeCompare(b.date));
+        const beforeCurve = trailingRate(1);
+        return (month) => {
+            // Rate of the month, or the last one published by the curve before it
+            const point = [...curve].reverse().find(p => p.date.slice(0, 7) <= month);
+            return point ? Number(point.value) : beforeCurve;
+        };
+    }
 
+    const rate = trailingRate(type === 'trailing3' ? 3 : type === 'trailing6' ? 6 : 1);
+    return () => rate;
+};
+
+/**
+ * Compounds monthly variation rates (IPC, Casa Propia)
+ * 
+ * Process:
+ * 1. Iterate through each month in the interval
+ * 2. Find matching data for that month
+ * 3. If no data exists, use the scenario's rate for that month (marks as projected)
+ * 4. Compound all monthly factors together
+ * 
+ * @param {Date} startDate - Interval start date
+ * @param {Date} endDate - Interval end date
+ * @param {Array} historyAsc - Monthly rates sorted ascending
+ * @param {Function} projectRate - Rate for months without data (see getProjectedRate)
+ * @returns {Object} { factor, isProjected, details }
+ */
+const compoundFactor = (startDate, endDate, historyAsc, projectRate = getProjectedRate(historyAsc, 'compound')) => {
     let accumulatedFactor = 1.0;
     let isProjected = false;
     let details = [];
@@ -184,12 +800,12 @@ const calculateInterval = (baseRent, startDate, endDate, ipcHistory) => {
     // Safety check for invalid date ranges
     if (monthsDiff <= 0) monthsDiff = 4;
 
-    // Compound inflation month-by-month
+    // Compound month-by-month
     for (let i = 0; i < monthsDiff; i++) {
         const currentSlice = addMonths(startDate, i);
         const sliceStr = currentSlice.toISOString().slice(0, 7); // YYYY-MM
 
-        // Look for IPC data matching this month
+        // Look for data matching this month
         const match = historyAsc.find(h => h.date.startsWith(sliceStr));
 
         if (match) {
@@ -198,28 +814,115 @@ const calculateInterval = (baseRent, startDate, endDate, ipcHistory) => {
             details.push({
                 date: match.date,
                 value: match.value,
-                type: 'real'
+                type: 'real',
+                source: match.source || null,
+                fetchedAt: match.fetchedAt || null
             });
         } else {
-            // No data: use last known value as projection
+            // No data: project with the scenario
+            const projectedRate = projectRate(sliceStr);
             isProjected = true;
-            accumulatedFactor *= (1 + lastRecordedVal);
+            accumulatedFactor *= (1 + projectedRate);
             details.push({
                 date: sliceStr + '-01',
-                value: lastRecordedVal,
+                value: projectedRate,
                 type: 'projected'
             });
         }
     }
 
-    // Apply compounded factor to base rent and round to nearest 500
-    const rawRent = baseRent * accumulatedFactor;
-    const newRent = Math.round(rawRent / 500) * 500;
+    return { factor: accumulatedFactor, isProjected, details };
+};
+
+/**
+ * Divides index levels at the end and start of the interval (ICL, CAC)
+ * 
+ * ICL is published daily, so the level on (or closest before) each date is used.
+ * CAC is monthly, so the same lookup returns the level of that month.
+ * Dates beyond the last published value are projected with the scenario
+ * (by default the trailing growth of the last ~30 days of data).
+ * 
+ * @param {Date} startDate - Interval start date
+ * @param {Date} endDate - Interval end date
+ * @param {Array} historyAsc - Index levels sorted ascending
+ * @param {Function} projectRate - Monthly rate for dates without data (see getProjectedRate)
+ * @returns {Object} { factor, isProjected, details }
+ */
+const ratioFactor = (startDate, endDate, historyAsc, projectRate = getProjectedRate(historyAsc, 'ratio')) => {
+    const startPoint = levelAt(historyAsc, startDate, projectRate);
+    const endPoint = levelAt(historyAsc, endDate, projectRate);
+
+    if (!startPoint || !endPoint || !startPoint.value) {
+        return { factor: 1, isProjected: true, details: [] };
+    }
 
     return {
-        newRent,
-        percentChange: ((accumulatedFactor - 1) * 100).toFixed(2),
-        isProjected,
-        details
+        factor: endPoint.value / startPoint.value,
+        isProjected: startPoint.type === 'projected' || endPoint.type === 'projected',
+        details: [startPoint, endPoint]
     };
 };
+
+/**
+ * Finds the index level in effect on a date
+ * 
+ * @param {Array} historyAsc - Index levels sorted ascending
+ * @param {Date} date - Target date
+ * @param {Function} projectRate - Monthly rate for dates after the last value (see getProjectedRate)
+ * @returns {Object|null} { date, value, type, source, fetchedAt } or null if the series starts after the date
+ */
+const levelAt = (historyAsc, date, projectRate) => {
+    if (historyAsc.length === 0) return null;
+
+    const dateStr = date.toISOString().split('T')[0];
+    const last = historyAsc[historyAsc.length - 1];
+
+    if (dateStr > last.date) {
+        // Not published yet: extend the last value month by month with the scenario
+        let value = last.value;
+        let cursor = new Date(last.date);
+        const target = new Date(dateStr);
+        while (cursor < target) {
+            const nextMonth = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+            const segmentEnd = nextMonth < target ? nextMonth : target;
+            const days = differenceInCalendarDays(segmentEnd, cursor);
+            value *= Math.pow(1 + projectRate(cursor.toISOString().slice(0, 7)), days / 30);
+            cursor = segmentEnd;
+        }
+        return { date: dateStr, value, type: 'projected' };
+    }
+
+    let match = null;
+    for (const point of historyAsc) {
+        if (point.date > dateStr) break;
+        match = point;
+    }
+
+    return match
+        ? { date: match.date, value: match.value, type: 'real', source: match.source || null, fetchedAt: match.fetchedAt || null }
+        : null;
+};
+
+/**
+ * Average daily growth of a level index over a trailing window of its data
+ * Falls back to the daily equivalent of 2.5% monthly when there is not enough data
+ * 
+ * @param {Array} historyAsc - Index levels sorted ascending
+ * @param {number} windowDays - Length of the window (default: ~30 days)
+ * @returns {number} Daily growth rate as decimal
+ */
+const trailingDailyRate = (historyAsc, windowDays = 28) => {
+    const fallback = Math.pow(1.025, 1 / 30) - 1;
+    const last = historyAsc[historyAsc.length - 1];
+    const lastDate = new Date(last.date);
+
+    // Oldest point within the trailing window (or the one just before it)
+    const reference = [...historyAsc].reverse().find(p =>
+        differenceInCalendarDays(lastDate, new Date(p.date)) >= windowDays
+    );
+
+    if (!reference || !reference.value) return fallback;
+
+    const days = differenceInCalendarDays(lastDate, new Date(reference.date));
+    return Math.pow(last.value / reference.value, 1 / days) - 1;
+};
@@ -0,0 +1,141 @@
+import { jsPDF } from 'jspdf';
+import { formatCurrency, formatDate } from './utils';
+
+/**
+ * Final settlement statement of a lease (PDF): deposit, deductions and arrears
+ *
+ * @param {Object} settlement - See computeSettlement
+ * @param {Object} context - { unit, lease, deductions }
+ * @param {Object} labels - Translated labels
+ * @param {Object} options - { dateFormat, ownerName, signatureDataUrl, exchangeRate }
+ */
+export const generateSettlementStatement = (settlement, { unit, lease, deductions = [] }, labels = {}, options = {}) => {
+    const { dateFormat = 'dd/mm/yyyy', ownerName = '', signatureDataUrl = null, exchangeRate = 1 } = options;
+
+    const l = {
+        title: labels.title || 'FINAL SETTLEMENT',
+        dateIssued: labels.dateIssued || 'Date Issued',
+        property: labels.property || 'Property',
+        tenant: labels.tenant || 'Tenant',
+        leasePeriod: labels.leasePeriod || 'Lease',
+        depositReceived: labels.depositReceived || 'Deposit received',
+        indexedDeposit: labels.indexedDeposit || 'Deposit updated to the last rent',
+        exchangeRate: labels.exchangeRate || 'Exchange rate',
+        deductions: labels.deductions || 'Deductions',
+        noDeductions: labels.noDeductions || 'No deductions',
+        arrears: labels.arrears || 'Unpaid balance on the lease',
+        refund: labels.refund || 'AMOUNT TO REFUND',
+        owedByTenant: labels.owedByTenant || 'AMOUNT OWED BY THE TENANT',
+        footer: labels.footer || 'This statement settles the lease deposit.',
+        na: labels.na || 'N/A',
+    };
+
+    const today = new Date().toISOString().split('T')[0];
+    const depositAmount = (amount) => formatCurrency(amount, settlement.currency);
+
+    const doc = new jsPDF();
+    const primaryColor = '#059669'; // Emerald-600
+    const secondaryColor = '#475569'; // Slate-600
+    const margin = 20;
+
+    // Header
+    doc.setFillColor(primaryColor);
+    doc.rect(0, 0, 210, 40, 'F');
+
+    doc.setTextColor('#ffffff');
+    doc.setFontSize(24);
+    doc.setFont('helvetica', 'bold');
+    doc.text(l.title, 105, 25, { align: 'center' });
+
+    // Lease details
+    doc.setTextColor(secondaryColor);
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`${l.dateIssued}: ${formatDate(today, dateFormat)}`, 190, 55, { align: 'right' });
+
+    doc.setFontSize(11);
+    doc.text(`${l.property}: ${unit.name}`, margin, 65);
+    doc.text(`${l.tenant}: ${lease.tenantName || l.na}`, margin, 73);
+    doc.text(`${l.leasePeriod}: ${formatDate(lease.startDate, dateFormat)} - ${formatDate(lease.endDate, dateFormat)}`, margin, 81);
+
+    doc.setDrawColor('#e2e8f0');
+    doc.line(margin, 88, 190, 88);
+
+    // Lines: label on the left, amount on the right
+    let y = 100;
+    const line = (label, amount, bold = false) => {
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        doc.text(label, margin, y);
+        doc.text(amount, 190, y, { align: 'right' });
+        y += 8;
+    };
+
+    doc.setTextColor('#1e293b');
+    line(l.depositReceived, depositAmount(settlement.deposit));
+    if (settlement.indexFactor !== 1) {
+        line(l.indexedDeposit, depositAmount(settlement.refundableDeposit));
+    }
+    if (settlement.currency !== 'ARS') {
+        line(`${l.exchangeRate}: ${formatCurrency(exchangeRate)}`, formatCurrency(settlement.refundableDepositArs));
+    }
+
+    y += 4;
+    doc.setFontSize(12);
+    line(l.deductions, '', true);
+    doc.setFontSize(11);
+    doc.setTextColor(secondaryColor);
+    if (deductions.length === 0) {
+        line(`  ${l.noDeductions}`, '');
+    }
+    deductions.forEach(deduction => {
+        line(`  ${deduction.description}`, `- ${formatCurrency(deduction.amount)}`);
+    });
+
+    if (settlement.arrears > 0) {
+        y += 4;
+        doc.setTextColor('#1e293b');
+        line(l.arrears, `- ${formatCurrency(settlement.arrears)}`);
+    }
+
+    // Result box
+    y += 6;
+    doc.setFillColor('#f8fafc');
+    doc.rect(margin, y, 170, 20, 'F');
+    doc.setDrawColor(primaryColor);
+    doc.setLineWidth(0.5);
+    doc.rect(margin, y, 170, 20, 'S');
+
+    doc.setFontSize(14);
+    doc.setTextColor(primaryColor);
+    doc.setFont('helvetica', 'bold');
+    const owes = settlement.owedByTenant > 0;
+    doc.text(owes ? l.owedByTenant : l.refund, margin + 5, y + 13);
+    doc.text(formatCurrency(owes ? settlement.owedByTenant : settlement.refund), 185, y + 13, { align: 'right' });
+
+    // Signature section
+    const sigY = Math.max(y + 35, 215);
+    doc.setDrawColor('#e2e8f0');
+    doc.setLineWidth(0.3);
+
+    if (signatureDataUrl) {
+        try {
+            doc.addImage(signatureDataUrl, 'PNG', 110, sigY, 80, 30);
+        } catch (e) {
+            // If image fails, skip silently
+        }
+    }
+
+    doc.line(110, sigY + 33, 190, sigY + 33);
+    doc.setFontSize(9);
+    doc.setTextColor(secondaryColor);
+    doc.setFont('helvetica', 'normal');
+    doc.text(ownerName || '', 150, sigY + 39, { align: 'center' });
+
+    // Footer
+    doc.setFontSize(9);
+    doc.setTextColor('#94a3b8');
+    doc.setFont('helvetica', 'italic');
+    doc.text(l.footer, 105, 280, { align: 'center' });
+
+    doc.save(`Settlement_${unit.name}_${lease.endDate || today}.pdf`);
+};
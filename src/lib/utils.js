@@ -5,9 +5,9 @@ export function cn(...inputs) {
     return twMerge(clsx(inputs));
 }
 
-export const formatCurrency = (amount) => {
+export const formatCurrency = (amount, currency = 'ARS') => {
     // Custom formatter for Argentine format:
-    // - $ symbol at the beginning
+    // - $ symbol at the beginning (US$ for dollars)
     // - Dot (.) for thousands separator
     // - Comma (,) for decimals (when needed)
     const formatted = new Intl.NumberFormat('de-DE', {
@@ -15,7 +15,7 @@ export const formatCurrency = (amount) => {
         maximumFractionDigits: 0,
     }).format(amount);
 
-    return `$ ${formatted}`;
+    return `${currency === 'USD' ? 'US$' : '$'} ${formatted}`;
 };
 
 export const formatDate = (dateString, dateFormat = 'dd/mm/yyyy') => {
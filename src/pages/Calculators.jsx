@@ -1,13 +1,56 @@
 import React, { useState, useEffect } from 'react';
-import { DollarSign, RefreshCw, AlertCircle, Loader2, ChevronDown, ChevronUp } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { DollarSign, RefreshCw, AlertCircle, AlertTriangle, ChevronDown, ChevronUp, FilePlus } from 'lucide-react';
+import { addMonths } from 'date-fns';
 import { formatCurrency, cn } from '../lib/utils';
 import { useTranslation } from 'react-i18next';
-import { fetchIPCData } from '../lib/indec';
-import { fetchArquilerData } from '../lib/arquiler';
+import { useData } from '../context/DataContext';
+import { loadIndexData } from '../lib/indexStore';
+import { getAvailableIndices } from '../lib/arquiler';
+import LeaseModal from '../components/LeaseModal';
+import {
+    simulateSchedule,
+    getIndexHistory,
+    getAppliedRule,
+    requiresIndexData,
+    INDEX_METHODS,
+    ROUNDING_MODES,
+    DEFAULT_ROUNDING,
+    DEFAULT_INDEX_TYPE,
+    DEFAULT_FREQUENCY_MONTHS,
+    PUBLICATION_LAGS
+} from '../lib/rentCalculator';
+
+// Same clause frequencies offered in the lease form
+const ADJUSTMENT_FREQUENCIES = [1, 3, 4, 6, 12];
+
+// Step-up tables are not simulated: their amounts are the lease itself
+const SIMULATED_CONTRACT_TYPES = ['fixed'];
+
+/**
+ * Index values behind an adjustment, with the variation accumulated up to each one
+ * Rate indices compound month by month; level indices compare against the first level.
+ */
+const getDetailRows = (update) => {
+    const method = INDEX_METHODS[update.indexType];
+    const values = update.details.filter(detail => detail.type !== 'rule');
+    let factor = 1;
+
+    return values.map(detail => {
+        if (method === 'ratio') {
+            return { ...detail, accumulated: values[0].value ? detail.value / values[0].value - 1 : 0 };
+        }
+        factor *= 1 + detail.value;
+        return { ...detail, accumulated: factor - 1 };
+    });
+};
 
 // Sub-component for Accordion Row
 const UpdateRow = ({ update }) => {
+    const { t, i18n } = useTranslation();
     const [isOpen, setIsOpen] = useState(false);
+    const isLevel = INDEX_METHODS[update.indexType] === 'ratio';
+    const rule = getAppliedRule(update.details);
 
     return (
         <React.Fragment>
@@ -20,16 +63,33 @@ const UpdateRow = ({ update }) => {
                 )}
             >
                 <td className="py-4 px-4 text-slate-700 font-medium">
-                    Cuatr. {update.periodIndex}
+                    #{update.periodIndex}
                 </td>
                 <td className="py-4 px-4 text-slate-600">
-                    {new Date(update.date).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+                    <span className="capitalize">
+                        {new Date(update.date).toLocaleDateString(i18n.language, { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+                    </span>
+                    {update.isProjected && (
+                        <span className="block text-[10px] text-amber-600 font-semibold uppercase">
+                            {t('calculators.projected')}
+                        </span>
+                    )}
+                    {rule && rule.rule !== 'index' && (
+                        <span className="block text-[10px] text-blue-600 font-semibold">
+                            {t(`increments.rules.${rule.rule}`, { limit: +(rule.limit * 100).toFixed(2) })}
+                        </span>
+                    )}
                 </td>
-                <td className="py-4 px-4 text-emerald-600 font-bold">
-                    {update.increasePercent}%
+                <td className={cn("py-4 px-4 font-bold", update.isProjected ? "text-amber-600" : "text-emerald-600")}>
+                    {update.percentChange}%
                 </td>
                 <td className="py-4 px-4 font-bold text-slate-900">
                     {formatCurrency(update.newRent)}
+                    {update.rawRent !== update.newRent && (
+                        <span className="block text-[10px] font-mono font-normal text-slate-400">
+                            ({formatCurrency(update.rawRent)})
+                        </span>
+                    )}
                 </td>
                 <td className="py-4 px-4 text-right text-slate-400">
                     {isOpen ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
@@ -43,18 +103,20 @@ const UpdateRow = ({ update }) => {
                         <div className="p-4 animate-in slide-in-from-top-1 duration-200">
                             <div className="bg-white border border-slate-200 rounded-lg overflow-hidden text-sm shadow-sm">
                                 <div className="grid grid-cols-3 bg-slate-100 border-b border-slate-200 p-2 font-semibold text-slate-600 text-xs uppercase tracking-wide">
-                                    <div className="pl-2">Mes</div>
-                                    <div className="text-right">Índice Mensual</div>
-                                    <div className="text-right pr-2">Acumulado</div>
+                                    <div className="pl-2">{isLevel ? t('indices.date') : t('indices.month')}</div>
+                                    <div className="text-right">{isLevel ? t('indices.level') : t('indices.monthlyRate')}</div>
+                                    <div className="text-right pr-2">{t('calculators.accumulated')}</div>
                                 </div>
                                 <div className="divide-y divide-slate-100">
-                                    {update.details.map((detail, idx) => (
-                                        <div key={idx} className="grid grid-cols-3 p-2 hover:bg-slate-50">
-                                            <div className="pl-2 text-slate-700 capitalize font-medium">
-                                                {new Date(detail.date).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+                                    {getDetailRows(update).map((detail, idx) => (
+                                        <div key={idx} className={cn("grid grid-cols-3 p-2 hover:bg-slate-50", detail.type === 'projected' ? "italic text-amber-600" : "text-slate-700")}>
+                                            <div className="pl-2 capitalize font-medium">
+                                                {new Date(detail.date).toLocaleDateString(i18n.language, isLevel
+                                                    ? { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' }
+                                                    : { month: 'long', year: 'numeric', timeZone: 'UTC' })}
                                             </div>
-                                            <div className="text-right text-slate-600 font-mono">
-                                                {(detail.value * 100).toFixed(2)}%
+                                            <div className="text-right font-mono">
+                                                {isLevel ? detail.value.toFixed(4) : `${(detail.value * 100).toFixed(2)}%`}
                                             </div>
                                             <div className="text-right pr-2 text-indigo-600 font-mono font-bold">
                                                 {(detail.accumulated * 100).toFixed(2)}%
@@ -62,9 +124,11 @@ const UpdateRow = ({ update }) => {
                                         </div>
                                     ))}
                                 </div>
-                                <div className="bg-slate-50 p-2 text-[10px] text-slate-400 text-center border-t border-slate-100 italic">
-                                    * Valores acumulativos usados para este ajuste
-                                </div>
+                                {update.isProjected && (
+                                    <div className="bg-amber-50 p-2 text-[10px] text-amber-700 text-center border-t border-amber-100 italic">
+                                        {t('calculators.projectedNote')}
+                                    </div>
+                                )}
                             </div>
                         </div>
                     </td>
@@ -76,33 +140,41 @@ const UpdateRow = ({ update }) => {
 
 export default function Calculators() {
     const { t } = useTranslation();
+    const navigate = useNavigate();
+    const { units, getActiveLease, addLease } = useData();
 
     // --- State ---
-    const [arquilerData, setArquilerData] = useState(null);
-    const [selectedMonth, setSelectedMonth] = useState(''); // Contract Start Date
-    const [ipcHistory, setIpcHistory] = useState([]);
+    const [indexData, setIndexData] = useState(null);
+    const [usingFallback, setUsingFallback] = useState(false);
 
-    // Inputs
+    // Inputs (same terms as the lease form)
     const [rentBase, setRentBase] = useState(1000);
-    const [updateFrequency, setUpdateFrequency] = useState(3); // Default 3 months (Cuatrimestral usually is 4, but common is 3/4/6)
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+    const [indexType, setIndexType] = useState(DEFAULT_INDEX_TYPE);
+    const [updateFrequency, setUpdateFrequency] = useState(DEFAULT_FREQUENCY_MONTHS);
+    const [incrementPercentage, setIncrementPercentage] = useState('');
+    const [publicationLag, setPublicationLag] = useState(0);
+    const [roundingMode, setRoundingMode] = useState(DEFAULT_ROUNDING.mode);
+    const [roundingStep, setRoundingStep] = useState(DEFAULT_ROUNDING.step);
 
     // Results
     const [updatesList, setUpdatesList] = useState([]);
     const [loadingIndices, setLoadingIndices] = useState(false);
     const [error, setError] = useState(null);
 
+    // Lease creation: target unit and the form values taken from the simulation
+    const [leaseUnitId, setLeaseUnitId] = useState('');
+    const [leaseDraft, setLeaseDraft] = useState(null);
+
     // Fetch Data on Mount
     useEffect(() => {
         const load = async () => {
             setLoadingIndices(true);
             try {
-                const data = await fetchArquilerData();
-                setArquilerData(data);
-
-                try {
-                    const history = await fetchIPCData();
-                    setIpcHistory(history);
-                } catch (e) { console.warn("IPC History fetch failed", e); }
+                const loaded = await loadIndexData();
+                setIndexData(loaded.indexData);
+                setUsingFallback(loaded.usingFallback);
             } catch (err) {
                 console.error("Error loading data", err);
                 setError(t('calculators.errorFetch'));
@@ -113,85 +185,60 @@ export default function Calculators() {
         load();
     }, []);
 
+    // Lease end: the one entered, or the 2-year default of the schedule
+    const getEndDate = () => endDate || addMonths(new Date(startDate), 24).toISOString().split('T')[0];
+
     const handleCalculateIndex = () => {
         setError(null);
         setUpdatesList([]);
-        if (!selectedMonth) return;
+        if (!startDate) return;
 
-        // 1. Prepare Data sort Ascending
-        const historyAsc = [...ipcHistory].sort((a, b) => new Date(a.date) - new Date(b.date));
-
-        if (historyAsc.length === 0) {
-            setError("Cargando datos. Intente nuevamente.");
+        if (requiresIndexData(indexType) && getIndexHistory(indexData, indexType).length === 0) {
+            setError(t('calculators.noIndexData'));
             return;
         }
 
-        const latestDataDate = new Date(historyAsc[historyAsc.length - 1].date);
-        const startDate = new Date(selectedMonth);
-
-        if (startDate > latestDataDate) {
-            setError(`La fecha de inicio (${selectedMonth}) es posterior al último dato disponible.`);
-            return;
+        const schedule = simulateSchedule({
+            rent: rentBase,
+            leaseStart: startDate,
+            leaseEnd: getEndDate(),
+            indexType,
+            adjustmentFrequency: updateFrequency,
+            incrementPercentage: Number(incrementPercentage) || 0,
+            publicationLag,
+            roundingMode,
+            roundingStep
+        }, indexData);
+
+        if (schedule.length === 0) {
+            setError(t('calculators.noAdjustments'));
+        } else {
+            setUpdatesList(schedule.map((update, idx) => ({ ...update, periodIndex: idx + 1 })));
         }
+    };
 
-        let currentRent = rentBase;
-        let currentDateToCheck = new Date(startDate);
-        currentDateToCheck.setMonth(currentDateToCheck.getMonth() + updateFrequency);
-
-        const results = [];
-        const today = new Date();
-        let loopCount = 0;
-
-        while (currentDateToCheck <= today && loopCount < 50) {
-            loopCount++;
-
-            const periodStart = new Date(currentDateToCheck);
-            periodStart.setMonth(periodStart.getMonth() - updateFrequency);
-            const pStartStr = periodStart.toISOString().slice(0, 7);
-
-            const startIndex = historyAsc.findIndex(h => h.date.startsWith(pStartStr));
-
-            if (startIndex === -1 || startIndex + updateFrequency > historyAsc.length) {
-                break; // Break if no data
-            }
-
-            const relevantMonths = historyAsc.slice(startIndex, startIndex + updateFrequency);
-
-            // Calculate Accumulation & Details
-            let accumulatedFactor = 1.0;
-            const details = relevantMonths.map(m => {
-                accumulatedFactor *= (1 + m.value);
-                return {
-                    date: m.date,
-                    value: m.value,
-                    accumulated: accumulatedFactor - 1
-                };
-            });
-
-            const rawRent = currentRent * accumulatedFactor;
-            const newRent = Math.round(rawRent / 500) * 500;
-            const increasePercent = (accumulatedFactor - 1) * 100;
-            const diff = newRent - currentRent;
-
-            results.push({
-                periodIndex: loopCount,
-                date: currentDateToCheck.toISOString().split('T')[0],
-                oldRent: currentRent,
-                newRent: newRent,
-                increasePercent: increasePercent.toFixed(2),
-                diff: diff,
-                details: details
-            });
-
-            currentRent = newRent;
-            currentDateToCheck.setMonth(currentDateToCheck.getMonth() + updateFrequency); // Next period
-        }
+    // Units that can take a new lease
+    const vacantUnits = units.filter(u => (u.isActive ?? true) && !getActiveLease(u.id));
+    const leaseUnit = vacantUnits.find(u => u.id === leaseUnitId);
+
+    const handleCreateLease = () => {
+        setLeaseDraft({
+            rentAmount: String(rentBase),
+            indexType,
+            adjustmentFrequency: String(updateFrequency),
+            incrementPercentage: String(incrementPercentage),
+            publicationLag: String(publicationLag),
+            roundingMode,
+            roundingStep: String(roundingStep),
+            startDate,
+            endDate: getEndDate()
+        });
+    };
 
-        if (results.length === 0) {
-            setError("No se completó ningún período de actualización con datos disponibles.");
-        } else {
-            setUpdatesList(results);
-        }
+    const handleLeaseSave = async (leaseData) => {
+        await addLease(leaseData);
+        setLeaseDraft(null);
+        navigate('/units');
     };
 
     return (
@@ -201,8 +248,15 @@ export default function Calculators() {
                 <p className="text-sm md:text-base text-slate-500 mt-1 md:mt-2">{t('calculators.subtitle')}</p>
             </header>
 
+            {usingFallback && (
+                <div className="max-w-4xl mx-auto flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-700">
+                    <AlertTriangle size={16} className="shrink-0" />
+                    {t('common.indexFallbackWarning')}
+                </div>
+            )}
+
             <div className="max-w-4xl mx-auto">
-                {/* AUTO IPC CALCULATOR */}
+                {/* RENT ADJUSTMENT SIMULATOR */}
                 <div className="bg-white rounded-xl border border-slate-200 shadow-xl shadow-slate-200/50 overflow-hidden flex flex-col">
                     {/* Header */}
                     <div className="p-6 border-b border-slate-100 bg-gradient-to-r from-indigo-50 to-slate-50 flex items-center gap-3">
@@ -210,8 +264,8 @@ export default function Calculators() {
                             <RefreshCw size={24} />
                         </div>
                         <div>
-                            <h3 className="text-xl font-bold text-slate-900">{t('calculators.ipcTitle') || "Calculadora de Alquiler"}</h3>
-                            <p className="text-xs text-indigo-600 font-bold uppercase tracking-wider">IPC Acumulado</p>
+                            <h3 className="text-xl font-bold text-slate-900">{t('calculators.ipcTitle')}</h3>
+                            <p className="text-xs text-indigo-600 font-bold uppercase tracking-wider">{t('calculators.simulation')}</p>
                         </div>
                     </div>
 
@@ -220,7 +274,7 @@ export default function Calculators() {
                         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                             {/* Initial Rent */}
                             <div>
-                                <label className="block text-sm font-bold text-slate-700 mb-2">Valor Inicial</label>
+                                <label className="block text-sm font-bold text-slate-700 mb-2">{t('calculators.initialRent')}</label>
                                 <div className="relative">
                                     <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none text-slate-400">
                                         <DollarSign size={18} />
@@ -237,34 +291,116 @@ export default function Calculators() {
 
                             {/* Start Date */}
                             <div>
-                                <label className="block text-sm font-bold text-slate-700 mb-2">Inicio Contrato</label>
+                                <label className="block text-sm font-bold text-slate-700 mb-2">{t('units.leaseStart')}</label>
+                                <input
+                                    type="date"
+                                    value={startDate}
+                                    onChange={(e) => setStartDate(e.target.value)}
+                                    className="w-full rounded-lg border border-slate-300 py-3 px-3 text-slate-900 font-semibold focus:ring-2 focus:ring-indigo-500 outline-none bg-white transition-all cursor-pointer"
+                                />
+                            </div>
+
+                            {/* End Date (empty = 2 years) */}
+                            <div>
+                                <label className="block text-sm font-bold text-slate-700 mb-2">{t('units.leaseEnd')}</label>
                                 <input
                                     type="date"
-                                    value={selectedMonth}
-                                    onChange={(e) => setSelectedMonth(e.target.value)}
+                                    value={endDate}
+                                    min={startDate}
+                                    onChange={(e) => setEndDate(e.target.value)}
                                     className="w-full rounded-lg border border-slate-300 py-3 px-3 text-slate-900 font-semibold focus:ring-2 focus:ring-indigo-500 outline-none bg-white transition-all cursor-pointer"
                                 />
                             </div>
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                            {/* Adjustment Index */}
+                            <div>
+                                <label className="block text-sm font-bold text-slate-700 mb-2">{t('units.indexType')}</label>
+                                <select
+                                    value={indexType}
+                                    onChange={(e) => setIndexType(e.target.value)}
+                                    className="w-full rounded-lg border border-slate-300 py-3 px-3 text-slate-900 font-semibold focus:ring-2 focus:ring-indigo-500 outline-none bg-white cursor-pointer"
+                                >
+                                    {getAvailableIndices().map(index => (
+                                        <option key={index.id} value={index.id}>{index.name}</option>
+                                    ))}
+                                    {SIMULATED_CONTRACT_TYPES.map(type => (
+                                        <option key={type} value={type}>{t(`units.contractTypes.${type}`)}</option>
+                                    ))}
+                                </select>
+                            </div>
 
                             {/* Frequency Dropdown */}
                             <div>
-                                <label className="block text-sm font-bold text-slate-700 mb-2">Frecuencia</label>
-                                <div className="relative">
+                                <label className="block text-sm font-bold text-slate-700 mb-2">{t('units.adjustmentFrequency')}</label>
+                                <select
+                                    value={updateFrequency}
+                                    onChange={(e) => setUpdateFrequency(Number(e.target.value))}
+                                    className="w-full rounded-lg border border-slate-300 py-3 px-3 text-slate-900 font-semibold focus:ring-2 focus:ring-indigo-500 outline-none bg-white cursor-pointer"
+                                >
+                                    {ADJUSTMENT_FREQUENCIES.map(months => (
+                                        <option key={months} value={months}>{t('units.everyNMonths', { count: months })}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {/* Fixed Percentage or Publication Lag */}
+                            {indexType === 'fixed' ? (
+                                <div>
+                                    <label className="block text-sm font-bold text-slate-700 mb-2">{t('units.fixedPercentage')}</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={incrementPercentage}
+                                        onChange={(e) => setIncrementPercentage(e.target.value)}
+                                        placeholder="10"
+                                        className="w-full rounded-lg border border-slate-300 py-3 px-3 text-slate-900 font-semibold focus:ring-2 focus:ring-indigo-500 outline-none transition-all"
+                                    />
+                                </div>
+                            ) : (
+                                <div>
+                                    <label className="block text-sm font-bold text-slate-700 mb-2">{t('units.publicationLag')}</label>
                                     <select
-                                        value={updateFrequency}
-                                        onChange={(e) => setUpdateFrequency(Number(e.target.value))}
-                                        className="w-full rounded-lg border border-slate-300 py-3 px-3 text-slate-900 font-semibold focus:ring-2 focus:ring-indigo-500 outline-none bg-white cursor-pointer appearance-none"
+                                        value={publicationLag}
+                                        onChange={(e) => setPublicationLag(Number(e.target.value))}
+                                        className="w-full rounded-lg border border-slate-300 py-3 px-3 text-slate-900 font-semibold focus:ring-2 focus:ring-indigo-500 outline-none bg-white cursor-pointer"
                                     >
-                                        {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(num => (
-                                            <option key={num} value={num}>
-                                                {num} {num === 1 ? 'Mes' : 'Meses'}
-                                            </option>
+                                        {PUBLICATION_LAGS.map(lag => (
+                                            <option key={lag} value={lag}>{t(`units.publicationLags.${lag}`)}</option>
                                         ))}
                                     </select>
-                                    <div className="absolute inset-y-0 right-0 flex items-center px-3 pointer-events-none text-slate-500">
-                                        <ChevronDown size={16} />
-                                    </div>
                                 </div>
+                            )}
+                        </div>
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            {/* Rounding Policy */}
+                            <div>
+                                <label className="block text-sm font-bold text-slate-700 mb-2">{t('units.roundingMode')}</label>
+                                <select
+                                    value={roundingMode}
+                                    onChange={(e) => setRoundingMode(e.target.value)}
+                                    className="w-full rounded-lg border border-slate-300 py-3 px-3 text-slate-900 font-semibold focus:ring-2 focus:ring-indigo-500 outline-none bg-white cursor-pointer"
+                                >
+                                    {ROUNDING_MODES.map(mode => (
+                                        <option key={mode} value={mode}>{t(`units.rounding.${mode}`)}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            {/* Rounding Step */}
+                            <div>
+                                <label className="block text-sm font-bold text-slate-700 mb-2">{t('units.roundingStep')}</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={roundingStep}
+                                    onChange={(e) => setRoundingStep(Number(e.target.value))}
+                                    disabled={roundingMode === 'none'}
+                                    className="w-full rounded-lg border border-slate-300 py-3 px-3 text-slate-900 font-semibold focus:ring-2 focus:ring-indigo-500 outline-none transition-all disabled:bg-slate-50 disabled:text-slate-400"
+                                />
                             </div>
                         </div>
 
@@ -274,7 +410,7 @@ export default function Calculators() {
                             className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold text-lg py-4 rounded-xl shadow-lg shadow-indigo-200 active:scale-[0.99] transition-all disabled:opacity-70 disabled:cursor-not-allowed flex items-center justify-center gap-2"
                         >
                             <RefreshCw size={20} className={loadingIndices ? "animate-spin" : ""} />
-                            Calcular Actualización
+                            {t('calculators.calculateAuto')}
                         </button>
 
                         {error && (
@@ -289,21 +425,21 @@ export default function Calculators() {
                         <div className="border-t border-slate-200">
                             <div className="bg-slate-50 px-6 py-3 border-b border-slate-200 flex justify-between items-center">
                                 <h4 className="text-sm font-bold text-slate-700 uppercase tracking-wide">
-                                    Resultados
+                                    {t('calculators.results')}
                                 </h4>
                                 <span className="text-xs font-semibold text-slate-500 bg-white px-2 py-1 rounded border border-slate-200">
-                                    {updatesList.length} Ajustes Encontrados
+                                    {t('calculators.adjustmentsFound', { count: updatesList.length })}
                                 </span>
                             </div>
 
                             <table className="w-full text-left border-collapse">
                                 <thead className="bg-white text-slate-500 text-xs uppercase tracking-wider font-semibold border-b border-slate-200">
                                     <tr>
-                                        <th className="py-4 px-4 font-bold text-indigo-900/80">Periodo</th>
-                                        <th className="py-4 px-4">Fecha Ajuste</th>
-                                        <th className="py-4 px-4">Aumento %</th>
-                                        <th className="py-4 px-4">Nuevo Valor</th>
-                                        <th className="py-4 px-4 text-right">Detalle</th>
+                                        <th className="py-4 px-4 font-bold text-indigo-900/80">{t('calculators.period')}</th>
+                                        <th className="py-4 px-4">{t('calculators.adjustmentDate')}</th>
+                                        <th className="py-4 px-4">{t('calculators.increasePercent')}</th>
+                                        <th className="py-4 px-4">{t('calculators.newRent')}</th>
+                                        <th className="py-4 px-4 text-right">{t('calculators.breakdown')}</th>
                                     </tr>
                                 </thead>
                                 <tbody>
@@ -312,14 +448,51 @@ export default function Calculators() {
                                     ))}
                                 </tbody>
                             </table>
+
+                            {/* Create Lease From Simulation */}
+                            <div className="p-6 border-t border-slate-200 bg-slate-50 flex flex-col sm:flex-row gap-3 sm:items-center">
+                                {vacantUnits.length > 0 ? (
+                                    <>
+                                        <select
+                                            value={leaseUnitId}
+                                            onChange={(e) => setLeaseUnitId(e.target.value)}
+                                            className="flex-1 rounded-lg border border-slate-300 py-2 px-3 text-slate-900 focus:ring-2 focus:ring-indigo-500 outline-none bg-white cursor-pointer"
+                                        >
+                                            <option value="">{t('calculators.selectUnit')}</option>
+                                            {vacantUnits.map(unit => (
+                                                <option key={unit.id} value={unit.id}>{unit.name}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            onClick={handleCreateLease}
+                                            disabled={!leaseUnit}
+                                            className="flex items-center justify-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white font-medium px-4 py-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                        >
+                                            <FilePlus size={18} />
+                                            {t('calculators.createLease')}
+                                        </button>
+                                    </>
+                                ) : (
+                                    <p className="text-sm text-slate-500">{t('calculators.noVacantUnits')}</p>
+                                )}
+                            </div>
                         </div>
                     )}
                 </div>
                 <p className="text-xs text-center text-slate-400 mt-6 max-w-lg mx-auto leading-relaxed">
-                    Los cálculos utilizan el Índice de Precios al Consumidor (IPC) publicado por el INDEC.
-                    Los valores son orientativos y deben ser verificados antes de su aplicación contractual.
+                    {t('calculators.disclaimer')}
                 </p>
             </div>
+
+            <LeaseModal
+                isOpen={!!leaseDraft && !!leaseUnit}
+                onClose={() => setLeaseDraft(null)}
+                unitId={leaseUnit?.id}
+                unitName={leaseUnit?.name}
+                mode="add"
+                initialValues={leaseDraft}
+                onSave={handleLeaseSave}
+            />
         </div>
     );
 }
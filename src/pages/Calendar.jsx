@@ -1,63 +1,221 @@
 import React, { useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useData } from '../context/DataContext';
-import { cn } from '../lib/utils';
-import { ChevronRight, ChevronLeft, Download } from 'lucide-react';
-import { generateReceipt } from '../lib/receiptService';
+import { cn, formatCurrency } from '../lib/utils';
+import { ChevronRight, ChevronLeft, Download, Trash2, Check, Plus, RotateCcw, Ban, Files, Mail } from 'lucide-react';
+import { generateReceipt, getReceiptLabels, getReceiptAttachment } from '../lib/receiptService';
 import { useSettings } from '../context/SettingsContext';
 import Modal from '../components/Modal';
+import BatchReceiptsModal from '../components/BatchReceiptsModal';
+import EmailPreviewModal from '../components/EmailPreviewModal';
 
 const MONTHS = [
     'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
 ];
 
+// Cell colours by balance status (see PAYMENT_STATUSES)
+const STATUS_CLASSES = {
+    paid: 'bg-green-100 text-green-700 border-green-200',
+    partial: 'bg-yellow-100 text-yellow-700 border-yellow-200',
+    overdue: 'bg-red-100 text-red-700 border-red-200',
+    pending: 'bg-slate-50 border-dashed border-slate-300',
+    none: 'bg-white border-slate-100'
+};
+
+// One instalment in the payments modal: editable date, amount and (when the month has extra charges) the part for charges,
+// with its receipt once issued
+const PaymentRow = ({ payment, receipt, showCharges, onSave, onDelete, onReceipt, onEmail, onReissue, onVoid }) => {
+    const { t } = useTranslation();
+    const [datePaid, setDatePaid] = useState(payment.datePaid);
+    const [amount, setAmount] = useState(String(payment.amount));
+    const [chargesAmount, setChargesAmount] = useState(String(payment.chargesAmount || 0));
+    const isDirty = datePaid !== payment.datePaid
+        || Number(amount) !== Number(payment.amount)
+        || Number(chargesAmount) !== Number(payment.chargesAmount || 0);
+
+    return (
+        <div className="space-y-1">
+            <div className="flex items-center gap-2">
+                <input
+                    type="date"
+                    value={datePaid}
+                    onChange={(e) => setDatePaid(e.target.value)}
+                    className="flex-1 p-2 border border-slate-200 rounded-lg text-sm"
+                />
+                <input
+                    type="number"
+                    min="0"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                    className="w-32 p-2 border border-slate-200 rounded-lg text-sm"
+                />
+                {showCharges && (
+                    <input
+                        type="number"
+                        min="0"
+                        value={chargesAmount}
+                        onChange={(e) => setChargesAmount(e.target.value)}
+                        title={t('calendar.chargesPortion')}
+                        className="w-24 p-2 border border-slate-200 rounded-lg text-sm"
+                    />
+                )}
+                {isDirty && (
+                    <button
+                        onClick={() => onSave({ datePaid, amount: Number(amount), chargesAmount: Number(chargesAmount) || 0 })}
+                        disabled={!datePaid || !(Number(amount) > 0) || Number(chargesAmount) > Number(amount)}
+                        title={t('common.saveChanges')}
+                        className="p-2 text-emerald-600 hover:bg-emerald-50 rounded-lg disabled:opacity-50"
+                    >
+                        <Check size={16} />
+                    </button>
+                )}
+                <button onClick={onReceipt} title={t('calendar.receipt')} className="p-2 text-slate-500 hover:bg-slate-100 rounded-lg">
+                    <Download size={16} />
+                </button>
+                <button onClick={onEmail} title={t('calendar.emailReceipt')} className="p-2 text-slate-500 hover:bg-slate-100 rounded-lg">
+                    <Mail size={16} />
+                </button>
+                <button onClick={onDelete} title={t('common.delete')} className="p-2 text-red-500 hover:bg-red-50 rounded-lg">
+                    <Trash2 size={16} />
+                </button>
+            </div>
+            {receipt && (
+                <div className="flex items-center gap-2 text-xs text-slate-500 pl-1">
+                    <span>{t('calendar.receiptNumber', { number: receipt.formattedNumber })}</span>
+                    <button onClick={onReissue} className="flex items-center gap-1 text-slate-600 hover:text-emerald-700">
+                        <RotateCcw size={12} />
+                        {t('calendar.reissue')}
+                    </button>
+                    <button onClick={onVoid} className="flex items-center gap-1 text-red-500 hover:text-red-700">
+                        <Ban size={12} />
+                        {t('calendar.void')}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
 export default function CalendarPage() {
     const { t } = useTranslation();
-    const { units, payments, markPaid, updatePayment, deletePayment } = useData();
+    const {
+        units, markPaid, updatePayment, deletePayment, getUnitBalance,
+        getPaymentReceipt, buildPaymentReceipt, issueReceipt, voidReceipt, reissueReceipt
+    } = useData();
     const { settings } = useSettings();
 
     const [activeMonth, setActiveMonth] = useState(new Date().getMonth());
     const [year, setYear] = useState(new Date().getFullYear());
-    const [editPayment, setEditPayment] = useState(null);
+
+    // Payments modal: unit and month being managed, plus the new instalment form
+    const [selectedCell, setSelectedCell] = useState(null);
     const [newDate, setNewDate] = useState('');
+    const [newAmount, setNewAmount] = useState('');
+    const [isBatchOpen, setIsBatchOpen] = useState(false);
+    const [emailModal, setEmailModal] = useState(null);
 
-    const getPaymentStatus = (payment) => {
-        if (!payment || !payment.datePaid) return 'bg-slate-50 border-dashed border-slate-300';
-
-        const day = parseInt(payment.datePaid.split('-')[2], 10);
-        if (day <= 10) return 'bg-green-100 text-green-700 border-green-200';
-        if (day <= 20) return 'bg-yellow-100 text-yellow-700 border-yellow-200';
-        return 'bg-red-100 text-red-700 border-red-200';
-    };
+    const selectedBalance = selectedCell ? getUnitBalance(selectedCell.unit.id, selectedCell.monthStr) : null;
 
     const handleCellClick = (unitId, monthIndex) => {
         const monthStr = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
-        const existing = payments.find(p => p.unitId === unitId && p.forMonth === monthStr);
         const unit = units.find(u => u.id === unitId);
+        const balance = getUnitBalance(unitId, monthStr);
 
-        if (existing) {
-            setEditPayment({ payment: existing, unit });
-            setNewDate(existing.datePaid);
-        } else {
-            const date = window.prompt(`Enter payment date for ${monthStr} (YYYY-MM-DD):`, new Date().toISOString().split('T')[0]);
-            if (date) {
-                markPaid(unitId, monthStr, date);
-            }
-        }
+        setSelectedCell({ unit, monthStr });
+        setNewDate(new Date().toISOString().split('T')[0]);
+        setNewAmount(balance.outstanding > 0 ? String(balance.outstanding) : '');
     };
 
-    const handleUpdatePayment = async () => {
-        if (!editPayment?.payment || !newDate) return;
-        await updatePayment(editPayment.payment.id, { datePaid: newDate, amount: editPayment.unit.rent });
-        setEditPayment(null);
+    const handleAddPayment = async () => {
+        if (!selectedCell || !newDate || !(Number(newAmount) > 0)) return;
+        await markPaid(selectedCell.unit.id, selectedCell.monthStr, newDate, Number(newAmount));
+        setNewAmount('');
     };
 
-    const handleDeletePayment = async () => {
-        if (!editPayment?.payment) return;
+    const handleDeletePayment = async (payment) => {
         if (window.confirm("Are you sure you want to delete this payment record? This action cannot be undone.")) {
-            await deletePayment(editPayment.payment.id);
-            setEditPayment(null);
+            // The receipt of a deleted payment is no longer valid
+            const receipt = getPaymentReceipt(payment.id);
+            if (receipt && !await voidReceipt(receipt.id, t('calendar.paymentDeleted'))) return;
+            await deletePayment(payment.id);
+        }
+    };
+
+    // What a receipt for this instalment prints, with the current data
+    const buildSnapshot = (payment) => buildPaymentReceipt(payment, {
+        ownerName: settings.ownerName,
+        dateFormat: settings.dateFormat,
+        labels: getReceiptLabels(t)
+    });
+
+    // A payment's receipt is issued on the first download (or email); later ones print the same receipt
+    const getOrIssueReceipt = async (payment) => getPaymentReceipt(payment.id)
+        || issueReceipt(payment, buildSnapshot(payment), { pointOfSale: settings.receiptPointOfSale });
+
+    const handleReceipt = async (payment) => {
+        const receipt = await getOrIssueReceipt(payment);
+        if (receipt) generateReceipt(receipt, { signatureDataUrl: settings.signatureDataUrl });
+    };
+
+    const handleEmailReceipt = async (payment) => {
+        const receipt = await getOrIssueReceipt(payment);
+        if (!receipt) return;
+
+        const { unit } = selectedCell;
+        setEmailModal({
+            recipient: unit.tenantEmail,
+            subject: t('calendar.receiptEmailSubject', { number: receipt.formattedNumber, unitName: unit.name }),
+            body: t('calendar.receiptEmailBody', {
+                tenantName: unit.tenant || '',
+                month: payment.forMonth,
+                amount: formatCurrency(payment.amount, payment.currency),
+                ownerName: settings.ownerName || ''
+            }),
+            attachments: [getReceiptAttachment(receipt, { signatureDataUrl: settings.signatureDataUrl })],
+            unitId: unit.id,
+            receiptId: receipt.id
+        });
+    };
+
+    const handleReissue = async (payment) => {
+        const receipt = getPaymentReceipt(payment.id);
+        const reason = window.prompt(t('calendar.reissueReason', { number: receipt.formattedNumber }));
+        if (!reason) return;
+
+        const newReceipt = await reissueReceipt(receipt, reason, payment, buildSnapshot(payment));
+        if (newReceipt) generateReceipt(newReceipt, { signatureDataUrl: settings.signatureDataUrl });
+    };
+
+    const handleVoid = async (payment) => {
+        const receipt = getPaymentReceipt(payment.id);
+        const reason = window.prompt(t('calendar.voidReason', { number: receipt.formattedNumber }));
+        if (!reason) return;
+        await voidReceipt(receipt.id, reason);
+    };
+
+    // Cell label: last payment day when settled, paid share when partial, amount owed when overdue
+    const renderCellContent = (balance) => {
+        if (balance.status === 'paid') {
+            const lastPayment = balance.payments[balance.payments.length - 1];
+            return (
+                <span className="flex flex-col items-center">
+                    <span>{lastPayment ? parseInt(lastPayment.datePaid.split('-')[2], 10) : '-'}</span>
+                    <span className="text-[10px] font-normal opacity-75">{t('overview.paid')}</span>
+                </span>
+            );
         }
+        if (balance.status === 'partial' || (balance.status === 'overdue' && balance.paid > 0)) {
+            return (
+                <span className="flex flex-col items-center">
+                    <span>{Math.round((balance.paid / balance.totalDue) * 100)}%</span>
+                    <span className="text-[10px] font-normal opacity-75">{t('calendar.statuses.partial')}</span>
+                </span>
+            );
+        }
+        if (balance.status === 'overdue') {
+            return <span className="text-[10px]">{t('calendar.statuses.overdue')}</span>;
+        }
+        return <span className="opacity-0 group-hover:opacity-100 text-slate-400">-</span>;
     };
 
     return (
@@ -67,10 +225,19 @@ export default function CalendarPage() {
                     <h1 className="text-2xl md:text-3xl font-bold text-slate-900 tracking-tight">{t('calendar.title')}</h1>
                     <p className="text-sm md:text-base text-slate-500 mt-1 md:mt-2">{t('calendar.subtitle')}</p>
                 </div>
-                <div className="flex items-center gap-4 bg-white p-2 rounded-lg border border-slate-200 shadow-sm">
-                    <button onClick={() => setYear(y => y - 1)} className="p-2 hover:bg-slate-50 rounded-full"><ChevronLeft size={20} /></button>
-                    <span className="font-bold text-xl w-20 text-center">{year}</span>
-                    <button onClick={() => setYear(y => y + 1)} className="p-2 hover:bg-slate-50 rounded-full"><ChevronRight size={20} /></button>
+                <div className="flex items-center gap-3">
+                    <button
+                        onClick={() => setIsBatchOpen(true)}
+                        className="flex items-center gap-2 px-4 py-3 bg-white border border-slate-200 rounded-lg shadow-sm text-sm font-medium text-slate-700 hover:bg-slate-50"
+                    >
+                        <Files size={16} />
+                        {t('batchReceipts.open')}
+                    </button>
+                    <div className="flex items-center gap-4 bg-white p-2 rounded-lg border border-slate-200 shadow-sm">
+                        <button onClick={() => setYear(y => y - 1)} className="p-2 hover:bg-slate-50 rounded-full"><ChevronLeft size={20} /></button>
+                        <span className="font-bold text-xl w-20 text-center">{year}</span>
+                        <button onClick={() => setYear(y => y + 1)} className="p-2 hover:bg-slate-50 rounded-full"><ChevronRight size={20} /></button>
+                    </div>
                 </div>
             </header>
 
@@ -96,9 +263,7 @@ export default function CalendarPage() {
                 <div className="space-y-3">
                     {units.map(unit => {
                         const monthStr = `${year}-${String(activeMonth + 1).padStart(2, '0')}`;
-                        const payment = payments.find(p => p.unitId === unit.id && p.forMonth === monthStr);
-                        const statusClass = getPaymentStatus(payment);
-                        const dayPaid = payment?.datePaid ? parseInt(payment.datePaid.split('-')[2], 10) : null;
+                        const balance = getUnitBalance(unit.id, monthStr);
 
                         return (
                             <div
@@ -111,8 +276,11 @@ export default function CalendarPage() {
                                         <h3 className="font-bold text-slate-900">{unit.name}</h3>
                                         <p className="text-sm text-slate-500">{unit.tenant}</p>
                                     </div>
-                                    <div className={cn("px-3 py-1 rounded-md text-xs font-bold border", statusClass)}>
-                                        {dayPaid ? `Paid: ${dayPaid}` : 'Pending'}
+                                    <div className={cn("px-3 py-1 rounded-md text-xs font-bold border", STATUS_CLASSES[balance.status])}>
+                                        {t(`calendar.statuses.${balance.status}`)}
+                                        {balance.outstanding > 0 && balance.paid > 0 && (
+                                            <span className="block font-normal">{formatCurrency(balance.paid, balance.currency)} / {formatCurrency(balance.totalDue, balance.currency)}</span>
+                                        )}
                                     </div>
                                 </div>
                             </div>
@@ -139,9 +307,7 @@ export default function CalendarPage() {
                             </div>
                             {MONTHS.map((_, idx) => {
                                 const monthStr = `${year}-${String(idx + 1).padStart(2, '0')}`;
-                                const payment = payments.find(p => p.unitId === unit.id && p.forMonth === monthStr);
-                                const statusClass = getPaymentStatus(payment);
-                                const dayPaid = payment?.datePaid ? parseInt(payment.datePaid.split('-')[2], 10) : null;
+                                const balance = getUnitBalance(unit.id, monthStr);
 
                                 return (
                                     <div
@@ -149,15 +315,11 @@ export default function CalendarPage() {
                                         className="p-2 border-l border-slate-100 relative group cursor-pointer"
                                         onClick={() => handleCellClick(unit.id, idx)}
                                     >
-                                        <div className={cn("w-full h-full rounded-md flex items-center justify-center text-xs font-bold transition-all border relative", statusClass)}>
-                                            {dayPaid ? (
-                                                <span className="flex flex-col items-center">
-                                                    <span>{dayPaid}</span>
-                                                    <span className="text-[10px] font-normal opacity-75">{t('overview.paid')}</span>
-                                                </span>
-                                            ) : (
-                                                <span className="opacity-0 group-hover:opacity-100 text-slate-400">-</span>
-                                            )}
+                                        <div
+                                            className={cn("w-full h-full rounded-md flex items-center justify-center text-xs font-bold transition-all border relative", STATUS_CLASSES[balance.status])}
+                                            title={balance.totalDue > 0 ? `${formatCurrency(balance.paid, balance.currency)} / ${formatCurrency(balance.totalDue, balance.currency)}` : undefined}
+                                        >
+                                            {renderCellContent(balance)}
                                         </div>
                                     </div>
                                 );
@@ -169,73 +331,127 @@ export default function CalendarPage() {
 
             {/* Legend */}
             <div className="hidden md:flex gap-6 justify-end text-sm text-slate-600">
-                <div className="flex items-center gap-2"><div className="w-4 h-4 bg-green-100 border border-green-200 rounded"></div> {t('calendar.onTime')}</div>
-                <div className="flex items-center gap-2"><div className="w-4 h-4 bg-yellow-100 border border-yellow-200 rounded"></div> {t('calendar.late')}</div>
-                <div className="flex items-center gap-2"><div className="w-4 h-4 bg-red-100 border border-red-200 rounded"></div> {t('calendar.severe')}</div>
+                {['paid', 'partial', 'overdue', 'pending'].map(status => (
+                    <div key={status} className="flex items-center gap-2">
+                        <div className={cn("w-4 h-4 border rounded", STATUS_CLASSES[status])}></div> {t(`calendar.statuses.${status}`)}
+                    </div>
+                ))}
             </div>
 
-            {/* Edit Payment Modal */}
+            {/* Payments Modal */}
             <Modal
-                isOpen={!!editPayment}
-                onClose={() => setEditPayment(null)}
-                title={`${t('calendar.managePayment')}: ${editPayment?.unit?.name}`}
+                isOpen={!!selectedCell}
+                onClose={() => setSelectedCell(null)}
+                title={`${t('calendar.managePayment')}: ${selectedCell?.unit?.name} (${selectedCell?.monthStr})`}
             >
-                <div className="space-y-4">
-                    <p className="text-sm text-slate-500">
-                        {t('calendar.paymentRecorded')} <strong>{editPayment?.payment?.forMonth}</strong>
-                    </p>
-
-                    <div>
-                        <label className="block text-sm font-medium text-slate-700 mb-1">{t('calendar.datePaid')}</label>
-                        <input
-                            type="date"
-                            value={newDate}
-                            onChange={(e) => setNewDate(e.target.value)}
-                            className="w-full p-2 border border-slate-200 rounded-lg text-sm"
-                        />
-                    </div>
+                {selectedBalance && (
+                    <div className="space-y-4">
+                        {/* Balance Summary */}
+                        <div className="grid grid-cols-3 gap-2 p-3 bg-slate-50 rounded-lg text-center">
+                            <div>
+                                <p className="text-[10px] text-slate-400 uppercase font-semibold">{t('calendar.due')}</p>
+                                <p className="text-sm font-bold text-slate-700">{formatCurrency(selectedBalance.totalDue, selectedBalance.currency)}</p>
+                            </div>
+                            <div>
+                                <p className="text-[10px] text-slate-400 uppercase font-semibold">{t('calendar.paidAmount')}</p>
+                                <p className="text-sm font-bold text-emerald-600">{formatCurrency(selectedBalance.paid, selectedBalance.currency)}</p>
+                            </div>
+                            <div>
+                                <p className="text-[10px] text-slate-400 uppercase font-semibold">{t('calendar.outstanding')}</p>
+                                <p className={cn("text-sm font-bold", selectedBalance.outstanding > 0 ? "text-red-600" : "text-slate-700")}>
+                                    {formatCurrency(selectedBalance.outstanding, selectedBalance.currency)}
+                                </p>
+                            </div>
+                        </div>
+                        {selectedBalance.chargeItems.length > 0 && (
+                            <div className="text-xs text-slate-500 space-y-1 -mt-2">
+                                <div className="flex justify-between">
+                                    <span>{t('calendar.rent')}</span>
+                                    <span>{formatCurrency(selectedBalance.due, selectedBalance.currency)}</span>
+                                </div>
+                                {selectedBalance.chargeItems.map(charge => (
+                                    <div key={charge.id} className="flex justify-between">
+                                        <span>{t(`charges.categories.${charge.category}`)}{charge.description ? ` - ${charge.description}` : ''}</span>
+                                        <span>{formatCurrency(charge.amount, selectedBalance.currency)}</span>
+                                    </div>
+                                ))}
+                                <div className="flex justify-between font-medium">
+                                    <span>{t('calendar.chargesOutstanding')}</span>
+                                    <span>{formatCurrency(selectedBalance.chargesOutstanding, selectedBalance.currency)}</span>
+                                </div>
+                            </div>
+                        )}
+                        {selectedBalance.lateFee > 0 && (
+                            <p className="text-xs text-red-600 text-center -mt-2">
+                                {t('calendar.lateFee', { days: selectedBalance.daysLate, amount: formatCurrency(selectedBalance.lateFee, selectedBalance.currency) })}
+                            </p>
+                        )}
 
-                    <div className="flex gap-3 justify-end pt-4">
-                        <button
-                            onClick={() => {
-                                const { dateFormat, ownerName, signatureDataUrl } = settings;
-                                generateReceipt(editPayment.payment, editPayment.unit, {
-                                    title: t('receipt.title'),
-                                    receiptId: t('receipt.receiptId'),
-                                    dateIssued: t('receipt.dateIssued'),
-                                    propertyDetails: t('receipt.propertyDetails'),
-                                    property: t('receipt.property'),
-                                    tenant: t('receipt.tenant'),
-                                    paymentInfo: t('receipt.paymentInfo'),
-                                    period: t('receipt.period'),
-                                    amountPaid: t('receipt.amountPaid'),
-                                    datePaid: t('receipt.datePaid'),
-                                    paidInFull: t('receipt.paidInFull'),
-                                    footer: t('receipt.footer'),
-                                    na: t('receipt.na'),
-                                }, { dateFormat, ownerName, signatureDataUrl });
-                            }}
-                            className="flex-1 mr-auto flex items-center gap-2 text-slate-600 hover:text-slate-800 text-sm font-semibold"
-                        >
-                            <Download size={16} />
-                            {t('calendar.receipt')}
-                        </button>
+                        {/* Recorded Instalments */}
+                        {selectedBalance.payments.length > 0 ? (
+                            <div className="space-y-2">
+                                <p className="text-sm text-slate-500">{t('calendar.paymentRecorded')} <strong>{selectedCell.monthStr}</strong></p>
+                                {selectedBalance.payments.map(payment => (
+                                    <PaymentRow
+                                        key={payment.id}
+                                        payment={payment}
+                                        receipt={getPaymentReceipt(payment.id)}
+                                        showCharges={selectedBalance.charges > 0 || payment.chargesAmount > 0}
+                                        onSave={(updates) => updatePayment(payment.id, updates)}
+                                        onDelete={() => handleDeletePayment(payment)}
+                                        onReceipt={() => handleReceipt(payment)}
+                                        onEmail={() => handleEmailReceipt(payment)}
+                                        onReissue={() => handleReissue(payment)}
+                                        onVoid={() => handleVoid(payment)}
+                                    />
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="text-sm text-slate-400 italic">{t('calendar.noPayments')}</p>
+                        )}
 
-                        <button
-                            onClick={handleDeletePayment}
-                            className="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg text-sm font-bold transition-colors"
-                        >
-                            {t('common.delete')}
-                        </button>
-                        <button
-                            onClick={handleUpdatePayment}
-                            className="px-4 py-2 bg-emerald-600 text-white hover:bg-emerald-700 rounded-lg text-sm font-bold shadow-sm transition-colors"
-                        >
-                            {t('common.saveChanges')}
-                        </button>
+                        {/* New Instalment */}
+                        <div className="pt-4 border-t border-slate-100">
+                            <label className="block text-sm font-medium text-slate-700 mb-1">{t('calendar.addPayment')}</label>
+                            <div className="flex items-center gap-2">
+                                <input
+                                    type="date"
+                                    value={newDate}
+                                    onChange={(e) => setNewDate(e.target.value)}
+                                    className="flex-1 p-2 border border-slate-200 rounded-lg text-sm"
+                                />
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={newAmount}
+                                    onChange={(e) => setNewAmount(e.target.value)}
+                                    placeholder="0"
+                                    className="w-32 p-2 border border-slate-200 rounded-lg text-sm"
+                                />
+                                <button
+                                    onClick={handleAddPayment}
+                                    disabled={!newDate || !(Number(newAmount) > 0)}
+                                    className="flex items-center gap-1 px-4 py-2 bg-emerald-600 text-white hover:bg-emerald-700 rounded-lg text-sm font-bold shadow-sm transition-colors disabled:opacity-50"
+                                >
+                                    <Plus size={16} />
+                                    {t('common.save')}
+                                </button>
+                            </div>
+                        </div>
                     </div>
-                </div>
+                )}
             </Modal>
+
+            <BatchReceiptsModal isOpen={isBatchOpen} onClose={() => setIsBatchOpen(false)} />
+
+            {emailModal && (
+                <EmailPreviewModal
+                    isOpen
+                    onClose={() => setEmailModal(null)}
+                    {...emailModal}
+                    kind="receipt"
+                />
+            )}
         </div>
     );
 }
@@ -1,22 +1,32 @@
 import React, { useMemo, useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useData } from '../context/DataContext';
+import { useSettings } from '../context/SettingsContext';
 import { formatCurrency, cn } from '../lib/utils';
+import { toArs, findRate } from '../lib/currency';
+import ExchangeRateNote from '../components/ExchangeRateNote';
 import { Trash2, AlertTriangle, TrendingUp } from 'lucide-react';
-import { fetchIPCData } from '../lib/indec';
-import { calculateFullSchedule } from '../lib/rentCalculator';
+import { loadIndexData } from '../lib/indexStore';
+import { calculateFullSchedule, applyLeaseTerms, getFrequency, SCENARIO_BANDS, DEFAULT_SCENARIO_BANDS } from '../lib/rentCalculator';
 
 export default function Cashflow() {
     const { t } = useTranslation();
-    const { units, expenses, payments, deleteExpense } = useData();
-    const [ipcHistory, setIpcHistory] = useState([]);
+    const { units, leases, expenses, payments, charges, rentAdjustments, exchangeRates, deleteExpense, getUnitBalance } = useData();
+    const { settings } = useSettings();
+    const [indexData, setIndexData] = useState(null);
+    const [usingFallback, setUsingFallback] = useState(false);
     const [loadingIpc, setLoadingIpc] = useState(true);
 
+    // Totals are reported in ARS: USD amounts already paid or spent at the rate of their
+    // date, projected months at the latest stored rate
+    const exchangeRate = findRate(exchangeRates, new Date().toISOString().split('T')[0], settings.exchangeRateType);
+
     useEffect(() => {
         const loadIpc = async () => {
             try {
-                const data = await fetchIPCData();
-                setIpcHistory(data);
+                const loaded = await loadIndexData();
+                setIndexData(loaded.indexData);
+                setUsingFallback(loaded.usingFallback);
             } catch (e) {
                 console.error("Failed to load IPC for cashflow", e);
             } finally {
@@ -27,22 +37,45 @@ export default function Cashflow() {
     }, []);
 
     const handleDeleteExpense = (expenseId, category) => {
-        if (window.confirm(t('cashflow.confirmDelete', { category }))) {
+        // A re-billed expense takes its charge to the tenant with it
+        const rebilled = charges.some(c => c.expenseId === expenseId);
+        if (window.confirm(t(rebilled ? 'cashflow.confirmDeleteRebilled' : 'cashflow.confirmDelete', { category }))) {
             deleteExpense(expenseId);
         }
     };
 
+    // Projection scenario of each band, with the imported expectations curve
+    const scenarios = useMemo(() => Object.fromEntries(SCENARIO_BANDS.map(band => [band, {
+        ...(settings.projectionScenarios?.[band] || DEFAULT_SCENARIO_BANDS[band]),
+        curve: settings.remCurve
+    }])), [settings.projectionScenarios, settings.remCurve]);
+
     /**
      * Financial calculations for each unit
      * 
      * Calculates two key metrics:
      * 1. YTD Actuals: Real money collected and spent this year
-     * 2. Projected Annual: Hybrid forecast combining actuals + future rent schedule
+     * 2. Projected Annual: Hybrid forecast combining actuals + future rent schedule,
+     *    for the base scenario and the optimistic/pessimistic bands
      */
     const financials = useMemo(() => {
         const currentYear = new Date().getFullYear();
 
         return units.map(unit => {
+            const lease = leases.find(l => l.unitId === unit.id && l.status === 'ACTIVE');
+
+            // Amounts in ARS; USD amounts without a stored rate are left out and flagged
+            let missingRate = false;
+            const inArs = (amount, currency, date = null) => {
+                const rate = date ? findRate(exchangeRates, date, settings.exchangeRateType) : exchangeRate;
+                const converted = toArs(amount, currency, rate);
+                if (converted === null) {
+                    missingRate = true;
+                    return 0;
+                }
+                return converted;
+            };
+
             // ==================== YTD ACTUALS ====================
             // Calculate actual money collected and spent in the current year
 
@@ -51,14 +84,14 @@ export default function Cashflow() {
             const unitPayments = payments.filter(p =>
                 p.unitId === unit.id && p.datePaid.split('-')[0] == currentYear
             );
-            const ytdIncome = unitPayments.reduce((sum, p) => sum + Number(p.amount), 0);
+            const ytdIncome = unitPayments.reduce((sum, p) => sum + inArs(p.amount, p.currency, p.datePaid), 0);
 
             // Filter expenses for this unit
             const unitExpenses = expenses.filter(e => e.unitId === unit.id);
             const ytdExpensesList = unitExpenses.filter(e =>
                 e.date.split('-')[0] == currentYear
             );
-            const ytdExpenses = ytdExpensesList.reduce((sum, e) => sum + Number(e.amount), 0);
+            const ytdExpenses = ytdExpensesList.reduce((sum, e) => sum + inArs(e.amount, e.currency, e.date), 0);
 
             // Calculate profit metrics
             const ytdNetProfit = ytdIncome - ytdExpenses;
@@ -70,68 +103,102 @@ export default function Cashflow() {
             // Hybrid calculation: Use actual payments where available,
             // forecast future months using rent schedule (with IPC adjustments)
 
+            // A month paid in instalments counts what was paid and what is still outstanding
+            const paidAndOutstanding = (monthPayments, month) => {
+                const balance = getUnitBalance(unit.id, month);
+                return monthPayments.reduce((sum, p) => sum + inArs(p.amount, p.currency, p.datePaid), 0)
+                    + inArs(balance.outstanding, balance.currency);
+            };
+
             let projectedAnnual = 0;
+            let projectedBands = null;
             let hasProjectedMonths = false;
             let missingIpcWarning = false;
 
-            if (ipcHistory.length > 0) {
-                // Generate full rent schedule with IPC-based increases
-                const schedule = calculateFullSchedule(unit, ipcHistory);
+            // Term and rent of the active lease (the unit fields may be from an earlier one)
+            const terms = {
+                ...applyLeaseTerms(unit, lease),
+                adjustments: rentAdjustments.filter(a => a.unitId === unit.id)
+            };
 
-                // Iterate through all 12 months of the year
-                for (let month = 0; month < 12; month++) {
-                    const checkDateStr = `${currentYear}-${String(month + 1).padStart(2, '0')}-01`;
-                    const monthStr = `${currentYear}-${String(month + 1).padStart(2, '0')}`;
+            if (indexData) {
 
-                    // Priority 1: Use actual payment if it exists (most accurate)
-                    const actualPayment = payments.find(p =>
-                        p.unitId === unit.id && p.forMonth === monthStr
-                    );
+                /**
+                 * Projected income of the year under one scenario
+                 * Generates the full rent schedule with index-based increases (lease's index)
+                 * on top of the recorded adjustment history.
+                 */
+                const projectYear = (scenario) => {
+                    const schedule = calculateFullSchedule(terms, indexData, getFrequency(terms), scenario);
+                    let total = 0;
+                    let usesProjection = false;
 
-                    if (actualPayment) {
-                        projectedAnnual += Number(actualPayment.amount);
-                    } else {
-                        // Priority 2: Forecast using schedule or current rent
+                    // Iterate through all 12 months of the year
+                    for (let month = 0; month < 12; month++) {
+                        const checkDateStr = `${currentYear}-${String(month + 1).padStart(2, '0')}-01`;
+                        const monthStr = `${currentYear}-${String(month + 1).padStart(2, '0')}`;
+
+                        // Priority 1: Use actual payments if they exist (most accurate; a month may have several instalments)
+                        const actualPayments = payments.filter(p =>
+                            p.unitId === unit.id && p.forMonth === monthStr
+                        );
 
-                        // Check if month is outside lease period
-                        if (unit.leaseEnd && checkDateStr > unit.leaseEnd) {
-                            projectedAnnual += 0; // Lease ended
-                        } else if (checkDateStr < unit.leaseStart) {
-                            projectedAnnual += 0; // Lease hasn't started
+                        if (actualPayments.length > 0) {
+                            total += paidAndOutstanding(actualPayments, monthStr);
                         } else {
-                            // Find the applicable rent for this month from schedule
-                            // Schedule contains future rent increases based on IPC
-                            const applicableUpdate = schedule
-                                .filter(s => s.date <= checkDateStr)
-                                .pop(); // Get most recent update before this month
-
-                            let monthlyRent = unit.rent; // Default to current rent
-
-                            // If there's a pending (future) update, use its calculated rent
-                            if (applicableUpdate && applicableUpdate.status === 'pending') {
-                                monthlyRent = applicableUpdate.newRent;
-                                if (applicableUpdate.isProjected) {
-                                    hasProjectedMonths = true; // Mark if using estimated IPC
+                            // Priority 2: Forecast using schedule or current rent
+
+                            // Check if month is outside lease period
+                            if (terms.leaseEnd && checkDateStr > terms.leaseEnd) {
+                                total += 0; // Lease ended
+                            } else if (checkDateStr < terms.leaseStart) {
+                                total += 0; // Lease hasn't started
+                            } else {
+                                // Find the applicable rent for this month from schedule
+                                // Schedule contains future rent increases based on IPC
+                                const applicableUpdate = schedule
+                                    .filter(s => s.date <= checkDateStr)
+                                    .pop(); // Get most recent update before this month
+
+                                let monthlyRent = terms.rent; // Default to current rent
+
+                                // If there's an update in effect (past or future), use its rent
+                                if (applicableUpdate) {
+                                    monthlyRent = applicableUpdate.newRent;
+                                    if (applicableUpdate.isProjected) {
+                                        usesProjection = true; // Mark if using estimated IPC
+                                    }
                                 }
-                            }
 
-                            projectedAnnual += monthlyRent;
+                                total += inArs(monthlyRent, lease?.currency);
+                            }
                         }
                     }
+
+                    return { total, usesProjection };
+                };
+
+                const results = Object.fromEntries(SCENARIO_BANDS.map(band => [band, projectYear(scenarios[band])]));
+                projectedAnnual = results.base.total;
+                hasProjectedMonths = results.base.usesProjection;
+
+                // Bands only differ when some month is projected
+                if (hasProjectedMonths) {
+                    projectedBands = Object.fromEntries(SCENARIO_BANDS.map(band => [band, results[band].total]));
                 }
             } else {
                 // Fallback: No IPC data available
                 // Use actual payments where available, current rent for unpaid months
                 for (let month = 0; month < 12; month++) {
                     const monthStr = `${currentYear}-${String(month + 1).padStart(2, '0')}`;
-                    const paid = payments.find(p =>
+                    const paid = payments.filter(p =>
                         p.unitId === unit.id && p.forMonth === monthStr
                     );
 
-                    if (paid) {
-                        projectedAnnual += Number(paid.amount);
+                    if (paid.length > 0) {
+                        projectedAnnual += paidAndOutstanding(paid, monthStr);
                     } else {
-                        projectedAnnual += Number(unit.rent);
+                        projectedAnnual += inArs(Number(terms.rent), lease?.currency);
                     }
                 }
                 missingIpcWarning = true; // Warn user that projections are basic
@@ -145,12 +212,14 @@ export default function Cashflow() {
                 ytdNetProfit,
                 ytdProfitMargin,
                 projectedAnnual,
+                projectedBands,
                 hasProjectedMonths,
                 missingIpcWarning,
+                missingRate,
                 allExpenses: unitExpenses
             };
         });
-    }, [units, expenses, payments, ipcHistory]);
+    }, [units, leases, expenses, payments, charges, rentAdjustments, exchangeRates, indexData, scenarios, exchangeRate, settings.exchangeRateType]);
 
     return (
         <div className="space-y-6 md:space-y-8 animate-in fade-in duration-500 pb-12">
@@ -161,6 +230,15 @@ export default function Cashflow() {
                 </p>
             </header>
 
+            {usingFallback && (
+                <div className="flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-700">
+                    <AlertTriangle size={16} className="shrink-0" />
+                    {t('common.indexFallbackWarning')}
+                </div>
+            )}
+
+            <ExchangeRateNote rate={exchangeRate} missingRate={financials.some(item => item.missingRate)} byDate />
+
             <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
                 {financials.map(item => (
                     <div key={item.id} className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden flex flex-col">
@@ -217,6 +295,18 @@ export default function Cashflow() {
                                     <p className="text-base font-bold text-slate-700">{formatCurrency(item.projectedAnnual)}</p>
                                     <TrendingUp size={14} className="text-slate-400" />
                                 </div>
+                                {item.projectedBands && (
+                                    <div className="grid grid-cols-3 gap-2 mt-2 pt-2 border-t border-slate-200">
+                                        {SCENARIO_BANDS.map(band => (
+                                            <div key={band}>
+                                                <p className="text-[10px] text-slate-400 uppercase font-semibold">{t(`settings.bands.${band}`)}</p>
+                                                <p className={cn("text-xs font-mono", band === 'base' ? "font-bold text-slate-700" : "text-slate-500")}>
+                                                    {formatCurrency(item.projectedBands[band])}
+                                                </p>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
                             </div>
 
                             {/* Itemized Expenses (YTD) */}
@@ -228,7 +318,7 @@ export default function Cashflow() {
                                             <div key={exp.id} className="flex justify-between items-center text-sm group">
                                                 <span className="text-slate-600 truncate max-w-[100px]">{exp.category}</span>
                                                 <div className="flex items-center gap-2">
-                                                    <span className="font-medium text-slate-900">-{formatCurrency(exp.amount)}</span>
+                                                    <span className="font-medium text-slate-900">-{formatCurrency(exp.amount, exp.currency)}</span>
                                                     <button
                                                         onClick={() => handleDeleteExpense(exp.id, exp.category)}
                                                         className="opacity-0 group-hover:opacity-100 p-1 text-red-400 hover:text-red-600 hover:bg-red-50 rounded transition-all"
@@ -1,20 +1,24 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useData } from '../context/DataContext';
 import { TrendingUp, CalendarClock, ArrowRight, Mail, AlertTriangle, CheckCircle2, ChevronDown, ChevronUp, Edit2, Save, X, RotateCcw } from 'lucide-react';
 import { addMonths, parseISO, format, differenceInDays } from 'date-fns';
 import { formatCurrency, cn } from '../lib/utils';
 import { useTranslation } from 'react-i18next';
 import EmailPreviewModal from '../components/EmailPreviewModal';
-import { fetchIPCData } from '../lib/indec';
-import { calculateNextRent, calculateFullSchedule } from '../lib/rentCalculator';
+import { loadIndexData } from '../lib/indexStore';
+import { calculateNextRent, calculateFullSchedule, applyLeaseTerms, getAppliedRule, FIXED_CONTRACT_TYPES } from '../lib/rentCalculator';
 
 export default function Increments() {
-    const { units } = useData();
+    const {
+        units, getActiveLease, getRentAdjustments, addRentAdjustment, deleteRentAdjustment,
+        applyRentAdjustment, revertRentAdjustment, getTenantNotices, logTenantNotice
+    } = useData();
     const { t, i18n } = useTranslation();
     const navigate = useNavigate();
     const [emailModal, setEmailModal] = useState({ isOpen: false, unit: null, data: null });
-    const [ipcHistory, setIpcHistory] = useState([]);
+    const [indexData, setIndexData] = useState(null);
+    const [usingFallback, setUsingFallback] = useState(false);
     const [loadingIpc, setLoadingIpc] = useState(true);
 
     // State to toggle schedule visibility per unit
@@ -24,10 +28,19 @@ export default function Increments() {
         setExpandedUnits(prev => ({ ...prev, [unitId]: !prev[unitId] }));
     };
 
+    // Unit selected from a notification (?unit=): show its schedule
+    const [searchParams] = useSearchParams();
+    const focusUnitId = searchParams.get('unit');
+
+    useEffect(() => {
+        if (!focusUnitId || !indexData) return;
+        setExpandedUnits(prev => ({ ...prev, [focusUnitId]: true }));
+        document.getElementById(`increments-unit-${focusUnitId}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, [focusUnitId, indexData]);
+
     // Manual Override State
     const [editingUnitId, setEditingUnitId] = useState(null);
     const [manualRent, setManualRent] = useState('');
-    const { updateUnit } = useData();
 
     const startEditing = (unit, currentNewRent) => {
         setEditingUnitId(unit.id);
@@ -39,32 +52,69 @@ export default function Increments() {
         setManualRent('');
     };
 
+    // Unit with the term, rent and clause settings (index, ...) of its active lease and its
+    // adjustment history (without the adjustments of the leases it renewed)
+    const getContract = (unit) => {
+        const lease = getActiveLease(unit.id);
+        return {
+            ...applyLeaseTerms(unit, lease),
+            adjustments: getRentAdjustments(unit.id).filter(a => !lease || !a.leaseId || a.leaseId === lease.id)
+        };
+    };
+
+    // Rent amounts are shown in the currency of the active lease
+    const getCurrency = (unit) => getActiveLease(unit.id)?.currency;
+
+    // Latest recorded adjustment of the active lease, if it was a manual amount it can be reverted
+    const getRevertibleAdjustment = (unit) => {
+        const lease = getActiveLease(unit.id);
+        const history = getRentAdjustments(unit.id).filter(a => (lease ? a.leaseId === lease.id : !a.leaseId));
+        const latest = history[history.length - 1];
+        return latest?.isManual ? latest : null;
+    };
+
     const handleSaveOverride = async (unitId) => {
         try {
             const unit = units.find(u => u.id === unitId);
-            const today = new Date();
-            let overrideSlotDate = null;
-
-            if (unit && ipcHistory.length > 0) {
-                const { calculateFullSchedule } = await import('../lib/rentCalculator');
-                const schedule = calculateFullSchedule(unit, ipcHistory, 4);
-                const lastInc = unit.lastIncrementDate
-                    ? new Date(unit.lastIncrementDate)
-                    : new Date(unit.leaseStart);
-                const overrideSlot = schedule.find(s => new Date(s.date) > lastInc);
-
-                // Only consume (advance lastIncrementDate) if the slot is in the PAST or today.
-                // If it's a future slot, the override stays active—don't advance the pointer.
-                if (overrideSlot && new Date(overrideSlot.date) <= today) {
-                    overrideSlotDate = overrideSlot.date;
-                }
+            if (!unit || !indexData) return;
+
+            const contract = getContract(unit);
+            const nextSlot = calculateFullSchedule(contract, indexData).find(s => s.status === 'pending');
+            if (!nextSlot) return;
+
+            const lease = getActiveLease(unitId);
+            const newRent = Number(manualRent);
+
+            // Editing the manual amount again replaces the previous record for that slot,
+            // from the rent it started from
+            const existing = contract.adjustments.find(a => a.date === nextSlot.date);
+            const oldRent = existing ? Number(existing.oldRent) : Number(lease?.rentAmount ?? unit.rent);
+            const percentChange = oldRent ? ((newRent / oldRent) - 1) * 100 : null;
+
+            if (new Date(nextSlot.date) <= new Date()) {
+                // A slot that is already due takes effect now, on the lease
+                await applyRentAdjustment(unitId, {
+                    date: nextSlot.date,
+                    newRent,
+                    percentChange,
+                    indexType: contract.indexType,
+                    details: [],
+                    isManualOverride: true
+                });
+            } else {
+                if (existing) await deleteRentAdjustment(existing.id);
+                await addRentAdjustment({
+                    unitId,
+                    leaseId: lease?.id,
+                    date: nextSlot.date,
+                    oldRent,
+                    newRent,
+                    percentChange,
+                    indexType: contract.indexType,
+                    indexValues: [],
+                    isManual: true
+                });
             }
-
-            await updateUnit(unitId, {
-                rentOverride: overrideSlotDate ? null : Number(manualRent), // Clear only if consumed
-                rent: Number(manualRent),
-                ...(overrideSlotDate ? { lastIncrementDate: overrideSlotDate } : {}),
-            });
             setEditingUnitId(null);
         } catch (e) {
             console.error('Error saving rent override', e);
@@ -74,30 +124,10 @@ export default function Increments() {
     const handleResetOverride = async (unitId) => {
         try {
             const unit = units.find(u => u.id === unitId);
-            let rollbackDate = null;
-
-            // Roll back lastIncrementDate by one slot so the correct 'next'
-            // increment is shown after removing the manual override.
-            if (unit && ipcHistory.length > 0 && unit.lastIncrementDate) {
-                const { calculateFullSchedule } = await import('../lib/rentCalculator');
-                // Build schedule from lease start (ignoring current lastIncrementDate)
-                const scheduleFromStart = calculateFullSchedule(
-                    { ...unit, lastIncrementDate: null },
-                    ipcHistory,
-                    4
-                );
-                const currentLastInc = new Date(unit.lastIncrementDate);
-                // Find the slot strictly BEFORE current lastIncrementDate
-                const prevSlots = scheduleFromStart.filter(s => new Date(s.date) < currentLastInc);
-                rollbackDate = prevSlots.length > 0
-                    ? prevSlots[prevSlots.length - 1].date
-                    : unit.leaseStart;
-            }
+            if (!unit) return;
 
-            await updateUnit(unitId, {
-                rentOverride: null,
-                ...(rollbackDate !== null ? { lastIncrementDate: rollbackDate } : {}),
-            });
+            const manual = getRevertibleAdjustment(unit);
+            if (manual) await revertRentAdjustment(manual);
             setEditingUnitId(null);
         } catch (e) {
             console.error('Error resetting rent override', e);
@@ -107,8 +137,9 @@ export default function Increments() {
     useEffect(() => {
         const loadIpc = async () => {
             try {
-                const data = await fetchIPCData();
-                setIpcHistory(data);
+                const loaded = await loadIndexData();
+                setIndexData(loaded.indexData);
+                setUsingFallback(loaded.usingFallback);
             } catch (e) {
                 console.error("Failed to load IPC for increments", e);
             } finally {
@@ -119,27 +150,44 @@ export default function Increments() {
     }, []);
 
     const getIncrementDetails = (unit) => {
-        if (!ipcHistory || ipcHistory.length === 0) return null; // Or fallback logic
+        if (!indexData) return null; // Or fallback logic
 
-        const nextUpdate = calculateNextRent(unit, ipcHistory, 4);
-        const schedule = calculateFullSchedule(unit, ipcHistory, 4);
+        const contract = getContract(unit);
+        const nextUpdate = calculateNextRent(contract, indexData);
+        const schedule = calculateFullSchedule(contract, indexData)
+            .map(item => ({ ...item, rule: getAppliedRule(item.details) }));
 
         if (!nextUpdate) return null;
 
         return {
             ...nextUpdate,
             schedule,
-            lastIncDate: parseISO(unit.lastIncrementDate || unit.leaseStart),
+            lastIncDate: parseISO(
+                [...contract.adjustments].reverse().find(a => new Date(a.date) <= new Date())?.date
+                || contract.lastIncrementDate
+                || contract.leaseStart
+            ),
             daysRemaining: differenceInDays(nextUpdate.nextDate, new Date())
         };
     };
 
     const handleNotify = (unit, details) => {
-        const increaseAmountFormatted = formatCurrency(details.increaseAmount);
-        const newRentFormatted = formatCurrency(details.newRent);
-        const currentRentFormatted = formatCurrency(unit.rent);
+        const increaseAmountFormatted = formatCurrency(details.increaseAmount, getCurrency(unit));
+        const newRentFormatted = formatCurrency(details.newRent, getCurrency(unit));
+        const currentRentFormatted = formatCurrency(getContract(unit).rent, getCurrency(unit));
         const nextDateFormatted = format(details.nextDate, 'MMMM d, yyyy');
 
+        // Explain cap/floor/hybrid clauses so the tenant can follow the amount
+        const rule = details.isManualOverride ? null : getAppliedRule(details.projectionDetails);
+        const contract = getContract(unit);
+        const clauseNote = rule
+            ? `\n${t(`email.rules.${rule.rule}`, {
+                index: FIXED_CONTRACT_TYPES.includes(contract.indexType) ? t(`units.contractTypes.${contract.indexType}`) : (contract.indexType || 'ipc').toUpperCase(),
+                indexChange: (rule.indexValue * 100).toFixed(2),
+                limit: rule.limit === null ? '' : +(rule.limit * 100).toFixed(2)
+            })}\n`
+            : '';
+
         const subject = t('email.templateSubject', { unitName: unit.name });
         const body = t('email.templateBody', {
             tenantName: unit.tenant || 'Tenant',
@@ -147,7 +195,8 @@ export default function Increments() {
             newDate: nextDateFormatted,
             oldRent: currentRentFormatted,
             newRent: newRentFormatted,
-            increaseAmount: increaseAmountFormatted
+            increaseAmount: increaseAmountFormatted,
+            clauseNote
         });
 
         setEmailModal({
@@ -156,11 +205,43 @@ export default function Increments() {
             data: {
                 recipient: unit.tenantEmail,
                 subject,
-                body
+                body,
+                adjustmentDate: details.nextDate.toISOString().split('T')[0]
             }
         });
     };
 
+    // Notice sent for an adjustment date (latest one if sent more than once)
+    const getNotice = (unit, date) => getTenantNotices(unit.id).find(n => n.adjustmentDate === date);
+
+    const handleSendNotice = ({ recipient, subject, body }) => {
+        const { unit, data } = emailModal;
+        logTenantNotice({
+            unitId: unit.id,
+            leaseId: getActiveLease(unit.id)?.id,
+            adjustmentDate: data.adjustmentDate,
+            recipient,
+            subject,
+            body
+        });
+    };
+
+    const handleApply = async (unit, details) => {
+        const slot = details.schedule.find(s => s.status === 'pending');
+        if (!slot) return;
+
+        const message = getNotice(unit, slot.date)
+            ? t('increments.confirmApply', { newRent: formatCurrency(slot.newRent, getCurrency(unit)) })
+            : t('increments.confirmApplyWithoutNotice', { newRent: formatCurrency(slot.newRent, getCurrency(unit)) });
+        if (!window.confirm(message)) return;
+
+        try {
+            await applyRentAdjustment(unit.id, slot);
+        } catch (e) {
+            console.error('Error applying rent adjustment', e);
+        }
+    };
+
     return (
         <div className="space-y-6 md:space-y-8 animate-in fade-in duration-500 pb-12">
             <header>
@@ -168,16 +249,31 @@ export default function Increments() {
                 <p className="text-sm md:text-base text-slate-500 mt-1 md:mt-2">{t('increments.subtitle')}</p>
             </header>
 
+            {usingFallback && (
+                <div className="flex items-center gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-700">
+                    <AlertTriangle size={16} className="shrink-0" />
+                    {t('common.indexFallbackWarning')}
+                </div>
+            )}
+
             <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
                 {units.map(unit => {
                     const details = getIncrementDetails(unit);
                     if (!details) return null;
 
                     const { nextDate, daysRemaining, newRent, increaseAmount, isProjected, schedule } = details;
+                    const nextNotice = getNotice(unit, nextDate.toISOString().split('T')[0]);
                     const isExpanded = expandedUnits[unit.id];
 
                     return (
-                        <div key={unit.id} className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden flex flex-col h-full">
+                        <div
+                            key={unit.id}
+                            id={`increments-unit-${unit.id}`}
+                            className={cn(
+                                "bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden flex flex-col h-full",
+                                focusUnitId === unit.id && "ring-2 ring-emerald-400"
+                            )}
+                        >
                             {/* Header */}
                             <div className="p-5 border-b border-slate-100 bg-slate-50/50 flex justify-between items-center">
                                 <div>
@@ -197,7 +293,7 @@ export default function Increments() {
                                 <div className="flex items-center justify-between text-sm">
                                     <div className="space-y-1">
                                         <p className="text-xs text-slate-400 font-semibold uppercase">{t('increments.currentRent')}</p>
-                                        <p className="text-xl font-bold text-slate-700">{formatCurrency(unit.rent)}</p>
+                                        <p className="text-xl font-bold text-slate-700">{formatCurrency(getContract(unit).rent, getCurrency(unit))}</p>
                                     </div>
                                     <ArrowRight className="text-slate-300" />
                                     <div className="space-y-1 text-right relative group/edit">
@@ -234,11 +330,11 @@ export default function Increments() {
                                                     >
                                                         <Save size={14} />
                                                     </button>
-                                                    {(unit.rentOverride || (unit.lastIncrementDate && new Date(unit.lastIncrementDate) > new Date())) && (
+                                                    {getRevertibleAdjustment(unit) && (
                                                         <button
                                                             onClick={() => handleResetOverride(unit.id)}
                                                             className="p-1 bg-amber-500 text-white rounded hover:bg-amber-600 transition-colors"
-                                                            title="Revertir al slot anterior (deshacer avance)"
+                                                            title="Revertir el último ajuste manual"
                                                         >
                                                             <RotateCcw size={14} />
                                                         </button>
@@ -255,9 +351,9 @@ export default function Increments() {
                                             </div>
                                         ) : (
                                             <>
-                                                <p className="text-xl font-bold text-emerald-600">{formatCurrency(newRent)}</p>
+                                                <p className="text-xl font-bold text-emerald-600">{formatCurrency(newRent, getCurrency(unit))}</p>
                                                 <p className="text-xs text-emerald-500">
-                                                    {details.isManualOverride ? "Ajuste manual" : `+${formatCurrency(increaseAmount)}`}
+                                                    {details.isManualOverride ? "Ajuste manual" : `+${formatCurrency(increaseAmount, getCurrency(unit))}`}
                                                 </p>
                                             </>
                                         )}
@@ -280,6 +376,25 @@ export default function Increments() {
                                     </div>
                                 </div>
 
+                                {/* Notice log for the next adjustment */}
+                                {nextNotice && (
+                                    <p className="text-xs text-emerald-600 font-medium flex items-center gap-1">
+                                        <CheckCircle2 size={12} />
+                                        {t('increments.notifiedOn', { date: new Date(nextNotice.notifiedAt).toLocaleDateString(i18n.language) })}
+                                    </p>
+                                )}
+
+                                {/* Apply - available once the adjustment date is reached */}
+                                {daysRemaining <= 0 && (
+                                    <button
+                                        onClick={() => handleApply(unit, details)}
+                                        className="w-full flex items-center justify-center gap-2 py-2 bg-emerald-600 text-white hover:bg-emerald-700 rounded-lg text-sm font-bold shadow-sm transition-colors"
+                                    >
+                                        <TrendingUp size={16} />
+                                        {t('increments.applyIncrement')}
+                                    </button>
+                                )}
+
                                 {/* Actions - Notify button is active only within 20 days of the increment */}
                                 <div className="mt-auto">
                                     {unit.tenantEmail ? (
@@ -344,22 +459,47 @@ export default function Increments() {
                                                             {new Date(item.date).toLocaleDateString(i18n.language, { month: 'long', year: 'numeric', timeZone: 'UTC' })}
                                                         </span>
                                                         <span className="text-[10px] text-slate-400 uppercase font-semibold">
-                                                            {item.isProjected ? "Proyectado (Est.)" : "Calculado (IPC Real)"}
+                                                            {item.isRecorded
+                                                                ? (item.isManualOverride ? t('increments.manualAdjustment') : t('increments.appliedAdjustment'))
+                                                                : item.status === 'completed'
+                                                                ? t('increments.calculatedAdjustment')
+                                                                : item.isProjected
+                                                                ? "Proyectado (Est.)"
+                                                                : FIXED_CONTRACT_TYPES.includes(item.indexType)
+                                                                    ? t(`units.contractTypes.${item.indexType}`)
+                                                                    : `Calculado (${item.indexType.toUpperCase()} Real)`}
                                                         </span>
+                                                        {item.details.some(d => d.source === 'fallback') && (
+                                                            <span className="text-[10px] text-amber-600 font-semibold">
+                                                                {t('increments.fallbackData')}
+                                                            </span>
+                                                        )}
+                                                        {getNotice(unit, item.date) && (
+                                                            <span className="text-[10px] text-emerald-600 font-semibold">
+                                                                {t('increments.notifiedOn', { date: new Date(getNotice(unit, item.date).notifiedAt).toLocaleDateString(i18n.language) })}
+                                                            </span>
+                                                        )}
+                                                        {item.rule && item.rule.rule !== 'index' && !item.isManualOverride && (
+                                                            <span className="text-[10px] text-blue-600 font-semibold">
+                                                                {t(`increments.rules.${item.rule.rule}`, { limit: +(item.rule.limit * 100).toFixed(2) })}
+                                                            </span>
+                                                        )}
                                                     </div>
                                                     <div className="text-right">
-                                                        {item.status === 'completed' || item.newRent === 0 ? (
-                                                            <div className="text-xs font-bold text-slate-400 bg-slate-100 px-2 py-1 rounded">
-                                                                COMPLETADO
+                                                        {(item.isRecorded || item.status === 'completed') && (
+                                                            <div className="text-[10px] font-mono text-slate-400">
+                                                                {formatCurrency(item.newRent - item.increaseAmount, getCurrency(unit))} →
+                                                            </div>
+                                                        )}
+                                                        <div className={cn("font-mono font-bold", item.status === 'completed' ? "text-slate-500" : "text-slate-900")}>{formatCurrency(item.newRent, getCurrency(unit))}</div>
+                                                        {!item.isManualOverride && item.rawRent !== item.newRent && (
+                                                            <div className="text-[10px] font-mono text-slate-400" title={t('increments.unrounded')}>
+                                                                ({formatCurrency(item.rawRent, getCurrency(unit))})
                                                             </div>
-                                                        ) : (
-                                                            <>
-                                                                <div className="font-mono font-bold text-slate-900">{formatCurrency(item.newRent)}</div>
-                                                                <div className={cn("text-xs font-semibold", item.isProjected ? "text-amber-600" : "text-emerald-600")}>
-                                                                    +{item.percentChange}%
-                                                                </div>
-                                                            </>
                                                         )}
+                                                        <div className={cn("text-xs font-semibold", item.isProjected ? "text-amber-600" : "text-emerald-600")}>
+                                                            +{item.percentChange}%
+                                                        </div>
                                                     </div>
                                                 </div>
                                             ))}
@@ -391,6 +531,9 @@ export default function Increments() {
                     recipient={emailModal.data.recipient}
                     subject={emailModal.data.subject}
                     body={emailModal.data.body}
+                    onSend={handleSendNotice}
+                    kind="notice"
+                    unitId={emailModal.unit.id}
                 />
             )}
         </div>
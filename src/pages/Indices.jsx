@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { LineChart, Plus, Upload, Edit2, Trash2, Save, X, AlertTriangle } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { getAvailableIndices } from '../lib/arquiler';
+import {
+    fetchStoredValues,
+    saveManualValues,
+    deleteManualValue,
+    parseIndexTable,
+    isRateIndex,
+    OFFICIAL_SOURCES
+} from '../lib/indexStore';
+
+const emptyEntry = { date: '', value: '' };
+
+export default function Indices() {
+    const { t, i18n } = useTranslation();
+    const indices = getAvailableIndices();
+
+    const [indexType, setIndexType] = useState('ipc');
+    const [rows, setRows] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Single entry form (add or edit a manual value)
+    const [entry, setEntry] = useState(emptyEntry);
+    const [editingDate, setEditingDate] = useState(null);
+
+    // Bulk import
+    const [importText, setImportText] = useState('');
+    const [preview, setPreview] = useState(null);
+
+    const isRate = isRateIndex(indexType);
+    const isDaily = indexType === 'icl';
+
+    const loadRows = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setRows(await fetchStoredValues(indexType));
+        } catch (e) {
+            console.error("Failed to load index values", e);
+            setError(t('indices.loadError'));
+        } finally {
+            setLoading(false);
+        }
+    }, [indexType, t]);
+
+    useEffect(() => {
+        loadRows();
+        setEntry(emptyEntry);
+        setEditingDate(null);
+        setPreview(null);
+    }, [loadRows]);
+
+    // Dates that have an official value (manual entries for them are not used)
+    const officialDates = new Set(rows.filter(r => OFFICIAL_SOURCES.includes(r.source)).map(r => r.date));
+
+    // Rates are stored as decimals but entered/shown as percentages
+    const formatValue = (value) => isRate
+        ? `${(Number(value) * 100).toFixed(2)}%`
+        : Number(value).toLocaleString(i18n.language, { maximumFractionDigits: 4 });
+
+    const formatDate = (date) => new Date(date).toLocaleDateString(i18n.language, isDaily
+        ? { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' }
+        : { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    const handleEdit = (row) => {
+        setEditingDate(row.date);
+        setEntry({
+            date: isDaily ? row.date : row.date.slice(0, 7),
+            value: String(isRate ? +(Number(row.value) * 100).toFixed(4) : row.value)
+        });
+    };
+
+    const cancelEdit = () => {
+        setEditingDate(null);
+        setEntry(emptyEntry);
+    };
+
+    const handleSaveEntry = async (e) => {
+        e.preventDefault();
+        const value = parseFloat(entry.value);
+        if (!entry.date || Number.isNaN(value)) return;
+
+        const date = isDaily ? entry.date : `${entry.date}-01`;
+        try {
+            // Moving an edited entry to another month replaces the old one
+            if (editingDate && editingDate !== date) await deleteManualValue(indexType, editingDate);
+            await saveManualValues(indexType, [{ date, value: isRate ? value / 100 : value }]);
+            cancelEdit();
+            loadRows();
+        } catch (err) {
+            console.error("Failed to save index value", err);
+            alert(t('indices.saveError'));
+        }
+    };
+
+    const handleDelete = async (row) => {
+        if (!window.confirm(t('indices.confirmDelete', { date: formatDate(row.date) }))) return;
+        try {
+            await deleteManualValue(indexType, row.date);
+            loadRows();
+        } catch (err) {
+            console.error("Failed to delete index value", err);
+        }
+    };
+
+    const handleImport = async () => {
+        if (!preview || preview.points.length === 0) return;
+        try {
+            await saveManualValues(indexType, preview.points);
+            setImportText('');
+            setPreview(null);
+            loadRows();
+        } catch (err) {
+            console.error("Failed to import index values", err);
+            alert(t('indices.saveError'));
+        }
+    };
+
+    return (
+        <div className="space-y-6 md:space-y-8 animate-in fade-in duration-500 pb-12">
+            <header>
+                <h1 className="text-2xl md:text-3xl font-bold text-slate-900 tracking-tight flex items-center gap-2">
+                    <LineChart className="text-emerald-600" />
+                    {t('indices.title')}
+                </h1>
+                <p className="text-sm md:text-base text-slate-500 mt-1 md:mt-2">{t('indices.subtitle')}</p>
+            </header>
+
+            {/* Index Selector */}
+            <div className="flex overflow-x-auto pb-2 gap-2 hide-scrollbar">
+                {indices.map(index => (
+                    <button
+                        key={index.id}
+                        onClick={() => setIndexType(index.id)}
+                        className={cn(
+                            "px-4 py-2 rounded-full text-sm font-semibold whitespace-nowrap transition-colors",
+                            indexType === index.id
+                                ? "bg-slate-900 text-white shadow-md"
+                                : "bg-white text-slate-600 border border-slate-200 hover:bg-slate-50"
+                        )}
+                    >
+                        {index.name}
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Values Table */}
+                <div className="lg:col-span-2 bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
+                    <div className="grid grid-cols-[1fr_1fr_1fr_80px] gap-2 px-4 py-3 bg-slate-50 border-b border-slate-200 text-xs font-bold text-slate-500 uppercase">
+                        <span>{isDaily ? t('indices.date') : t('indices.month')}</span>
+                        <span className="text-right">{isRate ? t('indices.monthlyRate') : t('indices.level')}</span>
+                        <span>{t('indices.source')}</span>
+                        <span></span>
+                    </div>
+
+                    {error && (
+                        <div className="flex items-center gap-2 p-4 text-sm text-red-600">
+                            <AlertTriangle size={16} />
+                            {error}
+                        </div>
+                    )}
+
+                    {loading ? (
+                        <p className="p-6 text-center text-sm text-slate-400">{t('indices.loading')}</p>
+                    ) : rows.length === 0 ? (
+                        <p className="p-6 text-center text-sm text-slate-400 italic">{t('indices.empty')}</p>
+                    ) : (
+                        <div className="divide-y divide-slate-100 max-h-[600px] overflow-y-auto custom-scrollbar">
+                            {rows.map(row => {
+                                const isManual = row.source === 'manual';
+                                const superseded = isManual && officialDates.has(row.date);
+
+                                return (
+                                    <div
+                                        key={`${row.date}-${row.source}`}
+                                        className={cn(
+                                            "grid grid-cols-[1fr_1fr_1fr_80px] gap-2 px-4 py-2 items-center text-sm group",
+                                            superseded && "opacity-50",
+                                            editingDate === row.date && isManual && "bg-emerald-50"
+                                        )}
+                                    >
+                                        <span className="font-medium text-slate-700 capitalize">{formatDate(row.date)}</span>
+                                        <span className="font-mono text-right text-slate-900">{formatValue(row.value)}</span>
+                                        <span className="flex flex-col">
+                                            <span className={cn(
+                                                "w-fit px-2 py-0.5 rounded text-[10px] font-bold uppercase",
+                                                isManual ? "bg-amber-100 text-amber-700" : "bg-emerald-100 text-emerald-700"
+                                            )}>
+                                                {t(`indices.sources.${row.source}`, { defaultValue: row.source })}
+                                            </span>
+                                            <span className="text-[10px] text-slate-400">
+                                                {superseded
+                                                    ? t('indices.superseded')
+                                                    : new Date(row.fetched_at).toLocaleDateString(i18n.language)}
+                                            </span>
+                                        </span>
+                                        <span className="flex justify-end gap-1">
+                                            {isManual && (
+                                                <>
+                                                    <button
+                                                        onClick={() => handleEdit(row)}
+                                                        className="p-1 text-slate-400 hover:text-emerald-600 hover:bg-emerald-50 rounded transition-colors"
+                                                        title={t('common.edit')}
+                                                    >
+                                                        <Edit2 size={14} />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleDelete(row)}
+                                                        className="p-1 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+                                                        title={t('common.delete')}
+                                                    >
+                                                        <Trash2 size={14} />
+                                                    </button>
+                                                </>
+                                            )}
+                                        </span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+
+                <div className="space-y-6">
+                    {/* Manual Entry */}
+                    <form onSubmit={handleSaveEntry} className="bg-white rounded-xl border border-slate-200 shadow-sm p-5 space-y-4">
+                        <h2 className="font-bold text-slate-800 flex items-center gap-2">
+                            {editingDate ? <Edit2 size={16} /> : <Plus size={16} />}
+                            {editingDate ? t('indices.editValue') : t('indices.addValue')}
+                        </h2>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">
+                                {isDaily ? t('indices.date') : t('indices.month')}
+                            </label>
+                            <input
+                                type={isDaily ? 'date' : 'month'}
+                                required
+                                value={entry.date}
+                                onChange={(e) => setEntry({ ...entry, date: e.target.value })}
+                                className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">
+                                {isRate ? t('indices.monthlyRatePercent') : t('indices.level')}
+                            </label>
+                            <input
+                                type="number"
+                                required
+                                step="any"
+                                value={entry.value}
+                                onChange={(e) => setEntry({ ...entry, value: e.target.value })}
+                                placeholder={isRate ? '2.7' : '1234.56'}
+                                className="w-full px-3 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-emerald-500 outline-none"
+                            />
+                        </div>
+                        <p className="text-xs text-slate-400">{t('indices.manualNote')}</p>
+                        <div className="flex gap-2">
+                            <button
+                                type="submit"
+                                className="flex-1 flex items-center justify-center gap-2 py-2 bg-emerald-600 text-white hover:bg-emerald-700 rounded-lg text-sm font-bold shadow-sm transition-colors"
+                            >
+                                <Save size={16} />
+                                {t('common.save')}
+                            </button>
+                            {editingDate && (
+                                <button
+                                    type="button"
+                                    onClick={cancelEdit}
+                                    className="px-3 py-2 bg-slate-100 text-slate-600 hover:bg-slate-200 rounded-lg transition-colors"
+                                >
+                                    <X size={16} />
+                                </button>
+                            )}
+                        </div>
+                    </form>
+
+                    {/* Bulk Import */}
+                    <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-5 space-y-4">
+                        <h2 className="font-bold text-slate-800 flex items-center gap-2">
+                            <Upload size={16} />
+                            {t('indices.import')}
+                        </h2>
+                        <p className="text-xs text-slate-500">
+                            {isRate ? t('indices.importHelpRate') : t('indices.importHelpLevel')}
+                        </p>
+                        <textarea
+                            value={importText}
+                            onChange={(e) => { setImportText(e.target.value); setPreview(null); }}
+                            placeholder={isRate ? '2024-01\t20,6\n2024-02\t13,2' : '2024-01-02\t10,52\n2024-01-03\t10,58'}
+                            className="w-full h-40 p-3 border border-slate-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-emerald-500 outline-none resize-none"
+                        />
+
+                        {preview && (
+                            <div className="text-xs space-y-1">
+                                <p className="text-slate-600 font-medium">
+                                    {t('indices.previewCount', { count: preview.points.length })}
+                                </p>
+                                {preview.errors.length > 0 && (
+                                    <p className="text-red-600">
+                                        {t('indices.previewErrors', { lines: preview.errors.join(', ') })}
+                                    </p>
+                                )}
+                            </div>
+                        )}
+
+                        {preview && preview.points.length > 0 ? (
+                            <button
+                                onClick={handleImport}
+                                className="w-full flex items-center justify-center gap-2 py-2 bg-emerald-600 text-white hover:bg-emerald-700 rounded-lg text-sm font-bold shadow-sm transition-colors"
+                            >
+                                <Upload size={16} />
+                                {t('indices.importConfirm', { count: preview.points.length })}
+                            </button>
+                        ) : (
+                            <button
+                                onClick={() => setPreview(parseIndexTable(importText, indexType))}
+                                disabled={!importText.trim()}
+                                className="w-full py-2 bg-slate-100 text-slate-700 hover:bg-slate-200 rounded-lg text-sm font-bold transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {t('indices.preview')}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
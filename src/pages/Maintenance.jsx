@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
+import { useSearchParams } from 'react-router-dom';
 import { useData } from '../context/DataContext';
 import {
     Wrench,
@@ -26,6 +27,14 @@ export default function Maintenance() {
     const [filterStatus, setFilterStatus] = useState('all'); // all, overdue, due_soon, pending
     const [filterUnit, setFilterUnit] = useState('all');
 
+    // Unit selected from a notification (?unit=)
+    const [searchParams] = useSearchParams();
+    const focusUnitId = searchParams.get('unit');
+
+    useEffect(() => {
+        if (focusUnitId) setFilterUnit(focusUnitId);
+    }, [focusUnitId]);
+
     // Modals
     const [isAddModalOpen, setIsAddModalOpen] = useState(false);
     const [completionTask, setCompletionTask] = useState(null);
@@ -1,14 +1,19 @@
-import React, { useMemo, useCallback, useState } from 'react';
+import React, { useMemo, useCallback, useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useData } from '../context/DataContext';
+import { useSettings } from '../context/SettingsContext';
 import KPICard from '../components/KPICard';
+import ExchangeRateNote from '../components/ExchangeRateNote';
 import { Users, Home, DollarSign, AlertCircle, CheckCircle, Menu, X } from 'lucide-react';
 import { formatCurrency, cn } from '../lib/utils';
+import { sumInArs, findRate } from '../lib/currency';
 import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import { useTranslation } from 'react-i18next';
 
 export default function Overview() {
     const { t, i18n } = useTranslation();
-    const { units, payments, expenses, markPaid, getActiveLease } = useData();
+    const { units, payments, expenses, exchangeRates, markPaid, getActiveLease, getUnitBalance, getLedger, getExchangeRate } = useData();
+    const { settings } = useSettings();
 
     // Date range filter: 'last12' | 'currentYear' | 'previousYear'
     const [dateRange, setDateRange] = useState('last12');
@@ -19,41 +24,59 @@ export default function Overview() {
     // Mobile hamburger menu state for unit status list
     const [isUnitListOpen, setIsUnitListOpen] = useState(false);
 
+    // Unit selected from a notification (?unit=)
+    const [searchParams] = useSearchParams();
+    const focusUnitId = searchParams.get('unit');
+
+    useEffect(() => {
+        if (!focusUnitId) return;
+        setIsUnitListOpen(true);
+        document.getElementById(`unit-status-${focusUnitId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [focusUnitId, units]);
+
     const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM
 
     const activeUnits = useMemo(() => units.filter(u => u.isActive), [units]);
 
+    // Totals are reported in ARS, converting current USD amounts at the latest stored rate
+    // and past ones at the rate of their date
+    const exchangeRate = getExchangeRate(new Date().toISOString().split('T')[0], settings.exchangeRateType);
+
     const stats = useMemo(() => {
         const totalUnits = activeUnits.length;
 
         // Calculate stats based on active leases (with legacy fallback)
         let occupiedCount = 0;
-        let revenue = 0;
-        let balance = 0;
-
-        const paidUnitIds = new Set(payments
-            .filter(p => p.forMonth === currentMonth)
-            .map(p => p.unitId));
+        const rents = [];
+        const balances = [];
 
         activeUnits.forEach(unit => {
             const lease = getActiveLease(unit.id);
             const isOccupied = lease ? true : !!unit.tenant;
             const rent = lease ? Number(lease.rentAmount) : Number(unit.rent || 0);
+            const currency = lease?.currency;
 
             if (isOccupied) {
                 occupiedCount++;
-                revenue += rent;
+                rents.push({ amount: rent, currency });
 
-                if (!paidUnitIds.has(unit.id)) {
-                    balance += rent;
-                }
+                // What the tenant owes on the lease ledger (advance payments don't offset other units)
+                balances.push({ amount: Math.max(0, getLedger(unit.id).balance), currency });
             }
         });
 
         const occupancyRate = totalUnits ? Math.round((occupiedCount / totalUnits) * 100) : 0;
-
-        return { totalUnits, occupancyRate, monthlyRevenue: revenue, balanceDue: balance };
-    }, [activeUnits, payments, currentMonth, getActiveLease]);
+        const revenue = sumInArs(rents, exchangeRate);
+        const balance = sumInArs(balances, exchangeRate);
+
+        return {
+            totalUnits,
+            occupancyRate,
+            monthlyRevenue: revenue.total,
+            balanceDue: balance.total,
+            missingRate: revenue.missingRate || balance.missingRate
+        };
+    }, [activeUnits, getActiveLease, getLedger, exchangeRate]);
 
     /**
      * Chart Data Preparation
@@ -61,12 +84,13 @@ export default function Overview() {
      * Income = ACTUAL payments received (not projected)
      * Expenses = ACTUAL expenses recorded
      */
-    const chartData = useMemo(() => {
+    const { data: chartData, missingRate: chartMissingRate } = useMemo(() => {
         const data = [];
         const currentDate = new Date();
         const currentYear = currentDate.getFullYear();
 
         let startDate, monthsToShow;
+        let missingRate = false;
 
         // Determine date range based on filter
         if (dateRange === 'last12') {
@@ -85,6 +109,8 @@ export default function Overview() {
             monthsToShow = 12;
         }
 
+        const rateOn = (date) => (date ? findRate(exchangeRates, date, settings.exchangeRateType) : exchangeRate);
+
         // Generate data for each month
         for (let i = 0; i < monthsToShow; i++) {
             const monthDate = new Date(startDate);
@@ -97,24 +123,21 @@ export default function Overview() {
             const capitalizedMonth = monthLabel.charAt(0).toUpperCase() + monthLabel.slice(1);
 
             // Calculate REAL income for this month (actual payments received)
-            const monthIncome = payments
-                .filter(p => p.forMonth === monthStr)
-                .reduce((sum, p) => sum + Number(p.amount), 0);
+            const monthIncome = sumInArs(payments.filter(p => p.forMonth === monthStr), p => rateOn(p.datePaid));
 
             // Calculate REAL expenses for this month
-            const monthExpenses = expenses
-                .filter(e => e.date && e.date.startsWith(monthStr))
-                .reduce((sum, e) => sum + Number(e.amount), 0);
+            const monthExpenses = sumInArs(expenses.filter(e => e.date && e.date.startsWith(monthStr)), e => rateOn(e.date));
 
+            missingRate = missingRate || monthIncome.missingRate || monthExpenses.missingRate;
             data.push({
                 name: capitalizedMonth,
-                Income: Math.round(monthIncome),
-                Expenses: Math.round(monthExpenses)
+                Income: Math.round(monthIncome.total),
+                Expenses: Math.round(monthExpenses.total)
             });
         }
 
-        return data;
-    }, [payments, expenses, i18n.language, dateRange]);
+        return { data, missingRate };
+    }, [payments, expenses, exchangeRates, settings.exchangeRateType, i18n.language, dateRange, exchangeRate]);
 
     const currentMonthName = useMemo(() =>
         new Date().toLocaleString(i18n.language, { month: 'long' }),
@@ -156,6 +179,8 @@ export default function Overview() {
                 )}
             </header>
 
+            <ExchangeRateNote rate={exchangeRate} missingRate={stats.missingRate || chartMissingRate} byDate />
+
             {/* KPI Grid - 1 column on mobile, 2 on tablet, 4 on desktop */}
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 md:gap-6">
                 <KPICard
@@ -315,13 +340,20 @@ export default function Overview() {
                                 const lease = getActiveLease(unit.id);
                                 const isOccupied = lease ? true : !!unit.tenant;
                                 const tenantName = lease ? lease.tenantName : (unit.tenant || 'Vacant');
-                                const rentAmount = lease ? Number(lease.rentAmount) : Number(unit.rent || 0);
 
-                                // Check payment status
-                                const isPaid = payments.some(p => p.unitId === unit.id && p.forMonth === currentMonth);
+                                // Check payment status (partial payments leave a balance)
+                                const balance = getUnitBalance(unit.id, currentMonth);
+                                const isPaid = balance.status === 'paid';
 
                                 return (
-                                    <div key={unit.id} className="flex items-center justify-between p-3 md:p-3 bg-slate-50 rounded-lg border border-slate-100">
+                                    <div
+                                        key={unit.id}
+                                        id={`unit-status-${unit.id}`}
+                                        className={cn(
+                                            "flex items-center justify-between p-3 md:p-3 bg-slate-50 rounded-lg border border-slate-100",
+                                            focusUnitId === unit.id && "ring-2 ring-emerald-400"
+                                        )}
+                                    >
                                         <div className="flex-1 min-w-0 mr-3">
                                             <p className="font-semibold text-slate-800 text-sm md:text-base truncate">{unit.name}</p>
                                             <p className="text-xs text-slate-500 truncate">{tenantName}</p>
@@ -353,7 +385,9 @@ export default function Overview() {
                                                 <span className="text-xs text-slate-400 italic">{t('overview.vacant')}</span>
                                             )}
                                             {isOccupied && !isPaid && payingUnitId !== unit.id && (
-                                                <p className="text-[10px] text-slate-400">{formatCurrency(rentAmount)}</p>
+                                                <p className={cn("text-[10px]", balance.status === 'overdue' ? "text-rose-500" : "text-slate-400")}>
+                                                    {formatCurrency(balance.outstanding, balance.currency)}
+                                                </p>
                                             )}
                                         </div>
                                     </div>
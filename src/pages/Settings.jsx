@@ -1,7 +1,16 @@
 import React, { useState, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
-import { Settings2, User, FileText, Globe, Check, Upload, X } from 'lucide-react';
+import { Settings2, User, FileText, Globe, Check, Upload, X, TrendingUp, ArrowLeftRight, Plus, Trash2, Bell, FileSignature, RotateCcw } from 'lucide-react';
 import { useSettings } from '../context/SettingsContext';
+import { useData } from '../context/DataContext';
+import { useAuth } from '../context/AuthContext';
+import { RATE_TYPES, DEFAULT_RATE_TYPE } from '../lib/currency';
+import { DEFAULT_POINT_OF_SALE, formatReceiptNumber, verifyReceiptChain } from '../lib/receipts';
+import { formatCurrency, formatDate } from '../lib/utils';
+import { parseIndexTable } from '../lib/indexStore';
+import { PROJECTION_SCENARIOS, SCENARIO_BANDS, DEFAULT_SCENARIO_BANDS } from '../lib/rentCalculator';
+import { REMINDER_RULES, TENANT_RULES, getReminderRules } from '../lib/reminders';
+import { CONTRACT_LANGUAGES, CONTRACT_PLACEHOLDERS, DEFAULT_CONTRACT_TEMPLATES, getContractTemplate } from '../lib/contracts';
 
 function SettingsCard({ title, icon: Icon, children }) {
     return (
@@ -18,10 +27,27 @@ function SettingsCard({ title, icon: Icon, children }) {
 export default function Settings() {
     const { t, i18n } = useTranslation();
     const { settings, updateSettings } = useSettings();
+    const { user } = useAuth();
+    const {
+        exchangeRates, addExchangeRate, deleteExchangeRate, receipts,
+        reminderSettings, sentNotifications, saveReminderSettings
+    } = useData();
 
     const [ownerName, setOwnerName] = useState(settings.ownerName || '');
     const [dateFormat, setDateFormat] = useState(settings.dateFormat || 'dd/mm/yyyy');
     const [signatureDataUrl, setSignatureDataUrl] = useState(settings.signatureDataUrl || null);
+    const [receiptPointOfSale, setReceiptPointOfSale] = useState(String(settings.receiptPointOfSale || DEFAULT_POINT_OF_SALE));
+    const [projectionScenarios, setProjectionScenarios] = useState({ ...DEFAULT_SCENARIO_BANDS, ...settings.projectionScenarios });
+    const [remCurve, setRemCurve] = useState(settings.remCurve || []);
+    const [remText, setRemText] = useState('');
+    const [remErrors, setRemErrors] = useState([]);
+    const [exchangeRateType, setExchangeRateType] = useState(settings.exchangeRateType || DEFAULT_RATE_TYPE);
+    const [newRate, setNewRate] = useState({ date: new Date().toISOString().split('T')[0], rateType: exchangeRateType, value: '', source: '' });
+    const [receiptCheck, setReceiptCheck] = useState(null);
+    const [contractTemplates, setContractTemplates] = useState({ es: '', en: '', ...settings.contractTemplates });
+    const [templateLang, setTemplateLang] = useState(i18n.language?.startsWith('es') ? 'es' : 'en');
+    // Edited reminder settings (null until changed: the stored ones load after the page)
+    const [reminderForm, setReminderForm] = useState(null);
     const [saved, setSaved] = useState(false);
     const [currentLang, setCurrentLang] = useState(i18n.language?.startsWith('es') ? 'es' : 'en');
 
@@ -47,8 +73,80 @@ export default function Settings() {
         setCurrentLang(newLang);
     };
 
+    // Custom rates are entered as monthly percentages and stored as decimals
+    const handleScenarioChange = (band, field, value) => {
+        setProjectionScenarios(prev => ({
+            ...prev,
+            [band]: { ...prev[band], [field]: field === 'rate' ? (value === '' ? '' : Number(value) / 100) : value }
+        }));
+    };
+
+    const handleImportCurve = () => {
+        const { points, errors } = parseIndexTable(remText, 'ipc');
+        setRemErrors(errors);
+        if (points.length > 0) {
+            setRemCurve(points);
+            setRemText('');
+        }
+    };
+
+    // Recomputes the hash chain of every point of sale
+    const handleVerifyReceipts = async () => {
+        const pointsOfSale = [...new Set(receipts.map(r => r.pointOfSale))];
+        const broken = (await Promise.all(pointsOfSale.map(pos =>
+            verifyReceiptChain(receipts.filter(r => r.pointOfSale === pos))
+        ))).flat();
+        setReceiptCheck({
+            count: receipts.length,
+            broken: receipts.filter(r => broken.includes(r.id)).map(r => r.formattedNumber)
+        });
+    };
+
+    const handleAddRate = async () => {
+        if (!newRate.date || !(Number(newRate.value) > 0)) return;
+        await addExchangeRate({ ...newRate, value: Number(newRate.value) });
+        setNewRate(prev => ({ ...prev, value: '', source: '' }));
+    };
+
+    // Reminders are opt-in and go to the account email unless another is set
+    const reminders = reminderForm || {
+        enabled: reminderSettings?.enabled ?? false,
+        ownerEmail: reminderSettings?.ownerEmail || user?.email || '',
+        rules: reminderSettings?.rules || getReminderRules()
+    };
+
+    const handleReminderChange = (changes) => setReminderForm({ ...reminders, ...changes });
+
+    const handleReminderRuleChange = (rule, field, value) => handleReminderChange({
+        rules: { ...reminders.rules, [rule]: { ...reminders.rules[rule], [field]: value } }
+    });
+
+    const recentNotifications = [...sentNotifications]
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, 5);
+
+    // Most recent quotes first
+    const sortedRates = [...exchangeRates].sort((a, b) => b.date.localeCompare(a.date) || a.rateType.localeCompare(b.rateType));
+
     const handleSave = () => {
-        updateSettings({ ownerName, dateFormat, signatureDataUrl });
+        updateSettings({
+            ownerName,
+            dateFormat,
+            signatureDataUrl,
+            receiptPointOfSale: Math.min(9999, Math.max(1, parseInt(receiptPointOfSale, 10) || DEFAULT_POINT_OF_SALE)),
+            projectionScenarios,
+            remCurve,
+            exchangeRateType,
+            // A template left as the default is stored empty, so it follows later changes to the default
+            contractTemplates: Object.fromEntries(CONTRACT_LANGUAGES.map(lang => [
+                lang,
+                contractTemplates[lang].trim() === DEFAULT_CONTRACT_TEMPLATES[lang].trim() ? '' : contractTemplates[lang]
+            ]))
+        });
+        // The job writes in the language and date format chosen here
+        if (reminderForm || reminderSettings) {
+            saveReminderSettings({ ...reminders, language: currentLang, dateFormat });
+        }
         setSaved(true);
         setTimeout(() => setSaved(false), 2500);
     };
@@ -128,6 +226,90 @@ export default function Settings() {
                         onChange={handleSignatureUpload}
                         className="hidden"
                     />
+
+                    <label className="block text-sm font-medium text-slate-700 mt-6 mb-2">
+                        {t('settings.pointOfSale')}
+                    </label>
+                    <input
+                        type="number"
+                        min="1"
+                        max="9999"
+                        value={receiptPointOfSale}
+                        onChange={(e) => setReceiptPointOfSale(e.target.value)}
+                        className="w-32 px-4 py-2.5 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition-colors"
+                    />
+                    <p className="text-xs text-slate-400 mt-2">
+                        {t('settings.pointOfSaleHint', { example: formatReceiptNumber(parseInt(receiptPointOfSale, 10) || DEFAULT_POINT_OF_SALE, 1) })}
+                    </p>
+
+                    {receipts.length > 0 && (
+                        <div className="flex flex-wrap items-center gap-3 mt-4">
+                            <button
+                                onClick={handleVerifyReceipts}
+                                className="px-3 py-1.5 text-sm border border-slate-300 rounded-lg text-slate-600 hover:bg-slate-50 transition-colors"
+                            >
+                                {t('settings.verifyReceipts')}
+                            </button>
+                            {receiptCheck && (
+                                <span className={`text-xs ${receiptCheck.broken.length ? 'text-red-600' : 'text-emerald-600'}`}>
+                                    {receiptCheck.broken.length
+                                        ? t('settings.receiptsBroken', { numbers: receiptCheck.broken.join(', ') })
+                                        : t('settings.receiptsVerified', { count: receiptCheck.count })}
+                                </span>
+                            )}
+                        </div>
+                    )}
+                </SettingsCard>
+
+                {/* Contract Templates Card */}
+                <SettingsCard title={t('contracts.templates')} icon={FileSignature}>
+                    <p className="text-sm text-slate-500 mb-4">{t('contracts.templatesHint')}</p>
+
+                    <div className="flex items-center justify-between gap-3 mb-3">
+                        <div className="flex gap-2">
+                            {CONTRACT_LANGUAGES.map(lang => (
+                                <button
+                                    key={lang}
+                                    onClick={() => setTemplateLang(lang)}
+                                    className={`px-3 py-1.5 rounded-lg border text-sm font-medium transition-all ${templateLang === lang
+                                            ? 'bg-emerald-50 border-emerald-400 text-emerald-700'
+                                            : 'bg-white border-slate-200 text-slate-600 hover:border-slate-300'
+                                        }`}
+                                >
+                                    {t(`contracts.languages.${lang}`)}
+                                </button>
+                            ))}
+                        </div>
+                        {contractTemplates[templateLang].trim() && (
+                            <button
+                                onClick={() => setContractTemplates(prev => ({ ...prev, [templateLang]: '' }))}
+                                className="flex items-center gap-1.5 text-xs font-medium text-slate-500 hover:text-slate-800"
+                            >
+                                <RotateCcw size={14} />
+                                {t('contracts.restoreDefault')}
+                            </button>
+                        )}
+                    </div>
+
+                    <textarea
+                        value={getContractTemplate(contractTemplates, templateLang)}
+                        onChange={(e) => setContractTemplates(prev => ({ ...prev, [templateLang]: e.target.value }))}
+                        rows={12}
+                        className="w-full px-4 py-3 border border-slate-300 rounded-lg text-xs font-mono leading-relaxed focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 outline-none transition-colors"
+                    />
+
+                    <p className="text-xs text-slate-500 mt-3 mb-2">{t('contracts.placeholders')}</p>
+                    <div className="flex flex-wrap gap-1.5">
+                        {CONTRACT_PLACEHOLDERS.map(name => (
+                            <code
+                                key={name}
+                                title={t(`contracts.placeholderNames.${name}`)}
+                                className="px-2 py-0.5 bg-slate-100 text-slate-600 rounded text-xs"
+                            >
+                                {`{{${name}}}`}
+                            </code>
+                        ))}
+                    </div>
                 </SettingsCard>
 
                 {/* Preferences Card */}
@@ -189,6 +371,248 @@ export default function Settings() {
                     </div>
                 </SettingsCard>
 
+                {/* Inflation Projections Card */}
+                <SettingsCard title={t('settings.projections')} icon={TrendingUp}>
+                    <p className="text-sm text-slate-500 mb-4">{t('settings.projectionsHint')}</p>
+
+                    <div className="space-y-3 mb-6">
+                        {SCENARIO_BANDS.map(band => (
+                            <div key={band} className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-center">
+                                <span className="text-sm font-medium text-slate-700">{t(`settings.bands.${band}`)}</span>
+                                <select
+                                    value={projectionScenarios[band].type}
+                                    onChange={(e) => handleScenarioChange(band, 'type', e.target.value)}
+                                    className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                                >
+                                    {PROJECTION_SCENARIOS.map(type => (
+                                        <option key={type} value={type}>{t(`settings.scenarios.${type}`)}</option>
+                                    ))}
+                                </select>
+                                {projectionScenarios[band].type === 'custom' && (
+                                    <input
+                                        type="number"
+                                        step="0.1"
+                                        value={projectionScenarios[band].rate === '' || projectionScenarios[band].rate === undefined
+                                            ? ''
+                                            : +(projectionScenarios[band].rate * 100).toFixed(4)}
+                                        onChange={(e) => handleScenarioChange(band, 'rate', e.target.value)}
+                                        placeholder={t('settings.customRate')}
+                                        className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                                    />
+                                )}
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Market Expectations Curve */}
+                    <label className="block text-sm font-medium text-slate-700 mb-2">
+                        {t('settings.remCurve')}
+                    </label>
+                    <p className="text-xs text-slate-400 mb-2">{t('settings.remCurveHint')}</p>
+                    <textarea
+                        value={remText}
+                        onChange={(e) => setRemText(e.target.value)}
+                        rows={4}
+                        placeholder={'2025-07\t1,9\n2025-08\t1,8'}
+                        className="w-full px-4 py-2.5 border border-slate-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-emerald-500 outline-none"
+                    />
+                    <div className="flex items-center justify-between mt-2">
+                        <p className="text-xs text-slate-500">
+                            {remCurve.length > 0
+                                ? t('settings.remCurveLoaded', { count: remCurve.length, from: remCurve[0].date.slice(0, 7), to: remCurve[remCurve.length - 1].date.slice(0, 7) })
+                                : t('settings.remCurveEmpty')}
+                            {remErrors.length > 0 && (
+                                <span className="block text-amber-600">{t('settings.remCurveErrors', { lines: remErrors.join(', ') })}</span>
+                            )}
+                        </p>
+                        <div className="flex gap-2">
+                            {remCurve.length > 0 && (
+                                <button
+                                    onClick={() => setRemCurve([])}
+                                    className="px-3 py-2 text-sm text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                                >
+                                    {t('settings.removeCurve')}
+                                </button>
+                            )}
+                            <button
+                                onClick={handleImportCurve}
+                                disabled={!remText.trim()}
+                                className="flex items-center gap-2 px-4 py-2 border border-slate-300 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-50 transition-colors disabled:opacity-50"
+                            >
+                                <Upload size={14} />
+                                {t('settings.importCurve')}
+                            </button>
+                        </div>
+                    </div>
+                </SettingsCard>
+
+                {/* Exchange Rates Card */}
+                <SettingsCard title={t('settings.exchangeRates')} icon={ArrowLeftRight}>
+                    <p className="text-sm text-slate-500 mb-4">{t('settings.exchangeRatesHint')}</p>
+
+                    <label className="block text-sm font-medium text-slate-700 mb-2">
+                        {t('settings.reportingRate')}
+                    </label>
+                    <select
+                        value={exchangeRateType}
+                        onChange={(e) => setExchangeRateType(e.target.value)}
+                        className="w-full sm:w-64 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none bg-white mb-6"
+                    >
+                        {RATE_TYPES.map(type => (
+                            <option key={type} value={type}>{t(`currency.rateTypes.${type}`)}</option>
+                        ))}
+                    </select>
+
+                    <div className="grid grid-cols-2 sm:grid-cols-[1fr_1fr_1fr_1fr_auto] gap-2 mb-4">
+                        <input
+                            type="date"
+                            value={newRate.date}
+                            onChange={(e) => setNewRate(prev => ({ ...prev, date: e.target.value }))}
+                            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                        />
+                        <select
+                            value={newRate.rateType}
+                            onChange={(e) => setNewRate(prev => ({ ...prev, rateType: e.target.value }))}
+                            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none bg-white"
+                        >
+                            {RATE_TYPES.map(type => (
+                                <option key={type} value={type}>{t(`currency.rateTypes.${type}`)}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={newRate.value}
+                            onChange={(e) => setNewRate(prev => ({ ...prev, value: e.target.value }))}
+                            placeholder={t('settings.rateValue')}
+                            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                        />
+                        <input
+                            type="text"
+                            value={newRate.source}
+                            onChange={(e) => setNewRate(prev => ({ ...prev, source: e.target.value }))}
+                            placeholder={t('settings.rateSource')}
+                            className="px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none"
+                        />
+                        <button
+                            onClick={handleAddRate}
+                            disabled={!newRate.date || !(Number(newRate.value) > 0)}
+                            title={t('settings.addRate')}
+                            className="flex items-center justify-center px-3 py-2 bg-emerald-600 text-white hover:bg-emerald-700 rounded-lg disabled:opacity-50"
+                        >
+                            <Plus size={16} />
+                        </button>
+                    </div>
+
+                    {sortedRates.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic">{t('settings.noRates')}</p>
+                    ) : (
+                        <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg max-h-64 overflow-y-auto">
+                            {sortedRates.map(rate => (
+                                <div key={rate.id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                                    <span className="text-slate-600">{formatDate(rate.date, dateFormat)}</span>
+                                    <span className="text-slate-500">{t(`currency.rateTypes.${rate.rateType}`)}</span>
+                                    <span className="font-medium text-slate-800">{formatCurrency(rate.value)}</span>
+                                    <span className="flex-1 text-xs text-slate-400 truncate">{rate.source}</span>
+                                    <button
+                                        onClick={() => deleteExchangeRate(rate.id)}
+                                        title={t('common.delete')}
+                                        className="p-1.5 text-red-500 hover:bg-red-50 rounded-lg"
+                                    >
+                                        <Trash2 size={14} />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </SettingsCard>
+
+                {/* Reminders Card */}
+                <SettingsCard title={t('reminders.title')} icon={Bell}>
+                    <p className="text-sm text-slate-500 mb-4">{t('reminders.hint')}</p>
+
+                    <label className="flex items-center gap-2 text-sm font-medium text-slate-700 mb-4">
+                        <input
+                            type="checkbox"
+                            checked={reminders.enabled}
+                            onChange={(e) => handleReminderChange({ enabled: e.target.checked })}
+                            className="rounded border-slate-300"
+                        />
+                        {t('reminders.enabled')}
+                    </label>
+
+                    <div className={reminders.enabled ? '' : 'opacity-50 pointer-events-none'}>
+                        <label className="block text-sm font-medium text-slate-700 mb-2">
+                            {t('reminders.ownerEmail')}
+                        </label>
+                        <input
+                            type="email"
+                            value={reminders.ownerEmail}
+                            onChange={(e) => handleReminderChange({ ownerEmail: e.target.value })}
+                            className="w-full sm:w-80 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-emerald-500 outline-none mb-4"
+                        />
+
+                        <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                            {REMINDER_RULES.map(rule => (
+                                <div key={rule} className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+                                    <label className="flex items-center gap-2 flex-1 min-w-[12rem] text-slate-700">
+                                        <input
+                                            type="checkbox"
+                                            checked={reminders.rules[rule].enabled}
+                                            onChange={(e) => handleReminderRuleChange(rule, 'enabled', e.target.checked)}
+                                            className="rounded border-slate-300"
+                                        />
+                                        {t(`reminders.rules.${rule}`)}
+                                    </label>
+                                    <span className="flex items-center gap-2 text-slate-500">
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={reminders.rules[rule].days}
+                                            onChange={(e) => handleReminderRuleChange(rule, 'days', e.target.value)}
+                                            className="w-16 px-2 py-1 border border-slate-300 rounded-lg text-sm"
+                                        />
+                                        {t(`reminders.days.${rule}`)}
+                                    </span>
+                                    {TENANT_RULES.includes(rule) && (
+                                        <label className="flex items-center gap-2 text-xs text-slate-500">
+                                            <input
+                                                type="checkbox"
+                                                checked={reminders.rules[rule].notifyTenant}
+                                                onChange={(e) => handleReminderRuleChange(rule, 'notifyTenant', e.target.checked)}
+                                                className="rounded border-slate-300"
+                                            />
+                                            {t('reminders.notifyTenant')}
+                                        </label>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <h3 className="text-sm font-medium text-slate-700 mt-6 mb-2">{t('reminders.recent')}</h3>
+                    {recentNotifications.length === 0 ? (
+                        <p className="text-sm text-slate-400 italic">{t('reminders.noneSent')}</p>
+                    ) : (
+                        <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                            {recentNotifications.map(n => (
+                                <div key={n.id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                                    <span className="text-slate-600">{formatDate((n.sentAt || n.createdAt).slice(0, 10), dateFormat)}</span>
+                                    <span className="flex-1 text-slate-700 truncate">{t(`reminders.rules.${n.rule}`)}</span>
+                                    <span className="text-xs text-slate-400 truncate">{n.recipient}</span>
+                                    <span
+                                        title={n.error || undefined}
+                                        className={`text-xs font-medium ${n.status === 'sent' ? 'text-emerald-600' : 'text-red-600'}`}
+                                    >
+                                        {t(`reminders.statuses.${n.status}`)}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </SettingsCard>
+
                 {/* Save Button */}
                 <div className="flex justify-end">
                     <button
@@ -4,11 +4,21 @@ import { useData } from '../context/DataContext';
 import Modal from '../components/Modal';
 import LeaseModal from '../components/LeaseModal';
 import ExpenseModal from '../components/ExpenseModal';
+import LedgerModal from '../components/LedgerModal';
+import ChargesModal from '../components/ChargesModal';
+import SettlementModal from '../components/SettlementModal';
+import ContractModal from '../components/ContractModal';
 
-import { Edit2, Check, Plus, Trash2, Home, DollarSign, X, UserMinus, FilePlus, AlertTriangle, ChevronDown } from 'lucide-react';
+import { Edit2, Check, Plus, Trash2, Home, DollarSign, X, UserMinus, FilePlus, AlertTriangle, ChevronDown, BookOpen, Receipt, Scale, RefreshCw, CalendarClock, FileText } from 'lucide-react';
 import { cn, formatCurrency } from '../lib/utils';
+import { getRentForMonth } from '../lib/balance';
+import { getRenewalValues, getRenewalChain, getCarriedCharges } from '../lib/renewal';
+import { DEFAULT_REMINDER_RULES } from '../lib/reminders';
 
-const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddExpense, onAddLease, onEditLease, onTerminateLease }) => {
+// Leases ending within this many days offer the renewal up front (same as the expiring-lease reminder)
+const RENEWAL_NOTICE_DAYS = DEFAULT_REMINDER_RULES.lease_expiring.days;
+
+const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddExpense, onAddLease, onEditLease, onRenewLease, onTerminateLease, onOpenLedger, onOpenCharges, onOpenSettlement, onOpenContract }) => {
     const { t } = useTranslation();
     const [isEditing, setIsEditing] = useState(false);
     const [showHistory, setShowHistory] = useState(false);
@@ -38,11 +48,19 @@ const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddEx
     const effectiveEnd = activeLease?.endDate || unit.leaseEnd;
     const isOccupied = !!effectiveTenant;
 
-    // Filter terminated leases for this unit
-    const terminatedLeases = allLeases.filter(l => l.status === 'TERMINATED').sort((a, b) => {
-        // Sort by end date descending (most recent first)
+    // Ended leases for this unit (terminated or renewed), most recent first
+    const pastLeases = allLeases.filter(l => l.status !== 'ACTIVE').sort((a, b) => {
         return new Date(b.endDate) - new Date(a.endDate);
     });
+    const terminatedLeases = pastLeases.filter(l => l.status === 'TERMINATED');
+
+    // Earlier leases of the same tenancy, linked by renewals
+    const renewalChain = activeLease ? getRenewalChain(allLeases, activeLease.id) : [];
+
+    const daysToEnd = activeLease?.endDate
+        ? Math.ceil((new Date(activeLease.endDate) - new Date()) / (1000 * 60 * 60 * 24))
+        : null;
+    const isEndingSoon = daysToEnd !== null && daysToEnd <= RENEWAL_NOTICE_DAYS;
 
     return (
         <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden group hover:shadow-md transition-all duration-300">
@@ -123,12 +141,12 @@ const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddEx
                         </div>
                         <div className="space-y-1">
                             <label className="text-xs font-semibold text-slate-400 uppercase tracking-wider">{t('units.rentPerMonth')}</label>
-                            <p className="text-sm font-bold text-slate-900">{formatCurrency(effectiveRent)}</p>
+                            <p className="text-sm font-bold text-slate-900">{formatCurrency(effectiveRent, activeLease?.currency)}</p>
                         </div>
                         <div className="col-span-2">
                             <div className="flex justify-between items-center bg-blue-50/50 p-2 px-3 rounded-lg border border-blue-100">
                                 <span className="text-xs font-semibold text-blue-400 uppercase tracking-wider">{t('units.securityDeposit')}</span>
-                                <span className="text-sm font-bold text-blue-700">{formatCurrency(effectiveDeposit)}</span>
+                                <span className="text-sm font-bold text-blue-700">{formatCurrency(effectiveDeposit, activeLease?.depositCurrency)}</span>
                             </div>
                         </div>
                         <div className="space-y-1">
@@ -140,6 +158,31 @@ const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddEx
                             <p className="text-sm text-slate-600">{effectiveEnd}</p>
                         </div>
 
+                        {/* Renewal chain of the current tenancy */}
+                        {renewalChain.length > 1 && (
+                            <div className="col-span-2 text-xs text-slate-500 flex flex-wrap items-center gap-1">
+                                <RefreshCw size={12} className="text-emerald-600" />
+                                <span className="font-medium">{t('units.renewalChain')}:</span>
+                                {renewalChain.map(lease => lease.startDate.slice(0, 7)).join(' → ')}
+                            </div>
+                        )}
+
+                        {/* Lease ending: offer the renewal */}
+                        {activeLease && isEndingSoon && (
+                            <div className="col-span-2 flex items-center justify-between gap-2 p-2 px-3 bg-amber-50 border border-amber-100 rounded-lg">
+                                <span className="flex items-center gap-1.5 text-xs font-medium text-amber-700">
+                                    <CalendarClock size={14} />
+                                    {daysToEnd >= 0 ? t('units.leaseEndsIn', { count: daysToEnd }) : t('units.leaseEnded')}
+                                </span>
+                                <button
+                                    onClick={() => onRenewLease(unit, activeLease)}
+                                    className="text-xs font-semibold text-emerald-700 hover:text-emerald-800"
+                                >
+                                    {t('units.renewLease')}
+                                </button>
+                            </div>
+                        )}
+
                         {/* Lease Actions */}
                         <div className="col-span-2 pt-2 border-t border-slate-100 mt-1">
                             {activeLease && (
@@ -151,6 +194,13 @@ const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddEx
                                         <Edit2 size={14} />
                                         {t('units.editLease')}
                                     </button>
+                                    <button
+                                        onClick={() => onRenewLease(unit, activeLease)}
+                                        className="py-2 px-3 flex items-center justify-center gap-2 text-xs font-medium text-emerald-600 bg-emerald-50 hover:bg-emerald-100 rounded-lg transition-colors border border-emerald-100"
+                                        title={t('units.renewLease')}
+                                    >
+                                        <RefreshCw size={14} />
+                                    </button>
                                     <button
                                         onClick={() => onTerminateLease(activeLease)}
                                         className="flex-1 py-2 flex items-center justify-center gap-2 text-xs font-medium text-red-600 bg-red-50 hover:bg-red-100 rounded-lg transition-colors border border-red-100"
@@ -158,6 +208,28 @@ const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddEx
                                         <UserMinus size={14} />
                                         {t('units.terminateLease')}
                                     </button>
+                                    <button
+                                        onClick={() => onOpenLedger(unit, activeLease)}
+                                        className="py-2 px-3 flex items-center justify-center gap-2 text-xs font-medium text-slate-600 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors border border-slate-200"
+                                        title={t('ledger.title')}
+                                    >
+                                        <BookOpen size={14} />
+                                        {t('ledger.open')}
+                                    </button>
+                                    <button
+                                        onClick={() => onOpenCharges(unit, activeLease)}
+                                        className="py-2 px-3 flex items-center justify-center gap-2 text-xs font-medium text-slate-600 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors border border-slate-200"
+                                        title={t('charges.title')}
+                                    >
+                                        <Receipt size={14} />
+                                    </button>
+                                    <button
+                                        onClick={() => onOpenContract(unit, activeLease)}
+                                        className="py-2 px-3 flex items-center justify-center gap-2 text-xs font-medium text-slate-600 bg-slate-50 hover:bg-slate-100 rounded-lg transition-colors border border-slate-200"
+                                        title={t('contracts.title')}
+                                    >
+                                        <FileText size={14} />
+                                    </button>
                                 </div>
                             )}
                             {!activeLease && unit.tenant && (
@@ -169,13 +241,13 @@ const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddEx
                         </div>
 
                         {/* Lease History Section - Dropdown */}
-                        {terminatedLeases.length > 0 && (
+                        {pastLeases.length > 0 && (
                             <div className="col-span-2 pt-3 border-t border-slate-100 mt-2">
                                 <button
                                     onClick={() => setShowHistory(!showHistory)}
                                     className="w-full py-2 flex items-center justify-between text-xs font-semibold text-slate-600 hover:text-slate-900 transition-colors uppercase tracking-wider"
                                 >
-                                    <span>{t('units.leaseHistory')} ({terminatedLeases.length})</span>
+                                    <span>{t('units.leaseHistory')} ({pastLeases.length})</span>
                                     <ChevronDown
                                         size={16}
                                         className={cn("transition-transform duration-200", showHistory && "rotate-180")}
@@ -184,20 +256,56 @@ const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddEx
 
                                 {showHistory && (
                                     <div className="mt-2 space-y-2 max-h-48 overflow-y-auto">
-                                        {terminatedLeases.map((lease) => (
+                                        {pastLeases.map((lease) => (
                                             <div
                                                 key={lease.id}
                                                 className="p-2 bg-slate-50 rounded border border-slate-200 text-xs"
                                             >
                                                 <div className="flex justify-between items-start mb-1">
                                                     <span className="font-medium text-slate-700">{lease.tenantName}</span>
-                                                    <span className="text-emerald-600 font-semibold">{formatCurrency(lease.rentAmount)}</span>
+                                                    <span className="text-emerald-600 font-semibold">{formatCurrency(lease.rentAmount, lease.currency)}</span>
                                                 </div>
                                                 <div className="text-slate-500 space-y-0.5">
                                                     <div>{lease.startDate} → {lease.endDate}</div>
-                                                    <div className="text-red-600">
-                                                        {t('units.terminatedOn')}: {lease.endDate}
-                                                    </div>
+                                                    {lease.status === 'RENEWED' ? (
+                                                        <div className="text-emerald-600 flex items-center gap-1">
+                                                            <RefreshCw size={10} />
+                                                            {t('units.renewedOn')}: {allLeases.find(l => l.previousLeaseId === lease.id)?.startDate || lease.endDate}
+                                                        </div>
+                                                    ) : (
+                                                        <div className="text-red-600">
+                                                            {t('units.terminatedOn')}: {lease.endDate}
+                                                        </div>
+                                                    )}
+                                                    {lease.previousLeaseId && (
+                                                        <div className="text-slate-400">{t('units.renewalOf', { date: allLeases.find(l => l.id === lease.previousLeaseId)?.startDate || '—' })}</div>
+                                                    )}
+                                                </div>
+                                                <div className="mt-1 flex gap-3">
+                                                    <button
+                                                        onClick={() => onOpenLedger(unit, lease)}
+                                                        className="flex items-center gap-1 text-slate-600 hover:text-slate-900 font-medium"
+                                                    >
+                                                        <BookOpen size={12} />
+                                                        {t('ledger.open')}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => onOpenContract(unit, lease)}
+                                                        className="flex items-center gap-1 text-slate-600 hover:text-slate-900 font-medium"
+                                                    >
+                                                        <FileText size={12} />
+                                                        {t('contracts.open')}
+                                                    </button>
+                                                    {/* The deposit carries over to a renewal: settled at the end of the chain */}
+                                                    {lease.status === 'TERMINATED' && (
+                                                        <button
+                                                            onClick={() => onOpenSettlement(lease)}
+                                                            className="flex items-center gap-1 text-slate-600 hover:text-slate-900 font-medium"
+                                                        >
+                                                            <Scale size={12} />
+                                                            {t('settlement.open')}
+                                                        </button>
+                                                    )}
                                                 </div>
                                             </div>
                                         ))}
@@ -222,6 +330,15 @@ const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddEx
                             <FilePlus size={16} />
                             {t('units.addLease')}
                         </button>
+                        {terminatedLeases.length > 0 && (
+                            <button
+                                onClick={() => onOpenSettlement(terminatedLeases[0])}
+                                className="text-xs text-slate-500 hover:text-slate-800 font-medium flex items-center gap-1"
+                            >
+                                <Scale size={12} />
+                                {t('settlement.lastLease', { tenant: terminatedLeases[0].tenantName })}
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
@@ -232,12 +349,17 @@ const UnitCard = ({ unit, activeLease, allLeases = [], onSave, onDelete, onAddEx
 
 export default function Units() {
     const { t } = useTranslation();
-    const { units, leases, getActiveLease, addUnit, updateUnit, deleteUnit, toggleUnitActive, addExpense, terminateLease, addLease, updateLease } = useData();
+    const { units, leases, getActiveLease, getRentAdjustments, getLeaseCharges, addUnit, updateUnit, deleteUnit, toggleUnitActive, addExpense, terminateLease, renewLease, addLease, updateLease } = useData();
     const [showArchived, setShowArchived] = useState(false);
     const [expenseModalUnit, setExpenseModalUnit] = useState(null);
     const [leaseModalUnit, setLeaseModalUnit] = useState(null);
-    const [leaseModalMode, setLeaseModalMode] = useState('add'); // 'add' or 'edit'
+    const [leaseModalMode, setLeaseModalMode] = useState('add'); // 'add', 'edit' or 'renew'
     const [editingLease, setEditingLease] = useState(null);
+    const [renewalValues, setRenewalValues] = useState(null);
+    const [ledgerView, setLedgerView] = useState(null); // { unit, lease }
+    const [chargesView, setChargesView] = useState(null); // { unit, lease }
+    const [settlementLeaseId, setSettlementLeaseId] = useState(null);
+    const [contractView, setContractView] = useState(null); // { unit, lease }
 
     // Termination Modal State
     const [terminationLease, setTerminationLease] = useState(null);
@@ -259,6 +381,8 @@ export default function Units() {
     const handleTerminateConfirm = async () => {
         if (terminationLease) {
             await terminateLease(terminationLease.id);
+            // Terminating settles the deposit: show the final statement
+            setSettlementLeaseId(terminationLease.id);
             setTerminationLease(null);
         }
     };
@@ -283,14 +407,33 @@ export default function Units() {
         setEditingLease(lease);
     };
 
+    // Renewal prefilled with the rent in effect (the last month of the lease if it already ended)
+    const handleRenewLeaseClick = (unit, lease) => {
+        const today = new Date().toISOString().split('T')[0];
+        const month = [today, lease.endDate].filter(Boolean).sort()[0].slice(0, 7);
+        const currentRent = getRentForMonth(unit, lease, getRentAdjustments(unit.id), month);
+
+        setLeaseModalUnit(unit);
+        setLeaseModalMode('renew');
+        setEditingLease(lease);
+        setRenewalValues(getRenewalValues(lease, currentRent, { today }));
+    };
+
+    const closeLeaseModal = () => {
+        setLeaseModalUnit(null);
+        setEditingLease(null);
+        setRenewalValues(null);
+    };
+
     const handleLeaseSave = async (leaseData) => {
         if (leaseModalMode === 'add') {
             await addLease(leaseData);
         } else if (leaseModalMode === 'edit' && editingLease) {
             await updateLease(editingLease.id, leaseData);
+        } else if (leaseModalMode === 'renew' && editingLease) {
+            await renewLease(editingLease.id, leaseData);
         }
-        setLeaseModalUnit(null);
-        setEditingLease(null);
+        closeLeaseModal();
     };
 
     const filteredUnits = units.filter(u => {
@@ -342,7 +485,12 @@ export default function Units() {
                             onAddExpense={setExpenseModalUnit}
                             onAddLease={handleAddLeaseClick}
                             onEditLease={handleEditLeaseClick}
+                            onRenewLease={handleRenewLeaseClick}
                             onTerminateLease={setTerminationLease}
+                            onOpenLedger={(ledgerUnit, lease) => setLedgerView({ unit: ledgerUnit, lease })}
+                            onOpenCharges={(chargesUnit, lease) => setChargesView({ unit: chargesUnit, lease })}
+                            onOpenSettlement={(lease) => setSettlementLeaseId(lease.id)}
+                            onOpenContract={(contractUnit, lease) => setContractView({ unit: contractUnit, lease })}
                         />
                         {!unit.isActive && (
                             <button
@@ -366,15 +514,46 @@ export default function Units() {
 
             <LeaseModal
                 isOpen={!!leaseModalUnit}
-                onClose={() => { setLeaseModalUnit(null); setEditingLease(null); }}
+                onClose={closeLeaseModal}
                 unitId={leaseModalUnit?.id}
                 unitName={leaseModalUnit?.name}
                 mode={leaseModalMode}
                 lease={editingLease}
                 currentTenantEmail={leaseModalUnit?.tenantEmail || ''}
+                initialValues={renewalValues}
+                carriedCharges={leaseModalMode === 'renew' && editingLease && renewalValues
+                    ? getCarriedCharges(getLeaseCharges(editingLease.unitId, editingLease.id), renewalValues.startDate)
+                    : []}
                 onSave={handleLeaseSave}
             />
 
+            <LedgerModal
+                isOpen={!!ledgerView}
+                onClose={() => setLedgerView(null)}
+                unit={ledgerView?.unit}
+                lease={ledgerView?.lease}
+            />
+
+            <ChargesModal
+                isOpen={!!chargesView}
+                onClose={() => setChargesView(null)}
+                unit={chargesView?.unit}
+                lease={chargesView?.lease}
+            />
+
+            <SettlementModal
+                isOpen={!!settlementLeaseId}
+                onClose={() => setSettlementLeaseId(null)}
+                leaseId={settlementLeaseId}
+            />
+
+            <ContractModal
+                isOpen={!!contractView}
+                onClose={() => setContractView(null)}
+                unit={contractView?.unit}
+                lease={contractView?.lease}
+            />
+
             {/* Termination Confirmation Modal */}
             <Modal
                 isOpen={!!terminationLease}
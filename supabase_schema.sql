@@ -63,3 +63,372 @@ create policy "Users can view their own payments" on payments for select using (
 create policy "Users can insert their own payments" on payments for insert with check (auth.uid() = user_id);
 create policy "Users can update their own payments" on payments for update using (auth.uid() = user_id);
 create policy "Users can delete their own payments" on payments for delete using (auth.uid() = user_id);
+
+-- LEASE ADJUSTMENT CLAUSES
+-- Index used to adjust the rent (see getAvailableIndices): 'ipc' | 'icl' | 'casa_propia' | 'cac'
+alter table leases add column if not exists index_type text not null default 'ipc';
+-- Months between adjustments (3 = quarterly, 4 = four-monthly, 6 = semiannual, ...)
+alter table leases add column if not exists adjustment_frequency integer not null default 4 check (adjustment_frequency > 0);
+-- Rounding of adjusted rents: 'none' | 'nearest' | 'ceil' | 'floor' to a multiple of rounding_step
+alter table leases add column if not exists rounding_mode text not null default 'nearest';
+alter table leases add column if not exists rounding_step numeric not null default 500 check (rounding_step > 0);
+-- Fixed escalations: index_type 'fixed' uses increment_percentage every adjustment_frequency months,
+-- index_type 'step_up' uses an explicit table: [{ "fromMonth": 7, "amount": 150000 }, ...]
+alter table leases add column if not exists rent_steps jsonb not null default '[]'::jsonb;
+-- Clause rules per adjustment, as percentages (null = not in the lease):
+-- cap = maximum increase, floor = minimum increase, hybrid = "the greater of the index and X%"
+alter table leases add column if not exists adjustment_cap numeric;
+alter table leases add column if not exists adjustment_floor numeric;
+alter table leases add column if not exists hybrid_percentage numeric;
+-- Months the index window is shifted back for publication lag (0, 1 or 2)
+alter table leases add column if not exists publication_lag integer not null default 0 check (publication_lag between 0 and 2);
+
+-- LEASE DUE DAY AND LATE INTEREST
+-- Day of the month rent is due (clamped to the end of short months)
+alter table leases add column if not exists due_day integer not null default 10 check (due_day between 1 and 31);
+-- Late-interest clause: 'none' | 'daily' (late_fee_rate % per day on the unpaid rent) | 'flat' (late_fee_amount once)
+alter table leases add column if not exists late_fee_type text not null default 'none';
+alter table leases add column if not exists late_fee_rate numeric not null default 0 check (late_fee_rate >= 0);
+alter table leases add column if not exists late_fee_amount numeric not null default 0 check (late_fee_amount >= 0);
+-- Days after the due day before interest starts
+alter table leases add column if not exists grace_days integer not null default 0 check (grace_days >= 0);
+
+-- RENT ADJUSTMENTS TABLE
+-- History of applied adjustments (and manually agreed amounts for upcoming ones)
+create table if not exists rent_adjustments (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null,
+  unit_id uuid references units(id) on delete cascade not null,
+  lease_id uuid references leases(id) on delete set null,
+  date date not null, -- Adjustment date (schedule slot)
+  old_rent numeric not null,
+  new_rent numeric not null,
+  percent_change numeric,
+  index_type text,
+  index_values jsonb not null default '[]'::jsonb, -- Index data points used (schedule details)
+  is_manual boolean not null default false,
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+alter table rent_adjustments enable row level security;
+
+create policy "Users can view their own rent adjustments" on rent_adjustments for select using (auth.uid() = user_id);
+create policy "Users can insert their own rent adjustments" on rent_adjustments for insert with check (auth.uid() = user_id);
+create policy "Users can update their own rent adjustments" on rent_adjustments for update using (auth.uid() = user_id);
+create policy "Users can delete their own rent adjustments" on rent_adjustments for delete using (auth.uid() = user_id);
+
+-- TENANT NOTICES TABLE
+-- Audit trail of adjustment notices: when the tenant was told and what they received
+create table if not exists tenant_notices (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null,
+  unit_id uuid references units(id) on delete cascade not null,
+  lease_id uuid references leases(id) on delete set null,
+  adjustment_date date not null, -- Adjustment the notice announces
+  recipient text,
+  subject text,
+  body text not null,
+  notified_at timestamp with time zone not null default timezone('utc'::text, now()),
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+alter table tenant_notices enable row level security;
+
+create policy "Users can view their own tenant notices" on tenant_notices for select using (auth.uid() = user_id);
+create policy "Users can insert their own tenant notices" on tenant_notices for insert with check (auth.uid() = user_id);
+create policy "Users can delete their own tenant notices" on tenant_notices for delete using (auth.uid() = user_id);
+
+-- INDEX VALUES TABLE
+-- Published index values with provenance, filled from /api/ipc and /api/arquiler
+create table if not exists index_values (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null default auth.uid(),
+  index_type text not null, -- 'ipc' | 'icl' | 'casa_propia' | 'cac'
+  date date not null, -- Month (YYYY-MM-01) for monthly indices, publication day for ICL
+  value numeric not null, -- Monthly rate as decimal (IPC, Casa Propia) or index level (ICL, CAC)
+  source text not null, -- 'indec' | 'arquiler' (APIs) or 'manual' (Indices page)
+  fetched_at timestamp with time zone not null default timezone('utc'::text, now()),
+  unique (user_id, index_type, date, source)
+);
+
+alter table index_values enable row level security;
+
+create policy "Users can view their own index values" on index_values for select using (auth.uid() = user_id);
+create policy "Users can insert their own index values" on index_values for insert with check (auth.uid() = user_id);
+create policy "Users can update their own index values" on index_values for update using (auth.uid() = user_id);
+create policy "Users can delete their own index values" on index_values for delete using (auth.uid() = user_id);
+
+-- EXTRA CHARGES TABLE
+-- Amounts billed to the tenant on top of the rent (building fees, municipal tax, utilities)
+create table if not exists charges (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null,
+  unit_id uuid references units(id) on delete cascade not null,
+  lease_id uuid references leases(id) on delete cascade,
+  for_month text not null, -- First (or only) month billed, YYYY-MM
+  category text not null default 'other', -- 'expensas' | 'abl' | 'utilities' | 'other'
+  description text,
+  amount numeric not null check (amount > 0),
+  recurring boolean not null default false, -- Billed every month from for_month
+  end_month text, -- Last month of a recurring charge (null = until the lease ends)
+  expense_id uuid references expenses(id) on delete set null, -- Owner expense re-billed to the tenant
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+alter table charges enable row level security;
+
+create policy "Users can view their own charges" on charges for select using (auth.uid() = user_id);
+create policy "Users can insert their own charges" on charges for insert with check (auth.uid() = user_id);
+create policy "Users can update their own charges" on charges for update using (auth.uid() = user_id);
+create policy "Users can delete their own charges" on charges for delete using (auth.uid() = user_id);
+
+-- Part of each payment allocated to extra charges (the rest pays the rent)
+alter table payments add column if not exists charges_amount numeric not null default 0 check (charges_amount >= 0);
+
+-- SECURITY DEPOSITS
+-- When the deposit was received, its currency, and whether the refund follows the rent (Ley 27.551)
+alter table leases add column if not exists deposit_received_date date;
+alter table leases add column if not exists deposit_currency text not null default 'ARS'; -- 'ARS' | 'USD'
+alter table leases add column if not exists deposit_indexed boolean not null default false;
+
+-- Deductions from the deposit at move-out (damages, repairs), in ARS
+create table if not exists deposit_deductions (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null,
+  lease_id uuid references leases(id) on delete cascade not null,
+  unit_id uuid references units(id) on delete cascade not null,
+  description text not null,
+  amount numeric not null check (amount > 0),
+  expense_id uuid references expenses(id) on delete set null, -- Repair paid by the owner
+  maintenance_id uuid references maintenances(id) on delete set null, -- Maintenance task it covers
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+alter table deposit_deductions enable row level security;
+
+create policy "Users can view their own deposit deductions" on deposit_deductions for select using (auth.uid() = user_id);
+create policy "Users can insert their own deposit deductions" on deposit_deductions for insert with check (auth.uid() = user_id);
+create policy "Users can update their own deposit deductions" on deposit_deductions for update using (auth.uid() = user_id);
+create policy "Users can delete their own deposit deductions" on deposit_deductions for delete using (auth.uid() = user_id);
+
+-- CURRENCIES
+-- Leases, payments and expenses are recorded in ARS or USD; deposit_currency (above) covers deposits
+alter table leases add column if not exists currency text not null default 'ARS'; -- 'ARS' | 'USD' (rent and extra charges)
+alter table payments add column if not exists currency text not null default 'ARS';
+alter table expenses add column if not exists currency text not null default 'ARS';
+
+-- EXCHANGE RATES TABLE
+-- ARS per USD quotes used to report mixed-currency totals in ARS
+create table if not exists exchange_rates (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null default auth.uid(),
+  date date not null,
+  rate_type text not null default 'mep', -- 'official' | 'mep'
+  value numeric not null check (value > 0), -- ARS per USD
+  source text, -- Where the quote was taken from (BCRA, broker...)
+  created_at timestamp with time zone default timezone('utc'::text, now()),
+  unique (user_id, date, rate_type)
+);
+
+alter table exchange_rates enable row level security;
+
+create policy "Users can view their own exchange rates" on exchange_rates for select using (auth.uid() = user_id);
+create policy "Users can insert their own exchange rates" on exchange_rates for insert with check (auth.uid() = user_id);
+create policy "Users can update their own exchange rates" on exchange_rates for update using (auth.uid() = user_id);
+create policy "Users can delete their own exchange rates" on exchange_rates for delete using (auth.uid() = user_id);
+
+-- RECEIPTS TABLE
+-- Issued rent receipts: sequential number per owner and point of sale, and a snapshot of what was printed.
+-- Receipts are never edited or deleted; a wrong one is voided and a new one may replace it.
+create table if not exists receipts (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null default auth.uid(),
+  payment_id uuid references payments(id) on delete set null,
+  unit_id uuid references units(id) on delete set null,
+  point_of_sale integer not null default 1 check (point_of_sale between 1 and 9999),
+  number integer not null, -- Assigned on insert (see assign_receipt_number)
+  snapshot jsonb not null, -- Everything the receipt prints
+  hash text not null, -- SHA-256 of the snapshot chained to previous_hash
+  previous_hash text not null default '',
+  status text not null default 'issued', -- 'issued' | 'void'
+  void_reason text,
+  voided_at timestamp with time zone,
+  replaces_id uuid references receipts(id), -- Voided receipt this one was reissued from
+  issued_at timestamp with time zone default timezone('utc'::text, now()),
+  unique (user_id, point_of_sale, number)
+);
+
+alter table receipts enable row level security;
+
+create policy "Users can view their own receipts" on receipts for select using (auth.uid() = user_id);
+create policy "Users can insert their own receipts" on receipts for insert with check (auth.uid() = user_id);
+create policy "Users can update their own receipts" on receipts for update using (auth.uid() = user_id);
+
+-- Next number of the owner's point of sale (serialized per point of sale).
+-- The hash chain is checked under the same lock: previous_hash must be the hash of the
+-- last receipt, otherwise another one was issued meanwhile (another tab, a batch) and
+-- the insert fails with serialization_failure for the client to chain it again.
+create or replace function assign_receipt_number() returns trigger as $$
+declare
+  last_hash text;
+begin
+  perform pg_advisory_xact_lock(hashtext(new.user_id::text || ':' || new.point_of_sale::text));
+  select coalesce(max(number), 0) + 1 into new.number
+    from receipts
+    where user_id = new.user_id and point_of_sale = new.point_of_sale;
+  select hash into last_hash
+    from receipts
+    where user_id = new.user_id and point_of_sale = new.point_of_sale
+    order by number desc
+    limit 1;
+  if coalesce(last_hash, '') <> new.previous_hash then
+    raise exception 'Receipt chain changed, previous_hash is not the last receipt hash'
+      using errcode = 'serialization_failure';
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists receipts_assign_number on receipts;
+create trigger receipts_assign_number before insert on receipts
+  for each row execute function assign_receipt_number();
+
+-- Only voiding is allowed after issue. Deleting the payment or the unit still clears
+-- the reference (on delete set null), also on voided receipts.
+create or replace function protect_issued_receipt() returns trigger as $$
+begin
+  if (new.payment_id is not null and new.payment_id is distinct from old.payment_id)
+     or (new.unit_id is not null and new.unit_id is distinct from old.unit_id) then
+    raise exception 'Issued receipts cannot be modified, only voided';
+  end if;
+  if old.status = 'void' then
+    if to_jsonb(new) - 'payment_id' - 'unit_id' <> to_jsonb(old) - 'payment_id' - 'unit_id' then
+      raise exception 'Voided receipts cannot be modified';
+    end if;
+  elsif new.number <> old.number or new.point_of_sale <> old.point_of_sale or new.snapshot <> old.snapshot
+     or new.hash <> old.hash or new.previous_hash <> old.previous_hash then
+    raise exception 'Issued receipts cannot be modified, only voided';
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists receipts_protect on receipts;
+create trigger receipts_protect before update on receipts
+  for each row execute function protect_issued_receipt();
+
+-- EMAIL LOG TABLE
+-- Messages sent through /api/send-email (rent notices, receipts) and their delivery status.
+-- Written by the endpoint with the user's token; attachment contents are not stored.
+create table if not exists email_log (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null default auth.uid(),
+  unit_id uuid references units(id) on delete set null,
+  receipt_id uuid references receipts(id) on delete set null,
+  kind text not null default 'message', -- 'notice' | 'receipt' | 'message'
+  recipient text not null,
+  subject text not null,
+  body text,
+  attachments jsonb not null default '[]'::jsonb, -- [{ filename, size }]
+  status text not null default 'queued', -- 'queued' | 'sent' | 'failed'
+  message_id text, -- SMTP Message-ID
+  error text, -- Why delivery failed
+  created_at timestamp with time zone default timezone('utc'::text, now()),
+  sent_at timestamp with time zone
+);
+
+alter table email_log enable row level security;
+
+create policy "Users can view their own email log" on email_log for select using (auth.uid() = user_id);
+create policy "Users can insert their own email log" on email_log for insert with check (auth.uid() = user_id);
+create policy "Users can update their own email log" on email_log for update using (auth.uid() = user_id);
+
+-- REMINDER SETTINGS TABLE
+-- Rules of the daily reminders job (/api/reminders), one row per owner
+create table if not exists reminder_settings (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null default auth.uid() unique,
+  enabled boolean not null default true,
+  owner_email text not null, -- Where the owner's reminders go
+  rules jsonb not null default '{}'::jsonb, -- { "rent_overdue": { "enabled": true, "days": 5, "notifyTenant": false }, ... }
+  language text not null default 'es', -- Language of the emails ('es' | 'en')
+  date_format text not null default 'dd/mm/yyyy',
+  updated_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+alter table reminder_settings enable row level security;
+
+create policy "Users can view their own reminder settings" on reminder_settings for select using (auth.uid() = user_id);
+create policy "Users can insert their own reminder settings" on reminder_settings for insert with check (auth.uid() = user_id);
+create policy "Users can update their own reminder settings" on reminder_settings for update using (auth.uid() = user_id);
+
+-- SENT NOTIFICATIONS TABLE
+-- Reminders sent by the job, one per event and recipient: a reminder already sent is not sent again.
+-- Written by the job with the service role key; failed ones are retried on the next run.
+create table if not exists sent_notifications (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null,
+  unit_id uuid references units(id) on delete set null,
+  rule text not null, -- 'rent_overdue' | 'adjustment_upcoming' | 'lease_expiring' | 'maintenance_overdue'
+  reference_key text not null, -- Event the reminder is about, e.g. 'rent_overdue:<lease id>:2024-03'
+  recipient_type text not null, -- 'owner' | 'tenant'
+  recipient text not null,
+  subject text,
+  status text not null, -- 'sent' | 'failed'
+  error text,
+  sent_at timestamp with time zone,
+  created_at timestamp with time zone default timezone('utc'::text, now()),
+  unique (user_id, reference_key, recipient_type)
+);
+
+alter table sent_notifications enable row level security;
+
+create policy "Users can view their own sent notifications" on sent_notifications for select using (auth.uid() = user_id);
+
+-- NOTIFICATIONS TABLE
+-- Read / dismissed state of the in-app notifications (the events themselves are computed from the data)
+create table if not exists notifications (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null default auth.uid(),
+  key text not null, -- Event the notification is about, e.g. 'maintenance_due:<task id>:2024-03-01'
+  type text not null, -- 'rent_overdue' | 'adjustment_upcoming' | 'maintenance_due' | 'maintenance_overdue' | 'index_fallback'
+  unit_id uuid references units(id) on delete cascade,
+  read_at timestamp with time zone,
+  dismissed_at timestamp with time zone,
+  created_at timestamp with time zone default timezone('utc'::text, now()),
+  unique (user_id, key)
+);
+
+alter table notifications enable row level security;
+
+create policy "Users can view their own notifications" on notifications for select using (auth.uid() = user_id);
+create policy "Users can insert their own notifications" on notifications for insert with check (auth.uid() = user_id);
+create policy "Users can update their own notifications" on notifications for update using (auth.uid() = user_id);
+
+-- LEASE RENEWALS
+-- A renewal is a new lease linked to the one it renews, which ends with status 'RENEWED'
+-- (lease statuses: 'ACTIVE' | 'TERMINATED' | 'RENEWED')
+alter table leases add column if not exists previous_lease_id uuid references leases(id) on delete set null;
+
+-- DOCUMENTS TABLE
+-- Files of a unit (uploaded, or contracts generated for a lease), stored in the 'files' Storage bucket
+-- under the user's folder (<user id>/<file>)
+create table if not exists documents (
+  id uuid default uuid_generate_v4() primary key,
+  user_id uuid references auth.users not null,
+  unit_id uuid references units(id) on delete cascade,
+  lease_id uuid references leases(id) on delete set null, -- Lease the document belongs to (generated contracts)
+  name text not null,
+  size bigint,
+  type text,
+  url text not null,
+  created_at timestamp with time zone default timezone('utc'::text, now())
+);
+
+alter table documents add column if not exists lease_id uuid references leases(id) on delete set null;
+
+alter table documents enable row level security;
+
+create policy "Users can view their own documents" on documents for select using (auth.uid() = user_id);
+create policy "Users can insert their own documents" on documents for insert with check (auth.uid() = user_id);
+create policy "Users can delete their own documents" on documents for delete using (auth.uid() = user_id);